@@ -3,7 +3,9 @@ const {
   StdioServerTransport,
 } = require("@modelcontextprotocol/sdk/server/stdio.js");
 const { registerPrompts } = require("./prompts");
-const { registerTools } = require("./tools");
+const { registerTools, makeRpcCall } = require("./tools");
+const { loadBroadcastSettings } = require("./lib/broadcast");
+const { loadNetworks, verifyNetworks } = require("./lib/networks");
 
 // Redirect console.log to stderr to avoid breaking the MCP protocol
 console.log = function () {
@@ -14,12 +16,37 @@ console.log = function () {
 const config = {
   name: "shm-mcp",
   version: "1.0.0",
-  rpcUrl: process.env.RPC_URL || "https://api-testnet.shardeum.org/",
 };
 
+/**
+ * Check every configured network's chain ID and report any that don't match
+ * @param {object} networks - The network registry
+ */
+async function checkNetworks(networks) {
+  for (const network of await verifyNetworks(networks, makeRpcCall)) {
+    for (const endpoint of network.verification.endpoints) {
+      const label = `Network "${network.name}" endpoint ${endpoint.url}`;
+      if (endpoint.status === "mismatch") {
+        console.error(
+          `WARNING: ${label} reports chain ID ${endpoint.actualChainId}, expected ${network.chainId}`,
+        );
+      } else if (endpoint.status === "unreachable") {
+        console.error(`WARNING: ${label} is unreachable: ${endpoint.error}`);
+      } else if (endpoint.status === "unverified") {
+        console.error(
+          `${label} has no expected chain ID; reports ${endpoint.actualChainId}`,
+        );
+      }
+    }
+  }
+}
+
 // Initialize the server
 async function startServer() {
   try {
+    loadBroadcastSettings();
+    const networks = loadNetworks();
+
     // Create a new MCP server
     const server = new McpServer({
       name: config.name,
@@ -28,7 +55,7 @@ async function startServer() {
 
     // Register all prompts and tools
     registerPrompts(server);
-    registerTools(server, config.rpcUrl);
+    registerTools(server, networks);
 
     // Connect to the stdio transport
     await server.connect(new StdioServerTransport());
@@ -36,7 +63,15 @@ async function startServer() {
     console.error(
       `${config.name} MCP Server (v${config.version}) is running...`,
     );
-    console.error(`Connected to RPC: ${config.rpcUrl}`);
+    const defaultNetwork = networks.resolve();
+    console.error(
+      `Default network: ${defaultNetwork.name} (${defaultNetwork.rpcUrl})`,
+    );
+
+    // Verify chain IDs in the background so startup isn't blocked on slow endpoints
+    checkNetworks(networks).catch((err) =>
+      console.error("Network check failed:", err.message),
+    );
   } catch (err) {
     console.error("Failed to start MCP server:", err);
     process.exit(1);
@@ -0,0 +1,802 @@
+const {
+  bytesToHex,
+  hexToBytes,
+  keccak256,
+  toChecksumAddress,
+} = require("./hex");
+
+const WORD = 32;
+
+const PARAM_MODIFIERS = new Set([
+  "indexed",
+  "memory",
+  "calldata",
+  "storage",
+  "payable",
+]);
+
+const FUNCTION_MODIFIERS = new Set([
+  "view",
+  "pure",
+  "payable",
+  "nonpayable",
+  "external",
+  "public",
+  "internal",
+  "private",
+  "virtual",
+  "override",
+  "anonymous",
+]);
+
+// Reasons for Panic(uint256) codes emitted by the Solidity compiler
+const PANIC_REASONS = {
+  0x00: "generic compiler-inserted panic",
+  0x01: "assert(false)",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum conversion",
+  0x22: "incorrectly encoded storage byte array",
+  0x31: "pop() on an empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to a zero-initialized function variable",
+};
+
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+/**
+ * Split a parameter list on top-level commas
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of text) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (depth < 0) throw new Error(`Unbalanced parentheses in "${text}"`);
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (depth !== 0) throw new Error(`Unbalanced parentheses in "${text}"`);
+  if (current.trim() || parts.length > 0) parts.push(current);
+  return parts.map((part) => part.trim());
+}
+
+function findClosingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === "(") depth++;
+    if (text[i] === ")" && --depth === 0) return i;
+  }
+  throw new Error(`Unbalanced parentheses in "${text}"`);
+}
+
+function normalizeType(type) {
+  return type
+    .replace(/^uint(?=$|\[)/, "uint256")
+    .replace(/^int(?=$|\[)/, "int256")
+    .replace(/^byte(?=$|\[)/, "bytes1");
+}
+
+/**
+ * Parse one human-readable parameter, e.g. "address indexed owner" or
+ * "(uint256 id, string uri)[] items"
+ */
+function parseParam(text) {
+  let rest = text.trim();
+  const param = {};
+
+  if (rest.startsWith("tuple(")) rest = rest.slice(5);
+  if (rest.startsWith("(")) {
+    const close = findClosingParen(rest, 0);
+    param.components = parseParams(rest.slice(1, close));
+    rest = rest.slice(close + 1);
+    const suffix = /^((?:\[\d*\])*)/.exec(rest)[1];
+    param.type = `tuple${suffix}`;
+    rest = rest.slice(suffix.length);
+  } else {
+    const match = /^([A-Za-z0-9_]+(?:\[\d*\])*)/.exec(rest);
+    if (!match) throw new Error(`Invalid parameter "${text}"`);
+    param.type = normalizeType(match[1]);
+    rest = rest.slice(match[1].length);
+  }
+
+  const words = rest.trim().split(/\s+/).filter(Boolean);
+  for (const word of words) {
+    if (word === "indexed") param.indexed = true;
+    else if (!PARAM_MODIFIERS.has(word)) param.name = word;
+  }
+  param.name = param.name || "";
+  validateType(param);
+  return param;
+}
+
+function parseParams(text) {
+  return splitTopLevel(text).map(parseParam);
+}
+
+function validateType(param) {
+  const base = param.type.replace(/(\[\d*\])+$/, "");
+  const valid =
+    base === "tuple" ||
+    base === "address" ||
+    base === "bool" ||
+    base === "string" ||
+    base === "bytes" ||
+    /^u?int(8|16|24|32|40|48|56|64|72|80|88|96|104|112|120|128|136|144|152|160|168|176|184|192|200|208|216|224|232|240|248|256)$/.test(
+      base,
+    ) ||
+    /^bytes([1-9]|[12]\d|3[0-2])$/.test(base);
+  if (!valid) throw new Error(`Unsupported ABI type "${param.type}"`);
+}
+
+/**
+ * Parse a human-readable signature such as
+ * "function balanceOf(address owner) view returns (uint256)"
+ */
+function parseHumanReadable(text) {
+  let rest = text.trim().replace(/;$/, "");
+  let type = "function";
+  const keyword = /^(function|event|error|constructor)\b\s*/.exec(rest);
+  if (keyword) {
+    type = keyword[1];
+    rest = rest.slice(keyword[0].length);
+  }
+
+  const open = rest.indexOf("(");
+  if (open < 0) throw new Error(`Invalid signature "${text}"`);
+  const name = rest.slice(0, open).trim();
+  if (type !== "constructor" && !/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name)) {
+    throw new Error(`Invalid name in signature "${text}"`);
+  }
+  const close = findClosingParen(rest, open);
+  const fragment = {
+    type,
+    name,
+    inputs: parseParams(rest.slice(open + 1, close)),
+  };
+  rest = rest.slice(close + 1).trim();
+
+  const returns = /^(.*?)\breturns\s*\(/.exec(rest);
+  const modifiers = (returns ? returns[1] : rest).split(/\s+/).filter(Boolean);
+  for (const modifier of modifiers) {
+    if (!FUNCTION_MODIFIERS.has(modifier)) {
+      throw new Error(`Unexpected "${modifier}" in signature "${text}"`);
+    }
+    if (["view", "pure", "payable", "nonpayable"].includes(modifier)) {
+      fragment.stateMutability = modifier;
+    }
+    if (modifier === "anonymous") fragment.anonymous = true;
+  }
+  if (returns) {
+    const start = returns[0].length - 1;
+    const end = findClosingParen(rest, start);
+    fragment.outputs = parseParams(rest.slice(start + 1, end));
+  } else if (type === "function") {
+    fragment.outputs = [];
+  }
+  return fragment;
+}
+
+function normalizeJsonParam(param) {
+  const normalized = {
+    name: param.name || "",
+    type: normalizeType(param.type),
+  };
+  if (param.indexed) normalized.indexed = true;
+  if (param.components) {
+    normalized.components = param.components.map(normalizeJsonParam);
+  }
+  validateType(normalized);
+  return normalized;
+}
+
+/**
+ * Parse a single ABI fragment from a human-readable signature, a JSON string
+ * or a JSON ABI object
+ * @param {string|object} input - The fragment
+ * @returns {object} - `{ type, name, inputs, outputs }`
+ */
+function parseFragment(input) {
+  if (typeof input === "string") {
+    const text = input.trim();
+    if (text.startsWith("{")) return parseFragment(JSON.parse(text));
+    return parseHumanReadable(text);
+  }
+  if (!input || typeof input !== "object") {
+    throw new Error("ABI fragment must be a string or an object");
+  }
+  const fragment = {
+    ...input,
+    type: input.type || "function",
+    name: input.name || "",
+    inputs: (input.inputs || []).map(normalizeJsonParam),
+  };
+  if (input.outputs) fragment.outputs = input.outputs.map(normalizeJsonParam);
+  return fragment;
+}
+
+/**
+ * Parse a whole ABI: a JSON array, a JSON string, or an array of
+ * human-readable signatures. `receive` entries are dropped; fallback and
+ * constructor entries are kept but never matched by name.
+ * @param {string|Array} abi - The ABI
+ * @returns {Array<object>} - The parsed fragments
+ */
+function parseAbi(abi) {
+  const list = typeof abi === "string" ? JSON.parse(abi) : abi;
+  if (!Array.isArray(list)) throw new Error("ABI must be an array");
+  return list
+    .filter((entry) => typeof entry === "string" || entry.type !== "receive")
+    .map(parseFragment);
+}
+
+/**
+ * Canonical type string of a parameter, expanding tuples
+ * @param {object} param - The parameter
+ * @returns {string} - e.g. "(uint256,address)[]"
+ */
+function formatType(param) {
+  if (param.type.startsWith("tuple")) {
+    return `(${param.components.map(formatType).join(",")})${param.type.slice(5)}`;
+  }
+  return param.type;
+}
+
+/**
+ * Canonical signature of a fragment, e.g. "transfer(address,uint256)"
+ * @param {object} fragment - The fragment
+ * @returns {string} - The signature
+ */
+function formatSignature(fragment) {
+  return `${fragment.name}(${fragment.inputs.map(formatType).join(",")})`;
+}
+
+/**
+ * Four-byte selector of a function or error fragment
+ * @param {object|string} fragment - The fragment or canonical signature
+ * @returns {string} - e.g. "0xa9059cbb"
+ */
+function selectorOf(fragment) {
+  const signature =
+    typeof fragment === "string" ? fragment : formatSignature(fragment);
+  return keccak256(signature).slice(0, 10);
+}
+
+/**
+ * Topic hash of an event fragment
+ * @param {object|string} fragment - The fragment or canonical signature
+ * @returns {string} - The 32-byte topic
+ */
+function topicOf(fragment) {
+  const signature =
+    typeof fragment === "string" ? fragment : formatSignature(fragment);
+  return keccak256(signature);
+}
+
+// Type descriptors
+
+function describeType(param) {
+  const array = /^(.*)\[(\d*)\]$/.exec(param.type);
+  if (array) {
+    return {
+      kind: "array",
+      length: array[2] === "" ? null : Number(array[2]),
+      child: { ...param, type: array[1], name: "" },
+    };
+  }
+  if (param.type === "tuple") {
+    return { kind: "tuple", components: param.components };
+  }
+  const int = /^(u?)int(\d+)$/.exec(param.type);
+  if (int) return { kind: "int", signed: !int[1], bits: Number(int[2]) };
+  const fixedBytes = /^bytes(\d+)$/.exec(param.type);
+  if (fixedBytes) return { kind: "fixedBytes", size: Number(fixedBytes[1]) };
+  return { kind: param.type };
+}
+
+function isDynamic(param) {
+  const info = describeType(param);
+  if (info.kind === "string" || info.kind === "bytes") return true;
+  if (info.kind === "array")
+    return info.length === null || isDynamic(info.child);
+  if (info.kind === "tuple") return info.components.some(isDynamic);
+  return false;
+}
+
+// Encoding
+
+function padLeft(bytes) {
+  const out = Buffer.alloc(WORD);
+  bytes.copy(out, WORD - bytes.length);
+  return out;
+}
+
+function padRight(bytes) {
+  const size = Math.ceil(bytes.length / WORD) * WORD;
+  const out = Buffer.alloc(size);
+  bytes.copy(out);
+  return out;
+}
+
+function encodeUint(value) {
+  return padLeft(Buffer.from(value.toString(16).padStart(64, "0"), "hex"));
+}
+
+function toInteger(value, param) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number" && Number.isSafeInteger(value)) {
+    return BigInt(value);
+  }
+  if (typeof value === "string" && /^(-?\d+|0x[0-9a-fA-F]+)$/.test(value)) {
+    return BigInt(value);
+  }
+  throw new Error(`Invalid ${param.type} value: ${JSON.stringify(value)}`);
+}
+
+function toHexBytes(value, param) {
+  if (typeof value !== "string") {
+    throw new Error(`Invalid ${param.type} value: expected hex string`);
+  }
+  return hexToBytes(value);
+}
+
+function encodeValue(param, value) {
+  const info = describeType(param);
+  switch (info.kind) {
+    case "int": {
+      const n = toInteger(value, param);
+      const bits = BigInt(info.bits);
+      const min = info.signed ? -(1n << (bits - 1n)) : 0n;
+      const max = info.signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+      if (n < min || n > max) {
+        throw new Error(`Value ${n} out of range for ${param.type}`);
+      }
+      return encodeUint(n < 0n ? (1n << 256n) + n : n);
+    }
+    case "address":
+      if (typeof value !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        throw new Error(`Invalid address: ${JSON.stringify(value)}`);
+      }
+      return padLeft(hexToBytes(value));
+    case "bool": {
+      const truthy = [true, "true", 1, "1"].includes(value);
+      if (!truthy && ![false, "false", 0, "0"].includes(value)) {
+        throw new Error(`Invalid bool: ${JSON.stringify(value)}`);
+      }
+      return encodeUint(truthy ? 1n : 0n);
+    }
+    case "fixedBytes": {
+      const bytes = toHexBytes(value, param);
+      if (bytes.length !== info.size) {
+        throw new Error(
+          `${param.type} value must be exactly ${info.size} bytes, got ${bytes.length}`,
+        );
+      }
+      return padRight(bytes);
+    }
+    case "bytes":
+    case "string": {
+      const bytes =
+        info.kind === "bytes"
+          ? toHexBytes(value, param)
+          : Buffer.from(String(value), "utf8");
+      return Buffer.concat([encodeUint(BigInt(bytes.length)), padRight(bytes)]);
+    }
+    case "array": {
+      if (!Array.isArray(value)) {
+        throw new Error(`Expected an array for ${param.type}`);
+      }
+      if (info.length !== null && value.length !== info.length) {
+        throw new Error(
+          `Expected ${info.length} elements for ${param.type}, got ${value.length}`,
+        );
+      }
+      const encoded = encodeTuple(
+        value.map(() => info.child),
+        value,
+      );
+      return info.length === null
+        ? Buffer.concat([encodeUint(BigInt(value.length)), encoded])
+        : encoded;
+    }
+    case "tuple": {
+      const values = Array.isArray(value)
+        ? value
+        : info.components.map((component) => {
+            if (!value || !(component.name in value)) {
+              throw new Error(`Missing tuple field "${component.name}"`);
+            }
+            return value[component.name];
+          });
+      if (values.length !== info.components.length) {
+        throw new Error(
+          `Expected ${info.components.length} tuple fields, got ${values.length}`,
+        );
+      }
+      return encodeTuple(info.components, values);
+    }
+  }
+  throw new Error(`Unsupported ABI type "${param.type}"`);
+}
+
+function encodeTuple(params, values) {
+  const heads = [];
+  const tails = [];
+  let headSize = 0;
+  for (const param of params) {
+    headSize += isDynamic(param) ? WORD : staticSize(param);
+  }
+
+  let tailOffset = headSize;
+  params.forEach((param, i) => {
+    const encoded = encodeValue(param, values[i]);
+    if (isDynamic(param)) {
+      heads.push(encodeUint(BigInt(tailOffset)));
+      tails.push(encoded);
+      tailOffset += encoded.length;
+    } else {
+      heads.push(encoded);
+    }
+  });
+  return Buffer.concat([...heads, ...tails]);
+}
+
+function staticSize(param) {
+  const info = describeType(param);
+  if (info.kind === "array") return info.length * staticSize(info.child);
+  if (info.kind === "tuple") {
+    return info.components.reduce((sum, c) => sum + staticSize(c), 0);
+  }
+  return WORD;
+}
+
+/**
+ * ABI-encode values for a parameter list
+ * @param {Array<object>} params - The parameters
+ * @param {Array<any>} values - The values
+ * @returns {string} - The 0x-prefixed encoding
+ */
+function encodeParams(params, values) {
+  if (!Array.isArray(values) || values.length !== params.length) {
+    throw new Error(
+      `Expected ${params.length} argument(s), got ${
+        Array.isArray(values) ? values.length : "none"
+      }`,
+    );
+  }
+  return bytesToHex(encodeTuple(params, values));
+}
+
+/**
+ * Encode calldata for a function call
+ * @param {object} fragment - The function fragment
+ * @param {Array<any>} values - The arguments
+ * @returns {string} - Selector followed by the encoded arguments
+ */
+function encodeFunctionData(fragment, values) {
+  return selectorOf(fragment) + encodeParams(fragment.inputs, values).slice(2);
+}
+
+// Decoding
+
+function readWord(data, offset) {
+  if (offset + WORD > data.length) {
+    throw new Error("ABI data too short");
+  }
+  return data.subarray(offset, offset + WORD);
+}
+
+function readUint(data, offset) {
+  return BigInt(bytesToHex(readWord(data, offset)));
+}
+
+function readOffset(data, offset) {
+  const value = readUint(data, offset);
+  if (value > BigInt(data.length)) throw new Error("ABI offset out of range");
+  return Number(value);
+}
+
+function decodeValue(param, data, offset) {
+  const info = describeType(param);
+  switch (info.kind) {
+    case "int": {
+      let n = readUint(data, offset);
+      if (info.signed && n >= 1n << 255n) n -= 1n << 256n;
+      return n.toString();
+    }
+    case "address":
+      return toChecksumAddress(bytesToHex(readWord(data, offset).subarray(12)));
+    case "bool":
+      return readUint(data, offset) !== 0n;
+    case "fixedBytes":
+      return bytesToHex(readWord(data, offset).subarray(0, info.size));
+    case "bytes":
+    case "string": {
+      const length = readOffset(data, offset);
+      if (offset + WORD + length > data.length) {
+        throw new Error("ABI data too short");
+      }
+      const bytes = data.subarray(offset + WORD, offset + WORD + length);
+      return info.kind === "bytes"
+        ? bytesToHex(bytes)
+        : Buffer.from(bytes).toString("utf8");
+    }
+    case "array": {
+      let length = info.length;
+      let start = offset;
+      if (length === null) {
+        length = readOffset(data, offset);
+        start = offset + WORD;
+      }
+      if (length > data.length)
+        throw new Error("ABI array length out of range");
+      return decodeTuple(
+        Array.from({ length }, () => info.child),
+        data,
+        start,
+      );
+    }
+    case "tuple": {
+      const values = decodeTuple(info.components, data, offset);
+      return toNamedValues(info.components, values);
+    }
+  }
+  throw new Error(`Unsupported ABI type "${param.type}"`);
+}
+
+function toNamedValues(params, values) {
+  if (!params.every((param) => param.name)) return values;
+  return Object.fromEntries(params.map((param, i) => [param.name, values[i]]));
+}
+
+function decodeTuple(params, data, base) {
+  let headOffset = base;
+  return params.map((param) => {
+    let value;
+    if (isDynamic(param)) {
+      value = decodeValue(param, data, base + readOffset(data, headOffset));
+      headOffset += WORD;
+    } else {
+      value = decodeValue(param, data, headOffset);
+      headOffset += staticSize(param);
+    }
+    return value;
+  });
+}
+
+/**
+ * Decode ABI data for a parameter list
+ * @param {Array<object>} params - The parameters
+ * @param {string} hex - The 0x-prefixed data
+ * @returns {Array<{name: string, type: string, value: any}>} - The decoded values
+ */
+function decodeParams(params, hex) {
+  const values = decodeTuple(params, hexToBytes(hex), 0);
+  return params.map((param, i) => ({
+    name: param.name,
+    type: formatType(param),
+    value: values[i],
+  }));
+}
+
+/**
+ * Decode revert data into Error(string), Panic(uint256) or a custom error
+ * from the ABI
+ * @param {string} hex - The revert data
+ * @param {Array<object>} [abi] - Parsed ABI fragments
+ * @returns {object} - `{ kind, selector, name, signature, args, message }`
+ */
+function decodeRevert(hex, abi = []) {
+  if (!hex || hex === "0x") {
+    return { kind: "empty", message: "Execution reverted without data" };
+  }
+  const selector = hex.slice(0, 10).toLowerCase();
+  const body = `0x${hex.slice(10)}`;
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [reason] = decodeParams([{ name: "reason", type: "string" }], body);
+      return {
+        kind: "Error",
+        selector,
+        name: "Error",
+        signature: "Error(string)",
+        args: [reason],
+        message: reason.value,
+      };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = decodeParams([{ name: "code", type: "uint256" }], body);
+      const number = Number(code.value);
+      return {
+        kind: "Panic",
+        selector,
+        name: "Panic",
+        signature: "Panic(uint256)",
+        args: [code],
+        message: `Panic 0x${number.toString(16).padStart(2, "0")}: ${
+          PANIC_REASONS[number] || "unknown panic code"
+        }`,
+      };
+    }
+    const error = abi.find(
+      (fragment) =>
+        fragment.type === "error" && selectorOf(fragment) === selector,
+    );
+    if (error) {
+      const args = decodeParams(error.inputs, body);
+      return {
+        kind: "custom",
+        selector,
+        name: error.name,
+        signature: formatSignature(error),
+        args,
+        message: `${error.name}(${args
+          .map((arg) => JSON.stringify(arg.value))
+          .join(", ")})`,
+      };
+    }
+  } catch (decodeError) {
+    return {
+      kind: "unknown",
+      selector,
+      message: `Could not decode revert data: ${decodeError.message}`,
+    };
+  }
+
+  return {
+    kind: "unknown",
+    selector,
+    message: `Unknown error selector ${selector}${
+      abi.length ? "" : " (provide an ABI to decode custom errors)"
+    }`,
+  };
+}
+
+/**
+ * Decode an event log. Indexed parameters that aren't value types (string,
+ * bytes, tuples and any array, fixed-size or not) are only stored as their
+ * keccak hash, which is returned with `hashed: true`.
+ * @param {object} fragment - The event fragment
+ * @param {Array<string>} topics - The log topics
+ * @param {string} data - The log data
+ * @returns {Array<{name: string, type: string, indexed: boolean, value: any}>} - The decoded arguments
+ */
+function decodeEventLog(fragment, topics, data) {
+  const indexedTopics = fragment.anonymous ? topics : topics.slice(1);
+  const indexed = fragment.inputs.filter((param) => param.indexed);
+  if (indexedTopics.length !== indexed.length) {
+    throw new Error(
+      `${formatSignature(fragment)} has ${indexed.length} indexed argument(s) but the log has ${indexedTopics.length}`,
+    );
+  }
+  const nonIndexed = fragment.inputs.filter((param) => !param.indexed);
+  const values = decodeTuple(nonIndexed, hexToBytes(data || "0x"), 0);
+
+  let topic = 0;
+  let value = 0;
+  return fragment.inputs.map((param) => {
+    const arg = {
+      name: param.name,
+      type: formatType(param),
+      indexed: Boolean(param.indexed),
+    };
+    if (!param.indexed) return { ...arg, value: values[value++] };
+    const hex = indexedTopics[topic++];
+    const { kind } = describeType(param);
+    if (isDynamic(param) || kind === "tuple" || kind === "array") {
+      return { ...arg, value: hex, hashed: true };
+    }
+    return { ...arg, value: decodeValue(param, hexToBytes(hex), 0) };
+  });
+}
+
+/**
+ * Find an event in an ABI by name or signature
+ * @param {Array<object>} abi - Parsed ABI fragments
+ * @param {string} nameOrSignature - e.g. "Transfer" or "Transfer(address,address,uint256)"
+ * @returns {object} - The event fragment
+ */
+function findEvent(abi, nameOrSignature) {
+  const events = abi.filter((fragment) => fragment.type === "event");
+  const matches = nameOrSignature.includes("(")
+    ? events.filter(
+        (fragment) =>
+          formatSignature(fragment) ===
+          formatSignature(parseHumanReadable(nameOrSignature)),
+      )
+    : events.filter((fragment) => fragment.name === nameOrSignature);
+  if (matches.length === 0) {
+    throw new Error(`Event "${nameOrSignature}" not found in ABI`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Event "${nameOrSignature}" is ambiguous: ${matches
+        .map(formatSignature)
+        .join(", ")}`,
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Find a function in an ABI by name or signature. Overloads are told apart
+ * by argument count.
+ * @param {Array<object>} abi - Parsed ABI fragments
+ * @param {string} nameOrSignature - e.g. "balanceOf" or "balanceOf(address)"
+ * @param {number} [argCount] - Number of arguments supplied
+ * @returns {object} - The function fragment
+ */
+function findFunction(abi, nameOrSignature, argCount) {
+  const functions = abi.filter((fragment) => fragment.type === "function");
+  let matches = nameOrSignature.includes("(")
+    ? functions.filter(
+        (fragment) =>
+          formatSignature(fragment) ===
+          formatSignature(parseHumanReadable(nameOrSignature)),
+      )
+    : functions.filter((fragment) => fragment.name === nameOrSignature);
+  if (matches.length > 1 && argCount !== undefined) {
+    matches = matches.filter((fragment) => fragment.inputs.length === argCount);
+  }
+  if (matches.length === 0) {
+    throw new Error(`Function "${nameOrSignature}" not found in ABI`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Function "${nameOrSignature}" is ambiguous: ${matches
+        .map(formatSignature)
+        .join(", ")}`,
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Pick the function a call names. A name is looked up in the ABI; a signature
+ * is taken from the ABI when it is there, so its outputs can be decoded, and
+ * parsed on its own otherwise.
+ * @param {Array<object>} abi - Parsed ABI fragments, possibly empty
+ * @param {string} nameOrSignature - e.g. "balanceOf" or "balanceOf(address)"
+ * @param {number} [argCount] - Number of arguments supplied
+ * @returns {object} - The fragment
+ */
+function resolveFunction(abi, nameOrSignature, argCount) {
+  if (abi.length > 0 && !/[({]/.test(nameOrSignature)) {
+    return findFunction(abi, nameOrSignature, argCount);
+  }
+  const fragment = parseFragment(nameOrSignature);
+  if (fragment.type !== "function") return fragment;
+  const signature = formatSignature(fragment);
+  return (
+    abi.find(
+      (entry) =>
+        entry.type === "function" && formatSignature(entry) === signature,
+    ) || fragment
+  );
+}
+
+module.exports = {
+  decodeEventLog,
+  decodeParams,
+  decodeRevert,
+  encodeFunctionData,
+  encodeParams,
+  findEvent,
+  findFunction,
+  formatSignature,
+  formatType,
+  parseAbi,
+  parseFragment,
+  resolveFunction,
+  selectorOf,
+  topicOf,
+};
@@ -0,0 +1,157 @@
+const { BLOCKS_PER_BATCH, fetchBlocks } = require("./block-stats");
+const { envInteger } = require("./env");
+const { toBigInt, toSafeNumber } = require("./units");
+
+// Address scan settings, overridable through the environment
+const settings = {
+  maxBlocksPerPage: envInteger("ACTIVITY_MAX_BLOCKS_PER_PAGE", 1000),
+  concurrency: envInteger("ACTIVITY_CONCURRENCY", 4),
+};
+
+const hex = (n) => `0x${n.toString(16)}`;
+
+/**
+ * Scan blocks for transactions sent from or to an address. Blocks are fetched
+ * with full transactions in batches, `concurrency` batches at a time. Stops once
+ * more than `limit` transactions are collected, `maxBlocks` blocks are scanned,
+ * or a block can't be fetched, and returns a cursor for the rest.
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>` for the target network
+ * @param {string} address - The address to look for
+ * @param {object} options - `{ fromBlock, toBlock, limit, skip, maxBlocks, concurrency }`; `skip` drops the
+ *   first matching transactions of `fromBlock`
+ * @returns {Promise<object>} - `{ transactions, timestamps, next, scannedTo, requests, failure }` where
+ *   `transactions` holds `{ tx, timestamp }`, `timestamps` maps scanned block numbers to their timestamp,
+ *   `next` is `{ block, skip }` or null and `failure` is `{ block, message }` when a block couldn't be read
+ */
+async function scanActivity(
+  batch,
+  address,
+  {
+    fromBlock,
+    toBlock,
+    limit,
+    skip = 0,
+    maxBlocks = settings.maxBlocksPerPage,
+    concurrency = settings.concurrency,
+  },
+) {
+  const target = address.toLowerCase();
+  const pageEnd = [toBlock, fromBlock + BigInt(maxBlocks) - 1n].reduce(
+    (a, b) => (a < b ? a : b),
+  );
+  const window = BigInt(BLOCKS_PER_BATCH * concurrency);
+  const transactions = [];
+  const timestamps = new Map();
+  let start = fromBlock;
+  let requests = 0;
+  let failure = null;
+
+  while (start <= pageEnd && transactions.length <= limit && !failure) {
+    const end = start + window - 1n < pageEnd ? start + window - 1n : pageEnd;
+    const numbers = [];
+    for (let n = start; n <= end; n++) numbers.push(n);
+    console.error(`Scanning blocks ${start}-${end} for ${address}`);
+    const fetched = await fetchBlocks(batch, numbers, {
+      fullTransactions: true,
+      concurrency,
+    });
+    requests += fetched.requests;
+
+    const results = fetched.responses;
+    for (let i = 0; i < numbers.length; i++) {
+      const number = numbers[i];
+      const response = results[i];
+      if (response.error || !response.result) {
+        failure = {
+          block: number,
+          message: response.error ? response.error.message : "Block not found",
+        };
+        break;
+      }
+      const block = response.result;
+      const timestamp = block.timestamp ? toSafeNumber(block.timestamp) : null;
+      timestamps.set(number, timestamp);
+
+      let skipped = number === fromBlock ? skip : 0;
+      for (const tx of block.transactions || []) {
+        if (typeof tx !== "object") continue;
+        const from = (tx.from || "").toLowerCase();
+        const to = (tx.to || "").toLowerCase();
+        if (from !== target && to !== target) continue;
+        if (skipped > 0) {
+          skipped--;
+          continue;
+        }
+        transactions.push({ tx, timestamp });
+      }
+    }
+    start = failure ? failure.block : end + 1n;
+  }
+
+  let next = null;
+  if (transactions.length > limit) {
+    const block = toBigInt(transactions[limit].tx.blockNumber);
+    const kept = transactions
+      .slice(0, limit)
+      .filter(({ tx }) => toBigInt(tx.blockNumber) === block).length;
+    next = { block, skip: kept + (block === fromBlock ? skip : 0) };
+    transactions.length = limit;
+  } else if (start <= toBlock) {
+    next = { block: start, skip: start === fromBlock ? skip : 0 };
+  }
+  const scannedTo = next ? next.block - 1n : toBlock;
+  for (const number of timestamps.keys()) {
+    if (number > scannedTo) timestamps.delete(number);
+  }
+
+  return { transactions, timestamps, next, scannedTo, requests, failure };
+}
+
+/**
+ * Pick up to `count` evenly spaced blocks from a range, both ends included
+ * @param {bigint} fromBlock - First block
+ * @param {bigint} toBlock - Last block
+ * @param {number} count - Number of samples
+ * @returns {Array<bigint>} - Ascending, distinct block numbers
+ */
+function sampleBlocks(fromBlock, toBlock, count) {
+  if (count <= 0 || toBlock < fromBlock) return [];
+  const span = toBlock - fromBlock;
+  if (count === 1) return [toBlock];
+  const blocks = new Set();
+  for (let i = 0; i < count; i++) {
+    blocks.add(fromBlock + (span * BigInt(i)) / BigInt(count - 1));
+  }
+  return [...blocks];
+}
+
+/**
+ * Read an address's balance at several blocks in one batch. Blocks whose state
+ * the node can't serve (e.g. pruned history) come back with an error instead
+ * of a balance.
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>` for the target network
+ * @param {string} address - The address
+ * @param {Array<bigint>} blocks - Block numbers
+ * @returns {Promise<Array<{block: bigint, balance: bigint|null, error: string|null}>>} - One entry per block
+ */
+async function sampleBalances(batch, address, blocks) {
+  if (blocks.length === 0) return [];
+  const responses = await batch(
+    blocks.map((block) => ({
+      method: "eth_getBalance",
+      params: [address, hex(block)],
+    })),
+  );
+  return blocks.map((block, i) => ({
+    block,
+    balance: responses[i].error ? null : toBigInt(responses[i].result),
+    error: responses[i].error ? responses[i].error.message : null,
+  }));
+}
+
+module.exports = {
+  sampleBalances,
+  sampleBlocks,
+  scanActivity,
+  settings,
+};
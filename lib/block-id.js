@@ -0,0 +1,142 @@
+const { z } = require("zod");
+const { toBigInt } = require("./units");
+
+const BLOCK_TAGS = ["latest", "earliest", "pending", "safe", "finalized"];
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const HEX_PATTERN = /^0x[0-9a-fA-F]{1,16}$/;
+const DECIMAL_PATTERN = /^\d+$/;
+const RELATIVE_PATTERN = new RegExp(
+  `^(${BLOCK_TAGS.filter((tag) => tag !== "earliest").join("|")})\\s*-\\s*(\\d+)$`,
+);
+
+/**
+ * Classify a block identifier without touching the network
+ * @param {string|number} input - The identifier
+ * @returns {object|null} - `{ kind: "tag"|"number"|"hash"|"relative", ... }`, or null if invalid
+ */
+function parseBlockId(input) {
+  if (typeof input === "number") {
+    return Number.isSafeInteger(input) && input >= 0
+      ? { kind: "number", number: BigInt(input) }
+      : null;
+  }
+  if (typeof input !== "string") return null;
+
+  const text = input.trim().toLowerCase();
+  if (BLOCK_TAGS.includes(text)) return { kind: "tag", tag: text };
+  if (HASH_PATTERN.test(text)) return { kind: "hash", hash: text };
+  if (HEX_PATTERN.test(text) || DECIMAL_PATTERN.test(text)) {
+    return { kind: "number", number: toBigInt(text) };
+  }
+  const relative = RELATIVE_PATTERN.exec(text);
+  if (relative) {
+    return { kind: "relative", tag: relative[1], offset: BigInt(relative[2]) };
+  }
+  return null;
+}
+
+/**
+ * Build the zod schema for a block identifier argument
+ * @param {object} [options] - `{ allowHash, description }`
+ * @returns {object} - The zod schema
+ */
+function blockIdSchema({ allowHash = false, description } = {}) {
+  const forms = `a block number (decimal or hex), a tag (${BLOCK_TAGS.join(
+    ", ",
+  )}), a relative offset such as "latest-100"${
+    allowHash ? ", or a block hash" : ""
+  }`;
+  return z
+    .union([z.string(), z.number().int().nonnegative()])
+    .refine(
+      (value) => {
+        const parsed = parseBlockId(value);
+        return parsed !== null && (allowHash || parsed.kind !== "hash");
+      },
+      { message: `Expected ${forms}` },
+    )
+    .describe(description ? `${description}: ${forms}` : `Block: ${forms}`);
+}
+
+/**
+ * Resolve a block identifier to the value a JSON-RPC method expects.
+ * Relative offsets are resolved against the current head.
+ * @param {string|number} input - The identifier
+ * @param {object} options - `{ call, allowHash, hashAsObject }` where `call(method, params)` makes an RPC call and
+ *   `hashAsObject` wraps hashes as EIP-1898 `{ blockHash }` objects for state queries
+ * @returns {Promise<string|object>} - The RPC block parameter
+ */
+async function resolveBlockId(
+  input,
+  { call, allowHash = false, hashAsObject = false } = {},
+) {
+  const parsed = parseBlockId(input);
+  if (!parsed) throw new Error(`Invalid block identifier: ${input}`);
+
+  switch (parsed.kind) {
+    case "tag":
+      return parsed.tag;
+    case "number":
+      return `0x${parsed.number.toString(16)}`;
+    case "hash":
+      if (!allowHash) {
+        throw new Error(`A block hash is not accepted here: ${input}`);
+      }
+      return hashAsObject ? { blockHash: parsed.hash } : parsed.hash;
+    case "relative": {
+      const head = await resolveTagNumber(parsed.tag, call);
+      if (parsed.offset > head) {
+        throw new Error(
+          `${input} is before the genesis block (head is ${head})`,
+        );
+      }
+      return `0x${(head - parsed.offset).toString(16)}`;
+    }
+  }
+}
+
+/**
+ * Resolve a block identifier (not a hash) to a concrete block number
+ * @param {string|number} input - The identifier
+ * @param {Function} call - `(method, params) => Promise<any>`
+ * @returns {Promise<bigint>} - The block number
+ */
+async function resolveBlockNumber(input, call) {
+  const parsed = parseBlockId(input);
+  if (!parsed) throw new Error(`Invalid block identifier: ${input}`);
+  if (parsed.kind === "hash") {
+    throw new Error(`A block hash is not accepted here: ${input}`);
+  }
+  if (parsed.kind === "tag") {
+    return parsed.tag === "earliest" ? 0n : resolveTagNumber(parsed.tag, call);
+  }
+  return toBigInt(await resolveBlockId(input, { call }));
+}
+
+async function resolveTagNumber(tag, call) {
+  if (tag === "latest") return toBigInt(await call("eth_blockNumber", []));
+  const block = await call("eth_getBlockByNumber", [tag, false]);
+  if (!block) throw new Error(`Block "${tag}" is not available`);
+  return toBigInt(block.number);
+}
+
+/**
+ * Render a resolved block parameter for display
+ * @param {string|object} param - The RPC block parameter
+ * @returns {string} - A readable label
+ */
+function formatBlockParam(param) {
+  if (param && typeof param === "object") return param.blockHash;
+  if (HEX_PATTERN.test(param)) return `${toBigInt(param)} (${param})`;
+  return param;
+}
+
+module.exports = {
+  BLOCK_TAGS,
+  blockIdSchema,
+  formatBlockParam,
+  parseBlockId,
+  resolveBlockId,
+  resolveBlockNumber,
+};
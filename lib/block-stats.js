@@ -0,0 +1,202 @@
+const { mapLimit } = require("./concurrency");
+const { toBigInt, toSafeNumber } = require("./units");
+
+// Full-transaction blocks are large, so each batch request carries only a few
+const BLOCKS_PER_BATCH = 10;
+
+// Senders and recipients listed in the summary
+const TOP_ACCOUNTS = 10;
+
+const hex = (n) => `0x${n.toString(16)}`;
+
+/**
+ * Fetch blocks by number in batches of BLOCKS_PER_BATCH, with at most
+ * `concurrency` batches in flight
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>` for the target network
+ * @param {Array<bigint>} numbers - Block numbers
+ * @param {object} options - `{ fullTransactions, concurrency }`
+ * @returns {Promise<object>} - `{ responses, requests }`, one `{result}|{error}` per block in order
+ */
+async function fetchBlocks(batch, numbers, { fullTransactions, concurrency }) {
+  const groups = [];
+  for (let i = 0; i < numbers.length; i += BLOCKS_PER_BATCH) {
+    groups.push(numbers.slice(i, i + BLOCKS_PER_BATCH));
+  }
+  const responses = await mapLimit(groups, concurrency, (group) =>
+    batch(
+      group.map((n) => ({
+        method: "eth_getBlockByNumber",
+        params: [hex(n), fullTransactions],
+      })),
+    ),
+  );
+  return { responses: responses.flat(), requests: groups.length };
+}
+
+/**
+ * Min, max, mean, median and 90th percentile of a list of numbers
+ * @param {Array<number>} values - The values
+ * @returns {object|null} - `{ min, max, mean, median, p90 }`, or null for an empty list
+ */
+function distribution(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (fraction) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median: at(0.5),
+    p90: at(0.9),
+  };
+}
+
+function topAccounts(counts) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, TOP_ACCOUNTS)
+    .map(([address, transactions]) => ({ address, transactions }));
+}
+
+/**
+ * Compute throughput and utilization statistics for consecutive blocks
+ * @param {Array<object>} blocks - Blocks with full transactions, ascending; `previous` gives the
+ *   first block a block time
+ * @param {object|null} previous - The block before the first one, if known
+ * @returns {object} - `{ rows, summary, hashesOnly }`; `rows` has one entry per block and `summary` the
+ *   block time distribution, transaction and TPS figures, gas utilization, base fee trend and top
+ *   accounts. `hashesOnly` is set when the node returned transaction hashes instead of objects.
+ */
+function computeBlockStats(blocks, previous) {
+  const senders = new Map();
+  const recipients = new Map();
+  let contractCreations = 0;
+  let hashesOnly = false;
+  let totalTransactions = 0;
+  let totalGasUsed = 0n;
+  let totalGasLimit = 0n;
+
+  let prior = previous;
+  const rows = blocks.map((block) => {
+    const number = toBigInt(block.number);
+    const timestamp = toSafeNumber(block.timestamp);
+    const contiguous = prior && toBigInt(prior.number) === number - 1n;
+    const blockTime = contiguous
+      ? timestamp - toSafeNumber(prior.timestamp)
+      : null;
+    prior = block;
+
+    const transactions = block.transactions || [];
+    for (const tx of transactions) {
+      if (typeof tx !== "object") {
+        hashesOnly = true;
+        continue;
+      }
+      const from = tx.from.toLowerCase();
+      senders.set(from, (senders.get(from) || 0) + 1);
+      if (tx.to) {
+        const to = tx.to.toLowerCase();
+        recipients.set(to, (recipients.get(to) || 0) + 1);
+      } else {
+        contractCreations++;
+      }
+    }
+
+    const gasUsed = toBigInt(block.gasUsed || "0x0");
+    const gasLimit = toBigInt(block.gasLimit || "0x0");
+    totalTransactions += transactions.length;
+    totalGasUsed += gasUsed;
+    totalGasLimit += gasLimit;
+
+    return {
+      number,
+      timestamp,
+      blockTime,
+      transactions: transactions.length,
+      gasUsed,
+      gasLimit,
+      utilization:
+        gasLimit > 0n ? Number((gasUsed * 10000n) / gasLimit) / 100 : null,
+      baseFeePerGas:
+        block.baseFeePerGas == null ? null : toBigInt(block.baseFeePerGas),
+    };
+  });
+
+  const blockTimes = rows
+    .map((row) => row.blockTime)
+    .filter((time) => time !== null);
+  const histogram = new Map();
+  for (const time of blockTimes) {
+    histogram.set(time, (histogram.get(time) || 0) + 1);
+  }
+
+  // TPS over the time the blocks took to produce, counted from the end of the
+  // block before the first one when it is known
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const start =
+    first && first.blockTime !== null
+      ? first.timestamp - first.blockTime
+      : first && first.timestamp;
+  const counted = first && first.blockTime !== null ? rows : rows.slice(1);
+  const span = last ? last.timestamp - start : 0;
+  const countedTransactions = counted.reduce(
+    (sum, row) => sum + row.transactions,
+    0,
+  );
+
+  const baseFees = rows
+    .map((row) => row.baseFeePerGas)
+    .filter((fee) => fee !== null);
+  const firstFee = baseFees[0];
+  const lastFee = baseFees[baseFees.length - 1];
+
+  return {
+    rows,
+    summary: {
+      blocks: rows.length,
+      blockTime: distribution(blockTimes),
+      blockTimeHistogram: [...histogram.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([seconds, count]) => ({ seconds, blocks: count })),
+      transactions: totalTransactions,
+      transactionsPerBlock: distribution(rows.map((row) => row.transactions)),
+      tps:
+        span > 0
+          ? Math.round((countedTransactions / span) * 1000) / 1000
+          : null,
+      gasUsed: totalGasUsed,
+      gasLimit: totalGasLimit,
+      utilization: distribution(
+        rows.map((row) => row.utilization).filter((value) => value !== null),
+      ),
+      overallUtilization:
+        totalGasLimit > 0n
+          ? Number((totalGasUsed * 10000n) / totalGasLimit) / 100
+          : null,
+      baseFee:
+        baseFees.length > 0
+          ? {
+              first: firstFee,
+              last: lastFee,
+              min: baseFees.reduce((a, b) => (a < b ? a : b)),
+              max: baseFees.reduce((a, b) => (a > b ? a : b)),
+              changePercent:
+                firstFee > 0n
+                  ? Number(((lastFee - firstFee) * 10000n) / firstFee) / 100
+                  : null,
+            }
+          : null,
+      topSenders: topAccounts(senders),
+      topRecipients: topAccounts(recipients),
+      uniqueSenders: senders.size,
+      uniqueRecipients: recipients.size,
+      contractCreations,
+    },
+    hashesOnly,
+  };
+}
+
+module.exports = { BLOCKS_PER_BATCH, computeBlockStats, fetchBlocks };
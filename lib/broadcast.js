@@ -0,0 +1,231 @@
+const { z } = require("zod");
+const { describeWei, parseUnits, toBigInt } = require("./units");
+
+function parseRecipients(value) {
+  const recipients = (value || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+  for (const address of recipients) {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      throw new Error(
+        `Invalid address in BROADCAST_ALLOWED_RECIPIENTS: ${address}`,
+      );
+    }
+  }
+  return recipients.length > 0
+    ? new Set(recipients.map((address) => address.toLowerCase()))
+    : null;
+}
+
+// Safety gates for submitting transactions, overridable through the environment.
+// Broadcasting is off until loadBroadcastSettings enables it.
+const settings = {
+  enabled: false,
+  maxValueWei: null,
+  allowedRecipients: null,
+};
+
+function parseMaxValue(value) {
+  if (!value) return null;
+  let wei;
+  try {
+    wei = parseUnits(value);
+  } catch (error) {
+    throw new Error(`Invalid BROADCAST_MAX_VALUE_SHM: ${error.message}`);
+  }
+  if (wei < 0n) {
+    throw new Error(`Invalid BROADCAST_MAX_VALUE_SHM: ${value} is negative`);
+  }
+  return wei;
+}
+
+/**
+ * Read the broadcast settings from the environment. Called at startup so a
+ * bad value stops the server with a message naming the variable.
+ * @param {object} env - The environment to read
+ * @returns {object} - The settings
+ */
+function loadBroadcastSettings(env = process.env) {
+  return Object.assign(settings, {
+    enabled: /^(1|true|yes)$/i.test(env.BROADCAST_ENABLED || ""),
+    maxValueWei: parseMaxValue(env.BROADCAST_MAX_VALUE_SHM),
+    allowedRecipients: parseRecipients(env.BROADCAST_ALLOWED_RECIPIENTS),
+  });
+}
+
+const weiSchema = z.object({
+  wei: z.string(),
+  gwei: z.string(),
+  shm: z.string(),
+});
+
+const transactionSummarySchema = z.object({
+  hash: z.string(),
+  type: z.number(),
+  typeName: z.string(),
+  from: z.string(),
+  to: z.string().nullable(),
+  value: weiSchema,
+  nonce: z.string(),
+  chainId: z.string().nullable(),
+  gas: z.string(),
+  gasPrice: weiSchema.nullable(),
+  maxFeePerGas: weiSchema.nullable(),
+  maxPriorityFeePerGas: weiSchema.nullable(),
+  maxFee: weiSchema,
+  data: z.string(),
+  dataBytes: z.number(),
+  accessList: z.array(
+    z.object({ address: z.string(), storageKeys: z.array(z.string()) }),
+  ),
+});
+
+const checksSchema = z.array(
+  z.object({
+    name: z.string(),
+    passed: z.boolean(),
+    detail: z.string(),
+  }),
+);
+
+/**
+ * Summarize a decoded transaction for display
+ * @param {object} tx - The result of decodeRawTransaction
+ * @returns {object} - Matches transactionSummarySchema
+ */
+function summarizeTransaction(tx) {
+  const price = tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice;
+  return {
+    hash: tx.hash,
+    type: tx.type,
+    typeName: tx.typeName,
+    from: tx.from,
+    to: tx.to,
+    value: describeWei(tx.value),
+    nonce: tx.nonce.toString(),
+    chainId: tx.chainId === null ? null : tx.chainId.toString(),
+    gas: tx.gas.toString(),
+    gasPrice: tx.type === 2 ? null : describeWei(tx.gasPrice),
+    maxFeePerGas: tx.type === 2 ? describeWei(tx.maxFeePerGas) : null,
+    maxPriorityFeePerGas:
+      tx.type === 2 ? describeWei(tx.maxPriorityFeePerGas) : null,
+    // The most the sender can pay in fees
+    maxFee: describeWei(tx.gas * price),
+    data: tx.data,
+    dataBytes: (tx.data.length - 2) / 2,
+    accessList: tx.accessList || [],
+  };
+}
+
+/**
+ * Check a decoded transaction against the node and the broadcast policy.
+ * Failed checks block broadcasting; warnings are informational.
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>` for the target network
+ * @param {object} tx - The result of decodeRawTransaction
+ * @param {object} options - `{ expectedChainId, policy }`; `policy` defaults to the environment settings
+ * @returns {Promise<object>} - `{ allowed, checks, warnings }`
+ */
+async function checkTransaction(
+  batch,
+  tx,
+  { expectedChainId = null, policy = settings },
+) {
+  const [chainIdResponse, nonceResponse, balanceResponse] = await batch([
+    { method: "eth_chainId", params: [] },
+    { method: "eth_getTransactionCount", params: [tx.from, "pending"] },
+    { method: "eth_getBalance", params: [tx.from, "latest"] },
+  ]);
+  if (chainIdResponse.error) {
+    throw new Error(`RPC Error: ${chainIdResponse.error.message}`);
+  }
+  const nodeChainId = toBigInt(chainIdResponse.result);
+
+  const checks = [];
+  const check = (name, passed, detail) => checks.push({ name, passed, detail });
+
+  check(
+    "broadcast_enabled",
+    policy.enabled,
+    policy.enabled
+      ? "Broadcasting is enabled"
+      : "Broadcasting is disabled; set BROADCAST_ENABLED=true to allow it",
+  );
+  if (tx.chainId === null) {
+    check(
+      "chain_id",
+      false,
+      "The transaction has no chain ID (pre-EIP-155) and could be replayed on any chain",
+    );
+  } else {
+    check(
+      "chain_id",
+      tx.chainId === nodeChainId,
+      `Transaction chain ID ${tx.chainId}, node chain ID ${nodeChainId}`,
+    );
+    if (expectedChainId !== null) {
+      check(
+        "configured_chain_id",
+        tx.chainId === BigInt(expectedChainId),
+        `Transaction chain ID ${tx.chainId}, configured chain ID ${expectedChainId}`,
+      );
+    }
+  }
+  if (policy.maxValueWei !== null) {
+    check(
+      "value_cap",
+      tx.value <= policy.maxValueWei,
+      `Value ${describeWei(tx.value).shm} SHM, cap ${describeWei(policy.maxValueWei).shm} SHM`,
+    );
+  }
+  if (policy.allowedRecipients) {
+    check(
+      "recipient_allowlist",
+      tx.to !== null && policy.allowedRecipients.has(tx.to.toLowerCase()),
+      tx.to === null
+        ? "Contract creations are not allowed while a recipient allowlist is set"
+        : `Recipient ${tx.to} is ${
+            policy.allowedRecipients.has(tx.to.toLowerCase()) ? "" : "not "
+          }on the allowlist`,
+    );
+  }
+
+  const warnings = [];
+  if (!nonceResponse.error) {
+    const pending = toBigInt(nonceResponse.result);
+    if (tx.nonce < pending) {
+      warnings.push(
+        `Nonce ${tx.nonce} is below the sender's pending nonce ${pending}; the node will reject it unless it replaces a pending transaction`,
+      );
+    } else if (tx.nonce > pending) {
+      warnings.push(
+        `Nonce ${tx.nonce} is ahead of the sender's pending nonce ${pending}; the transaction will wait for the gap to be filled`,
+      );
+    }
+  }
+  if (!balanceResponse.error) {
+    const balance = toBigInt(balanceResponse.result);
+    const price = tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice;
+    const required = tx.value + tx.gas * price;
+    if (balance < required) {
+      warnings.push(
+        `Sender balance ${describeWei(balance).shm} SHM is below value plus maximum fee ${describeWei(required).shm} SHM`,
+      );
+    }
+  }
+
+  return {
+    allowed: checks.every((entry) => entry.passed),
+    checks,
+    warnings,
+  };
+}
+
+module.exports = {
+  checkTransaction,
+  checksSchema,
+  loadBroadcastSettings,
+  settings,
+  summarizeTransaction,
+  transactionSummarySchema,
+};
@@ -0,0 +1,352 @@
+const { z } = require("zod");
+const { hexToBytes } = require("./hex");
+
+// Opcode names by byte value, as of the Cancun fork
+const OPCODES = {
+  0x00: "STOP",
+  0x01: "ADD",
+  0x02: "MUL",
+  0x03: "SUB",
+  0x04: "DIV",
+  0x05: "SDIV",
+  0x06: "MOD",
+  0x07: "SMOD",
+  0x08: "ADDMOD",
+  0x09: "MULMOD",
+  0x0a: "EXP",
+  0x0b: "SIGNEXTEND",
+  0x10: "LT",
+  0x11: "GT",
+  0x12: "SLT",
+  0x13: "SGT",
+  0x14: "EQ",
+  0x15: "ISZERO",
+  0x16: "AND",
+  0x17: "OR",
+  0x18: "XOR",
+  0x19: "NOT",
+  0x1a: "BYTE",
+  0x1b: "SHL",
+  0x1c: "SHR",
+  0x1d: "SAR",
+  0x20: "KECCAK256",
+  0x30: "ADDRESS",
+  0x31: "BALANCE",
+  0x32: "ORIGIN",
+  0x33: "CALLER",
+  0x34: "CALLVALUE",
+  0x35: "CALLDATALOAD",
+  0x36: "CALLDATASIZE",
+  0x37: "CALLDATACOPY",
+  0x38: "CODESIZE",
+  0x39: "CODECOPY",
+  0x3a: "GASPRICE",
+  0x3b: "EXTCODESIZE",
+  0x3c: "EXTCODECOPY",
+  0x3d: "RETURNDATASIZE",
+  0x3e: "RETURNDATACOPY",
+  0x3f: "EXTCODEHASH",
+  0x40: "BLOCKHASH",
+  0x41: "COINBASE",
+  0x42: "TIMESTAMP",
+  0x43: "NUMBER",
+  0x44: "PREVRANDAO",
+  0x45: "GASLIMIT",
+  0x46: "CHAINID",
+  0x47: "SELFBALANCE",
+  0x48: "BASEFEE",
+  0x49: "BLOBHASH",
+  0x4a: "BLOBBASEFEE",
+  0x50: "POP",
+  0x51: "MLOAD",
+  0x52: "MSTORE",
+  0x53: "MSTORE8",
+  0x54: "SLOAD",
+  0x55: "SSTORE",
+  0x56: "JUMP",
+  0x57: "JUMPI",
+  0x58: "PC",
+  0x59: "MSIZE",
+  0x5a: "GAS",
+  0x5b: "JUMPDEST",
+  0x5c: "TLOAD",
+  0x5d: "TSTORE",
+  0x5e: "MCOPY",
+  0x5f: "PUSH0",
+  0xf0: "CREATE",
+  0xf1: "CALL",
+  0xf2: "CALLCODE",
+  0xf3: "RETURN",
+  0xf4: "DELEGATECALL",
+  0xf5: "CREATE2",
+  0xfa: "STATICCALL",
+  0xfd: "REVERT",
+  0xfe: "INVALID",
+  0xff: "SELFDESTRUCT",
+};
+for (let i = 1; i <= 32; i++) OPCODES[0x5f + i] = `PUSH${i}`;
+for (let i = 1; i <= 16; i++) OPCODES[0x7f + i] = `DUP${i}`;
+for (let i = 1; i <= 16; i++) OPCODES[0x8f + i] = `SWAP${i}`;
+for (let i = 0; i <= 4; i++) OPCODES[0xa0 + i] = `LOG${i}`;
+
+// Opcodes worth a closer look in a first-pass review
+const NOTABLE_OPCODES = [
+  "CALL",
+  "CALLCODE",
+  "DELEGATECALL",
+  "STATICCALL",
+  "CREATE",
+  "CREATE2",
+  "SELFDESTRUCT",
+  "SSTORE",
+  "TSTORE",
+  "ORIGIN",
+];
+
+const compilerMetadataSchema = z.object({
+  length: z.number(),
+  compiler: z
+    .object({ name: z.enum(["solc", "vyper"]), version: z.string().nullable() })
+    .nullable(),
+  ipfs: z.string().nullable(),
+  bzzr0: z.string().nullable(),
+  bzzr1: z.string().nullable(),
+  experimental: z.boolean(),
+  fields: z.array(z.string()),
+});
+
+/**
+ * Disassemble bytecode into instructions
+ * @param {Uint8Array} bytes - The bytecode
+ * @returns {Array<{offset: number, opcode: number, name: string, push: string|null}>} - Instructions;
+ *   `push` holds the pushed bytes as hex, zero-padded when the code ends mid-push
+ */
+function disassemble(bytes) {
+  const instructions = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const opcode = bytes[offset];
+    const name =
+      OPCODES[opcode] || `UNKNOWN_0x${opcode.toString(16).padStart(2, "0")}`;
+    let push = null;
+    let size = 1;
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const length = opcode - 0x5f;
+      const data = Buffer.alloc(length);
+      Buffer.from(bytes.subarray(offset + 1, offset + 1 + length)).copy(data);
+      push = `0x${data.toString("hex")}`;
+      size += length;
+    }
+    instructions.push({ offset, opcode, name, push });
+    offset += size;
+  }
+  return instructions;
+}
+
+/**
+ * Format an instruction as "offset: NAME data"
+ * @param {object} instruction - An instruction from disassemble
+ * @returns {string} - The formatted instruction
+ */
+function formatInstruction({ offset, name, push }) {
+  return `${offset.toString(16).padStart(4, "0")}: ${name}${push ? ` ${push}` : ""}`;
+}
+
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function base58(bytes) {
+  let value = BigInt(`0x${Buffer.from(bytes).toString("hex") || "0"}`);
+  let text = "";
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    text = `1${text}`;
+  }
+  return text;
+}
+
+/**
+ * Decode the subset of CBOR used by compiler metadata: maps, text and byte
+ * strings, unsigned integers and booleans
+ * @returns {{value: any, end: number}} - The item and the offset after it
+ */
+function decodeCbor(bytes, offset) {
+  if (offset >= bytes.length) throw new Error("CBOR data too short");
+  const major = bytes[offset] >> 5;
+  const info = bytes[offset] & 0x1f;
+  let length = info;
+  let start = offset + 1;
+  if (info === 24) {
+    length = bytes[start];
+    start += 1;
+  } else if (info === 25) {
+    length = (bytes[start] << 8) | bytes[start + 1];
+    start += 2;
+  } else if (info > 25) {
+    if (major === 7 && (info === 20 || info === 21)) {
+      return { value: info === 21, end: offset + 1 };
+    }
+    throw new Error("Unsupported CBOR item");
+  }
+  if (start > bytes.length) throw new Error("CBOR data too short");
+
+  switch (major) {
+    case 0:
+      return { value: length, end: start };
+    case 2:
+    case 3: {
+      const end = start + length;
+      if (end > bytes.length) throw new Error("CBOR data too short");
+      const data = bytes.subarray(start, end);
+      return {
+        value: major === 3 ? Buffer.from(data).toString("utf8") : data,
+        end,
+      };
+    }
+    case 5: {
+      const map = {};
+      let position = start;
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(bytes, position);
+        if (typeof key.value !== "string") {
+          throw new Error("Unsupported CBOR map key");
+        }
+        const value = decodeCbor(bytes, key.end);
+        map[key.value] = value.value;
+        position = value.end;
+      }
+      return { value: map, end: position };
+    }
+    case 7:
+      if (info === 20 || info === 21) {
+        return { value: info === 21, end: offset + 1 };
+      }
+  }
+  throw new Error("Unsupported CBOR item");
+}
+
+function formatVersion(value) {
+  if (typeof value === "string") return value;
+  return value.length === 3 ? Array.from(value).join(".") : null;
+}
+
+/**
+ * Split the CBOR metadata trailer that Solidity and Vyper append to runtime
+ * code, whose length is given by the last two bytes
+ * @param {Uint8Array} bytes - The runtime bytecode
+ * @returns {{code: Uint8Array, metadata: object|null}} - The code without the trailer, and the
+ *   decoded metadata `{ length, compiler, ipfs, bzzr0, bzzr1, experimental, fields }`
+ */
+function splitMetadata(bytes) {
+  if (bytes.length < 2) return { code: bytes, metadata: null };
+  const length = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+  const start = bytes.length - 2 - length;
+  if (length === 0 || start < 0) return { code: bytes, metadata: null };
+
+  let map;
+  try {
+    const decoded = decodeCbor(bytes, start);
+    if (decoded.end !== bytes.length - 2 || typeof decoded.value !== "object") {
+      return { code: bytes, metadata: null };
+    }
+    map = decoded.value;
+  } catch {
+    return { code: bytes, metadata: null };
+  }
+  if (map instanceof Uint8Array) return { code: bytes, metadata: null };
+
+  const compiler =
+    map.solc !== undefined
+      ? { name: "solc", version: formatVersion(map.solc) }
+      : map.vyper !== undefined
+        ? { name: "vyper", version: formatVersion(map.vyper) }
+        : null;
+  const hex = (value) =>
+    value instanceof Uint8Array
+      ? `0x${Buffer.from(value).toString("hex")}`
+      : null;
+
+  return {
+    code: bytes.subarray(0, start),
+    metadata: {
+      length: length + 2,
+      compiler,
+      ipfs: map.ipfs instanceof Uint8Array ? base58(map.ipfs) : null,
+      bzzr0: hex(map.bzzr0),
+      bzzr1: hex(map.bzzr1),
+      experimental: map.experimental === true,
+      fields: Object.keys(map),
+    },
+  };
+}
+
+/**
+ * Extract the function selectors the dispatcher compares calldata against:
+ * PUSH4 values directly followed by EQ. Selectors only used by binary-search
+ * splits (PUSH4 then GT) are also compared with EQ further down, so they are
+ * still found. Selectors with leading zero bytes are pushed with PUSH1-PUSH3;
+ * those count only when they follow a DUP of the selector read from calldata,
+ * and are left-padded to 4 bytes.
+ * @param {Array<object>} instructions - The result of disassemble
+ * @returns {Array<string>} - Unique selectors in order of appearance
+ */
+function extractSelectors(instructions) {
+  const selectors = new Set();
+  let calldataRead = false;
+  for (let i = 0; i < instructions.length - 1; i++) {
+    const { name, push } = instructions[i];
+    if (name === "CALLDATALOAD") calldataRead = true;
+    if (instructions[i + 1].name !== "EQ") continue;
+    if (name === "PUSH4") {
+      selectors.add(push);
+    } else if (
+      /^PUSH[123]$/.test(name) &&
+      calldataRead &&
+      i > 0 &&
+      instructions[i - 1].name.startsWith("DUP")
+    ) {
+      selectors.add(`0x${push.slice(2).padStart(8, "0")}`);
+    }
+  }
+  return [...selectors];
+}
+
+/**
+ * Analyze runtime bytecode: strip the metadata trailer, disassemble the rest,
+ * extract dispatcher selectors and count notable opcodes
+ * @param {string} code - 0x-prefixed runtime bytecode
+ * @returns {object} - `{ codeSize, metadata, instructions, selectors, notableOpcodes }`
+ */
+function analyzeBytecode(code) {
+  const bytes = hexToBytes(code);
+  const { code: body, metadata } = splitMetadata(bytes);
+  const instructions = disassemble(body);
+  const notableOpcodes = {};
+  for (const { name } of instructions) {
+    if (NOTABLE_OPCODES.includes(name)) {
+      notableOpcodes[name] = (notableOpcodes[name] || 0) + 1;
+    }
+  }
+  return {
+    codeSize: bytes.length,
+    metadata,
+    instructions,
+    selectors: extractSelectors(instructions),
+    notableOpcodes,
+  };
+}
+
+module.exports = {
+  NOTABLE_OPCODES,
+  OPCODES,
+  analyzeBytecode,
+  compilerMetadataSchema,
+  disassemble,
+  extractSelectors,
+  formatInstruction,
+  splitMetadata,
+};
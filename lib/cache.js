@@ -0,0 +1,103 @@
+/**
+ * Create a size-bounded LRU cache whose entries either live until evicted
+ * (ttlMs = Infinity) or expire after a time-to-live
+ * @param {object} options - `{ maxEntries }`
+ * @returns {object} - The cache
+ */
+function createCache({ maxEntries = 1000 } = {}) {
+  // Map iteration order doubles as recency order: oldest first
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  const byMethod = {};
+
+  function count(tag, field) {
+    if (!tag) return;
+    byMethod[tag] = byMethod[tag] || { hits: 0, misses: 0 };
+    byMethod[tag][field] += 1;
+  }
+
+  return {
+    /**
+     * Look up a key, refreshing its recency on a hit
+     * @param {string} key - The cache key
+     * @param {string} [tag] - Label for per-method statistics
+     * @returns {{hit: boolean, value?: any}} - The lookup result
+     */
+    get(key, tag) {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        counters.expirations += 1;
+      } else if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+        counters.hits += 1;
+        count(tag, "hits");
+        return { hit: true, value: entry.value };
+      }
+      counters.misses += 1;
+      count(tag, "misses");
+      return { hit: false };
+    },
+
+    /**
+     * Store a value
+     * @param {string} key - The cache key
+     * @param {any} value - The value to store
+     * @param {number} ttlMs - Time to live, or Infinity to keep until evicted
+     */
+    set(key, value, ttlMs) {
+      if (maxEntries <= 0 || !(ttlMs > 0)) return;
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        expiresAt: Date.now() + ttlMs,
+        immutable: ttlMs === Infinity,
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions += 1;
+      }
+    },
+
+    /**
+     * Remove the entries that expire, keeping immutable ones
+     */
+    clearExpiring() {
+      for (const [key, entry] of entries) {
+        if (!entry.immutable) entries.delete(key);
+      }
+    },
+
+    /**
+     * Remove every entry; statistics are kept
+     */
+    clear() {
+      entries.clear();
+    },
+
+    /**
+     * Report hit/miss counters and current occupancy
+     * @returns {object} - The cache statistics
+     */
+    stats() {
+      let immutable = 0;
+      for (const entry of entries.values()) {
+        if (entry.immutable) immutable += 1;
+      }
+      const lookups = counters.hits + counters.misses;
+      return {
+        maxEntries,
+        size: entries.size,
+        immutableEntries: immutable,
+        ttlEntries: entries.size - immutable,
+        ...counters,
+        hitRate:
+          lookups > 0 ? Number((counters.hits / lookups).toFixed(3)) : null,
+        byMethod,
+      };
+    },
+  };
+}
+
+module.exports = { createCache };
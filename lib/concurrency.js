@@ -0,0 +1,23 @@
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {Array} items - The items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - `(item, index) => Promise<any>`
+ * @returns {Promise<Array>} - The results, in item order
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker),
+  );
+  return results;
+}
+
+module.exports = { mapLimit };
@@ -0,0 +1,235 @@
+const { mapLimit } = require("./concurrency");
+
+// Node lists in a cycle record, each naming the nodes an event happened to
+// during that cycle
+const EVENTS = [
+  "joined",
+  "activated",
+  "removed",
+  "lost",
+  "refuted",
+  "apoptosized",
+];
+
+// Node counts tracked from cycle to cycle
+const COUNTS = ["active", "desired", "expected", "syncing", "standby"];
+
+// Fields describing the network mode
+const MODE_FIELDS = ["mode", "safetyMode", "safetyNum"];
+
+// Fields that change every cycle and say nothing about configuration
+const VOLATILE_FIELDS = new Set([
+  "counter",
+  "previous",
+  "start",
+  "marker",
+  "random",
+  "certificate",
+  "certificates",
+]);
+
+/**
+ * Unwrap a shardeum_getCycleInfo result
+ * @param {any} result - The RPC result
+ * @returns {object|null} - The cycle record
+ */
+function cycleRecord(result) {
+  if (result === null || result === undefined) return null;
+  return result.cycleInfo !== undefined ? result.cycleInfo : result;
+}
+
+/**
+ * The nodes an event happened to in a cycle, as ids or public keys
+ * @param {object} record - A cycle record
+ * @param {string} event - One of EVENTS
+ * @returns {Array<string>} - Node ids
+ */
+function eventNodes(record, event) {
+  let list = record[event];
+  if (event === "joined" && !Array.isArray(list)) {
+    list = record.joinedConsensors;
+  }
+  if (event === "activated" && !Array.isArray(list)) {
+    list = record.activatedPublicKeys;
+  }
+  if (!Array.isArray(list)) return [];
+  return list.map((entry) =>
+    entry && typeof entry === "object"
+      ? String(entry.id ?? entry.publicKey ?? JSON.stringify(entry))
+      : String(entry),
+  );
+}
+
+/**
+ * Read cycles `from` to `to`, `concurrency` at a time. Cycles the node can't
+ * return are listed in `missing`.
+ * @param {Function} call - `(method, params) => Promise<any>`
+ * @param {object} options - `{ from, to, concurrency }`
+ * @returns {Promise<{records: Array<object>, missing: Array<{cycle: number, message: string}>}>} - Records
+ *   in ascending order
+ */
+async function fetchCycles(call, { from, to, concurrency }) {
+  const counters = [];
+  for (let n = from; n <= to; n++) counters.push(n);
+  const missing = [];
+  const results = await mapLimit(counters, concurrency, (counter) =>
+    call("shardeum_getCycleInfo", [counter]).then(
+      (result) => cycleRecord(result),
+      (error) => {
+        missing.push({ cycle: counter, message: error.message });
+        return null;
+      },
+    ),
+  );
+  results.forEach((record, i) => {
+    if (!record && !missing.some((entry) => entry.cycle === counters[i])) {
+      missing.push({ cycle: counters[i], message: "Cycle not found" });
+    }
+  });
+  return {
+    records: results.filter(Boolean),
+    missing: missing.sort((a, b) => a.cycle - b.cycle),
+  };
+}
+
+function isVolatile(field) {
+  return (
+    VOLATILE_FIELDS.has(field) ||
+    // Hashes of state, data and lists; networkConfigHash is kept
+    /(State|Data|Receipt|Summary|List)Hash$/.test(field) ||
+    /^(joined|lost|refuted|removed|returned|apoptosized|activated|refreshed|standby(Add|Remove)|leaving|appRemoved)/.test(
+      field,
+    )
+  );
+}
+
+function changes(previous, record, fields, counter) {
+  const found = [];
+  for (const field of fields) {
+    const before = previous[field];
+    const after = record[field];
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      found.push({
+        cycle: counter,
+        field,
+        from: before === undefined ? null : before,
+        to: after === undefined ? null : after,
+      });
+    }
+  }
+  return found;
+}
+
+/**
+ * Diff consecutive cycle records: node events and count changes per cycle,
+ * totals, churn and rotation across the window, and mode and configuration
+ * changes
+ * @param {Array<object>} records - Cycle records in ascending order
+ * @returns {object} - `{ cycles, totals, nodes, churn, modeChanges, configChanges, safetyCycles }`;
+ *   `nodes` maps each event to the node ids it happened to across the window
+ */
+function diffCycles(records) {
+  const totals = Object.fromEntries(EVENTS.map((event) => [event, 0]));
+  const nodes = Object.fromEntries(EVENTS.map((event) => [event, []]));
+  const modeChanges = [];
+  const configChanges = [];
+  const safetyCycles = [];
+
+  const cycles = records.map((record, i) => {
+    const counter = Number(record.counter);
+    const previous = records[i - 1];
+    const consecutive = previous && Number(previous.counter) === counter - 1;
+
+    const events = {};
+    for (const event of EVENTS) {
+      const ids = eventNodes(record, event);
+      events[event] = ids.length;
+      totals[event] += ids.length;
+      nodes[event].push(...ids);
+    }
+
+    const counts = {};
+    const countChanges = {};
+    for (const field of COUNTS) {
+      const value = typeof record[field] === "number" ? record[field] : null;
+      counts[field] = value;
+      countChanges[field] =
+        consecutive && value !== null && typeof previous[field] === "number"
+          ? value - previous[field]
+          : null;
+    }
+
+    if (record.safetyMode === true || record.mode === "safety") {
+      safetyCycles.push(counter);
+    }
+    // Across a missing cycle, a change is reported at the next one read
+    if (previous) {
+      modeChanges.push(...changes(previous, record, MODE_FIELDS, counter));
+      const fields = new Set([
+        ...Object.keys(previous),
+        ...Object.keys(record),
+      ]);
+      const config = [...fields].filter(
+        (field) =>
+          !isVolatile(field) &&
+          !EVENTS.includes(field) &&
+          !COUNTS.includes(field) &&
+          !MODE_FIELDS.includes(field),
+      );
+      configChanges.push(...changes(previous, record, config, counter));
+    }
+
+    return {
+      counter,
+      start: record.start === undefined ? null : Number(record.start),
+      duration: record.duration === undefined ? null : Number(record.duration),
+      mode: record.mode ?? null,
+      ...events,
+      ...counts,
+      changes: countChanges,
+    };
+  });
+
+  // Churn relative to the average active node count
+  const actives = cycles
+    .map((cycle) => cycle.active)
+    .filter((value) => value !== null);
+  const averageActive =
+    actives.length > 0
+      ? actives.reduce((sum, value) => sum + value, 0) / actives.length
+      : null;
+  const departed = totals.removed + totals.lost + totals.apoptosized;
+  const round = (value) => Math.round(value * 100) / 100;
+  const churn = {
+    arrived: totals.activated,
+    departed,
+    averageActive: averageActive === null ? null : round(averageActive),
+    churnPercent:
+      averageActive > 0
+        ? round(((totals.activated + departed) / averageActive) * 100)
+        : null,
+    rotatedPerCycle:
+      cycles.length > 0 ? round(totals.removed / cycles.length) : null,
+    activeChange:
+      actives.length > 1 ? actives[actives.length - 1] - actives[0] : null,
+  };
+
+  return {
+    cycles,
+    totals,
+    nodes,
+    churn,
+    modeChanges,
+    configChanges,
+    safetyCycles,
+  };
+}
+
+module.exports = {
+  COUNTS,
+  EVENTS,
+  cycleRecord,
+  diffCycles,
+  eventNodes,
+  fetchCycles,
+};
@@ -0,0 +1,20 @@
+// An unset or blank variable reads as NaN rather than 0
+function readNumber(name) {
+  const raw = process.env[name];
+  return raw === undefined || raw.trim() === "" ? NaN : Number(raw);
+}
+
+/**
+ * Read an integer from the environment, for sizes, counts and durations that
+ * loops depend on
+ * @param {string} name - The variable name
+ * @param {number} fallback - The value used when the variable is unset or invalid
+ * @param {number} [min] - The smallest accepted value; 0 where zero disables a feature
+ * @returns {number} - The value
+ */
+function envInteger(name, fallback, min = 1) {
+  const value = readNumber(name);
+  return Number.isSafeInteger(value) && value >= min ? value : fallback;
+}
+
+module.exports = { envInteger };
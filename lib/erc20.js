@@ -0,0 +1,223 @@
+const { z } = require("zod");
+const { decodeParams, encodeFunctionData, parseFragment } = require("./abi");
+const { hexToBytes } = require("./hex");
+const { formatUnits, toBigInt } = require("./units");
+
+const ERC20 = {
+  name: parseFragment("function name() view returns (string)"),
+  symbol: parseFragment("function symbol() view returns (string)"),
+  decimals: parseFragment("function decimals() view returns (uint8)"),
+  totalSupply: parseFragment("function totalSupply() view returns (uint256)"),
+  balanceOf: parseFragment(
+    "function balanceOf(address owner) view returns (uint256)",
+  ),
+  allowance: parseFragment(
+    "function allowance(address owner, address spender) view returns (uint256)",
+  ),
+};
+
+// Integer token amount with decimals applied when they are known
+const tokenAmountSchema = z.object({
+  raw: z.string(),
+  formatted: z.string().nullable(),
+});
+
+const tokenSchema = z.object({
+  address: z.string(),
+  isContract: z.boolean(),
+  name: z.string().nullable(),
+  symbol: z.string().nullable(),
+  decimals: z.number().nullable(),
+  decimalsSource: z.enum(["contract", "override", "missing"]),
+  totalSupply: tokenAmountSchema.nullable().optional(),
+  balance: tokenAmountSchema.nullable().optional(),
+  allowance: tokenAmountSchema.nullable().optional(),
+  notes: z.array(z.string()),
+});
+
+/**
+ * Decode a string return value. Older tokens (e.g. MKR) return bytes32
+ * instead of string for name() and symbol().
+ * @returns {{value: string|null, bytes32: boolean}} - The decoded text
+ */
+function decodeText(hex) {
+  if (!hex || hex === "0x") return { value: null, bytes32: false };
+  const bytes = hexToBytes(hex);
+  if (bytes.length === 32) {
+    const end = bytes.indexOf(0);
+    const text = bytes.subarray(0, end === -1 ? 32 : end).toString("utf8");
+    return { value: text, bytes32: true };
+  }
+  try {
+    const [decoded] = decodeParams([{ name: "", type: "string" }], hex);
+    return { value: decoded.value, bytes32: false };
+  } catch {
+    return { value: null, bytes32: false };
+  }
+}
+
+/**
+ * Decode a uint256 return value, or null when the call returned nothing usable
+ */
+function decodeUint(hex) {
+  if (!hex || hex.length < 66) return null;
+  return toBigInt(hex.slice(0, 66));
+}
+
+/**
+ * Pair an amount with its decimal representation
+ * @param {bigint|null} value - The amount in base units
+ * @param {number|null} decimals - The token decimals
+ * @returns {{raw: string, formatted: string|null}|null} - The amount
+ */
+function tokenAmount(value, decimals) {
+  if (value === null) return null;
+  return {
+    raw: value.toString(),
+    formatted: decimals === null ? null : formatUnits(value, decimals),
+  };
+}
+
+/**
+ * Read ERC-20 metadata, and optionally balances and allowances, for a list
+ * of tokens in a single JSON-RPC batch. Calls that revert or return nothing
+ * are reported as null with a note rather than failing the whole lookup.
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>`
+ * @param {Array<{address: string, decimals?: number}>} tokens - Tokens to read; `decimals` overrides the contract
+ * @param {object} [options] - `{ owner, spender, block, totalSupply }`
+ * @returns {Promise<Array<object>>} - One entry per token, in order
+ */
+async function readTokens(
+  batch,
+  tokens,
+  { owner, spender, block = "latest", totalSupply = true } = {},
+) {
+  const calls = [["name"], ["symbol"], ["decimals"]];
+  if (totalSupply) calls.push(["totalSupply"]);
+  if (owner) calls.push(["balanceOf", owner]);
+  if (owner && spender) calls.push(["allowance", owner, spender]);
+
+  const requests = tokens.flatMap(({ address }) => [
+    { method: "eth_getCode", params: [address, block] },
+    ...calls.map(([method, ...args]) => ({
+      method: "eth_call",
+      params: [
+        { to: address, data: encodeFunctionData(ERC20[method], args) },
+        block,
+      ],
+    })),
+  ]);
+  const responses = await batch(requests);
+
+  return tokens.map((token, i) => {
+    const [code, ...results] = responses.slice(
+      i * (calls.length + 1),
+      (i + 1) * (calls.length + 1),
+    );
+    if (code.error) {
+      throw new Error(
+        `Failed to read code at ${token.address}: ${code.error.message}`,
+      );
+    }
+    const returned = {};
+    calls.forEach(([method], j) => {
+      returned[method] = results[j].error ? null : results[j].result;
+    });
+
+    const notes = [];
+    const isContract = Boolean(code.result) && code.result !== "0x";
+    if (!isContract) notes.push("No contract is deployed at this address");
+
+    const name = decodeText(returned.name);
+    const symbol = decodeText(returned.symbol);
+    if (name.bytes32) notes.push("name() returns bytes32 instead of string");
+    if (symbol.bytes32) {
+      notes.push("symbol() returns bytes32 instead of string");
+    }
+    if (isContract && name.value === null) {
+      notes.push("name() is not implemented");
+    }
+    if (isContract && symbol.value === null) {
+      notes.push("symbol() is not implemented");
+    }
+
+    const contractDecimals = decodeUint(returned.decimals);
+    let decimals = null;
+    let decimalsSource = "missing";
+    if (token.decimals !== undefined) {
+      decimals = token.decimals;
+      decimalsSource = "override";
+    } else if (contractDecimals !== null && contractDecimals <= 77n) {
+      decimals = Number(contractDecimals);
+      decimalsSource = "contract";
+    } else if (isContract) {
+      notes.push(
+        `${
+          contractDecimals === null
+            ? "decimals() is not implemented"
+            : `decimals() returned an out-of-range value (${contractDecimals})`
+        }; amounts are shown in base units only`,
+      );
+    }
+
+    const entry = {
+      address: token.address,
+      isContract,
+      name: name.value,
+      symbol: symbol.value,
+      decimals,
+      decimalsSource,
+      notes,
+    };
+    if (totalSupply) {
+      entry.totalSupply = tokenAmount(
+        decodeUint(returned.totalSupply),
+        decimals,
+      );
+    }
+    if (owner) {
+      entry.balance = tokenAmount(decodeUint(returned.balanceOf), decimals);
+      if (isContract && entry.balance === null) {
+        notes.push("balanceOf() reverted or returned no data");
+      }
+    }
+    if (owner && spender) {
+      entry.allowance = tokenAmount(decodeUint(returned.allowance), decimals);
+      if (isContract && entry.allowance === null) {
+        notes.push("allowance() reverted or returned no data");
+      }
+    }
+    return entry;
+  });
+}
+
+/**
+ * Short display label for a token
+ * @param {object} token - An entry from readTokens
+ * @returns {string} - e.g. "USDC (0x…)"
+ */
+function tokenLabel(token) {
+  return token.symbol ? `${token.symbol} (${token.address})` : token.address;
+}
+
+/**
+ * Render a token amount for display
+ * @param {object|null} amount - A tokenAmount value
+ * @param {object} token - An entry from readTokens
+ * @returns {string} - e.g. "1.5 USDC" or "1500000 base units"
+ */
+function formatTokenAmount(amount, token) {
+  if (!amount) return "unavailable";
+  if (amount.formatted === null) return `${amount.raw} base units`;
+  return `${amount.formatted}${token.symbol ? ` ${token.symbol}` : ""}`;
+}
+
+module.exports = {
+  ERC20,
+  decodeText,
+  formatTokenAmount,
+  readTokens,
+  tokenAmountSchema,
+  tokenLabel,
+  tokenSchema,
+};
@@ -0,0 +1,359 @@
+const { z } = require("zod");
+const { toChecksumAddress } = require("./hex");
+const { quantity, quantitySchema } = require("./normalize");
+const { formatDecoded } = require("./signatures");
+const { describeWei, formatUnits, toBigInt, toSafeNumber } = require("./units");
+
+const CLASSIFICATIONS = [
+  "native_transfer",
+  "contract_creation",
+  "token_transfer",
+  "contract_call",
+];
+
+// Methods whose whole purpose is moving tokens
+const TOKEN_TRANSFER_METHODS = new Set([
+  "transfer",
+  "transferFrom",
+  "safeTransferFrom",
+  "safeBatchTransferFrom",
+]);
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const weiSchema = z.object({
+  wei: z.string(),
+  gwei: z.string(),
+  shm: z.string(),
+});
+
+const movementSchema = z.object({
+  standard: z.enum(["native", "ERC-20", "ERC-721", "ERC-1155"]),
+  token: z.string().nullable(),
+  symbol: z.string().nullable(),
+  from: z.string(),
+  to: z.string(),
+  amount: z.string(),
+  formatted: z.string().nullable(),
+  tokenId: z.string().nullable(),
+  logIndex: z.number().nullable(),
+});
+
+const explanationSchema = z.object({
+  hash: z.string(),
+  status: z.enum(["success", "failed", "pending"]),
+  classification: z.enum(CLASSIFICATIONS),
+  from: z.string(),
+  to: z.string().nullable(),
+  contractAddress: z.string().nullable(),
+  value: weiSchema,
+  nonce: z.string(),
+  type: quantitySchema.nullable(),
+  block: z
+    .object({
+      number: z.string(),
+      hash: z.string(),
+      timestamp: z.string().nullable(),
+      timestampIso: z.string().nullable(),
+      transactionIndex: z.string().nullable(),
+    })
+    .nullable(),
+  fee: z
+    .object({
+      gasUsed: z.string(),
+      gasLimit: z.string(),
+      gasUsedPercent: z.number(),
+      effectiveGasPrice: weiSchema,
+      total: weiSchema,
+    })
+    .nullable(),
+  method: z.any().nullable(),
+  events: z.array(
+    z.object({
+      logIndex: z.number().nullable(),
+      address: z.string(),
+      name: z.string().nullable(),
+      signature: z.string().nullable(),
+      args: z.array(z.any()).nullable(),
+      source: z.string().nullable(),
+      topics: z.array(z.string()),
+      data: z.string(),
+    }),
+  ),
+  tokenMovements: z.array(movementSchema),
+  summary: z.string(),
+});
+
+function logIndexOf(log) {
+  return log.logIndex === undefined || log.logIndex === null
+    ? null
+    : toSafeNumber(log.logIndex);
+}
+
+/**
+ * Extract token movements from decoded logs. Events are matched by signature
+ * and argument position so registered ABIs with their own argument names are
+ * recognised too; ERC-20 and ERC-721 Transfer differ only in whether the
+ * third argument is indexed.
+ * @param {Array<object>} logs - Raw logs with a `decoded` field
+ * @returns {Array<object>} - Movements without token metadata
+ */
+function tokenMovements(logs) {
+  const movements = [];
+  for (const log of logs) {
+    const decoded = log.decoded;
+    if (!decoded) continue;
+    const values = decoded.args.map((arg) => arg.value);
+    const base = {
+      token: toChecksumAddress(log.address),
+      symbol: null,
+      formatted: null,
+      logIndex: logIndexOf(log),
+    };
+    switch (decoded.signature) {
+      case "Transfer(address,address,uint256)": {
+        const nft = decoded.args[2].indexed;
+        movements.push({
+          ...base,
+          standard: nft ? "ERC-721" : "ERC-20",
+          from: values[0],
+          to: values[1],
+          amount: nft ? "1" : values[2],
+          tokenId: nft ? values[2] : null,
+        });
+        break;
+      }
+      case "TransferSingle(address,address,address,uint256,uint256)":
+        movements.push({
+          ...base,
+          standard: "ERC-1155",
+          from: values[1],
+          to: values[2],
+          amount: values[4],
+          tokenId: values[3],
+        });
+        break;
+      case "TransferBatch(address,address,address,uint256[],uint256[])":
+        values[3].forEach((id, i) =>
+          movements.push({
+            ...base,
+            standard: "ERC-1155",
+            from: values[1],
+            to: values[2],
+            amount: values[4][i],
+            tokenId: id,
+          }),
+        );
+        break;
+    }
+  }
+  return movements;
+}
+
+function classify(tx, method, movements) {
+  if (!tx.to) return "contract_creation";
+  if (!tx.input || tx.input === "0x") return "native_transfer";
+  if (method && method.name && TOKEN_TRANSFER_METHODS.has(method.name)) {
+    return "token_transfer";
+  }
+  const to = tx.to.toLowerCase();
+  if (
+    (!method || !method.name) &&
+    movements.length > 0 &&
+    movements.every((movement) => movement.token.toLowerCase() === to)
+  ) {
+    return "token_transfer";
+  }
+  return "contract_call";
+}
+
+function describeMovement(movement) {
+  const what =
+    movement.standard === "native"
+      ? `${movement.formatted} SHM`
+      : movement.standard === "ERC-20"
+        ? movement.formatted !== null
+          ? `${movement.formatted} ${movement.symbol || movement.token}`
+          : `${movement.amount} base units of ${movement.symbol || movement.token}`
+        : `${movement.amount} × ${movement.symbol || movement.token} #${movement.tokenId}`;
+  if (movement.from === ZERO_ADDRESS) return `mint ${what} to ${movement.to}`;
+  if (movement.to === ZERO_ADDRESS) return `burn ${what} from ${movement.from}`;
+  return `${what} from ${movement.from} to ${movement.to}`;
+}
+
+/**
+ * Explain a transaction from its raw transaction, receipt and block
+ * @param {object} parts - `{ tx, receipt, block }` as returned by the node; receipt and block may be null
+ * @param {object} options - `{ decodeCall(to, input), decodeLog(log), tokens }` where `tokens` maps a
+ *   lowercase token address to `{ symbol, decimals }` for formatting amounts
+ * @returns {object} - Matches explanationSchema
+ */
+function explainTransaction(
+  { tx, receipt, block },
+  { decodeCall, decodeLog, tokens = {} },
+) {
+  const method = tx.to ? decodeCall(tx.to, tx.input) : null;
+  const logs = (receipt ? receipt.logs || [] : []).map((log) => ({
+    ...log,
+    decoded: decodeLog(log),
+  }));
+
+  const movements = tokenMovements(logs).map((movement) => {
+    const token = tokens[movement.token.toLowerCase()];
+    if (!token) return movement;
+    return {
+      ...movement,
+      symbol: token.symbol,
+      formatted:
+        movement.standard === "ERC-20" && token.decimals !== null
+          ? formatUnits(movement.amount, token.decimals)
+          : null,
+    };
+  });
+  const value = toBigInt(tx.value || "0x0");
+  if (value > 0n) {
+    movements.unshift({
+      standard: "native",
+      token: null,
+      symbol: "SHM",
+      from: toChecksumAddress(tx.from),
+      to: toChecksumAddress(tx.to || receipt?.contractAddress || ZERO_ADDRESS),
+      amount: value.toString(),
+      formatted: formatUnits(value),
+      tokenId: null,
+      logIndex: null,
+    });
+  }
+
+  let status = "pending";
+  if (receipt) {
+    status =
+      receipt.status === undefined || toBigInt(receipt.status) === 1n
+        ? "success"
+        : "failed";
+  }
+
+  let fee = null;
+  if (receipt) {
+    const gasUsed = toBigInt(receipt.gasUsed);
+    const gasLimit = toBigInt(tx.gas);
+    const price = toBigInt(receipt.effectiveGasPrice || tx.gasPrice);
+    fee = {
+      gasUsed: gasUsed.toString(),
+      gasLimit: gasLimit.toString(),
+      gasUsedPercent:
+        gasLimit > 0n ? Number((gasUsed * 10000n) / gasLimit) / 100 : 0,
+      effectiveGasPrice: describeWei(price),
+      total: describeWei(gasUsed * price),
+    };
+  }
+
+  const classification = classify(tx, method, movements);
+  const explanation = {
+    hash: tx.hash,
+    status,
+    classification,
+    from: tx.from,
+    to: tx.to || null,
+    contractAddress: receipt ? receipt.contractAddress || null : null,
+    value: describeWei(value),
+    nonce: toBigInt(tx.nonce).toString(),
+    type: quantity(tx.type),
+    block:
+      tx.blockNumber && tx.blockHash
+        ? {
+            number: toBigInt(tx.blockNumber).toString(),
+            hash: tx.blockHash,
+            timestamp: block ? toBigInt(block.timestamp).toString() : null,
+            timestampIso: block
+              ? new Date(toSafeNumber(block.timestamp) * 1000).toISOString()
+              : null,
+            transactionIndex:
+              tx.transactionIndex === undefined || tx.transactionIndex === null
+                ? null
+                : toBigInt(tx.transactionIndex).toString(),
+          }
+        : null,
+    fee,
+    method,
+    events: logs.map((log) => ({
+      logIndex: logIndexOf(log),
+      address: log.address,
+      name: log.decoded ? log.decoded.name : null,
+      signature: log.decoded ? log.decoded.signature : null,
+      args: log.decoded ? log.decoded.args : null,
+      source: log.decoded ? log.decoded.source || null : null,
+      topics: log.topics || [],
+      data: log.data || "0x",
+    })),
+    tokenMovements: movements,
+  };
+  explanation.summary = summarize(explanation);
+  return explanation;
+}
+
+function summarize(explanation) {
+  const lines = [];
+  const what = {
+    native_transfer: "Native transfer",
+    contract_creation: "Contract creation",
+    token_transfer: "Token transfer",
+    contract_call: "Contract call",
+  }[explanation.classification];
+  const outcome =
+    explanation.status === "pending"
+      ? "pending"
+      : explanation.status === "success"
+        ? "succeeded"
+        : "failed";
+  lines.push(
+    `${what} ${explanation.hash} ${outcome}${
+      explanation.block ? ` in block ${explanation.block.number}` : ""
+    }${
+      explanation.block && explanation.block.timestampIso
+        ? ` (${explanation.block.timestampIso})`
+        : ""
+    }.`,
+  );
+  lines.push(
+    `From ${explanation.from} ${
+      explanation.to
+        ? `to ${explanation.to}`
+        : `creating ${explanation.contractAddress || "a contract"}`
+    }, value ${explanation.value.shm} SHM, nonce ${explanation.nonce}.`,
+  );
+  if (explanation.method) {
+    lines.push(`Method: ${formatDecoded(explanation.method)}`);
+  }
+  if (explanation.fee) {
+    lines.push(
+      `Fee: ${explanation.fee.total.shm} SHM (${explanation.fee.gasUsed} gas × ${explanation.fee.effectiveGasPrice.gwei} gwei, ${explanation.fee.gasUsedPercent}% of the gas limit)`,
+    );
+  }
+  if (explanation.tokenMovements.length > 0) {
+    lines.push("Movements:");
+    for (const movement of explanation.tokenMovements) {
+      lines.push(`- ${describeMovement(movement)}`);
+    }
+  }
+  if (explanation.events.length > 0) {
+    lines.push("Events:");
+    for (const event of explanation.events) {
+      lines.push(
+        `- ${event.address}: ${
+          event.name
+            ? formatDecoded(event)
+            : `unknown event ${event.topics[0] || "(anonymous)"}`
+        }`,
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  CLASSIFICATIONS,
+  explainTransaction,
+  explanationSchema,
+  tokenMovements,
+};
@@ -0,0 +1,224 @@
+const { z } = require("zod");
+const { describeWei, toBigInt } = require("./units");
+
+// Reward percentile and base fee headroom for each speed
+const TIERS = [
+  { name: "slow", percentile: 10, baseFeePercent: 100n },
+  { name: "normal", percentile: 50, baseFeePercent: 150n },
+  { name: "fast", percentile: 90, baseFeePercent: 200n },
+];
+
+const HISTORY_BLOCKS = 20;
+
+const weiSchema = z.object({
+  wei: z.string(),
+  gwei: z.string(),
+  shm: z.string(),
+});
+
+const recommendationSchema = z.object({
+  model: z.enum(["eip1559", "flat"]),
+  gasLimit: z.string(),
+  baseFeePerGas: weiSchema.nullable(),
+  tiers: z.array(
+    z.object({
+      name: z.enum(TIERS.map((tier) => tier.name)),
+      maxFeePerGas: weiSchema,
+      maxPriorityFeePerGas: weiSchema,
+      gasPrice: weiSchema,
+      expectedCost: weiSchema,
+      maxCost: weiSchema,
+    }),
+  ),
+  notes: z.array(z.string()),
+});
+
+/**
+ * Whether a JSON-RPC error means the node doesn't implement the method
+ * @param {object} error - The JSON-RPC error object
+ * @returns {boolean} - True for "method not found" style errors
+ */
+function isUnsupported(error) {
+  return (
+    error.code === -32601 ||
+    /not (found|supported|available|implemented)|does not exist|unsupported/i.test(
+      error.message,
+    )
+  );
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Read the node's view of the fee market in one batch. Methods the node
+ * doesn't implement come back as null with a note.
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>` for the target network
+ * @returns {Promise<object>} - `{ gasPrice, maxPriorityFeePerGas, history, baseFee, notes }` with BigInt fees;
+ *   `history` is `{ oldestBlock, baseFees, gasUsedRatio, rewards }` and `baseFee` is the next block's
+ */
+async function readFeeMarket(batch) {
+  const [gasPrice, priorityFee, history, latest] = await batch([
+    { method: "eth_gasPrice", params: [] },
+    { method: "eth_maxPriorityFeePerGas", params: [] },
+    {
+      method: "eth_feeHistory",
+      params: [
+        `0x${HISTORY_BLOCKS.toString(16)}`,
+        "latest",
+        TIERS.map((tier) => tier.percentile),
+      ],
+    },
+    { method: "eth_getBlockByNumber", params: ["latest", false] },
+  ]);
+  if (gasPrice.error) {
+    throw new Error(`RPC Error: ${gasPrice.error.message}`);
+  }
+
+  const notes = [];
+  const optional = (response, method) => {
+    if (!response.error) return response.result;
+    notes.push(
+      isUnsupported(response.error)
+        ? `The node does not support ${method}`
+        : `${method} failed: ${response.error.message}`,
+    );
+    return null;
+  };
+
+  const priority = optional(priorityFee, "eth_maxPriorityFeePerGas");
+  const rawHistory = optional(history, "eth_feeHistory");
+  const block = latest.error ? null : latest.result;
+
+  const parsed =
+    rawHistory && Array.isArray(rawHistory.baseFeePerGas)
+      ? {
+          oldestBlock: toBigInt(rawHistory.oldestBlock),
+          baseFees: rawHistory.baseFeePerGas.map(toBigInt),
+          gasUsedRatio: rawHistory.gasUsedRatio || [],
+          rewards: (rawHistory.reward || []).map((row) => row.map(toBigInt)),
+        }
+      : null;
+
+  // eth_feeHistory's last base fee is the one for the next block
+  let baseFee = parsed ? parsed.baseFees[parsed.baseFees.length - 1] : null;
+  if (baseFee === null && block && block.baseFeePerGas) {
+    baseFee = toBigInt(block.baseFeePerGas);
+  }
+
+  return {
+    gasPrice: toBigInt(gasPrice.result),
+    maxPriorityFeePerGas: priority === null ? null : toBigInt(priority),
+    history: parsed,
+    baseFee,
+    notes,
+  };
+}
+
+/**
+ * Recommend slow, normal and fast fees for a gas limit. Without a non-zero
+ * base fee (Shardeum charges a flat gas price) every tier uses eth_gasPrice.
+ * @param {object} market - The result of readFeeMarket
+ * @param {bigint} gasLimit - The transaction's gas limit
+ * @returns {object} - `{ model, gasLimit, baseFee, tiers, notes }` with BigInt fees and costs
+ */
+function recommendFees(market, gasLimit) {
+  const notes = [...market.notes];
+
+  if (market.baseFee === null || market.baseFee === 0n) {
+    notes.push(
+      "No base fee is reported, so fees are flat: every tier pays eth_gasPrice and paying more does not speed up inclusion",
+    );
+    return {
+      model: "flat",
+      gasLimit,
+      baseFee: null,
+      tiers: TIERS.map((tier) => ({
+        name: tier.name,
+        // Paying the whole price as priority fee gives the same effective
+        // price whether or not the node applies a base fee
+        maxFeePerGas: market.gasPrice,
+        maxPriorityFeePerGas: market.gasPrice,
+        gasPrice: market.gasPrice,
+        expectedCost: gasLimit * market.gasPrice,
+        maxCost: gasLimit * market.gasPrice,
+      })),
+      notes,
+    };
+  }
+
+  const tiers = TIERS.map((tier, index) => {
+    const history = market.history;
+    const rewards = history
+      ? history.rewards
+          .filter((row, i) => row.length > index && history.gasUsedRatio[i] > 0)
+          .map((row) => row[index])
+      : [];
+    const priority =
+      median(rewards) ??
+      market.maxPriorityFeePerGas ??
+      (market.gasPrice > market.baseFee
+        ? market.gasPrice - market.baseFee
+        : 0n);
+    const maxFee = (market.baseFee * tier.baseFeePercent) / 100n + priority;
+    const expected = market.baseFee + priority;
+    return {
+      name: tier.name,
+      maxFeePerGas: maxFee,
+      maxPriorityFeePerGas: priority,
+      gasPrice: expected,
+      expectedCost: gasLimit * (expected < maxFee ? expected : maxFee),
+      maxCost: gasLimit * maxFee,
+    };
+  });
+  if (!market.history || market.history.rewards.length === 0) {
+    notes.push(
+      "No priority fee history is available; every tier uses the node's suggested priority fee",
+    );
+  }
+
+  return {
+    model: "eip1559",
+    gasLimit,
+    baseFee: market.baseFee,
+    tiers,
+    notes,
+  };
+}
+
+/**
+ * Convert a recommendation's BigInt values for output
+ * @param {object} recommendation - The result of recommendFees
+ * @returns {object} - Matches recommendationSchema
+ */
+function describeRecommendation(recommendation) {
+  return {
+    model: recommendation.model,
+    gasLimit: recommendation.gasLimit.toString(),
+    baseFeePerGas:
+      recommendation.baseFee === null
+        ? null
+        : describeWei(recommendation.baseFee),
+    tiers: recommendation.tiers.map((tier) => ({
+      name: tier.name,
+      maxFeePerGas: describeWei(tier.maxFeePerGas),
+      maxPriorityFeePerGas: describeWei(tier.maxPriorityFeePerGas),
+      gasPrice: describeWei(tier.gasPrice),
+      expectedCost: describeWei(tier.expectedCost),
+      maxCost: describeWei(tier.maxCost),
+    })),
+    notes: recommendation.notes,
+  };
+}
+
+module.exports = {
+  TIERS,
+  describeRecommendation,
+  isUnsupported,
+  readFeeMarket,
+  recommendFees,
+  recommendationSchema,
+};
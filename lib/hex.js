@@ -0,0 +1,57 @@
+const { keccak_256 } = require("@noble/hashes/sha3");
+
+/**
+ * Convert a 0x-prefixed hex string to bytes
+ * @param {string} hex - The hex string
+ * @returns {Buffer} - The bytes
+ */
+function hexToBytes(hex) {
+  if (typeof hex !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(hex)) {
+    throw new Error(`Invalid hex data: ${hex}`);
+  }
+  return Buffer.from(hex.slice(2), "hex");
+}
+
+/**
+ * Convert bytes to a 0x-prefixed hex string
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} - The hex string
+ */
+function bytesToHex(bytes) {
+  return `0x${Buffer.from(bytes).toString("hex")}`;
+}
+
+/**
+ * Keccak-256 hash of bytes, hex data or a UTF-8 string
+ * @param {Uint8Array|string} data - Bytes, 0x-prefixed hex, or text
+ * @returns {string} - The 0x-prefixed hash
+ */
+function keccak256(data) {
+  const input =
+    typeof data === "string"
+      ? /^0x([0-9a-fA-F]{2})*$/.test(data)
+        ? hexToBytes(data)
+        : Buffer.from(data, "utf8")
+      : data;
+  return bytesToHex(keccak_256(input));
+}
+
+/**
+ * Apply the EIP-55 mixed-case checksum to an address
+ * @param {string} address - The address
+ * @returns {string} - The checksummed address
+ */
+function toChecksumAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+  const lower = address.slice(2).toLowerCase();
+  const hash = keccak256(Buffer.from(lower, "ascii")).slice(2);
+  let result = "0x";
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+module.exports = { bytesToHex, hexToBytes, keccak256, toChecksumAddress };
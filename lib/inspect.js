@@ -0,0 +1,262 @@
+const { z } = require("zod");
+const { keccak256, toChecksumAddress } = require("./hex");
+const { describeWei, toBigInt } = require("./units");
+
+// Storage slots defined by EIP-1967 (keccak256 of the name, minus one) and
+// EIP-1822 (keccak256("PROXIABLE"))
+const SLOTS = {
+  implementation:
+    "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc",
+  admin: "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103",
+  beacon: "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50",
+  proxiable:
+    "0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7",
+};
+
+// EIP-1167 minimal proxy, and its PUSH0 variant from EIP-7511
+const MINIMAL_PROXY_PATTERNS = [
+  /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/,
+  /^0x365f5f375f5f365f73([0-9a-f]{40})5af43d5f5f3e5f3d91602a57fd5bf3$/,
+];
+
+// EIP-7702 delegation designator on an EOA
+const DELEGATION_PATTERN = /^0xef0100([0-9a-f]{40})$/;
+
+const SELECTORS = {
+  // UUPSUpgradeable.proxiableUUID()
+  proxiableUUID: "0x52d1902d",
+  // IBeacon.implementation()
+  implementation: "0x5c60da1b",
+};
+
+// Proxies of proxies followed before giving up
+const MAX_PROXY_DEPTH = 3;
+
+const PROXY_PATTERNS = [
+  "eip1967-transparent",
+  "eip1967-uups",
+  "eip1967",
+  "eip1967-beacon",
+  "eip1822",
+  "eip1167",
+];
+
+const codeSummarySchema = z.object({
+  address: z.string(),
+  codeSize: z.number(),
+  codeHash: z.string().nullable(),
+});
+
+const inspectionSchema = z.object({
+  address: z.string(),
+  accountType: z.enum(["eoa", "contract", "delegated_eoa"]),
+  codeSize: z.number(),
+  codeHash: z.string().nullable(),
+  balance: z.object({ wei: z.string(), gwei: z.string(), shm: z.string() }),
+  nonce: z.string(),
+  proxy: z
+    .object({
+      pattern: z.enum(PROXY_PATTERNS),
+      implementation: z.string().nullable(),
+      admin: z.string().nullable(),
+      beacon: z.string().nullable(),
+    })
+    .nullable(),
+  delegatedTo: z.string().nullable(),
+  implementations: z.array(codeSummarySchema),
+  resolvedImplementation: z.string().nullable(),
+  notes: z.array(z.string()),
+});
+
+/**
+ * Size and keccak256 hash of deployed code
+ * @param {string} code - The eth_getCode result
+ * @returns {{codeSize: number, codeHash: string|null}} - The hash is null when there is no code
+ */
+function describeCode(code) {
+  const codeSize = code && code !== "0x" ? (code.length - 2) / 2 : 0;
+  return { codeSize, codeHash: codeSize > 0 ? keccak256(code) : null };
+}
+
+/**
+ * Read an address stored in the low 20 bytes of a storage word
+ * @param {string|null} word - The 32-byte storage value
+ * @returns {string|null} - The checksummed address, or null for zero/empty
+ */
+function slotAddress(word) {
+  if (!word || word === "0x") return null;
+  const value = toBigInt(word);
+  if (value === 0n || value >> 160n !== 0n) return null;
+  return toChecksumAddress(`0x${value.toString(16).padStart(40, "0")}`);
+}
+
+function resultOf(response) {
+  if (response.error) throw new Error(`RPC Error: ${response.error.message}`);
+  return response.result;
+}
+
+/**
+ * Detect the proxy pattern of a contract from its code and storage. Storage
+ * that can't be read is noted in `notes` and treated as empty.
+ * @returns {Promise<object|null>} - `{ pattern, implementation, admin, beacon }` or null
+ */
+async function detectProxy(batch, address, code, block, notes) {
+  for (const pattern of MINIMAL_PROXY_PATTERNS) {
+    const match = pattern.exec(code.toLowerCase());
+    if (match) {
+      return {
+        pattern: "eip1167",
+        implementation: toChecksumAddress(`0x${match[1]}`),
+        admin: null,
+        beacon: null,
+      };
+    }
+  }
+
+  const slots = await batch(
+    ["implementation", "admin", "beacon", "proxiable"].map((slot) => ({
+      method: "eth_getStorageAt",
+      params: [address, SLOTS[slot], block],
+    })),
+  );
+  const failed = slots.find((response) => response.error);
+  if (failed) {
+    notes.push(
+      `Proxy slots of ${address} could not be read: ${failed.error.message}`,
+    );
+  }
+  const [implementation, admin, beacon, proxiable] = slots.map((response) =>
+    response.error ? null : slotAddress(response.result),
+  );
+
+  if (implementation) {
+    // UUPS implementations answer proxiableUUID() with the EIP-1967 slot
+    const [uuid] = await batch([
+      {
+        method: "eth_call",
+        params: [{ to: implementation, data: SELECTORS.proxiableUUID }, block],
+      },
+    ]);
+    const uups =
+      !uuid.error && (uuid.result || "").toLowerCase() === SLOTS.implementation;
+    return {
+      pattern: uups
+        ? "eip1967-uups"
+        : admin
+          ? "eip1967-transparent"
+          : "eip1967",
+      implementation,
+      admin,
+      beacon: null,
+    };
+  }
+  if (beacon) {
+    const [response] = await batch([
+      {
+        method: "eth_call",
+        params: [{ to: beacon, data: SELECTORS.implementation }, block],
+      },
+    ]);
+    return {
+      pattern: "eip1967-beacon",
+      implementation: response.error ? null : slotAddress(response.result),
+      admin,
+      beacon,
+    };
+  }
+  if (proxiable) {
+    return {
+      pattern: "eip1822",
+      implementation: proxiable,
+      admin: null,
+      beacon: null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Classify an address as an EOA or contract, detect proxy patterns and follow
+ * proxies to the implementation that holds the logic
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>` for the target network
+ * @param {string} address - The address to inspect
+ * @param {string|object} block - Block parameter for state reads
+ * @returns {Promise<object>} - Matches inspectionSchema
+ */
+async function inspectAddress(batch, address, block) {
+  const [codeResponse, balanceResponse, nonceResponse] = await batch([
+    { method: "eth_getCode", params: [address, block] },
+    { method: "eth_getBalance", params: [address, block] },
+    { method: "eth_getTransactionCount", params: [address, block] },
+  ]);
+  const code = resultOf(codeResponse) || "0x";
+  const notes = [];
+
+  const inspection = {
+    address: toChecksumAddress(address),
+    accountType: "eoa",
+    ...describeCode(code),
+    balance: describeWei(toBigInt(resultOf(balanceResponse))),
+    nonce: toBigInt(resultOf(nonceResponse)).toString(),
+    proxy: null,
+    delegatedTo: null,
+    implementations: [],
+    resolvedImplementation: null,
+    notes,
+  };
+
+  const delegation = DELEGATION_PATTERN.exec(code.toLowerCase());
+  if (delegation) {
+    inspection.accountType = "delegated_eoa";
+    inspection.delegatedTo = toChecksumAddress(`0x${delegation[1]}`);
+    return inspection;
+  }
+  if (inspection.codeSize === 0) return inspection;
+
+  inspection.accountType = "contract";
+  inspection.proxy = await detectProxy(batch, address, code, block, notes);
+
+  // Follow the implementation, which may itself be a proxy
+  let target = inspection.proxy && inspection.proxy.implementation;
+  const seen = new Set([address.toLowerCase()]);
+  while (target) {
+    if (seen.has(target.toLowerCase())) {
+      notes.push(`Proxy loop at ${target}`);
+      break;
+    }
+    seen.add(target.toLowerCase());
+    const [implementationCode] = await batch([
+      { method: "eth_getCode", params: [target, block] },
+    ]);
+    const described = describeCode(resultOf(implementationCode) || "0x");
+    inspection.implementations.push({ address: target, ...described });
+    if (described.codeSize === 0) {
+      notes.push(`The implementation ${target} has no code`);
+      break;
+    }
+    inspection.resolvedImplementation = target;
+    if (inspection.implementations.length >= MAX_PROXY_DEPTH) break;
+    const next = await detectProxy(
+      batch,
+      target,
+      resultOf(implementationCode),
+      block,
+      notes,
+    );
+    if (!next) break;
+    notes.push(
+      `The implementation ${target} is itself a proxy (${next.pattern})`,
+    );
+    target = next.implementation;
+  }
+  return inspection;
+}
+
+module.exports = {
+  PROXY_PATTERNS,
+  SLOTS,
+  describeCode,
+  inspectAddress,
+  inspectionSchema,
+  slotAddress,
+};
@@ -0,0 +1,220 @@
+const { decodeEventLog, formatSignature, topicOf } = require("./abi");
+const { envInteger } = require("./env");
+const { toBigInt } = require("./units");
+
+// Log query settings, overridable through the environment
+const settings = {
+  chunkSize: envInteger("LOGS_CHUNK_SIZE", 1000),
+  maxBlocksPerPage: envInteger("LOGS_MAX_BLOCKS_PER_PAGE", 100000),
+};
+
+// Known provider messages for a block range or result set that is too large;
+// anything looser also matches unrelated errors such as "out of range"
+const RANGE_ERROR_PATTERN =
+  /block range|query returned more than|limit exceeded/i;
+
+// Rate limiting is not a range problem, whatever else the message says
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|throttl/i;
+
+function isRangeError(error) {
+  return (
+    Boolean(error.rpcError) &&
+    !RATE_LIMIT_PATTERN.test(error.message) &&
+    RANGE_ERROR_PATTERN.test(error.message)
+  );
+}
+
+/**
+ * Some nodes suggest a range that would work, e.g.
+ * "query returned more than 10000 results. Try with this block range [0x1, 0x2]"
+ */
+function suggestedEnd(error, start) {
+  const match = /\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/i.exec(error.message);
+  if (!match) return null;
+  const end = toBigInt(match[2]);
+  return end >= start ? end : null;
+}
+
+const hex = (n) => `0x${n.toString(16)}`;
+
+/**
+ * Fetch logs over a block range in chunks, halving the chunk size whenever the
+ * node rejects a range as too large. Stops once more than `limit` logs are
+ * collected or `maxBlocks` blocks are scanned and returns a cursor for the rest.
+ * @param {Function} call - `(method, params) => Promise<any>`
+ * @param {object} filter - eth_getLogs filter without fromBlock/toBlock
+ * @param {object} options - `{ fromBlock, toBlock, limit, skip, chunkSize, maxBlocks }`; `skip` drops the first logs of `fromBlock`
+ * @returns {Promise<object>} - `{ logs, next, scannedTo, chunkSize, requests, shrinks }` where `next` is `{ block, skip }`
+ *   or null and `scannedTo` is the last block whose logs are all included
+ */
+async function scanLogs(
+  call,
+  filter,
+  {
+    fromBlock,
+    toBlock,
+    limit,
+    skip = 0,
+    chunkSize = settings.chunkSize,
+    maxBlocks = settings.maxBlocksPerPage,
+  },
+) {
+  let size = BigInt(chunkSize);
+  const pageEnd = [toBlock, fromBlock + BigInt(maxBlocks) - 1n].reduce(
+    (a, b) => (a < b ? a : b),
+  );
+  const logs = [];
+  let start = fromBlock;
+  let requests = 0;
+  let shrinks = 0;
+
+  while (start <= pageEnd && logs.length <= limit) {
+    const end = start + size - 1n < pageEnd ? start + size - 1n : pageEnd;
+    let chunk;
+    try {
+      requests++;
+      chunk = await call("eth_getLogs", [
+        { ...filter, fromBlock: hex(start), toBlock: hex(end) },
+      ]);
+    } catch (error) {
+      if (!isRangeError(error)) throw error;
+      if (end === start) {
+        throw new Error(
+          `The node rejected logs for the single block ${start}: ${error.message}`,
+        );
+      }
+      const suggested = suggestedEnd(error, start);
+      size =
+        suggested !== null && suggested < end
+          ? suggested - start + 1n
+          : (end - start + 1n) / 2n;
+      shrinks++;
+      console.error(
+        `Log range ${start}-${end} too large, retrying with ${size} blocks`,
+      );
+      continue;
+    }
+
+    let skipped = start === fromBlock ? skip : 0;
+    for (const log of chunk || []) {
+      if (skipped > 0 && toBigInt(log.blockNumber) === fromBlock) {
+        skipped--;
+        continue;
+      }
+      logs.push(log);
+    }
+    start = end + 1n;
+  }
+
+  let next = null;
+  if (logs.length > limit) {
+    const block = toBigInt(logs[limit].blockNumber);
+    const kept = logs
+      .slice(0, limit)
+      .filter((log) => toBigInt(log.blockNumber) === block).length;
+    next = { block, skip: kept + (block === fromBlock ? skip : 0) };
+    logs.length = limit;
+  } else if (start <= toBlock) {
+    next = { block: start, skip: 0 };
+  }
+
+  return {
+    logs,
+    next,
+    scannedTo: next ? next.block - 1n : toBlock,
+    chunkSize: Number(size),
+    requests,
+    shrinks,
+  };
+}
+
+/**
+ * Index event fragments by topic for decoding
+ * @param {Array<object>} events - Event fragments
+ * @returns {Map<string, Array<object>>} - topic0 → fragments sharing it
+ */
+function indexEvents(events) {
+  const byTopic = new Map();
+  for (const event of events) {
+    const topic = topicOf(event);
+    byTopic.set(topic, [...(byTopic.get(topic) || []), event]);
+  }
+  return byTopic;
+}
+
+/**
+ * Decode a log against known events. Events sharing a topic (such as the
+ * ERC-20 and ERC-721 Transfer) are told apart by their indexed arguments.
+ * @param {object} log - The raw log
+ * @param {Map<string, Array<object>>} byTopic - The result of indexEvents
+ * @returns {object|null} - `{ name, signature, args }` plus the event's `source` if it has one, or null if unknown
+ */
+function decodeLog(log, byTopic) {
+  const topics = log.topics || [];
+  if (topics.length === 0) return null;
+  for (const event of byTopic.get(topics[0].toLowerCase()) || []) {
+    try {
+      const decoded = {
+        name: event.name,
+        signature: formatSignature(event),
+        args: decodeEventLog(event, topics, log.data),
+      };
+      if (event.source) decoded.source = event.source;
+      return decoded;
+    } catch {
+      // Try the next event with this topic
+    }
+  }
+  return null;
+}
+
+/**
+ * Encode a page cursor
+ * @param {object} position - `{ block, skip, range }`; the optional `range` is the
+ *   resolved `{ fromBlock, toBlock }` being paged through
+ * @returns {string} - An opaque cursor
+ */
+function encodeCursor({ block, skip, range = null }) {
+  return Buffer.from(
+    JSON.stringify({
+      block: block.toString(),
+      skip,
+      ...(range && {
+        fromBlock: range.fromBlock.toString(),
+        toBlock: range.toBlock.toString(),
+      }),
+    }),
+  ).toString("base64url");
+}
+
+/**
+ * Decode a page cursor
+ * @param {string} cursor - A cursor from encodeCursor
+ * @returns {{block: bigint, skip: number, range: object|null}} - The position, and the
+ *   `{ fromBlock, toBlock }` range when the cursor carries one
+ */
+function decodeCursor(cursor) {
+  try {
+    const { block, skip, fromBlock, toBlock } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8"),
+    );
+    if (!Number.isSafeInteger(skip) || skip < 0) throw new Error();
+    const range =
+      fromBlock === undefined
+        ? null
+        : { fromBlock: toBigInt(fromBlock), toBlock: toBigInt(toBlock) };
+    return { block: toBigInt(block), skip, range };
+  } catch {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+}
+
+module.exports = {
+  decodeCursor,
+  decodeLog,
+  encodeCursor,
+  indexEvents,
+  isRangeError,
+  scanLogs,
+  settings,
+};
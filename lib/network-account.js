@@ -0,0 +1,488 @@
+const { formatUnits, toBigInt } = require("./units");
+
+// Snapshots kept per network; the oldest are dropped first
+const MAX_SNAPSHOTS = 50;
+
+// Governance-relevant network parameters, by their path under `current`
+const GOVERNANCE_FIELDS = [
+  {
+    path: "stakeRequiredUsd",
+    category: "staking",
+    unit: "usd",
+    description: "Stake a nominator must lock to run a validator",
+  },
+  {
+    path: "restakeCooldown",
+    category: "staking",
+    unit: "ms",
+    description: "Time a nominator must wait after staking before restaking",
+  },
+  {
+    path: "certCycleDuration",
+    category: "staking",
+    unit: "cycles",
+    description: "Cycles a node's stake certificate stays valid",
+  },
+  {
+    path: "nodeRewardAmountUsd",
+    category: "rewards",
+    unit: "usd",
+    description: "Reward an active node earns per reward interval",
+  },
+  {
+    path: "nodeRewardInterval",
+    category: "rewards",
+    unit: "ms",
+    description: "How often active nodes earn the node reward",
+  },
+  {
+    path: "nodePenaltyUsd",
+    category: "penalties",
+    unit: "usd",
+    description: "Penalty taken from the stake of a misbehaving node",
+  },
+  {
+    path: "enableNodeSlashing",
+    category: "penalties",
+    description: "Whether node penalties are applied",
+  },
+  {
+    path: "slashing.leftNetworkEarlyPenaltyPercent",
+    category: "penalties",
+    description: "Share of the penalty charged to a node that leaves early",
+  },
+  {
+    path: "slashing.syncTimeoutPenaltyPercent",
+    category: "penalties",
+    description: "Share of the penalty charged to a node that fails to sync",
+  },
+  {
+    path: "slashing.nodeRefutedPenaltyPercent",
+    category: "penalties",
+    description:
+      "Share of the penalty charged to a node refuted after going down",
+  },
+  {
+    path: "maintenanceFee",
+    category: "fees",
+    description: "Fee charged to accounts each maintenance interval",
+  },
+  {
+    path: "maintenanceInterval",
+    category: "fees",
+    unit: "ms",
+    description: "How often the maintenance fee is charged",
+  },
+  {
+    path: "stabilityScaleMul",
+    category: "fees",
+    description:
+      "Numerator of the USD to SHM rate: SHM = USD × stabilityScaleMul / stabilityScaleDiv",
+  },
+  {
+    path: "stabilityScaleDiv",
+    category: "fees",
+    description: "Denominator of the USD to SHM rate",
+  },
+  {
+    path: "txPause",
+    category: "network",
+    description: "Whether user transactions are paused",
+  },
+  {
+    path: "minVersion",
+    category: "versions",
+    description: "Oldest validator version allowed to join",
+  },
+  {
+    path: "activeVersion",
+    category: "versions",
+    description: "Validator version the network runs",
+  },
+  {
+    path: "latestVersion",
+    category: "versions",
+    description: "Newest validator version released",
+  },
+  {
+    path: "archiver.minVersion",
+    category: "versions",
+    description: "Oldest archiver version allowed",
+  },
+  {
+    path: "archiver.activeVersion",
+    category: "versions",
+    description: "Archiver version the network runs",
+  },
+  {
+    path: "archiver.latestVersion",
+    category: "versions",
+    description: "Newest archiver version released",
+  },
+];
+
+const FIELDS_BY_PATH = new Map(
+  GOVERNANCE_FIELDS.map((field) => [field.path, field]),
+);
+
+// Account fields that change without any parameter changing
+const VOLATILE_FIELDS = new Set(["id", "hash", "timestamp", "listOfChanges"]);
+
+// Roots a parameter path can sit under in the account or a change entry
+const PARAMETER_ROOTS = new Set(["current", "next", "appData"]);
+
+/**
+ * Unwrap a shardeum_getNetworkAccount result
+ * @param {any} result - The RPC result
+ * @returns {object|null} - The network account
+ */
+function networkAccount(result) {
+  if (result === null || result === undefined) return null;
+  return result.networkAccount !== undefined ? result.networkAccount : result;
+}
+
+// Shardus serializes bigints as { dataType: "bi", value: <hex> }
+const isSerializedBigInt = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  value.dataType === "bi" &&
+  typeof value.value === "string";
+
+/**
+ * Read an integer amount as serialized in the network account
+ * @param {any} value - A serialized bigint, hex or decimal string, or number
+ * @returns {bigint|null} - The amount, or null when the value isn't an integer
+ */
+function decodeAmount(value) {
+  try {
+    if (isSerializedBigInt(value)) {
+      return toBigInt(`0x${value.value.replace(/^0x/i, "")}`);
+    }
+    return toBigInt(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flatten nested objects into dotted paths. Arrays and serialized bigints are
+ * kept whole and empty objects are left out.
+ * @param {object} value - The object
+ * @param {string} [prefix] - Path prefix
+ * @param {Map<string, any>} [into] - Map to add to
+ * @returns {Map<string, any>} - Leaf values by path
+ */
+function flatten(value, prefix = "", into = new Map()) {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (
+      child !== null &&
+      typeof child === "object" &&
+      !Array.isArray(child) &&
+      !isSerializedBigInt(child)
+    ) {
+      flatten(child, path, into);
+    } else {
+      into.set(path, child);
+    }
+  }
+  return into;
+}
+
+/**
+ * The governance field a path refers to, looked up without its root
+ * (`current.`, `next.` or `appData.`)
+ * @param {string} path - A flattened path
+ * @returns {object|null} - The GOVERNANCE_FIELDS entry
+ */
+function governanceField(path) {
+  const [root, ...rest] = path.split(".");
+  const relative = PARAMETER_ROOTS.has(root) ? rest.join(".") : path;
+  return FIELDS_BY_PATH.get(relative) || null;
+}
+
+function duration(ms) {
+  const units = [
+    ["d", 86400000],
+    ["h", 3600000],
+    ["m", 60000],
+    ["s", 1000],
+  ];
+  const parts = [];
+  let rest = ms;
+  for (const [unit, size] of units) {
+    if (rest >= size) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.length > 0 ? parts.join(" ") : `${ms} ms`;
+}
+
+/**
+ * Describe a parameter value for people: USD amounts with 18 decimals (and
+ * their SHM equivalent when the stability scale is known), durations, and
+ * everything else as JSON
+ * @param {any} value - The raw value
+ * @param {string} [unit] - "usd", "ms" or "cycles"
+ * @param {object} [parameters] - The parameters the value belongs to, for the stability scale
+ * @returns {string} - The description
+ */
+function describeValue(value, unit, parameters = {}) {
+  if (value === undefined || value === null) return "not set";
+  if (unit === "usd") {
+    const amount = decodeAmount(value);
+    if (amount === null) return JSON.stringify(value);
+    const mul = parameters.stabilityScaleMul;
+    const div = parameters.stabilityScaleDiv;
+    const shm =
+      Number.isSafeInteger(mul) && Number.isSafeInteger(div) && div > 0
+        ? ` (${formatUnits((amount * BigInt(mul)) / BigInt(div))} SHM)`
+        : "";
+    return `$${formatUnits(amount)}${shm}`;
+  }
+  if (unit === "ms" && typeof value === "number") {
+    return `${value} ms (${duration(value)})`;
+  }
+  if (unit === "cycles" && typeof value === "number") {
+    return `${value} cycle(s)`;
+  }
+  const amount = isSerializedBigInt(value) ? decodeAmount(value) : null;
+  return amount === null ? JSON.stringify(value) : amount.toString();
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare two sets of flattened values
+ * @param {Map<string, any>} before - Earlier values
+ * @param {Map<string, any>} after - Later values
+ * @returns {Array<{path: string, from: any, to: any}>} - Changed paths, sorted; absent values are null
+ */
+function diffValues(before, after) {
+  const paths = new Set([...before.keys(), ...after.keys()]);
+  return [...paths]
+    .filter((path) => !same(before.get(path), after.get(path)))
+    .sort()
+    .map((path) => ({
+      path,
+      from: before.has(path) ? before.get(path) : null,
+      to: after.has(path) ? after.get(path) : null,
+    }));
+}
+
+/**
+ * The values a listOfChanges entry sets, flattened. Shardus config changes keep
+ * their path and app parameter changes are put under `appData.`.
+ * @param {object} entry - A `{ cycle, change, appData }` entry
+ * @returns {Array<{path: string, value: any}>} - The values set
+ */
+function changeValues(entry) {
+  const values = flatten(entry.change || {});
+  if (entry.appData && typeof entry.appData === "object") {
+    flatten(entry.appData, "appData", values);
+  }
+  return [...values].map(([path, value]) => ({ path, value }));
+}
+
+/**
+ * Explain a network account: the governance fields of the current parameters,
+ * the parameters queued in `next`, and the scheduled listOfChanges entries
+ * @param {object} account - The network account
+ * @param {number|null} cycle - The current cycle, to tell scheduled changes from applied ones
+ * @returns {object} - `{ fields, next, changes }`; `fields` lists `{ path, category, description,
+ *   value, raw }` for each governance field present, `next` the `{ path, from, to }` differences between
+ *   `next` and `current`, and `changes` every listOfChanges entry as `{ cycle, pending, values }`
+ */
+function explainAccount(account, cycle) {
+  const current = account.current || {};
+  const values = flatten(current);
+  const fields = GOVERNANCE_FIELDS.filter((field) =>
+    values.has(field.path),
+  ).map((field) => ({
+    path: `current.${field.path}`,
+    category: field.category,
+    description: field.description,
+    value: describeValue(values.get(field.path), field.unit, current),
+    raw: values.get(field.path),
+  }));
+
+  // An empty `next` means nothing is queued
+  const queued = flatten(account.next || {});
+  const next =
+    queued.size > 0
+      ? diffValues(values, queued).filter(({ to }) => to !== null)
+      : [];
+
+  const changes = (
+    Array.isArray(account.listOfChanges) ? account.listOfChanges : []
+  ).map((entry) => ({
+    cycle: Number(entry.cycle),
+    pending: cycle !== null && Number(entry.cycle) > cycle,
+    values: changeValues(entry),
+  }));
+
+  return { fields, next, changes };
+}
+
+// The non-volatile fields of an account, flattened, with `next` reduced to
+// the values that differ from `current`
+function stableValues(account) {
+  const values = new Map();
+  for (const [key, value] of Object.entries(account || {})) {
+    if (!VOLATILE_FIELDS.has(key) && key !== "next") {
+      flatten({ [key]: value }, "", values);
+    }
+  }
+  const current = flatten(account && account.current);
+  for (const [path, value] of flatten(account && account.next)) {
+    if (!same(current.get(path), value)) values.set(`next.${path}`, value);
+  }
+  return values;
+}
+
+/**
+ * Diff two network accounts: every parameter in `current`, the values `next`
+ * would change, and the other non-volatile account fields
+ * @param {object} before - The earlier account
+ * @param {object} after - The later account
+ * @returns {Array<{path: string, from: any, to: any}>} - The changes, sorted by path
+ */
+function diffAccounts(before, after) {
+  return diffValues(stableValues(before), stableValues(after));
+}
+
+/**
+ * The values listOfChanges entries set after a cycle, up to `until`. `from`
+ * is the value the same path was last set to at or before `cycle`, or null
+ * when no earlier entry set it.
+ * @param {object} account - The network account
+ * @param {number} cycle - The cycle to look from
+ * @param {number|null} until - The last cycle to include, or null for all
+ * @returns {Array<{cycle: number, path: string, from: any, to: any}>} - In cycle order
+ */
+function changesSince(account, cycle, until) {
+  const entries = (
+    Array.isArray(account.listOfChanges) ? account.listOfChanges : []
+  )
+    .map((entry) => ({
+      cycle: Number(entry.cycle),
+      values: changeValues(entry),
+    }))
+    .sort((a, b) => a.cycle - b.cycle);
+  const known = new Map();
+  const found = [];
+  for (const entry of entries) {
+    if (until !== null && entry.cycle > until) break;
+    for (const { path, value } of entry.values) {
+      if (entry.cycle > cycle) {
+        found.push({
+          cycle: entry.cycle,
+          path,
+          from: known.has(path) ? known.get(path) : null,
+          to: value,
+        });
+      }
+      known.set(path, value);
+    }
+  }
+  return found;
+}
+
+/**
+ * Create an in-memory store of network account snapshots. Reading an account
+ * identical to the latest snapshot extends that snapshot instead of adding one.
+ * @param {object} [options] - `{ maxSnapshots }` per network
+ * @returns {object} - The store
+ */
+function createSnapshotStore({ maxSnapshots = MAX_SNAPSHOTS } = {}) {
+  const byNetwork = new Map();
+  let sequence = 0;
+
+  const describe = (snapshot) => ({
+    id: snapshot.id,
+    cycle: snapshot.cycle,
+    lastSeenCycle: snapshot.lastSeenCycle,
+    takenAt: snapshot.takenAt,
+    lastSeenAt: snapshot.lastSeenAt,
+  });
+
+  return {
+    /**
+     * Record an account read
+     * @param {string} network - The network name
+     * @param {object} account - The network account
+     * @param {number|null} cycle - The cycle it was read at
+     * @returns {object} - The snapshot holding it
+     */
+    record(network, account, cycle) {
+      const snapshots = byNetwork.get(network) || [];
+      byNetwork.set(network, snapshots);
+      const now = new Date().toISOString();
+      const latest = snapshots[snapshots.length - 1];
+      if (latest && diffAccounts(latest.account, account).length === 0) {
+        latest.account = account;
+        latest.lastSeenCycle = cycle ?? latest.lastSeenCycle;
+        latest.lastSeenAt = now;
+        return latest;
+      }
+      const snapshot = {
+        id: String(++sequence),
+        network,
+        cycle,
+        lastSeenCycle: cycle,
+        takenAt: now,
+        lastSeenAt: now,
+        account,
+      };
+      snapshots.push(snapshot);
+      if (snapshots.length > maxSnapshots) snapshots.shift();
+      return snapshot;
+    },
+
+    /**
+     * A snapshot by id
+     * @returns {object|undefined} - The snapshot
+     */
+    get(network, id) {
+      return (byNetwork.get(network) || []).find(
+        (snapshot) => snapshot.id === String(id),
+      );
+    },
+
+    /**
+     * The latest snapshot first read at or before a cycle
+     * @param {string} network - The network name
+     * @param {number} cycle - The cycle
+     * @returns {object|undefined} - The snapshot
+     */
+    atCycle(network, cycle) {
+      return (byNetwork.get(network) || [])
+        .filter(
+          (snapshot) => snapshot.cycle !== null && snapshot.cycle <= cycle,
+        )
+        .pop();
+    },
+
+    /**
+     * List a network's snapshots, oldest first
+     * @param {string} network - The network name
+     * @returns {Array<object>} - `{ id, cycle, lastSeenCycle, takenAt, lastSeenAt }`
+     */
+    list(network) {
+      return (byNetwork.get(network) || []).map(describe);
+    },
+  };
+}
+
+module.exports = {
+  GOVERNANCE_FIELDS,
+  changesSince,
+  createSnapshotStore,
+  decodeAmount,
+  describeValue,
+  diffAccounts,
+  explainAccount,
+  governanceField,
+  networkAccount,
+};
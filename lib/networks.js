@@ -0,0 +1,252 @@
+const fs = require("fs");
+const { toSafeNumber } = require("./units");
+
+// Networks available out of the box. A registry file or SHARDEUM_NETWORKS
+// replaces this list entirely.
+const BUILTIN_NETWORKS = {
+  mainnet: {
+    rpcUrl: "https://api.shardeum.org/",
+    chainId: 8118,
+    description: "Shardeum mainnet",
+  },
+  testnet: {
+    rpcUrl: "https://api-testnet.shardeum.org/",
+    chainId: 8083,
+    description: "Shardeum public testnet",
+  },
+  local: {
+    rpcUrl: "http://localhost:8080/",
+    chainId: 8082,
+    description: "Local devnet (json-rpc-server defaults)",
+  },
+};
+
+const DEFAULT_NETWORK = "testnet";
+
+/**
+ * Parse a chain ID given as a number, decimal string or hex string
+ * @param {number|string|undefined} value - The chain ID to parse
+ * @returns {number|undefined} - The chain ID as a number
+ */
+function parseChainId(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  let chainId;
+  try {
+    chainId = toSafeNumber(value);
+  } catch {
+    throw new Error(`Invalid chain ID: ${value}`);
+  }
+  if (chainId < 0) throw new Error(`Invalid chain ID: ${value}`);
+  return chainId;
+}
+
+function normalizeUrl(url) {
+  return String(url).replace(/\/+$/, "");
+}
+
+/**
+ * Read the network definition from SHARDEUM_NETWORKS, which may hold either
+ * inline JSON or a path to a JSON file
+ * @param {object} env - The environment to read from
+ * @returns {object|undefined} - The parsed definition
+ */
+function readNetworksConfig(env) {
+  const source = env.SHARDEUM_NETWORKS;
+  if (!source) return undefined;
+
+  const text = source.trim().startsWith("{")
+    ? source
+    : fs.readFileSync(source, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(
+      `Invalid SHARDEUM_NETWORKS configuration: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Create a registry of named networks
+ * @param {object} definition - `{ default, networks: { name: { rpcUrl | rpcUrls, chainId, description } } }`
+ * @returns {object} - The network registry
+ */
+function createNetworkRegistry(definition = {}) {
+  const networks = new Map();
+
+  for (const [name, entry] of Object.entries(definition.networks || {})) {
+    if (
+      entry &&
+      entry.rpcUrls !== undefined &&
+      (!Array.isArray(entry.rpcUrls) ||
+        !entry.rpcUrls.every((url) => typeof url === "string" && url))
+    ) {
+      throw new Error(`Network "${name}" rpcUrls must be an array of URLs`);
+    }
+    const rpcUrls = entry && (entry.rpcUrls || [entry.rpcUrl].filter(Boolean));
+    if (!rpcUrls || rpcUrls.length === 0) {
+      throw new Error(`Network "${name}" is missing an rpcUrl`);
+    }
+    networks.set(name, {
+      name,
+      // Endpoints in failover order; rpcUrl is the primary
+      rpcUrl: rpcUrls[0],
+      rpcUrls,
+      chainId: parseChainId(entry.chainId),
+      description: entry.description,
+      verification: { status: "unchecked" },
+    });
+  }
+
+  if (networks.size === 0) {
+    throw new Error("No networks configured");
+  }
+
+  const defaultName = definition.default || networks.keys().next().value;
+  if (!networks.has(defaultName)) {
+    throw new Error(`Default network "${defaultName}" is not configured`);
+  }
+
+  return {
+    defaultName,
+
+    /**
+     * List all configured networks
+     * @returns {Array<object>} - The network entries
+     */
+    list() {
+      return Array.from(networks.values());
+    },
+
+    /**
+     * Look up a network by name, falling back to the default network
+     * @param {string} [name] - The network name
+     * @returns {object} - The network entry
+     */
+    resolve(name) {
+      const network = networks.get(name || defaultName);
+      if (!network) {
+        throw new Error(
+          `Unknown network "${name}". Configured networks: ${Array.from(
+            networks.keys(),
+          ).join(", ")}`,
+        );
+      }
+      return network;
+    },
+  };
+}
+
+/**
+ * Build the network registry from environment variables.
+ *
+ * - SHARDEUM_NETWORKS: inline JSON or a path to a JSON file with
+ *   `{ "default": "...", "networks": { "<name>": { "rpcUrls", "chainId" } } }`
+ * - SHARDEUM_NETWORK: name of the default network
+ * - RPC_URL / CHAIN_ID: legacy endpoint (comma-separated for failover),
+ *   selected as the default
+ * @param {object} env - The environment to read from
+ * @returns {object} - The network registry
+ */
+function loadNetworks(env = process.env) {
+  const config = readNetworksConfig(env);
+  const definition = config
+    ? config.networks
+      ? { default: config.default, networks: { ...config.networks } }
+      : { networks: { ...config } }
+    : { default: DEFAULT_NETWORK, networks: { ...BUILTIN_NETWORKS } };
+
+  if (env.RPC_URL) {
+    const rpcUrls = env.RPC_URL.split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+    // Entries without a URL are reported by createNetworkRegistry below
+    const existing = Object.entries(definition.networks).find(([, entry]) => {
+      const url = entry && (entry.rpcUrl || (entry.rpcUrls || [])[0]);
+      return url && normalizeUrl(url) === normalizeUrl(rpcUrls[0]);
+    });
+    if (existing) {
+      const [name, entry] = existing;
+      // The RPC_URL failover list comes first, then the network's own endpoints
+      const known = new Set(rpcUrls.map(normalizeUrl));
+      const own = entry.rpcUrls || [entry.rpcUrl];
+      definition.networks[name] = {
+        ...entry,
+        rpcUrl: undefined,
+        rpcUrls: [
+          ...rpcUrls,
+          ...own.filter((url) => !known.has(normalizeUrl(url))),
+        ],
+      };
+      definition.default = name;
+    } else {
+      definition.networks.custom = {
+        rpcUrls,
+        chainId: env.CHAIN_ID,
+        description: "Endpoint from RPC_URL",
+      };
+      definition.default = "custom";
+    }
+  }
+
+  if (env.SHARDEUM_NETWORK) {
+    definition.default = env.SHARDEUM_NETWORK;
+  }
+
+  return createNetworkRegistry(definition);
+}
+
+/**
+ * Check every endpoint's eth_chainId against its network's expected chain ID
+ * and record the outcome on the network entry
+ * @param {object} registry - The network registry
+ * @param {Function} rpcCall - `(method, params, rpcUrl) => Promise<any>`
+ * @returns {Promise<Array<object>>} - The network entries after verification
+ */
+async function verifyNetworks(registry, rpcCall) {
+  const networks = registry.list();
+
+  await Promise.all(
+    networks.map(async (network) => {
+      const endpoints = await Promise.all(
+        network.rpcUrls.map(async (url) => {
+          try {
+            const actualChainId = toSafeNumber(
+              await rpcCall("eth_chainId", [], url),
+            );
+            let status = "ok";
+            if (network.chainId === undefined) status = "unverified";
+            else if (network.chainId !== actualChainId) status = "mismatch";
+            return { url, status, actualChainId };
+          } catch (error) {
+            return { url, status: "unreachable", error: error.message };
+          }
+        }),
+      );
+
+      // A network is only as trustworthy as its worst reachable endpoint
+      const statuses = endpoints.map((endpoint) => endpoint.status);
+      let status = "ok";
+      if (statuses.includes("mismatch")) status = "mismatch";
+      else if (statuses.every((s) => s === "unreachable"))
+        status = "unreachable";
+      else if (statuses.includes("unverified")) status = "unverified";
+
+      network.verification = {
+        status,
+        endpoints,
+        checkedAt: new Date().toISOString(),
+      };
+    }),
+  );
+
+  return networks;
+}
+
+module.exports = {
+  BUILTIN_NETWORKS,
+  createNetworkRegistry,
+  loadNetworks,
+  parseChainId,
+  verifyNetworks,
+};
@@ -0,0 +1,519 @@
+const axios = require("axios");
+const dns = require("dns");
+const net = require("net");
+const { z } = require("zod");
+const { decodeParams, encodeFunctionData, parseFragment } = require("./abi");
+const { envInteger } = require("./env");
+const { decodeText } = require("./erc20");
+const { toBigInt } = require("./units");
+
+// ERC-165 interface ids
+const INTERFACE_IDS = {
+  erc165: "0x01ffc9a7",
+  erc721: "0x80ac58cd",
+  erc721Metadata: "0x5b5e139f",
+  erc721Enumerable: "0x780e9d63",
+  erc1155: "0xd9b67a26",
+  erc1155MetadataURI: "0x0e89341c",
+};
+
+const NFT = {
+  supportsInterface: parseFragment(
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  ),
+  name: parseFragment("function name() view returns (string)"),
+  symbol: parseFragment("function symbol() view returns (string)"),
+  totalSupply: parseFragment("function totalSupply() view returns (uint256)"),
+  ownerOf: parseFragment(
+    "function ownerOf(uint256 tokenId) view returns (address)",
+  ),
+  balanceOf721: parseFragment(
+    "function balanceOf(address owner) view returns (uint256)",
+  ),
+  balanceOf1155: parseFragment(
+    "function balanceOf(address account, uint256 id) view returns (uint256)",
+  ),
+  tokenURI: parseFragment(
+    "function tokenURI(uint256 tokenId) view returns (string)",
+  ),
+  uri: parseFragment("function uri(uint256 id) view returns (string)"),
+};
+
+const STANDARDS = ["ERC-721", "ERC-1155"];
+
+const interfacesSchema = z.object({
+  isContract: z.boolean(),
+  erc165: z.boolean(),
+  supports: z.object(
+    Object.fromEntries(
+      Object.keys(INTERFACE_IDS)
+        .filter((key) => key !== "erc165")
+        .map((key) => [key, z.boolean()]),
+    ),
+  ),
+  standard: z.enum(STANDARDS).nullable(),
+});
+
+const metadataSchema = z.object({
+  uri: z.string().nullable(),
+  resolvedUrl: z.string().nullable(),
+  scheme: z.enum(["data", "http", "ipfs", "arweave", "other"]).nullable(),
+  status: z.enum(["decoded", "fetched", "skipped", "failed", "none"]),
+  contentType: z.string().nullable(),
+  metadata: z.any().nullable(),
+  content: z.string().nullable(),
+  truncated: z.boolean(),
+  error: z.string().nullable(),
+});
+
+// Settings for fetching off-chain metadata, overridable through the environment
+const fetchSettings = {
+  enabled: /^(1|true|yes)$/i.test(process.env.NFT_METADATA_FETCH || ""),
+  ipfsGateway: process.env.IPFS_GATEWAY || "https://ipfs.io/ipfs/",
+  timeoutMs: envInteger("NFT_METADATA_TIMEOUT_MS", 5000),
+  maxBytes: envInteger("NFT_METADATA_MAX_BYTES", 1024 * 1024),
+};
+
+// Longest body returned inline, JSON or not
+const MAX_INLINE_CONTENT = 4096;
+
+/**
+ * Whether an IP address is publicly routable: not loopback, private,
+ * link-local (including cloud metadata endpoints), shared, multicast or
+ * reserved
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} - Whether it is public
+ */
+function isPublicAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return !(
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224
+    );
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped addresses, dotted or in hex
+    const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (dotted) return isPublicAddress(dotted[1]);
+    const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (hex) {
+      const high = parseInt(hex[1], 16);
+      const low = parseInt(hex[2], 16);
+      return isPublicAddress(
+        [high >> 8, high & 255, low >> 8, low & 255].join("."),
+      );
+    }
+    return !(
+      lower === "::" ||
+      lower === "::1" ||
+      /^f[cd]/.test(lower) ||
+      /^fe[89ab]/.test(lower) ||
+      /^ff/.test(lower)
+    );
+  }
+  return false;
+}
+
+function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(
+      `Refusing to fetch metadata from ${host}: not a public address`,
+    );
+  }
+}
+
+// dns.lookup that refuses hosts resolving to non-public addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(
+        new Error(
+          `Refusing to fetch metadata from ${hostname}: ${blocked.address} is not a public address`,
+        ),
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Create the fetcher used for HTTP(S) metadata URLs. Token URIs are chosen by
+ * the contract, so hosts (and redirect targets) that resolve to non-public
+ * addresses are refused.
+ * @param {object} [options] - `{ timeoutMs, maxBytes }`
+ * @returns {Function} - `(url) => Promise<{contentType: string|null, body: string}>`
+ */
+function createMetadataFetcher({
+  timeoutMs = fetchSettings.timeoutMs,
+  maxBytes = fetchSettings.maxBytes,
+} = {}) {
+  return async (url) => {
+    assertPublicHost(new URL(url).hostname);
+    const response = await axios.get(url, {
+      timeout: timeoutMs,
+      maxContentLength: maxBytes,
+      maxRedirects: 3,
+      lookup: publicLookup,
+      beforeRedirect: (options) => assertPublicHost(options.hostname),
+      responseType: "text",
+      transformResponse: (body) => body,
+    });
+    return {
+      contentType: response.headers["content-type"] || null,
+      body: response.data,
+    };
+  };
+}
+
+/**
+ * Call a view function on every target in one batch
+ * @returns {Promise<Array<string|null>>} - Return data, or null for calls that failed
+ */
+async function batchCalls(batch, calls, block) {
+  const responses = await batch(
+    calls.map(({ to, fragment, args = [] }) => ({
+      method: "eth_call",
+      params: [{ to, data: encodeFunctionData(fragment, args) }, block],
+    })),
+  );
+  return responses.map((response) =>
+    response.error || !response.result || response.result === "0x"
+      ? null
+      : response.result,
+  );
+}
+
+function decodeSingle(fragment, data) {
+  if (data === null) return null;
+  try {
+    return decodeParams(fragment.outputs, data)[0].value;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Detect which NFT interfaces a contract reports through ERC-165. A contract
+ * only counts as ERC-165 compliant if it also rejects the invalid id 0xffffffff.
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>`
+ * @param {string} address - The contract address
+ * @param {string|object} [block="latest"] - The RPC block parameter
+ * @returns {Promise<object>} - `{ isContract, erc165, supports, standard }`
+ */
+async function detectInterfaces(batch, address, block = "latest") {
+  const ids = Object.entries(INTERFACE_IDS).filter(([key]) => key !== "erc165");
+  const [code, ...results] = await batch([
+    { method: "eth_getCode", params: [address, block] },
+    ...[INTERFACE_IDS.erc165, "0xffffffff", ...ids.map(([, id]) => id)].map(
+      (id) => ({
+        method: "eth_call",
+        params: [
+          {
+            to: address,
+            data: encodeFunctionData(NFT.supportsInterface, [id]),
+          },
+          block,
+        ],
+      }),
+    ),
+  ]);
+  if (code.error) {
+    throw new Error(`Failed to read code at ${address}: ${code.error.message}`);
+  }
+  const supported = results.map(
+    (response) =>
+      !response.error &&
+      decodeSingle(NFT.supportsInterface, response.result || null) === true,
+  );
+  const [erc165, invalid, ...rest] = supported;
+  const compliant = erc165 && !invalid;
+  const supports = Object.fromEntries(
+    ids.map(([key], i) => [key, compliant && rest[i]]),
+  );
+
+  return {
+    isContract: Boolean(code.result) && code.result !== "0x",
+    erc165: compliant,
+    supports,
+    standard: supports.erc721
+      ? "ERC-721"
+      : supports.erc1155
+        ? "ERC-1155"
+        : null,
+  };
+}
+
+/**
+ * Read collection-level data: name, symbol and, for enumerable ERC-721
+ * contracts, total supply
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>`
+ * @param {string} address - The contract address
+ * @param {object} interfaces - The result of detectInterfaces
+ * @param {string|object} [block="latest"] - The RPC block parameter
+ * @returns {Promise<{name: string|null, symbol: string|null, totalSupply: string|null}>} - The collection data
+ */
+async function readCollection(batch, address, interfaces, block = "latest") {
+  const calls = [
+    { to: address, fragment: NFT.name },
+    { to: address, fragment: NFT.symbol },
+  ];
+  if (interfaces.supports.erc721Enumerable) {
+    calls.push({ to: address, fragment: NFT.totalSupply });
+  }
+  const [name, symbol, totalSupply = null] = await batchCalls(
+    batch,
+    calls,
+    block,
+  );
+  return {
+    name: decodeText(name).value,
+    symbol: decodeText(symbol).value,
+    totalSupply: decodeSingle(NFT.totalSupply, totalSupply),
+  };
+}
+
+/**
+ * Substitute the ERC-1155 `{id}` placeholder: the token id as 64 lowercase
+ * hex characters without a 0x prefix
+ * @param {string} uri - The URI template
+ * @param {bigint} tokenId - The token id
+ * @returns {string} - The expanded URI
+ */
+function expandTokenUri(uri, tokenId) {
+  return uri.replace(/\{id\}/g, tokenId.toString(16).padStart(64, "0"));
+}
+
+/**
+ * Read token-level data for one token id
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>`
+ * @param {string} address - The contract address
+ * @param {"ERC-721"|"ERC-1155"} standard - The token standard
+ * @param {string|number|bigint} tokenId - The token id (decimal or hex)
+ * @param {object} [options] - `{ owner, block }`; `owner` adds a balance lookup
+ * @returns {Promise<object>} - `{ tokenId, owner, uri, balance }`
+ */
+async function readToken(
+  batch,
+  address,
+  standard,
+  tokenId,
+  { owner, block = "latest" } = {},
+) {
+  const id = toBigInt(tokenId);
+  const calls =
+    standard === "ERC-721"
+      ? [
+          { to: address, fragment: NFT.ownerOf, args: [id] },
+          { to: address, fragment: NFT.tokenURI, args: [id] },
+        ]
+      : [{ to: address, fragment: NFT.uri, args: [id] }];
+  if (owner) {
+    calls.push(
+      standard === "ERC-721"
+        ? { to: address, fragment: NFT.balanceOf721, args: [owner] }
+        : { to: address, fragment: NFT.balanceOf1155, args: [owner, id] },
+    );
+  }
+  const results = await batchCalls(batch, calls, block);
+
+  if (standard === "ERC-721") {
+    const [ownerOf, tokenURI, balance = null] = results;
+    return {
+      tokenId: id.toString(),
+      owner: decodeSingle(NFT.ownerOf, ownerOf),
+      uri: decodeSingle(NFT.tokenURI, tokenURI),
+      balance: decodeSingle(NFT.balanceOf721, balance),
+    };
+  }
+  const [uri, balance = null] = results;
+  const template = decodeSingle(NFT.uri, uri);
+  return {
+    tokenId: id.toString(),
+    owner: null,
+    uri: template === null ? null : expandTokenUri(template, id),
+    balance: decodeSingle(NFT.balanceOf1155, balance),
+  };
+}
+
+/**
+ * Read the balance of an owner, for a whole ERC-721 collection or a single
+ * ERC-1155 token id
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>`
+ * @param {string} address - The contract address
+ * @param {"ERC-721"|"ERC-1155"} standard - The token standard
+ * @param {string} owner - The owner address
+ * @param {object} [options] - `{ tokenId, block }`; `tokenId` is required for ERC-1155
+ * @returns {Promise<string|null>} - The balance as a decimal string
+ */
+async function readBalance(
+  batch,
+  address,
+  standard,
+  owner,
+  { tokenId, block = "latest" } = {},
+) {
+  if (standard === "ERC-1155" && tokenId === undefined) {
+    throw new Error("ERC-1155 balances are per token; a tokenId is required");
+  }
+  const call =
+    standard === "ERC-721"
+      ? { to: address, fragment: NFT.balanceOf721, args: [owner] }
+      : {
+          to: address,
+          fragment: NFT.balanceOf1155,
+          args: [owner, toBigInt(tokenId)],
+        };
+  const [result] = await batchCalls(batch, [call], block);
+  return decodeSingle(call.fragment, result);
+}
+
+/**
+ * Decode an RFC 2397 data URI
+ * @param {string} uri - The data URI
+ * @returns {{contentType: string, body: string}} - The decoded content
+ */
+function decodeDataUri(uri) {
+  const match = /^data:([^,]*),(.*)$/s.exec(uri);
+  if (!match) throw new Error("Malformed data URI");
+  const params = match[1].split(";");
+  const base64 = params[params.length - 1].toLowerCase() === "base64";
+  const contentType =
+    (base64 ? params.slice(0, -1) : params).join(";") ||
+    "text/plain;charset=US-ASCII";
+  const body = base64
+    ? Buffer.from(match[2], "base64").toString("utf8")
+    : decodeURIComponent(match[2]);
+  return { contentType, body };
+}
+
+/**
+ * Map a token URI to the URL that would be fetched
+ * @returns {{scheme: string, url: string|null}} - The scheme and HTTP(S) URL, if any
+ */
+function resolveUrl(uri, ipfsGateway) {
+  if (/^data:/i.test(uri)) return { scheme: "data", url: null };
+  if (/^https?:\/\//i.test(uri)) return { scheme: "http", url: uri };
+  const ipfs = /^ipfs:\/\/(?:ipfs\/)?(.+)$/i.exec(uri);
+  if (ipfs) {
+    return {
+      scheme: "ipfs",
+      url: `${ipfsGateway.replace(/\/?$/, "/")}${ipfs[1]}`,
+    };
+  }
+  const arweave = /^ar:\/\/(.+)$/i.exec(uri);
+  if (arweave) {
+    return { scheme: "arweave", url: `https://arweave.net/${arweave[1]}` };
+  }
+  return { scheme: "other", url: null };
+}
+
+/**
+ * Parse a metadata body. JSON longer than MAX_INLINE_CONTENT is returned as
+ * truncated text in `content` rather than parsed, like any other long body.
+ * @param {string|null} contentType - The content type
+ * @param {string} body - The body
+ * @returns {{metadata: any, content: string|null, truncated: boolean}} - The parsed metadata or text
+ */
+function parseContent(contentType, body) {
+  const truncated = body.length > MAX_INLINE_CONTENT;
+  const text = truncated
+    ? `${body.slice(0, MAX_INLINE_CONTENT)}... (${body.length - MAX_INLINE_CONTENT} more characters)`
+    : body;
+  try {
+    const metadata = JSON.parse(body);
+    return truncated
+      ? { metadata: null, content: text, truncated }
+      : { metadata, content: null, truncated };
+  } catch {
+    if (/json/i.test(contentType || "")) {
+      return { metadata: null, content: null, truncated: false };
+    }
+    return { metadata: null, content: text, truncated };
+  }
+}
+
+/**
+ * Resolve token metadata from its URI. Data URIs are always decoded inline;
+ * HTTP, IPFS and Arweave URIs are only fetched when a fetcher is given.
+ * @param {string|null} uri - The token URI
+ * @param {object} [options] - `{ fetcher, ipfsGateway }` where `fetcher(url)` resolves `{ contentType, body }`
+ * @returns {Promise<object>} - Matches metadataSchema
+ */
+async function resolveMetadata(
+  uri,
+  { fetcher = null, ipfsGateway = fetchSettings.ipfsGateway } = {},
+) {
+  const result = {
+    uri,
+    resolvedUrl: null,
+    scheme: null,
+    status: "none",
+    contentType: null,
+    metadata: null,
+    content: null,
+    truncated: false,
+    error: null,
+  };
+  if (!uri) return result;
+
+  const { scheme, url } = resolveUrl(uri.trim(), ipfsGateway);
+  result.scheme = scheme;
+  result.resolvedUrl = url;
+
+  try {
+    if (scheme === "data") {
+      const { contentType, body } = decodeDataUri(uri.trim());
+      Object.assign(result, parseContent(contentType, body), {
+        contentType,
+        status: "decoded",
+      });
+    } else if (!url) {
+      result.status = "skipped";
+      result.error = "Unsupported URI scheme";
+    } else if (!fetcher) {
+      result.status = "skipped";
+      result.error =
+        "Metadata fetching is disabled (set NFT_METADATA_FETCH=true to enable)";
+    } else {
+      const { contentType, body } = await fetcher(url);
+      Object.assign(result, parseContent(contentType, body), {
+        contentType,
+        status: "fetched",
+      });
+    }
+  } catch (error) {
+    result.status = "failed";
+    result.error = error.message;
+  }
+  return result;
+}
+
+module.exports = {
+  INTERFACE_IDS,
+  STANDARDS,
+  createMetadataFetcher,
+  decodeDataUri,
+  detectInterfaces,
+  expandTokenUri,
+  fetchSettings,
+  interfacesSchema,
+  isPublicAddress,
+  metadataSchema,
+  readBalance,
+  readCollection,
+  readToken,
+  resolveMetadata,
+};
@@ -0,0 +1,357 @@
+const { mapLimit } = require("./concurrency");
+const { envInteger } = require("./env");
+const { decodeAmount } = require("./network-account");
+
+// Node list paging settings, overridable through the environment
+const settings = {
+  pageSize: envInteger("NODE_LIST_PAGE_SIZE", 100),
+  maxPages: envInteger("NODE_LIST_MAX_PAGES", 100),
+  concurrency: envInteger("NODE_LIST_CONCURRENCY", 4),
+};
+
+// Entries listed per aggregate
+const MAX_BUCKETS = 20;
+
+/**
+ * Extract the node entries from a shardeum_getNodeList result
+ * @param {any} nodeList - The RPC result
+ * @returns {Array<object>} - The nodes
+ */
+function extractNodes(nodeList) {
+  if (Array.isArray(nodeList)) return nodeList;
+  if (!nodeList) return [];
+  return nodeList.nodeList || nodeList.nodes || [];
+}
+
+function extractTotal(nodeList) {
+  const total = nodeList && (nodeList.totalNodes ?? nodeList.total);
+  return total === undefined || total === null ? null : Number(total);
+}
+
+const first = (...values) =>
+  values.find((value) => value !== undefined && value !== null && value !== "");
+
+/**
+ * Read the commonly used fields of a node entry, whose names differ between
+ * Shardeum releases
+ * @param {object} node - A node list entry
+ * @returns {object} - `{ id, publicKey, status, ip, port, version, asn, region, nominator, activeCycle,
+ *   activeTimestamp }`, null when absent
+ */
+function nodeFields(node) {
+  const appData = node.appData || {};
+  const geo = node.geo || node.location || node.ipInfo || {};
+  const value = (...values) => first(...values) ?? null;
+  return {
+    id: value(node.id, node.nodeId),
+    publicKey: value(node.publicKey, node.pubKey),
+    status: value(node.status, node.state),
+    ip: value(node.ip, node.externalIp, node.ipAddress),
+    port: value(node.port, node.externalPort),
+    version: value(
+      node.version,
+      node.appVersion,
+      node.shardeumVersion,
+      appData.shardeumVersion,
+    ),
+    asn: value(node.asn, geo.asn, geo.org),
+    region: value(node.region, node.country, geo.region, geo.country),
+    nominator: value(
+      node.nominator,
+      node.nominatorAddress,
+      appData.nominator,
+      node.stakeOwner,
+    ),
+    activeCycle: value(node.activeCycle, appData.activeCycle),
+    activeTimestamp: value(node.activeTimestamp, appData.activeTimestamp),
+  };
+}
+
+/**
+ * The key nodes are deduplicated by: the node id, else the public key
+ * @param {object} node - A node list entry
+ * @returns {string|null} - The key
+ */
+function nodeKey(node) {
+  const { id, publicKey } = nodeFields(node);
+  const key = id ?? publicKey;
+  return key === null ? null : String(key).toLowerCase();
+}
+
+/**
+ * Fetch every page of shardeum_getNodeList. When the node reports a total the
+ * remaining pages are fetched `concurrency` at a time; otherwise pages are read
+ * in groups of `concurrency` until a short page. At most `maxPages` pages are
+ * read. Nodes are deduplicated by id or public key, since pages can shift while
+ * they are read.
+ * @param {Function} call - `(method, params) => Promise<any>`
+ * @param {object} options - `{ pageSize, maxPages, concurrency }`
+ * @returns {Promise<object>} - `{ nodes, total, pages, duplicates, truncated }`
+ */
+async function fetchAllNodes(
+  call,
+  {
+    pageSize = settings.pageSize,
+    maxPages = settings.maxPages,
+    concurrency = settings.concurrency,
+  } = {},
+) {
+  const readPage = (page) =>
+    call("shardeum_getNodeList", [{ page, limit: pageSize }]);
+
+  const firstPage = await readPage(1);
+  const total = extractTotal(firstPage);
+  const results = [extractNodes(firstPage)];
+  let truncated = false;
+
+  if (total !== null) {
+    // Nodes may cap the page size below the one asked for
+    const served = results[0].length;
+    const perPage =
+      served > 0 && served < pageSize && total > served ? served : pageSize;
+    const pageCount = Math.ceil(total / perPage);
+    truncated = pageCount > maxPages;
+    const pages = [];
+    for (let page = 2; page <= Math.min(pageCount, maxPages); page++) {
+      pages.push(page);
+    }
+    const rest = await mapLimit(pages, concurrency, readPage);
+    results.push(...rest.map(extractNodes));
+  } else {
+    let next = 2;
+    while (results[results.length - 1].length >= pageSize) {
+      if (next > maxPages) {
+        truncated = true;
+        break;
+      }
+      const pages = [];
+      for (let i = 0; i < concurrency && next <= maxPages; i++) {
+        pages.push(next++);
+      }
+      const rest = await mapLimit(pages, concurrency, readPage);
+      const read = rest.map(extractNodes);
+      // Keep pages up to and including the first short one
+      const short = read.findIndex((nodes) => nodes.length < pageSize);
+      results.push(...(short === -1 ? read : read.slice(0, short + 1)));
+      if (short !== -1) break;
+    }
+  }
+
+  const byKey = new Map();
+  const unkeyed = [];
+  let duplicates = 0;
+  for (const node of results.flat()) {
+    const key = nodeKey(node);
+    if (key === null) unkeyed.push(node);
+    else if (byKey.has(key)) duplicates++;
+    else byKey.set(key, node);
+  }
+
+  return {
+    nodes: [...byKey.values(), ...unkeyed],
+    total,
+    pages: results.length,
+    duplicates,
+    truncated,
+  };
+}
+
+/**
+ * Keep the nodes matching every given filter: status (case-insensitive), IP
+ * prefix, and version prefix
+ * @param {Array<object>} nodes - Node list entries
+ * @param {object} filters - `{ status, ip, version }`
+ * @returns {Array<object>} - The matching nodes
+ */
+function filterNodes(nodes, { status, ip, version }) {
+  return nodes.filter((node) => {
+    const fields = nodeFields(node);
+    if (
+      status &&
+      String(fields.status ?? "").toLowerCase() !== status.toLowerCase()
+    ) {
+      return false;
+    }
+    if (ip && !String(fields.ip ?? "").startsWith(ip)) return false;
+    if (version && !String(fields.version ?? "").startsWith(version)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Split an "ip:port" endpoint; IPv6 addresses take a port only in brackets,
+ * e.g. "[2001:db8::1]:9001"
+ * @param {string} endpoint - An IP with an optional port
+ * @returns {{ip: string, port: number|null}} - The parts
+ */
+function parseEndpoint(endpoint) {
+  const text = endpoint.trim();
+  const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(text);
+  if (bracketed) {
+    return {
+      ip: bracketed[1],
+      port: bracketed[2] ? Number(bracketed[2]) : null,
+    };
+  }
+  const ipv4 = /^([^:]+):(\d+)$/.exec(text);
+  if (ipv4) return { ip: ipv4[1], port: Number(ipv4[2]) };
+  return { ip: text, port: null };
+}
+
+/**
+ * Find the nodes with a public key or node id, a nominator address, or an IP
+ * and optional port. Keys and addresses are compared case-insensitively.
+ * @param {Array<object>} nodes - Node list entries
+ * @param {object} query - `{ publicKey, nominator, ip, port }`, one of publicKey, nominator or ip
+ * @returns {Array<object>} - The matching nodes
+ */
+function findNodes(nodes, { publicKey, nominator, ip, port }) {
+  const lower = (value) =>
+    value === null || value === undefined ? null : String(value).toLowerCase();
+  return nodes.filter((node) => {
+    const fields = nodeFields(node);
+    if (publicKey) {
+      const key = lower(publicKey);
+      return lower(fields.publicKey) === key || lower(fields.id) === key;
+    }
+    if (nominator) return lower(fields.nominator) === lower(nominator);
+    if (ip) {
+      return (
+        String(fields.ip ?? "") === ip &&
+        (port === null || port === undefined || Number(fields.port) === port)
+      );
+    }
+    return false;
+  });
+}
+
+/**
+ * The account in a Shardeum account lookup result
+ * @param {any} result - The RPC result
+ * @returns {object|null} - The account
+ */
+function accountData(result) {
+  if (result === null || result === undefined) return null;
+  return result.account !== undefined ? result.account : result;
+}
+
+/**
+ * Read a node's stake from its nominator's operator account and its node
+ * account, and compare it with the stake the network requires
+ * @param {object} sources - `{ operator, node, parameters }`: the operator and node accounts, and the
+ *   network account's current parameters; any may be null
+ * @returns {object} - `{ staked, required, requiredUsd, meetsRequirement, reward, penalty,
+ *   certificateExpires, nominator, nominee }`; amounts are in wei, null when unknown
+ */
+function nodeStake({ operator, node, parameters }) {
+  const info = (operator && operator.operatorAccountInfo) || {};
+  const amount = (value) =>
+    value === undefined || value === null ? null : decodeAmount(value);
+  const staked = amount(info.stake) ?? amount(node && node.stakeLock);
+
+  // USD amounts convert to SHM at the network's stability scale
+  const requiredUsd = parameters ? amount(parameters.stakeRequiredUsd) : null;
+  const mul = parameters && parameters.stabilityScaleMul;
+  const div = parameters && parameters.stabilityScaleDiv;
+  const required =
+    requiredUsd !== null &&
+    Number.isSafeInteger(mul) &&
+    Number.isSafeInteger(div) &&
+    div > 0
+      ? (requiredUsd * BigInt(mul)) / BigInt(div)
+      : null;
+
+  const certExp = Number(info.certExp);
+  return {
+    staked,
+    required,
+    requiredUsd,
+    meetsRequirement:
+      staked !== null && required !== null ? staked >= required : null,
+    reward: amount(node && node.reward),
+    penalty: amount(node && node.penalty),
+    certificateExpires:
+      Number.isFinite(certExp) && certExp > 0
+        ? new Date(certExp).toISOString()
+        : null,
+    nominator: (node && node.nominator) || null,
+    nominee: info.nominee || null,
+  };
+}
+
+function ipPrefix(ip) {
+  if (ip === null) return null;
+  const text = String(ip);
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(text)) {
+    return `${text.split(".").slice(0, 2).join(".")}.0.0/16`;
+  }
+  // IPv6: the first three groups are a typical provider allocation
+  if (text.includes(":")) {
+    return `${text.split(":").slice(0, 3).join(":")}::/48`;
+  }
+  return text;
+}
+
+function buckets(nodes, keyOf) {
+  const counts = new Map();
+  for (const node of nodes) {
+    const key = keyOf(node);
+    if (key === null) continue;
+    counts.set(String(key), (counts.get(String(key)) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .map(([value, count]) => ({ value, nodes: count }));
+}
+
+/**
+ * Aggregate nodes by status, IP prefix, ASN, region and version. Fields that
+ * no node reports give empty lists.
+ * @param {Array<object>} nodes - Node list entries
+ * @returns {object} - `{ byStatus, byIpPrefix, byAsn, byRegion, byVersion, concentration }` where each
+ *   aggregate is a list of `{ value, nodes }` (at most MAX_BUCKETS, largest first) and `concentration`
+ *   gives `{ ipPrefixes, largestIpPrefixShare, asns, largestAsnShare }` with shares in percent
+ */
+function aggregateNodes(nodes) {
+  const fields = nodes.map(nodeFields);
+  const byIpPrefix = buckets(fields, (node) => ipPrefix(node.ip));
+  const byAsn = buckets(fields, (node) => node.asn);
+  const share = (list) =>
+    list.length > 0 && nodes.length > 0
+      ? Math.round((list[0].nodes / nodes.length) * 10000) / 100
+      : null;
+
+  return {
+    byStatus: buckets(fields, (node) => node.status ?? "unknown").slice(
+      0,
+      MAX_BUCKETS,
+    ),
+    byIpPrefix: byIpPrefix.slice(0, MAX_BUCKETS),
+    byAsn: byAsn.slice(0, MAX_BUCKETS),
+    byRegion: buckets(fields, (node) => node.region).slice(0, MAX_BUCKETS),
+    byVersion: buckets(fields, (node) => node.version).slice(0, MAX_BUCKETS),
+    concentration: {
+      ipPrefixes: byIpPrefix.length,
+      largestIpPrefixShare: share(byIpPrefix),
+      asns: byAsn.length,
+      largestAsnShare: share(byAsn),
+    },
+  };
+}
+
+module.exports = {
+  accountData,
+  aggregateNodes,
+  extractNodes,
+  extractTotal,
+  fetchAllNodes,
+  filterNodes,
+  findNodes,
+  nodeFields,
+  nodeKey,
+  nodeStake,
+  parseEndpoint,
+  settings,
+};
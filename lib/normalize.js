@@ -0,0 +1,197 @@
+const { z } = require("zod");
+const { toBigInt, toSafeNumber } = require("./units");
+
+// Hex-encoded JSON-RPC quantity with its exact decimal value
+const quantitySchema = z.object({
+  hex: z.string(),
+  decimal: z.string(),
+});
+
+/**
+ * Decode a JSON-RPC quantity, keeping the hex original
+ * @param {string|null|undefined} hex - The hex quantity
+ * @returns {{hex: string, decimal: string}|null} - The decoded quantity
+ */
+function quantity(hex) {
+  if (hex === undefined || hex === null) return null;
+  return { hex, decimal: toBigInt(hex).toString() };
+}
+
+/**
+ * Copy an RPC object, decoding the listed quantity fields
+ */
+function decodeFields(object, quantityFields) {
+  const result = { ...object };
+  for (const field of quantityFields) {
+    if (field in result) result[field] = quantity(result[field]);
+  }
+  return result;
+}
+
+const LOG_QUANTITIES = ["blockNumber", "logIndex", "transactionIndex"];
+
+const logSchema = z
+  .object({
+    address: z.string().optional(),
+    topics: z.array(z.string()).optional(),
+    data: z.string().optional(),
+    blockNumber: quantitySchema.nullable().optional(),
+    logIndex: quantitySchema.nullable().optional(),
+    transactionIndex: quantitySchema.nullable().optional(),
+  })
+  .passthrough();
+
+/**
+ * Normalize a log entry
+ * @param {object} log - The raw log
+ * @returns {object} - The log with decoded quantities
+ */
+function normalizeLog(log) {
+  return decodeFields(log, LOG_QUANTITIES);
+}
+
+const TRANSACTION_QUANTITIES = [
+  "blockNumber",
+  "chainId",
+  "gas",
+  "gasPrice",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas",
+  "nonce",
+  "transactionIndex",
+  "type",
+  "v",
+  "value",
+];
+
+const transactionSchema = z
+  .object({
+    hash: z.string(),
+    from: z.string().optional(),
+    to: z.string().nullable().optional(),
+    input: z.string().optional(),
+    blockHash: z.string().nullable().optional(),
+    blockNumber: quantitySchema.nullable().optional(),
+    gas: quantitySchema.nullable().optional(),
+    gasPrice: quantitySchema.nullable().optional(),
+    nonce: quantitySchema.nullable().optional(),
+    value: quantitySchema.nullable().optional(),
+    pending: z.boolean(),
+  })
+  .passthrough();
+
+/**
+ * Normalize a transaction
+ * @param {object|null} tx - The raw transaction
+ * @returns {object|null} - The transaction with decoded quantities
+ */
+function normalizeTransaction(tx) {
+  if (!tx) return null;
+  return {
+    ...decodeFields(tx, TRANSACTION_QUANTITIES),
+    pending: !tx.blockNumber,
+  };
+}
+
+const RECEIPT_QUANTITIES = [
+  "blockNumber",
+  "cumulativeGasUsed",
+  "effectiveGasPrice",
+  "gasUsed",
+  "status",
+  "transactionIndex",
+  "type",
+];
+
+const receiptSchema = z
+  .object({
+    transactionHash: z.string(),
+    blockHash: z.string().nullable().optional(),
+    blockNumber: quantitySchema.nullable().optional(),
+    from: z.string().optional(),
+    to: z.string().nullable().optional(),
+    contractAddress: z.string().nullable().optional(),
+    gasUsed: quantitySchema.nullable().optional(),
+    effectiveGasPrice: quantitySchema.nullable().optional(),
+    status: quantitySchema.nullable().optional(),
+    success: z.boolean().nullable(),
+    logs: z.array(logSchema).optional(),
+  })
+  .passthrough();
+
+/**
+ * Normalize a transaction receipt
+ * @param {object|null} receipt - The raw receipt
+ * @returns {object|null} - The receipt with decoded quantities and logs
+ */
+function normalizeReceipt(receipt) {
+  if (!receipt) return null;
+  return {
+    ...decodeFields(receipt, RECEIPT_QUANTITIES),
+    success:
+      receipt.status === undefined || receipt.status === null
+        ? null
+        : toBigInt(receipt.status) === 1n,
+    logs: (receipt.logs || []).map(normalizeLog),
+  };
+}
+
+const BLOCK_QUANTITIES = [
+  "baseFeePerGas",
+  "difficulty",
+  "gasLimit",
+  "gasUsed",
+  "number",
+  "size",
+  "timestamp",
+  "totalDifficulty",
+];
+
+const blockSchema = z
+  .object({
+    hash: z.string().nullable(),
+    parentHash: z.string().optional(),
+    number: quantitySchema.nullable(),
+    timestamp: quantitySchema.nullable().optional(),
+    timestampIso: z.string().nullable(),
+    miner: z.string().optional(),
+    gasUsed: quantitySchema.nullable().optional(),
+    gasLimit: quantitySchema.nullable().optional(),
+    baseFeePerGas: quantitySchema.nullable().optional(),
+    transactionCount: z.number(),
+    transactions: z.array(z.union([z.string(), transactionSchema])),
+  })
+  .passthrough();
+
+/**
+ * Normalize a block, including full transactions when present
+ * @param {object|null} block - The raw block
+ * @returns {object|null} - The block with decoded quantities
+ */
+function normalizeBlock(block) {
+  if (!block) return null;
+  const transactions = (block.transactions || []).map((tx) =>
+    typeof tx === "string" ? tx : normalizeTransaction(tx),
+  );
+  return {
+    ...decodeFields(block, BLOCK_QUANTITIES),
+    timestampIso: block.timestamp
+      ? new Date(toSafeNumber(block.timestamp) * 1000).toISOString()
+      : null,
+    transactionCount: transactions.length,
+    transactions,
+  };
+}
+
+module.exports = {
+  blockSchema,
+  logSchema,
+  normalizeBlock,
+  normalizeLog,
+  normalizeReceipt,
+  normalizeTransaction,
+  quantity,
+  quantitySchema,
+  receiptSchema,
+  transactionSchema,
+};
@@ -0,0 +1,114 @@
+// Recursive Length Prefix encoding, as used for Ethereum transactions. Items
+// are byte arrays (Uint8Array/Buffer) or arrays of items.
+
+function encodeLength(length, offset) {
+  if (length < 56) return Buffer.from([offset + length]);
+  const bytes = bigIntToBytes(BigInt(length));
+  return Buffer.concat([Buffer.from([offset + 55 + bytes.length]), bytes]);
+}
+
+/**
+ * RLP-encode an item
+ * @param {Uint8Array|Array} item - Bytes or a nested list of bytes
+ * @returns {Buffer} - The encoding
+ */
+function encode(item) {
+  if (Array.isArray(item)) {
+    const payload = Buffer.concat(item.map(encode));
+    return Buffer.concat([encodeLength(payload.length, 0xc0), payload]);
+  }
+  const bytes = Buffer.from(item);
+  if (bytes.length === 1 && bytes[0] < 0x80) return bytes;
+  return Buffer.concat([encodeLength(bytes.length, 0x80), bytes]);
+}
+
+function readLength(data, offset, size) {
+  if (offset + size > data.length) throw new Error("RLP data too short");
+  if (data[offset] === 0) throw new Error("RLP length has leading zeros");
+  const length = Number(
+    BigInt(`0x${data.subarray(offset, offset + size).toString("hex")}`),
+  );
+  if (length < 56) throw new Error("RLP long form used for a short length");
+  return length;
+}
+
+function decodeItem(data, offset) {
+  if (offset >= data.length) throw new Error("RLP data too short");
+  const prefix = data[offset];
+  if (prefix < 0x80) {
+    return { item: data.subarray(offset, offset + 1), end: offset + 1 };
+  }
+  if (prefix < 0xc0) {
+    let start = offset + 1;
+    let length = prefix - 0x80;
+    if (prefix > 0xb7) {
+      const size = prefix - 0xb7;
+      length = readLength(data, start, size);
+      start += size;
+    }
+    const end = start + length;
+    if (end > data.length) throw new Error("RLP data too short");
+    if (length === 1 && data[start] < 0x80) {
+      throw new Error("RLP single byte should not be prefixed");
+    }
+    return { item: data.subarray(start, end), end };
+  }
+  let start = offset + 1;
+  let length = prefix - 0xc0;
+  if (prefix > 0xf7) {
+    const size = prefix - 0xf7;
+    length = readLength(data, start, size);
+    start += size;
+  }
+  const end = start + length;
+  if (end > data.length) throw new Error("RLP data too short");
+  const items = [];
+  let position = start;
+  while (position < end) {
+    const decoded = decodeItem(data, position);
+    items.push(decoded.item);
+    position = decoded.end;
+  }
+  if (position !== end) throw new Error("RLP list length mismatch");
+  return { item: items, end };
+}
+
+/**
+ * Decode RLP data that holds exactly one item
+ * @param {Uint8Array} data - The encoding
+ * @returns {Buffer|Array} - Bytes or a nested list of bytes
+ */
+function decode(data) {
+  const bytes = Buffer.from(data);
+  const { item, end } = decodeItem(bytes, 0);
+  if (end !== bytes.length) throw new Error("Trailing bytes after RLP item");
+  return item;
+}
+
+/**
+ * Minimal big-endian bytes of a non-negative integer (zero is empty)
+ * @param {bigint} value - The integer
+ * @returns {Buffer} - The bytes
+ */
+function bigIntToBytes(value) {
+  if (value < 0n) throw new Error(`Negative integer: ${value}`);
+  if (value === 0n) return Buffer.alloc(0);
+  const hex = value.toString(16);
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, "hex");
+}
+
+/**
+ * Read an RLP integer, rejecting non-canonical leading zeros
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {bigint} - The integer
+ */
+function bytesToBigInt(bytes) {
+  if (bytes.length > 0 && bytes[0] === 0) {
+    throw new Error("RLP integer has leading zeros");
+  }
+  return bytes.length === 0
+    ? 0n
+    : BigInt(`0x${Buffer.from(bytes).toString("hex")}`);
+}
+
+module.exports = { bigIntToBytes, bytesToBigInt, decode, encode };
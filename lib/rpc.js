@@ -0,0 +1,625 @@
+const axios = require("axios");
+const { createCache } = require("./cache");
+const { envInteger } = require("./env");
+
+// Default RPC URL (can be overridden when calling functions)
+const DEFAULT_RPC_URL = "https://api-testnet.shardeum.org/";
+
+// Transport settings, overridable through the environment
+const settings = {
+  timeoutMs: envInteger("RPC_TIMEOUT_MS", 10000),
+  maxRetries: envInteger("RPC_MAX_RETRIES", 3, 0),
+  retryBaseDelayMs: envInteger("RPC_RETRY_BASE_DELAY_MS", 250, 0),
+  retryMaxDelayMs: envInteger("RPC_RETRY_MAX_DELAY_MS", 4000, 0),
+  breakerThreshold: envInteger("RPC_BREAKER_THRESHOLD", 5),
+  breakerCooldownMs: envInteger("RPC_BREAKER_COOLDOWN_MS", 30000, 0),
+  healthWindow: envInteger("RPC_HEALTH_WINDOW", 50),
+  batchSize: envInteger("RPC_BATCH_SIZE", 50),
+  cacheMaxEntries: envInteger("RPC_CACHE_MAX_ENTRIES", 1000, 0),
+  cacheTtlMs: envInteger("RPC_CACHE_TTL_MS", 2000, 0),
+};
+
+const cache = createCache({ maxEntries: settings.cacheMaxEntries });
+
+// JSON-RPC request ids, unique per process so batch responses can be matched
+let nextId = 1;
+
+// Circuit breaker and latency bookkeeping, keyed by endpoint URL
+const endpoints = new Map();
+
+function getEndpoint(url) {
+  let endpoint = endpoints.get(url);
+  if (!endpoint) {
+    endpoint = {
+      url,
+      state: "closed",
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastLatencyMs: null,
+      avgLatencyMs: null,
+      lastError: null,
+      lastErrorAt: null,
+      trialInFlight: false,
+      recent: [],
+    };
+    endpoints.set(url, endpoint);
+  }
+  return endpoint;
+}
+
+/**
+ * Record a request outcome. Every failed request counts towards the circuit
+ * breaker and the recent error rate, HTTP 4xx included; JSON-RPC errors
+ * arrive in successful responses and don't count.
+ */
+function recordOutcome(endpoint, latencyMs, error) {
+  endpoint.recent.push(!error);
+  if (endpoint.recent.length > settings.healthWindow) endpoint.recent.shift();
+
+  if (latencyMs !== undefined) {
+    endpoint.lastLatencyMs = latencyMs;
+    endpoint.avgLatencyMs =
+      endpoint.avgLatencyMs === null
+        ? latencyMs
+        : Math.round(endpoint.avgLatencyMs * 0.8 + latencyMs * 0.2);
+  }
+
+  if (error) {
+    endpoint.lastError = error.message;
+    endpoint.lastErrorAt = new Date().toISOString();
+  }
+
+  if (!error) {
+    endpoint.state = "closed";
+    endpoint.consecutiveFailures = 0;
+    endpoint.openedAt = null;
+    return;
+  }
+
+  endpoint.consecutiveFailures += 1;
+  if (
+    endpoint.state === "half-open" ||
+    endpoint.consecutiveFailures >= settings.breakerThreshold
+  ) {
+    endpoint.state = "open";
+    endpoint.openedAt = Date.now();
+  }
+}
+
+/**
+ * Whether a request may be sent to the endpoint. An open circuit moves to
+ * half-open once its cooldown has passed, letting one trial request through;
+ * other requests skip the endpoint until the trial resolves.
+ */
+function isAvailable(endpoint) {
+  if (endpoint.state === "open") {
+    if (Date.now() - endpoint.openedAt < settings.breakerCooldownMs) {
+      return false;
+    }
+    endpoint.state = "half-open";
+  }
+  return !trialPending(endpoint);
+}
+
+function trialPending(endpoint) {
+  return endpoint.state === "half-open" && endpoint.trialInFlight;
+}
+
+/**
+ * Whether a failed request is worth retrying: timeouts, connection errors,
+ * HTTP 5xx and 429. JSON-RPC errors and other HTTP statuses are final.
+ */
+function isTransient(error) {
+  if (error.rpcError) return false;
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt) {
+  const ceiling = Math.min(
+    settings.retryMaxDelayMs,
+    settings.retryBaseDelayMs * 2 ** attempt,
+  );
+  // Full jitter spreads retries from concurrent callers
+  return Math.floor(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Endpoints available for an attempt, in their configured order. Empty while
+ * every circuit is open or waiting on its trial request.
+ */
+function pickEndpoints(urls) {
+  return urls.map(getEndpoint).filter(isAvailable);
+}
+
+function unavailableError(urls, lastError) {
+  const retryAfterMs = Math.min(
+    ...urls
+      .map(getEndpoint)
+      .map((endpoint) =>
+        Math.max(
+          0,
+          endpoint.openedAt + settings.breakerCooldownMs - Date.now(),
+        ),
+      ),
+  );
+  return new Error(
+    `All RPC endpoints are unavailable; the next trial request is allowed in ${retryAfterMs}ms${
+      lastError ? ` (last error: ${lastError.message})` : ""
+    }`,
+  );
+}
+
+// Whether a body is a JSON-RPC response (or batch of them)
+function isJsonRpcBody(body) {
+  const responses = Array.isArray(body) ? body : [body];
+  return (
+    responses.length > 0 &&
+    responses.every(
+      (response) =>
+        response &&
+        typeof response === "object" &&
+        ("result" in response || "error" in response),
+    )
+  );
+}
+
+async function postOnce(endpoint, payload) {
+  const started = Date.now();
+  const trial = endpoint.state === "half-open";
+  if (trial) endpoint.trialInFlight = true;
+  try {
+    const response = await axios.post(endpoint.url, payload, {
+      timeout: settings.timeoutMs,
+    });
+    recordOutcome(endpoint, Date.now() - started);
+    return response.data;
+  } catch (error) {
+    // Some nodes answer JSON-RPC errors with an HTTP error status
+    const body = error.response && error.response.data;
+    if (isJsonRpcBody(body)) {
+      recordOutcome(endpoint, Date.now() - started);
+      return body;
+    }
+    error.transient = isTransient(error);
+    recordOutcome(endpoint, undefined, error);
+    throw error;
+  } finally {
+    if (trial) endpoint.trialInFlight = false;
+  }
+}
+
+/**
+ * Send a JSON-RPC payload to an ordered list of endpoints, failing over
+ * between them on any transport failure and retrying with exponential backoff
+ * while some endpoint failed transiently
+ * @param {string|Array<string>} urls - The endpoint URL(s), in priority order
+ * @param {object} payload - The JSON-RPC request body
+ * @returns {Promise<any>} - The response body
+ */
+async function send(urls, payload) {
+  const list = Array.isArray(urls) ? urls : [urls];
+  let lastError;
+
+  for (let attempt = 0; attempt <= settings.maxRetries; attempt++) {
+    if (attempt > 0) {
+      const delay = backoffDelay(attempt);
+      console.error(
+        `Retrying ${payload.method || "batch"} in ${delay}ms (attempt ${
+          attempt + 1
+        } of ${settings.maxRetries + 1}): ${lastError.message}`,
+      );
+      await sleep(delay);
+    }
+
+    let retryable = false;
+    const available = pickEndpoints(list);
+    if (available.length === 0) {
+      // Wait for a trial that is already in flight, but don't hit a circuit
+      // that is still cooling down
+      if (!list.map(getEndpoint).some(trialPending)) {
+        throw unavailableError(list, lastError);
+      }
+      retryable = true;
+      lastError =
+        lastError ||
+        new Error("Every RPC endpoint is waiting on a trial request");
+    }
+    for (const endpoint of available) {
+      // Another request may have taken the trial since the endpoints were picked
+      if (trialPending(endpoint)) {
+        retryable = true;
+        lastError = lastError || new Error(`${endpoint.url} is unavailable`);
+        continue;
+      }
+      try {
+        return await postOnce(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+        if (error.rpcError) throw error;
+        if (error.transient) retryable = true;
+      }
+    }
+    if (!retryable) break;
+  }
+
+  throw lastError;
+}
+
+const IMMUTABLE = Infinity;
+
+// Methods addressed by block whose result never changes once the block exists
+const BLOCK_DATA_METHODS = {
+  eth_getBlockByNumber: 0,
+  eth_getBlockTransactionCountByNumber: 0,
+  eth_getTransactionByBlockNumberAndIndex: 0,
+  eth_getBlockReceipts: 0,
+};
+
+// State queries and the index of their block parameter
+const STATE_METHODS = {
+  eth_getBalance: 1,
+  eth_getTransactionCount: 1,
+  eth_getCode: 1,
+  eth_call: 1,
+  eth_getStorageAt: 2,
+};
+
+// Head-dependent methods that are only worth caching briefly
+const SHORT_LIVED_METHODS = new Set([
+  "eth_blockNumber",
+  "eth_chainId",
+  "eth_gasPrice",
+  "eth_maxPriorityFeePerGas",
+  "eth_feeHistory",
+  "net_version",
+  "shardeum_getNodeList",
+  "shardeum_getNetworkAccount",
+]);
+
+// Methods with their own rule in cacheTtl
+const SPECIAL_METHODS = new Set([
+  "eth_getBlockByHash",
+  "eth_getBlockTransactionCountByHash",
+  "eth_getTransactionByBlockHashAndIndex",
+  "eth_getTransactionReceipt",
+  "eth_getTransactionByHash",
+  "shardeum_getCycleInfo",
+  "eth_getLogs",
+]);
+
+function isCacheable(method) {
+  return (
+    SPECIAL_METHODS.has(method) ||
+    method in BLOCK_DATA_METHODS ||
+    method in STATE_METHODS ||
+    SHORT_LIVED_METHODS.has(method)
+  );
+}
+
+function isBlockHash(value) {
+  return typeof value === "string" && /^0x[0-9a-fA-F]{64}$/.test(value);
+}
+
+function isBlockNumber(value) {
+  return typeof value === "string" && /^0x[0-9a-fA-F]{1,16}$/.test(value);
+}
+
+/**
+ * A cycle record whose end lies in the past can no longer change
+ */
+function isHistoricalCycle(result) {
+  const record = result && (result.cycleInfo || result);
+  if (!record || record.start === undefined || record.duration === undefined) {
+    return false;
+  }
+  return (Number(record.start) + Number(record.duration)) * 1000 < Date.now();
+}
+
+/**
+ * Decide how long an RPC result may be cached. Immutable results (blocks by
+ * hash or number, mined transactions and receipts, completed cycles) are kept
+ * until evicted; head-dependent results get the short TTL; pending state, gas
+ * estimates and anything else, including every state-changing method, are
+ * never cached.
+ * @returns {number} - Time to live in milliseconds, Infinity, or 0
+ */
+function cacheTtl(method, params, result) {
+  const short = settings.cacheTtlMs;
+
+  switch (method) {
+    case "eth_getBlockByHash":
+    case "eth_getBlockTransactionCountByHash":
+    case "eth_getTransactionByBlockHashAndIndex":
+      return result == null ? 0 : IMMUTABLE;
+    case "eth_getTransactionReceipt":
+      return result && result.blockNumber ? IMMUTABLE : 0;
+    case "eth_getTransactionByHash":
+      return result && result.blockNumber ? IMMUTABLE : short;
+    case "shardeum_getCycleInfo":
+      return params.length > 0 && isHistoricalCycle(result) ? IMMUTABLE : short;
+    case "eth_getLogs":
+      return params[0] && params[0].blockHash ? IMMUTABLE : short;
+  }
+
+  if (method in BLOCK_DATA_METHODS) {
+    if (result == null) return 0;
+    // Shardeum blocks are final once produced, so a numbered block is as
+    // stable as a hash-addressed one
+    const block = params[BLOCK_DATA_METHODS[method]];
+    return isBlockHash(block) || isBlockNumber(block) ? IMMUTABLE : short;
+  }
+  if (method in STATE_METHODS) {
+    // Hash-pinned state queries use EIP-1898 `{ blockHash }` objects
+    const block = params[STATE_METHODS[method]];
+    if (isBlockHash(block) || (block && isBlockHash(block.blockHash))) {
+      return IMMUTABLE;
+    }
+    // Pending state changes with every submitted transaction; a cached
+    // pending nonce would be handed out twice
+    return block === "pending" ? 0 : short;
+  }
+  return SHORT_LIVED_METHODS.has(method) ? short : 0;
+}
+
+function cacheKey(method, params, rpcUrls) {
+  return JSON.stringify([[].concat(rpcUrls), method, params]);
+}
+
+function readCache(method, params, rpcUrls) {
+  if (!isCacheable(method)) return { hit: false };
+  const lookup = cache.get(cacheKey(method, params, rpcUrls), method);
+  if (lookup.hit) lookup.value = structuredClone(lookup.value);
+  return lookup;
+}
+
+// Methods after which head-dependent results (balances, nonces, estimates)
+// are out of date
+const SUBMIT_METHODS = new Set(["eth_sendRawTransaction"]);
+
+function writeCache(method, params, rpcUrls, result) {
+  if (SUBMIT_METHODS.has(method)) {
+    cache.clearExpiring();
+    return;
+  }
+  const ttl = cacheTtl(method, params, result);
+  if (ttl > 0) {
+    cache.set(cacheKey(method, params, rpcUrls), structuredClone(result), ttl);
+  }
+}
+
+function toRpcError(rpcError) {
+  const error = new Error(`RPC Error: ${rpcError.message}`);
+  error.rpcError = rpcError;
+  return error;
+}
+
+/**
+ * Extract revert data from a failed eth_call or eth_estimateGas. Nodes put it
+ * in `error.data` either directly or nested under `data`/`result`.
+ * @param {Error} error - The error thrown by makeRpcCall
+ * @returns {string|null} - The hex revert data, or null if there is none
+ */
+function getRevertData(error) {
+  let data = error.rpcError && error.rpcError.data;
+  while (data && typeof data === "object") {
+    data = data.data !== undefined ? data.data : data.result;
+  }
+  return typeof data === "string" && /^0x[0-9a-fA-F]*$/.test(data)
+    ? data
+    : null;
+}
+
+/**
+ * Whether a failed eth_call or eth_estimateGas reverted, as opposed to being
+ * rejected (bad parameters, unknown block, ...): JSON-RPC code 3, a message
+ * mentioning a revert, or revert data
+ * @param {Error} error - The error thrown by makeRpcCall
+ * @returns {boolean} - Whether the call reverted
+ */
+function isRevert(error) {
+  if (!error.rpcError) return false;
+  return (
+    error.rpcError.code === 3 ||
+    /revert/i.test(error.rpcError.message || "") ||
+    getRevertData(error) !== null
+  );
+}
+
+/**
+ * Make an RPC call to the blockchain
+ * @param {string} method - The RPC method to call
+ * @param {Array} params - The parameters for the RPC call
+ * @param {string|Array<string>} rpcUrls - The RPC URL(s) to use, in priority order
+ * @returns {Promise<any>} - The result of the RPC call
+ */
+async function makeRpcCall(method, params = [], rpcUrls = DEFAULT_RPC_URL) {
+  const cached = readCache(method, params, rpcUrls);
+  if (cached.hit) return cached.value;
+
+  try {
+    const data = await send(rpcUrls, {
+      jsonrpc: "2.0",
+      id: nextId++,
+      method,
+      params,
+    });
+
+    if (data.error) {
+      throw toRpcError(data.error);
+    }
+
+    writeCache(method, params, rpcUrls, data.result);
+    return data.result;
+  } catch (error) {
+    console.error(`Error making RPC call to ${method}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Bind makeRpcCall to a set of endpoints
+ * @param {string|Array<string>} rpcUrls - The RPC URL(s) to use, in priority order
+ * @returns {Function} - `(method, params) => Promise<any>`
+ */
+function rpcCaller(rpcUrls) {
+  return (method, params) => makeRpcCall(method, params, rpcUrls);
+}
+
+/**
+ * Send one chunk of a batch. Nodes that reject batch arrays outright get the
+ * requests one by one instead.
+ */
+async function sendBatchChunk(requests, rpcUrls) {
+  const payload = requests.map(({ method, params = [] }) => ({
+    jsonrpc: "2.0",
+    id: nextId++,
+    method,
+    params,
+  }));
+
+  const data = await send(rpcUrls, payload);
+
+  if (!Array.isArray(data)) {
+    console.error(
+      "Batch request rejected, falling back to individual calls:",
+      data && data.error ? data.error.message : "unexpected response",
+    );
+    return Promise.all(
+      requests.map(({ method, params }) =>
+        makeRpcCall(method, params, rpcUrls).then(
+          (result) => ({ result }),
+          (error) => ({
+            error: error.rpcError || { code: null, message: error.message },
+          }),
+        ),
+      ),
+    );
+  }
+
+  const byId = new Map(data.map((response) => [response.id, response]));
+  return payload.map(({ id, method, params }) => {
+    const response = byId.get(id);
+    if (!response) {
+      return { error: { code: null, message: "No response for request" } };
+    }
+    if (response.error) return { error: response.error };
+    writeCache(method, params, rpcUrls, response.result);
+    return { result: response.result };
+  });
+}
+
+/**
+ * Make a JSON-RPC batch call. Responses are matched to requests by id, and an
+ * error on one item doesn't affect the others. Cached results are answered
+ * locally and large batches are split into chunks of RPC_BATCH_SIZE requests.
+ * @param {Array<{method: string, params: Array}>} requests - The calls to make
+ * @param {string|Array<string>} rpcUrls - The RPC URL(s) to use, in priority order
+ * @returns {Promise<Array<{result?: any, error?: object}>>} - One entry per request, in request order
+ */
+async function makeBatchRpcCall(requests, rpcUrls = DEFAULT_RPC_URL) {
+  try {
+    const results = new Array(requests.length);
+    const pending = [];
+    requests.forEach((request, index) => {
+      const cached = readCache(request.method, request.params || [], rpcUrls);
+      if (cached.hit) results[index] = { result: cached.value };
+      else pending.push(index);
+    });
+
+    for (let i = 0; i < pending.length; i += settings.batchSize) {
+      const indexes = pending.slice(i, i + settings.batchSize);
+      const responses = await sendBatchChunk(
+        indexes.map((index) => requests[index]),
+        rpcUrls,
+      );
+      indexes.forEach((index, j) => {
+        results[index] = responses[j];
+      });
+    }
+    return results;
+  } catch (error) {
+    console.error(
+      `Error making RPC batch call of ${requests.length} requests:`,
+      error.message,
+    );
+    throw error;
+  }
+}
+
+/**
+ * Bind makeBatchRpcCall to a set of endpoints
+ * @param {string|Array<string>} rpcUrls - The RPC URL(s) to use, in priority order
+ * @returns {Function} - `(requests) => Promise<Array<{result}|{error}>>`
+ */
+function rpcBatcher(rpcUrls) {
+  return (requests) => makeBatchRpcCall(requests, rpcUrls);
+}
+
+/**
+ * Report circuit breaker state, latency and recent error rate for endpoints
+ * @param {Array<string>} urls - The endpoint URLs to report on
+ * @returns {Array<object>} - One health record per endpoint
+ */
+function getEndpointHealth(urls) {
+  return urls.map((url) => {
+    const endpoint = getEndpoint(url);
+    const failures = endpoint.recent.filter((ok) => !ok).length;
+    const retryAfterMs =
+      endpoint.state === "open"
+        ? Math.max(
+            0,
+            endpoint.openedAt + settings.breakerCooldownMs - Date.now(),
+          )
+        : null;
+    return {
+      url,
+      state: retryAfterMs === 0 ? "half-open" : endpoint.state,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      lastLatencyMs: endpoint.lastLatencyMs,
+      avgLatencyMs: endpoint.avgLatencyMs,
+      recentRequests: endpoint.recent.length,
+      recentErrorRate:
+        endpoint.recent.length > 0
+          ? Number((failures / endpoint.recent.length).toFixed(3))
+          : null,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt,
+      retryAfterMs: retryAfterMs || null,
+    };
+  });
+}
+
+/**
+ * Report response cache statistics
+ * @returns {object} - Hit/miss counters, occupancy and settings
+ */
+function getCacheStats() {
+  return { ttlMs: settings.cacheTtlMs, ...cache.stats() };
+}
+
+/**
+ * Drop every cached response
+ */
+function clearCache() {
+  cache.clear();
+}
+
+module.exports = {
+  DEFAULT_RPC_URL,
+  clearCache,
+  getCacheStats,
+  getEndpointHealth,
+  getRevertData,
+  isRevert,
+  makeBatchRpcCall,
+  makeRpcCall,
+  rpcBatcher,
+  rpcCaller,
+  settings,
+};
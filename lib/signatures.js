@@ -0,0 +1,412 @@
+const { z } = require("zod");
+const {
+  decodeParams,
+  formatSignature,
+  parseAbi,
+  parseFragment,
+  selectorOf,
+} = require("./abi");
+const { decodeLog, indexEvents } = require("./logs");
+const { logSchema, receiptSchema, transactionSchema } = require("./normalize");
+
+// Well-known function and event signatures, grouped by the standard or
+// protocol they come from
+const BUILTIN_SIGNATURES = {
+  "ERC-20": [
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function increaseAllowance(address spender, uint256 addedValue) returns (bool)",
+    "function decreaseAllowance(address spender, uint256 subtractedValue) returns (bool)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  ],
+  "ERC-721": [
+    "function safeTransferFrom(address from, address to, uint256 tokenId)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+    "function setApprovalForAll(address operator, bool approved)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+    "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+  ],
+  "ERC-1155": [
+    "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+    "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)",
+    "function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])",
+    "function uri(uint256 id) view returns (string)",
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+    "event URI(string value, uint256 indexed id)",
+  ],
+  "ERC-165": [
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  ],
+  "Wrapped native token": [
+    "function deposit() payable",
+    "function withdraw(uint256 wad)",
+    "event Deposit(address indexed dst, uint256 wad)",
+    "event Withdrawal(address indexed src, uint256 wad)",
+  ],
+  "Uniswap V2": [
+    "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)",
+    "function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline) returns (uint256[] amounts)",
+    "function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)",
+    "function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)",
+    "function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)",
+    "function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline) returns (uint256[] amounts)",
+    "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+    "function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidity)",
+    "function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) payable returns (uint256 amountToken, uint256 amountETH, uint256 liquidity)",
+    "function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline) returns (uint256 amountA, uint256 amountB)",
+    "function removeLiquidityETH(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) returns (uint256 amountToken, uint256 amountETH)",
+    "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+    "event Sync(uint112 reserve0, uint112 reserve1)",
+    "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+    "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)",
+    "event PairCreated(address indexed token0, address indexed token1, address pair, uint256 index)",
+  ],
+  "Uniswap V3": [
+    "function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)",
+    "function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)",
+    "function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountIn)",
+    "function multicall(bytes[] data) payable returns (bytes[] results)",
+    "function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)",
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+    "event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)",
+  ],
+  Multicall3: [
+    "function aggregate((address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes[] returnData)",
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+    "function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  ],
+  Ownable: [
+    "function owner() view returns (address)",
+    "function transferOwnership(address newOwner)",
+    "function renounceOwnership()",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  ],
+  AccessControl: [
+    "function grantRole(bytes32 role, address account)",
+    "function revokeRole(bytes32 role, address account)",
+    "function renounceRole(bytes32 role, address account)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  ],
+  Pausable: [
+    "function pause()",
+    "function unpause()",
+    "function paused() view returns (bool)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+  ],
+  Proxy: [
+    "function upgradeTo(address newImplementation)",
+    "function upgradeToAndCall(address newImplementation, bytes data) payable",
+    "function implementation() view returns (address)",
+    "function admin() view returns (address)",
+    "function proxiableUUID() view returns (bytes32)",
+    "event Upgraded(address indexed implementation)",
+    "event AdminChanged(address previousAdmin, address newAdmin)",
+    "event BeaconUpgraded(address indexed beacon)",
+  ],
+  Initializable: [
+    "event Initialized(uint8 version)",
+    "event Initialized(uint64 version)",
+  ],
+};
+
+const decodedLogSchema = z.object({
+  name: z.string(),
+  signature: z.string(),
+  args: z.array(z.any()),
+  source: z.string().optional(),
+});
+
+const decodedCallSchema = z.object({
+  selector: z.string(),
+  name: z.string().nullable(),
+  signature: z.string().nullable(),
+  args: z.array(z.any()).nullable(),
+  source: z.string().nullable().optional(),
+});
+
+// Receipts and transactions with decoded fields next to the raw ones
+const decodedReceiptSchema = receiptSchema.extend({
+  logs: z.array(logSchema.extend({ decoded: decodedLogSchema.nullable() })),
+});
+
+const decodedTransactionSchema = transactionSchema.extend({
+  decodedInput: decodedCallSchema.nullable(),
+});
+
+const BUILTIN_FRAGMENTS = Object.entries(BUILTIN_SIGNATURES).flatMap(
+  ([source, signatures]) =>
+    signatures.map((signature) => ({
+      ...parseFragment(signature),
+      source,
+    })),
+);
+
+/**
+ * Index function fragments by selector
+ * @param {Array<object>} fragments - ABI fragments
+ * @returns {Map<string, Array<object>>} - selector → functions sharing it
+ */
+function indexFunctions(fragments) {
+  const bySelector = new Map();
+  for (const fragment of fragments) {
+    if (fragment.type !== "function") continue;
+    const selector = selectorOf(fragment);
+    bySelector.set(selector, [...(bySelector.get(selector) || []), fragment]);
+  }
+  return bySelector;
+}
+
+const builtinFunctions = indexFunctions(BUILTIN_FRAGMENTS);
+const builtinEvents = indexEvents(
+  BUILTIN_FRAGMENTS.filter((fragment) => fragment.type === "event"),
+);
+
+/**
+ * Look up a four-byte selector in the bundled signature database
+ * @param {string} selector - e.g. "0xa9059cbb"
+ * @returns {Array<{signature: string, source: string}>} - Matching functions
+ */
+function lookupSelector(selector) {
+  return (builtinFunctions.get(selector.toLowerCase()) || []).map(
+    (fragment) => ({
+      signature: formatSignature(fragment),
+      source: fragment.source,
+    }),
+  );
+}
+
+function decodeCallWith(bySelector, input) {
+  const selector = input.slice(0, 10).toLowerCase();
+  for (const fragment of bySelector.get(selector) || []) {
+    try {
+      return {
+        selector,
+        name: fragment.name,
+        signature: formatSignature(fragment),
+        args: decodeParams(fragment.inputs, `0x${input.slice(10)}`),
+        source: fragment.source,
+      };
+    } catch {
+      // Try the next function with this selector
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a registry of user-supplied contract ABIs, keyed by network and
+ * contract address, that decodes calls and logs with the registered ABI
+ * first and the bundled signatures second
+ * @returns {object} - The registry
+ */
+function createSignatureRegistry() {
+  const contracts = new Map();
+  const key = (network, address) => `${network}:${address.toLowerCase()}`;
+
+  function lookup(network, address) {
+    return address ? contracts.get(key(network, address)) : undefined;
+  }
+
+  return {
+    /**
+     * Register (or replace) the ABI of a contract
+     * @param {string} network - The network name
+     * @param {string} address - The contract address
+     * @param {string|Array} abi - The ABI
+     * @param {string} [label] - A name for the contract
+     * @returns {object} - The registration summary
+     */
+    register(network, address, abi, label) {
+      const fragments = parseAbi(abi).map((fragment) => ({
+        ...fragment,
+        source: label ? `registered ABI (${label})` : "registered ABI",
+      }));
+      const entry = {
+        network,
+        address,
+        label: label || null,
+        functions: indexFunctions(fragments),
+        events: indexEvents(
+          fragments.filter((fragment) => fragment.type === "event"),
+        ),
+        fragments,
+        registeredAt: new Date().toISOString(),
+      };
+      contracts.set(key(network, address), entry);
+      return describe(entry);
+    },
+
+    /**
+     * Forget a contract's ABI
+     * @returns {boolean} - Whether an ABI was registered
+     */
+    remove(network, address) {
+      return contracts.delete(key(network, address));
+    },
+
+    /**
+     * List registered contracts, optionally for one network
+     * @param {string} [network] - The network name
+     * @returns {Array<object>} - Registration summaries
+     */
+    list(network) {
+      return [...contracts.values()]
+        .filter((entry) => !network || entry.network === network)
+        .map(describe);
+    },
+
+    /**
+     * The parsed ABI registered for a contract
+     * @returns {Array<object>|null} - The fragments
+     */
+    abiFor(network, address) {
+      const entry = lookup(network, address);
+      return entry ? entry.fragments : null;
+    },
+
+    /**
+     * Look up a four-byte selector in a contract's registered ABI, falling
+     * back to the bundled signatures
+     * @param {string} network - The network name
+     * @param {string|null} address - The contract address
+     * @param {string} selector - e.g. "0xa9059cbb"
+     * @returns {Array<{signature: string, source: string}>} - Matching functions
+     */
+    lookupSelector(network, address, selector) {
+      const entry = lookup(network, address);
+      const registered = entry
+        ? (entry.functions.get(selector.toLowerCase()) || []).map(
+            (fragment) => ({
+              signature: formatSignature(fragment),
+              source: fragment.source,
+            }),
+          )
+        : [];
+      return registered.length > 0 ? registered : lookupSelector(selector);
+    },
+
+    /**
+     * Decode a call's input data
+     * @param {string} network - The network name
+     * @param {string|null} to - The called contract
+     * @param {string} input - The calldata
+     * @returns {object|null} - `{ selector, name, signature, args, source }`; name is null for unknown
+     *   selectors and the result is null when there is no calldata
+     */
+    decodeCall(network, to, input) {
+      if (!input || input.length < 10) return null;
+      const entry = lookup(network, to);
+      return (
+        (entry && decodeCallWith(entry.functions, input)) ||
+        decodeCallWith(builtinFunctions, input) || {
+          selector: input.slice(0, 10).toLowerCase(),
+          name: null,
+          signature: null,
+          args: null,
+          source: null,
+        }
+      );
+    },
+
+    /**
+     * Decode a log
+     * @param {string} network - The network name
+     * @param {object} log - The log
+     * @returns {object|null} - `{ name, signature, args, source }`, or null if unknown
+     */
+    decodeLog(network, log) {
+      const entry = lookup(network, log.address);
+      return (
+        (entry && decodeLog(log, entry.events)) || decodeLog(log, builtinEvents)
+      );
+    },
+  };
+}
+
+function describe(entry) {
+  return {
+    network: entry.network,
+    address: entry.address,
+    label: entry.label,
+    functions: entry.fragments.filter((f) => f.type === "function").length,
+    events: entry.fragments.filter((f) => f.type === "event").length,
+    errors: entry.fragments.filter((f) => f.type === "error").length,
+    registeredAt: entry.registeredAt,
+  };
+}
+
+/**
+ * Add decoded logs to a normalized receipt
+ * @param {object} registry - The signature registry
+ * @param {string} network - The network name
+ * @param {object|null} receipt - A receipt from normalizeReceipt
+ * @returns {object|null} - The receipt with `decoded` on every log
+ */
+function decodeReceipt(registry, network, receipt) {
+  if (!receipt) return null;
+  return {
+    ...receipt,
+    logs: receipt.logs.map((log) => ({
+      ...log,
+      decoded: registry.decodeLog(network, log),
+    })),
+  };
+}
+
+/**
+ * Add decoded input to a normalized transaction
+ * @param {object} registry - The signature registry
+ * @param {string} network - The network name
+ * @param {object|null} tx - A transaction from normalizeTransaction
+ * @returns {object|null} - The transaction with `decodedInput`
+ */
+function decodeTransaction(registry, network, tx) {
+  if (!tx) return null;
+  return {
+    ...tx,
+    decodedInput: tx.to ? registry.decodeCall(network, tx.to, tx.input) : null,
+  };
+}
+
+/**
+ * One-line description of a decoded call or event
+ * @param {object} decoded - A decoded call or log
+ * @returns {string} - e.g. 'Transfer(from=0x…, to=0x…, value="5")'
+ */
+function formatDecoded(decoded) {
+  if (!decoded.name) return `unknown function ${decoded.selector}`;
+  return `${decoded.name}(${decoded.args
+    .map((arg) => `${arg.name || arg.type}=${JSON.stringify(arg.value)}`)
+    .join(", ")})`;
+}
+
+module.exports = {
+  BUILTIN_SIGNATURES,
+  createSignatureRegistry,
+  decodeReceipt,
+  decodeTransaction,
+  decodedCallSchema,
+  decodedLogSchema,
+  decodedReceiptSchema,
+  decodedTransactionSchema,
+  formatDecoded,
+  lookupSelector,
+};
@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const { pbkdf2Async } = require("@noble/hashes/pbkdf2");
+const { scryptAsync } = require("@noble/hashes/scrypt");
+const { sha256 } = require("@noble/hashes/sha2");
+const { readFeeMarket, recommendFees } = require("./fees");
+const { keccak256, toChecksumAddress } = require("./hex");
+const { signingHash } = require("./transaction");
+const { toBigInt } = require("./units");
+
+// Signer configuration, read from the environment. The signing tools are only
+// registered when a key file is configured.
+const settings = {
+  keyFile: process.env.SIGNER_KEY_FILE || null,
+  password: process.env.SIGNER_KEYSTORE_PASSWORD,
+  passwordFile: process.env.SIGNER_KEYSTORE_PASSWORD_FILE || null,
+};
+
+function addressOf(privateKey) {
+  const publicKey = secp256k1.getPublicKey(privateKey, false);
+  return toChecksumAddress(`0x${keccak256(publicKey.subarray(1)).slice(-40)}`);
+}
+
+function deriveKey(kdf, params, password) {
+  const salt = Buffer.from(params.salt, "hex");
+  if (kdf === "scrypt") {
+    return scryptAsync(password, salt, {
+      N: params.n,
+      r: params.r,
+      p: params.p,
+      dkLen: params.dklen,
+      // Standard keystores use N = 2^18, r = 8: 256 MiB
+      maxmem: 2 ** 30,
+    });
+  }
+  if (kdf === "pbkdf2") {
+    if (params.prf !== "hmac-sha256") {
+      throw new Error(`Unsupported keystore PRF: ${params.prf}`);
+    }
+    return pbkdf2Async(sha256, password, salt, {
+      c: params.c,
+      dkLen: params.dklen,
+    });
+  }
+  throw new Error(`Unsupported keystore KDF: ${kdf}`);
+}
+
+/**
+ * Decrypt a Web3 Secret Storage (V3) keystore
+ * @param {object} keystore - The parsed keystore JSON
+ * @param {string} password - The keystore password
+ * @returns {Promise<Buffer>} - The private key
+ */
+async function decryptKeystore(keystore, password) {
+  const box = keystore.crypto || keystore.Crypto;
+  if (keystore.version !== 3 || !box) {
+    throw new Error("Only version 3 keystores are supported");
+  }
+  if (box.cipher !== "aes-128-ctr") {
+    throw new Error(`Unsupported keystore cipher: ${box.cipher}`);
+  }
+  const derived = Buffer.from(
+    await deriveKey(box.kdf, box.kdfparams, password),
+  );
+  const ciphertext = Buffer.from(box.ciphertext, "hex");
+  const mac = keccak256(Buffer.concat([derived.subarray(16, 32), ciphertext]));
+  if (mac.slice(2) !== box.mac.toLowerCase()) {
+    throw new Error("Keystore MAC mismatch; the password is probably wrong");
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-128-ctr",
+    derived.subarray(0, 16),
+    Buffer.from(box.cipherparams.iv, "hex"),
+  );
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Read a private key from a key file holding either a hex private key or a V3
+ * keystore. Error messages never include the file contents.
+ * @param {object} source - `{ keyFile, password, passwordFile }`
+ * @returns {Promise<Buffer>} - The private key
+ */
+async function readPrivateKey({ keyFile, password, passwordFile }) {
+  const text = fs.readFileSync(keyFile, "utf8").trim();
+  let privateKey;
+  if (text.startsWith("{")) {
+    let keystore;
+    try {
+      keystore = JSON.parse(text);
+    } catch {
+      throw new Error(`${keyFile} is not valid keystore JSON`);
+    }
+    const secret =
+      password !== undefined
+        ? password
+        : passwordFile
+          ? fs.readFileSync(passwordFile, "utf8").replace(/\r?\n$/, "")
+          : null;
+    if (secret === null) {
+      throw new Error(
+        "The key file is a keystore; set SIGNER_KEYSTORE_PASSWORD or SIGNER_KEYSTORE_PASSWORD_FILE",
+      );
+    }
+    privateKey = await decryptKeystore(keystore, secret);
+    if (
+      keystore.address &&
+      addressOf(privateKey).slice(2).toLowerCase() !==
+        keystore.address.replace(/^0x/, "").toLowerCase()
+    ) {
+      throw new Error("The keystore address does not match its key");
+    }
+  } else {
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(text)) {
+      throw new Error(
+        `${keyFile} holds neither a 32-byte hex private key nor a V3 keystore`,
+      );
+    }
+    privateKey = Buffer.from(text.replace(/^0x/, ""), "hex");
+  }
+  if (!secp256k1.utils.isValidPrivateKey(privateKey)) {
+    throw new Error("The configured private key is not valid");
+  }
+  return privateKey;
+}
+
+/**
+ * Create a signer for a key file. The key is loaded on first use and stays in
+ * this closure; only the address and signatures leave it.
+ * @param {object} source - `{ keyFile, password, passwordFile }`
+ * @returns {object} - `{ address(), sign(tx) }`
+ */
+function createSigner(source) {
+  let loading = null;
+  const load = () => {
+    if (!loading) {
+      loading = readPrivateKey(source).then((privateKey) => ({
+        privateKey,
+        address: addressOf(privateKey),
+      }));
+      // Let a failed load (e.g. a missing file) be retried
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  };
+
+  return {
+    /**
+     * @returns {Promise<string>} - The signer's checksummed address
+     */
+    async address() {
+      return (await load()).address;
+    },
+
+    /**
+     * Sign a transaction
+     * @param {object} tx - Transaction fields as accepted by serializeTransaction
+     * @returns {Promise<object>} - `{ r, s, recovery }`
+     */
+    async sign(tx) {
+      const { privateKey } = await load();
+      return secp256k1.sign(signingHash(tx), privateKey);
+    },
+  };
+}
+
+function requireResult(response, method) {
+  if (response.error) {
+    throw new Error(`${method} failed: ${response.error.message}`);
+  }
+  return response.result;
+}
+
+/**
+ * Fill in a transaction from the node: chain ID from eth_chainId, nonce from
+ * the pending eth_getTransactionCount, gas from eth_estimateGas, and fees from
+ * eth_gasPrice (legacy) or the "normal" recommend_fees tier (EIP-1559). Fields
+ * given in the request are kept.
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>` for the target network
+ * @param {string} from - The sender address
+ * @param {object} request - `{ type, to, value, data, nonce, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas }`
+ *   with BigInt quantities; `type` is 0 (legacy) or 2 (EIP-1559)
+ * @param {object} options - `{ expectedChainId }`
+ * @returns {Promise<object>} - Transaction fields for serializeTransaction
+ */
+async function buildTransaction(
+  batch,
+  from,
+  request,
+  { expectedChainId = null },
+) {
+  const call = {
+    from,
+    to: request.to || undefined,
+    value: `0x${request.value.toString(16)}`,
+    data: request.data,
+  };
+  const [chainId, nonce, gas] = await batch([
+    { method: "eth_chainId", params: [] },
+    { method: "eth_getTransactionCount", params: [from, "pending"] },
+    { method: "eth_estimateGas", params: [call] },
+  ]);
+
+  const nodeChainId = toBigInt(requireResult(chainId, "eth_chainId"));
+  if (expectedChainId !== null && nodeChainId !== BigInt(expectedChainId)) {
+    throw new Error(
+      `The node reports chain ID ${nodeChainId} but the network is configured for ${expectedChainId}`,
+    );
+  }
+
+  const tx = {
+    type: request.type,
+    chainId: nodeChainId,
+    nonce:
+      request.nonce ??
+      toBigInt(requireResult(nonce, "eth_getTransactionCount")),
+    gas: request.gas ?? toBigInt(requireResult(gas, "eth_estimateGas")),
+    to: request.to || null,
+    value: request.value,
+    data: request.data,
+  };
+
+  if (request.type === 0) {
+    tx.gasPrice = request.gasPrice ?? (await readFeeMarket(batch)).gasPrice;
+    return tx;
+  }
+
+  tx.accessList = [];
+  if (request.maxFeePerGas == null || request.maxPriorityFeePerGas == null) {
+    const normal = recommendFees(await readFeeMarket(batch), tx.gas).tiers.find(
+      (tier) => tier.name === "normal",
+    );
+    tx.maxFeePerGas = request.maxFeePerGas ?? normal.maxFeePerGas;
+    tx.maxPriorityFeePerGas =
+      request.maxPriorityFeePerGas ?? normal.maxPriorityFeePerGas;
+  } else {
+    tx.maxFeePerGas = request.maxFeePerGas;
+    tx.maxPriorityFeePerGas = request.maxPriorityFeePerGas;
+  }
+  if (tx.maxPriorityFeePerGas > tx.maxFeePerGas) {
+    if (request.maxPriorityFeePerGas != null && request.maxFeePerGas != null) {
+      throw new Error("maxPriorityFeePerGas cannot exceed maxFeePerGas");
+    }
+    tx.maxPriorityFeePerGas = tx.maxFeePerGas;
+  }
+  return tx;
+}
+
+module.exports = {
+  buildTransaction,
+  createSigner,
+  decryptKeystore,
+  settings,
+};
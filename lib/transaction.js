@@ -0,0 +1,224 @@
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const {
+  bytesToHex,
+  hexToBytes,
+  keccak256,
+  toChecksumAddress,
+} = require("./hex");
+const rlp = require("./rlp");
+
+// Signed field order for each transaction type, before the signature
+const FIELDS = {
+  0: ["nonce", "gasPrice", "gas", "to", "value", "data"],
+  1: [
+    "chainId",
+    "nonce",
+    "gasPrice",
+    "gas",
+    "to",
+    "value",
+    "data",
+    "accessList",
+  ],
+  2: [
+    "chainId",
+    "nonce",
+    "maxPriorityFeePerGas",
+    "maxFeePerGas",
+    "gas",
+    "to",
+    "value",
+    "data",
+    "accessList",
+  ],
+};
+
+const TYPE_NAMES = { 0: "legacy", 1: "EIP-2930", 2: "EIP-1559" };
+
+function decodeAccessList(items) {
+  if (!Array.isArray(items)) throw new Error("Access list must be a list");
+  return items.map((entry) => {
+    if (!Array.isArray(entry) || entry.length !== 2) {
+      throw new Error("Invalid access list entry");
+    }
+    const [address, keys] = entry;
+    if (Array.isArray(address) || address.length !== 20) {
+      throw new Error("Invalid access list address");
+    }
+    if (!Array.isArray(keys)) {
+      throw new Error("Access list storage keys must be a list");
+    }
+    return {
+      address: toChecksumAddress(bytesToHex(address)),
+      storageKeys: keys.map((key) => {
+        if (Array.isArray(key) || key.length !== 32) {
+          throw new Error("Access list storage keys must be 32 bytes");
+        }
+        return bytesToHex(key);
+      }),
+    };
+  });
+}
+
+function decodeField(name, value) {
+  switch (name) {
+    case "to":
+      if (value.length === 0) return null;
+      if (value.length !== 20) throw new Error("Invalid recipient address");
+      return toChecksumAddress(bytesToHex(value));
+    case "data":
+      return bytesToHex(value);
+    case "accessList":
+      return decodeAccessList(value);
+    default:
+      if (Array.isArray(value)) throw new Error(`Invalid ${name}`);
+      return rlp.bytesToBigInt(value);
+  }
+}
+
+function encodeField(name, value) {
+  switch (name) {
+    case "to":
+      return value ? hexToBytes(value) : Buffer.alloc(0);
+    case "data":
+      return hexToBytes(value || "0x");
+    case "accessList":
+      return (value || []).map((entry) => [
+        hexToBytes(entry.address),
+        entry.storageKeys.map(hexToBytes),
+      ]);
+    default:
+      return rlp.bigIntToBytes(BigInt(value || 0));
+  }
+}
+
+/**
+ * The hash a transaction's sender signs
+ * @param {object} tx - Transaction fields with BigInt quantities and a `type`
+ * @returns {Uint8Array} - The 32-byte signing hash
+ */
+function signingHash(tx) {
+  const fields = FIELDS[tx.type].map((name) => encodeField(name, tx[name]));
+  if (tx.type === 0) {
+    // EIP-155 replay protection commits to the chain ID
+    if (tx.chainId !== null && tx.chainId !== undefined) {
+      fields.push(
+        rlp.bigIntToBytes(BigInt(tx.chainId)),
+        Buffer.alloc(0),
+        Buffer.alloc(0),
+      );
+    }
+    return hexToBytes(keccak256(rlp.encode(fields)));
+  }
+  return hexToBytes(
+    keccak256(Buffer.concat([Buffer.from([tx.type]), rlp.encode(fields)])),
+  );
+}
+
+/**
+ * Recover the sender address from a signing hash and signature
+ * @param {Uint8Array} hash - The signing hash
+ * @param {object} signature - `{ r, s, recovery }` with BigInt r and s
+ * @returns {string} - The checksummed address
+ */
+function recoverAddress(hash, { r, s, recovery }) {
+  const publicKey = new secp256k1.Signature(r, s)
+    .addRecoveryBit(recovery)
+    .recoverPublicKey(hash)
+    .toRawBytes(false);
+  return toChecksumAddress(`0x${keccak256(publicKey.subarray(1)).slice(-40)}`);
+}
+
+/**
+ * Decode a signed raw transaction (legacy, EIP-2930 or EIP-1559) and recover
+ * its sender
+ * @param {string} raw - The 0x-prefixed serialized transaction
+ * @returns {object} - Fields as BigInt quantities plus `hash`, `from`, `typeName` and the signature
+ */
+function decodeRawTransaction(raw) {
+  const bytes = hexToBytes(raw);
+  if (bytes.length === 0) throw new Error("Empty transaction");
+
+  let type;
+  let items;
+  if (bytes[0] >= 0xc0) {
+    type = 0;
+    items = rlp.decode(bytes);
+  } else if (bytes[0] === 1 || bytes[0] === 2) {
+    type = bytes[0];
+    items = rlp.decode(bytes.subarray(1));
+  } else {
+    throw new Error(`Unsupported transaction type 0x${bytes[0].toString(16)}`);
+  }
+
+  const names = FIELDS[type];
+  if (!Array.isArray(items) || items.length !== names.length + 3) {
+    throw new Error(
+      `Malformed ${TYPE_NAMES[type]} transaction: expected ${names.length + 3} fields`,
+    );
+  }
+  const tx = { type, typeName: TYPE_NAMES[type] };
+  names.forEach((name, i) => {
+    tx[name] = decodeField(name, items[i]);
+  });
+  const [v, r, s] = items.slice(names.length).map(rlp.bytesToBigInt);
+
+  let recovery;
+  if (type === 0) {
+    if (v === 27n || v === 28n) {
+      tx.chainId = null;
+      recovery = Number(v - 27n);
+    } else if (v >= 35n) {
+      tx.chainId = (v - 35n) / 2n;
+      recovery = Number((v - 35n) % 2n);
+    } else {
+      throw new Error(`Invalid signature v value ${v}`);
+    }
+  } else {
+    if (v > 1n) throw new Error(`Invalid signature y-parity ${v}`);
+    recovery = Number(v);
+  }
+
+  tx.v = v;
+  tx.r = r;
+  tx.s = s;
+  tx.hash = keccak256(bytes);
+  tx.from = recoverAddress(signingHash(tx), { r, s, recovery });
+  return tx;
+}
+
+/**
+ * Serialize a transaction, signed or unsigned
+ * @param {object} tx - Fields with BigInt quantities and a `type`; `chainId` is required for typed
+ *   transactions and for EIP-155 legacy ones
+ * @param {object} [signature] - `{ r, s, recovery }`
+ * @returns {string} - The 0x-prefixed serialized transaction
+ */
+function serializeTransaction(tx, signature) {
+  const fields = FIELDS[tx.type].map((name) => encodeField(name, tx[name]));
+  if (signature) {
+    const v =
+      tx.type === 0
+        ? tx.chainId === null || tx.chainId === undefined
+          ? 27n + BigInt(signature.recovery)
+          : BigInt(tx.chainId) * 2n + 35n + BigInt(signature.recovery)
+        : BigInt(signature.recovery);
+    fields.push(
+      rlp.bigIntToBytes(v),
+      rlp.bigIntToBytes(signature.r),
+      rlp.bigIntToBytes(signature.s),
+    );
+  }
+  const encoded = rlp.encode(fields);
+  return bytesToHex(
+    tx.type === 0 ? encoded : Buffer.concat([Buffer.from([tx.type]), encoded]),
+  );
+}
+
+module.exports = {
+  TYPE_NAMES,
+  decodeRawTransaction,
+  recoverAddress,
+  serializeTransaction,
+  signingHash,
+};
@@ -0,0 +1,154 @@
+// Named denominations of the native token and their decimals
+const UNITS = {
+  wei: 0,
+  kwei: 3,
+  mwei: 6,
+  gwei: 9,
+  szabo: 12,
+  finney: 15,
+  shm: 18,
+  ether: 18,
+};
+
+const NATIVE_DECIMALS = UNITS.shm;
+
+/**
+ * Convert a JSON-RPC quantity or integer to a BigInt
+ * @param {string|number|bigint} value - Hex ("0x1a"), decimal ("26") or a number
+ * @returns {bigint} - The exact value
+ */
+function toBigInt(value) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number") {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Unsafe integer: ${value}`);
+    }
+    return BigInt(value);
+  }
+  if (typeof value !== "string") {
+    throw new Error(`Invalid quantity: ${value}`);
+  }
+  const text = value.trim();
+  if (/^0x$/i.test(text)) return 0n;
+  if (/^0x[0-9a-f]+$/i.test(text) || /^-?\d+$/.test(text)) return BigInt(text);
+  throw new Error(`Invalid quantity: ${value}`);
+}
+
+/**
+ * Convert a quantity to a JS number, refusing values that would lose precision
+ * @param {string|number|bigint} value - The quantity
+ * @returns {number} - The value as a number
+ */
+function toSafeNumber(value) {
+  const big = toBigInt(value);
+  if (
+    big > BigInt(Number.MAX_SAFE_INTEGER) ||
+    big < BigInt(Number.MIN_SAFE_INTEGER)
+  ) {
+    throw new Error(`Value ${big} exceeds the safe integer range`);
+  }
+  return Number(big);
+}
+
+/**
+ * Resolve a unit name or decimal count to a number of decimals
+ * @param {string|number} unit - A name from UNITS or a number of decimals
+ * @returns {number} - The number of decimals
+ */
+function resolveDecimals(unit) {
+  if (typeof unit === "number") {
+    if (!Number.isInteger(unit) || unit < 0 || unit > 77) {
+      throw new Error(`Invalid decimals: ${unit}`);
+    }
+    return unit;
+  }
+  const decimals = UNITS[String(unit).toLowerCase()];
+  if (decimals === undefined) {
+    throw new Error(
+      `Unknown unit "${unit}". Expected one of ${Object.keys(UNITS).join(", ")} or a number of decimals`,
+    );
+  }
+  return decimals;
+}
+
+/**
+ * Format an integer amount of base units as an exact decimal string
+ * @param {string|number|bigint} value - The amount in base units
+ * @param {string|number} [unit="shm"] - Target unit name or decimals
+ * @returns {string} - e.g. formatUnits(1500000000000000000n) === "1.5"
+ */
+function formatUnits(value, unit = "shm") {
+  const decimals = resolveDecimals(unit);
+  const amount = toBigInt(value);
+  const negative = amount < 0n;
+  const digits = (negative ? -amount : amount)
+    .toString()
+    .padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+  return `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+/**
+ * Parse a decimal string into an integer amount of base units
+ * @param {string|number} value - The decimal amount, e.g. "1.5"
+ * @param {string|number} [unit="shm"] - Source unit name or decimals
+ * @returns {bigint} - e.g. parseUnits("1.5") === 1500000000000000000n
+ */
+function parseUnits(value, unit = "shm") {
+  const decimals = resolveDecimals(unit);
+  const text = String(value).trim();
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === "" && !match[3])) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+  const [, sign, whole, fraction = ""] = match;
+  if (fraction.replace(/0+$/, "").length > decimals) {
+    throw new Error(
+      `Amount ${value} has more than ${decimals} decimal places and cannot be represented exactly`,
+    );
+  }
+  const units = BigInt(
+    `${whole || "0"}${fraction.padEnd(decimals, "0").slice(0, decimals)}`,
+  );
+  return sign ? -units : units;
+}
+
+/**
+ * Convert an amount between two units exactly
+ * @param {string} amount - Decimal amount in the source unit (hex is accepted for integers)
+ * @param {string|number} from - Source unit name or decimals
+ * @param {string|number} to - Target unit name or decimals
+ * @returns {string} - The exact amount in the target unit
+ */
+function convertUnits(amount, from, to) {
+  const base = /^0x/i.test(String(amount).trim())
+    ? toBigInt(amount) * 10n ** BigInt(resolveDecimals(from))
+    : parseUnits(amount, from);
+  return formatUnits(base, to);
+}
+
+/**
+ * Describe a native token amount in wei, gwei and SHM
+ * @param {string|number|bigint} wei - The amount in wei
+ * @returns {{wei: string, gwei: string, shm: string}} - Exact decimal strings
+ */
+function describeWei(wei) {
+  return {
+    wei: toBigInt(wei).toString(),
+    gwei: formatUnits(wei, "gwei"),
+    shm: formatUnits(wei, "shm"),
+  };
+}
+
+module.exports = {
+  NATIVE_DECIMALS,
+  UNITS,
+  convertUnits,
+  describeWei,
+  formatUnits,
+  parseUnits,
+  resolveDecimals,
+  toBigInt,
+  toSafeNumber,
+};
@@ -0,0 +1,163 @@
+const { toBigInt } = require("./units");
+
+const OUTCOMES = [
+  "confirmed",
+  "mined",
+  "pending",
+  "replaced",
+  "dropped",
+  "not_found",
+];
+
+// Recent blocks searched for the transaction that took over a replaced nonce
+const MAX_REPLACEMENT_SCAN = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function unwrapResponse(response) {
+  if (response.error) throw new Error(`RPC Error: ${response.error.message}`);
+  return response.result;
+}
+
+/**
+ * Look for the mined transaction that used a sender's nonce in recent blocks
+ * @returns {Promise<string|null>} - Its hash, or null if not found in the range
+ */
+async function findReplacement(batch, { from, nonce }, latestBlock) {
+  const requests = [];
+  for (
+    let n = latestBlock;
+    n >= 0n && n > latestBlock - BigInt(MAX_REPLACEMENT_SCAN);
+    n--
+  ) {
+    requests.push({
+      method: "eth_getBlockByNumber",
+      params: [`0x${n.toString(16)}`, true],
+    });
+  }
+  const sender = from.toLowerCase();
+  for (const response of await batch(requests)) {
+    const block = response.error ? null : response.result;
+    for (const tx of block ? block.transactions || [] : []) {
+      if (
+        typeof tx === "object" &&
+        tx.from.toLowerCase() === sender &&
+        toBigInt(tx.nonce) === nonce
+      ) {
+        return tx.hash;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Poll for a transaction until it is `confirmations` blocks deep, its nonce is
+ * taken by another transaction, or the timeout passes. The poll interval grows
+ * by half after every poll up to `maxIntervalMs`.
+ * @param {Function} batch - `(requests) => Promise<Array<{result}|{error}>>` for the target network
+ * @param {string} hash - The transaction hash
+ * @param {object} options - `{ confirmations, timeoutMs, intervalMs, maxIntervalMs, from, nonce, onPoll }`;
+ *   `from` and `nonce` identify the transaction when this node has never seen it, and `onPoll(state)`
+ *   is called after every poll
+ * @returns {Promise<object>} - `{ status, receipt, tx, confirmations, latestBlock, replacedBy, polls, elapsedMs }`
+ */
+async function waitForTransaction(
+  batch,
+  hash,
+  {
+    confirmations = 1,
+    timeoutMs = 30000,
+    intervalMs = 1000,
+    maxIntervalMs = 10000,
+    from = null,
+    nonce = null,
+    onPoll = () => {},
+  },
+) {
+  const started = Date.now();
+  let interval = intervalMs;
+  let sender = from
+    ? { from, nonce: nonce === null ? null : BigInt(nonce) }
+    : null;
+  let tx = null;
+  let seen = false;
+  let receipt = null;
+  let latestBlock = null;
+  let polls = 0;
+
+  const result = (status, extra = {}) => ({
+    status,
+    receipt,
+    tx,
+    confirmations:
+      receipt && latestBlock !== null
+        ? Number(latestBlock - toBigInt(receipt.blockNumber) + 1n)
+        : 0,
+    latestBlock,
+    replacedBy: null,
+    polls,
+    elapsedMs: Date.now() - started,
+    ...extra,
+  });
+
+  for (;;) {
+    polls++;
+    const [receiptResponse, txResponse, blockResponse] = await batch([
+      { method: "eth_getTransactionReceipt", params: [hash] },
+      { method: "eth_getTransactionByHash", params: [hash] },
+      { method: "eth_blockNumber", params: [] },
+    ]);
+    receipt = unwrapResponse(receiptResponse);
+    latestBlock = toBigInt(unwrapResponse(blockResponse));
+    const current = unwrapResponse(txResponse);
+    if (current) {
+      tx = current;
+      seen = true;
+      sender = { from: current.from, nonce: toBigInt(current.nonce) };
+    }
+
+    if (receipt && receipt.blockNumber) {
+      const state = result("mined");
+      onPoll(state);
+      if (state.confirmations >= confirmations) {
+        return { ...state, status: "confirmed" };
+      }
+    } else {
+      receipt = null;
+      // A nonce the sender has already used, by a transaction other than
+      // this one, means it can never be mined
+      if (!current && sender && sender.nonce !== null) {
+        // The receipt is asked for again so a transaction mined in between
+        // isn't mistaken for a replaced one
+        const [countResponse, recheckResponse] = await batch([
+          {
+            method: "eth_getTransactionCount",
+            params: [sender.from, "latest"],
+          },
+          { method: "eth_getTransactionReceipt", params: [hash] },
+        ]);
+        if (
+          toBigInt(unwrapResponse(countResponse)) > sender.nonce &&
+          !unwrapResponse(recheckResponse)
+        ) {
+          return result("replaced", {
+            replacedBy: await findReplacement(batch, sender, latestBlock),
+          });
+        }
+      }
+      onPoll(result(current ? "pending" : seen ? "dropped" : "not_found"));
+    }
+
+    const remaining = timeoutMs - (Date.now() - started);
+    if (remaining <= 0) {
+      if (receipt) return result("mined");
+      if (tx && !current) return result("dropped");
+      return result(tx ? "pending" : "not_found");
+    }
+    await sleep(Math.min(interval, remaining));
+    interval = Math.min(Math.round(interval * 1.5), maxIntervalMs);
+  }
+}
+
+module.exports = { OUTCOMES, waitForTransaction };
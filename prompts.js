@@ -25,14 +25,14 @@ function registerPrompts(server) {
           role: "user",
           content: {
             type: "text",
-            text: `Use eth_getBalance to conduct a comprehensive financial analysis for address ${address} at block ${blockParameter}:
+            text: `Use eth_getBalance, inspect_address and address_activity to conduct a comprehensive financial analysis for address ${address} at block ${blockParameter}:
 
 1. Retrieve native token balance
 2. Perform in-depth financial investigation:
    - Current balance in native tokens
-   - Historical balance trends
+   - Historical balance trends (balance samples from address_activity)
    - Wallet activity indicators
-   - Potential account type classification
+   - Account type classification (externally owned account, contract or proxy)
 
 Provide contextual insights into the account's financial status and blockchain interaction patterns.`,
           },
@@ -82,14 +82,14 @@ Highlight the significance of the current block number in the network's timeline
           role: "user",
           content: {
             type: "text",
-            text: `Use eth_getTransactionCount to perform a comprehensive analysis of transaction history for address ${address} at block ${blockParameter}:
+            text: `Use eth_getTransactionCount and address_activity to perform a comprehensive analysis of transaction history for address ${address} at block ${blockParameter}:
 
 1. Retrieve total number of transactions sent
 2. Analyze account activity:
    - Transaction frequency
    - Account age and maturity
    - Potential account type (user, contract, exchange)
-   - Historical transaction patterns
+   - Historical transaction patterns (transactions sent and received in recent blocks)
 
 Provide insights into the account's blockchain interaction and significance.`,
           },
@@ -120,7 +120,7 @@ Provide insights into the account's blockchain interaction and significance.`,
    - Transaction density
    - Block utilization
    - Potential network activity indicators
-   - Comparison with recent blocks
+   - Comparison with recent blocks (block_range_stats ending at this block)
 
 Provide context about the block's significance and network performance.`,
           },
@@ -151,7 +151,7 @@ Provide context about the block's significance and network performance.`,
    - Transaction volume
    - Network activity levels
    - Potential network events or congestion
-   - Comparative analysis with network averages
+   - Comparative analysis with network averages from block_range_stats
 
 Provide insights into the block's role in the blockchain ecosystem.`,
           },
@@ -183,7 +183,7 @@ Provide insights into the block's role in the blockchain ecosystem.`,
           role: "user",
           content: {
             type: "text",
-            text: `Use eth_estimateGas to conduct a comprehensive gas cost analysis for a transaction:
+            text: `Use eth_estimateGas and recommend_fees to conduct a comprehensive gas cost analysis for a transaction:
 
 1. Estimate gas requirements
 2. Analyze transaction cost factors:
@@ -277,6 +277,7 @@ Provide deep insights into the block's role in the blockchain ecosystem.`,
    - Transaction composition
    - Network state at block generation
    - Performance and security indicators
+   - Block time, utilization and base fee compared with recent blocks (block_range_stats)
 
 Provide comprehensive insights into the block's significance.`,
           },
@@ -330,9 +331,9 @@ Provide forensic insights into the block's transaction execution.`,
           role: "user",
           content: {
             type: "text",
-            text: `Use eth_getTransactionByHash to perform a comprehensive forensic analysis of transaction ${txHash}:
+            text: `Use explain_transaction to perform a comprehensive forensic analysis of transaction ${txHash}:
 
-1. Retrieve complete transaction details
+1. Retrieve the transaction, its receipt and block in one step (use eth_getTransactionByHash only if you need raw fields)
 2. Conduct in-depth transaction investigation:
    - Sender and recipient information
    - Transaction value and type
@@ -432,9 +433,9 @@ Provide insights into the transaction's significance within its block.`,
           role: "user",
           content: {
             type: "text",
-            text: `Use eth_getTransactionReceipt to perform a forensic analysis of the transaction receipt for ${txHash}:
+            text: `Use explain_transaction to perform a forensic analysis of the transaction receipt for ${txHash}:
 
-1. Retrieve complete transaction receipt
+1. Retrieve the receipt together with the transaction and block (use eth_getTransactionReceipt only if you need raw fields)
 2. Conduct in-depth receipt investigation:
    - Transaction execution status
    - Gas used and actual cost
@@ -490,14 +491,15 @@ Provide comprehensive insights into the network's identification and context.`,
           role: "user",
           content: {
             type: "text",
-            text: `Use shardeum_getNodeList to perform a comprehensive analysis of Shardeum network nodes:
+            text: `Use shardeum_getNodeList and node_list_summary to perform a comprehensive analysis of Shardeum network nodes:
 
 1. Retrieve node list for page ${args.page} with ${args.limit} nodes per page
-2. Investigate network node composition:
-   - Node distribution
+2. Summarize the full node list across all pages with node_list_summary
+3. Investigate network node composition:
+   - Node distribution by status and version
    - Network health indicators
    - Staking and validator information
-   - Network decentralization metrics
+   - Network decentralization metrics (IP prefix, ASN and region concentration)
 
 Provide detailed insights into the Shardeum network's node ecosystem.`,
           },
@@ -513,14 +515,15 @@ Provide detailed insights into the Shardeum network's node ecosystem.`,
         role: "user",
         content: {
           type: "text",
-          text: `Use shardeum_getNetworkAccount to conduct a comprehensive analysis of the Shardeum network account:
+          text: `Use network_config to conduct a comprehensive analysis of the Shardeum network account:
 
-1. Retrieve network account details
+1. Retrieve the explained governance parameters (use shardeum_getNetworkAccount for the raw account)
 2. Investigate network parameters:
    - Network governance information
    - Staking and reward mechanisms
    - Network economic model
    - Cycle and maintenance details
+3. Review the values queued in \`next\` and the scheduled listOfChanges entries, and use asOfCycle or compareTo to see what changed recently
 
 Provide deep insights into the Shardeum network's economic and operational structure.`,
         },
@@ -543,7 +546,7 @@ Provide deep insights into the Shardeum network's economic and operational struc
           role: "user",
           content: {
             type: "text",
-            text: `Use shardeum_getCycleInfo to analyze ${
+            text: `Use shardeum_getCycleInfo and cycle_range to analyze ${
               args.cycleNumber
                 ? `cycle number ${args.cycleNumber}`
                 : "the current network cycle"
@@ -555,6 +558,10 @@ Provide deep insights into the Shardeum network's economic and operational struc
    - Network synchronization state
    - Performance metrics
    - Validator and staking dynamics
+3. Use cycle_range over the preceding cycles to put it in context:
+   - Nodes joined, activated, removed, lost and refuted
+   - Churn and rotation
+   - Safety-mode and configuration changes
 
 Provide comprehensive insights into the Shardeum network's current operational cycle.`,
           },
@@ -562,6 +569,34 @@ Provide comprehensive insights into the Shardeum network's current operational c
       ],
     }),
   );
+
+  // node_status - Validator Health
+  server.prompt(
+    "shardeum_node_status",
+    {
+      node: z
+        .string()
+        .describe("The node's public key, nominator address or IP:port"),
+    },
+    (args) => ({
+      messages: [
+        {
+          role: "user",
+          content: {
+            type: "text",
+            text: `Use node_status to check whether the Shardeum validator ${args.node} is active and healthy:
+
+1. Locate the node by public key, nominator address or IP:port
+2. Report its status, activation cycle and how long it has been active
+3. Check recent cycles for lost, refuted, removed or apoptosized reports
+4. Compare its stake with the network's staking requirement and check the stake certificate
+
+Explain any issues found and what the node operator should do about them.`,
+          },
+        },
+      ],
+    }),
+  );
 }
 
 module.exports = { registerPrompts };
@@ -0,0 +1,299 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  decodeEventLog,
+  decodeParams,
+  decodeRevert,
+  encodeFunctionData,
+  encodeParams,
+  formatSignature,
+  parseAbi,
+  parseFragment,
+  resolveFunction,
+  selectorOf,
+  topicOf,
+} = require("../lib/abi");
+const { createSignatureRegistry } = require("../lib/signatures");
+
+const word = (hex) => hex.padStart(64, "0");
+const ALICE = "0x" + "a".repeat(40);
+const BOB = "0x" + "b".repeat(40);
+
+describe("parseFragment", () => {
+  it("parses human-readable signatures with names and modifiers", () => {
+    const fragment = parseFragment(
+      "function transfer(address to, uint amount) external returns (bool)",
+    );
+    assert.equal(fragment.type, "function");
+    assert.equal(formatSignature(fragment), "transfer(address,uint256)");
+    assert.deepEqual(fragment.outputs, [{ name: "", type: "bool" }]);
+  });
+
+  it("expands tuples in the canonical signature", () => {
+    const fragment = parseFragment(
+      "function submit((uint256 id, address[] owners)[] orders, bytes32 salt)",
+    );
+    assert.equal(
+      formatSignature(fragment),
+      "submit((uint256,address[])[],bytes32)",
+    );
+  });
+
+  it("accepts JSON fragments", () => {
+    const fragment = parseFragment(
+      JSON.stringify({
+        type: "event",
+        name: "Transfer",
+        inputs: [
+          { name: "from", type: "address", indexed: true },
+          { name: "to", type: "address", indexed: true },
+          { name: "value", type: "uint256" },
+        ],
+      }),
+    );
+    assert.equal(
+      topicOf(fragment),
+      "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef",
+    );
+  });
+});
+
+describe("encoding", () => {
+  // Examples from the Solidity ABI specification
+  it("encodes static arguments", () => {
+    assert.equal(
+      encodeFunctionData(parseFragment("baz(uint32 x, bool y)"), [69, true]),
+      `0xcdcd77c0${word("45")}${word("1")}`,
+    );
+  });
+
+  it("encodes dynamic arguments", () => {
+    assert.equal(
+      encodeFunctionData(parseFragment("sam(bytes, bool, uint256[])"), [
+        "0x64617665",
+        true,
+        [1, 2, 3],
+      ]),
+      `0xa5643bf2${word("60")}${word("1")}${word("a0")}${word("4")}${"64617665".padEnd(64, "0")}${word("3")}${word("1")}${word("2")}${word("3")}`,
+    );
+  });
+
+  it("encodes negative integers in two's complement", () => {
+    assert.equal(
+      encodeParams([{ name: "", type: "int8" }], [-1]),
+      `0x${"f".repeat(64)}`,
+    );
+  });
+
+  it("rejects out-of-range and malformed values", () => {
+    assert.throws(
+      () => encodeParams([{ name: "", type: "uint8" }], [256]),
+      /out of range/,
+    );
+    assert.throws(
+      () => encodeParams([{ name: "", type: "address" }], ["0x1234"]),
+      /Invalid address/,
+    );
+    assert.throws(
+      () => encodeParams([{ name: "", type: "bytes4" }], ["0x12"]),
+      /exactly 4 bytes/,
+    );
+    assert.throws(
+      () => encodeParams([{ name: "", type: "uint256" }], []),
+      /Expected 1 argument/,
+    );
+  });
+});
+
+describe("decodeParams", () => {
+  it("round-trips nested dynamic values", () => {
+    const params = parseFragment(
+      "f(string label, (address owner, uint256[] amounts) entry, int16 delta, bytes data)",
+    ).inputs;
+    const values = [
+      "hello",
+      { owner: ALICE, amounts: ["1", "2"] },
+      "-300",
+      "0xdeadbeef",
+    ];
+    const decoded = decodeParams(params, encodeParams(params, values));
+    assert.deepEqual(
+      decoded.map((param) => param.value),
+      [
+        "hello",
+        {
+          owner: "0xaAaAaAaaAaAaAaaAaAAAAAAAAaaaAaAaAaaAaaAa",
+          amounts: ["1", "2"],
+        },
+        "-300",
+        "0xdeadbeef",
+      ],
+    );
+    assert.equal(decoded[1].type, "(address,uint256[])");
+  });
+
+  it("rejects truncated data", () => {
+    assert.throws(
+      () => decodeParams([{ name: "", type: "uint256" }], "0x01"),
+      /too short/,
+    );
+  });
+});
+
+describe("decodeRevert", () => {
+  it("decodes Error(string)", () => {
+    const reason = Buffer.from("Not enough Ether provided.").toString("hex");
+    const data = `0x08c379a0${word("20")}${word("1a")}${reason.padEnd(64, "0")}`;
+    assert.equal(decodeRevert(data).message, "Not enough Ether provided.");
+  });
+
+  it("decodes Panic(uint256)", () => {
+    const result = decodeRevert(`0x4e487b71${word("11")}`);
+    assert.equal(result.kind, "Panic");
+    assert.match(result.message, /overflow/);
+  });
+
+  it("decodes custom errors from the ABI", () => {
+    const abi = parseAbi([
+      "error InsufficientBalance(uint256 available, uint256 required)",
+    ]);
+    const selector = selectorOf(abi[0]);
+    const result = decodeRevert(`${selector}${word("5")}${word("a")}`, abi);
+    assert.equal(result.kind, "custom");
+    assert.equal(result.message, 'InsufficientBalance("5", "10")');
+  });
+
+  it("reports empty and unknown revert data", () => {
+    assert.equal(decodeRevert("0x").kind, "empty");
+    assert.equal(decodeRevert("0x12345678").kind, "unknown");
+  });
+});
+
+describe("decodeEventLog", () => {
+  const transfer = parseFragment(
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+  );
+
+  it("decodes indexed and data arguments", () => {
+    const args = decodeEventLog(
+      transfer,
+      [
+        topicOf(transfer),
+        `0x${word(ALICE.slice(2))}`,
+        `0x${word(BOB.slice(2))}`,
+      ],
+      `0x${word("3e8")}`,
+    );
+    assert.deepEqual(
+      args.map((arg) => [arg.name, arg.indexed, arg.value]),
+      [
+        ["from", true, "0xaAaAaAaaAaAaAaaAaAAAAAAAAaaaAaAaAaaAaaAa"],
+        ["to", true, "0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB"],
+        ["value", false, "1000"],
+      ],
+    );
+  });
+
+  it("returns hashes for indexed dynamic arguments", () => {
+    const named = parseFragment("event Named(string indexed name)");
+    const hash = `0x${"ab".repeat(32)}`;
+    const [arg] = decodeEventLog(named, [topicOf(named), hash], "0x");
+    assert.deepEqual(arg, {
+      name: "name",
+      type: "string",
+      indexed: true,
+      value: hash,
+      hashed: true,
+    });
+  });
+
+  it("returns hashes for indexed fixed-size arrays", () => {
+    const pair = parseFragment("event Pair(uint256[2] indexed values)");
+    const hash = `0x${"cd".repeat(32)}`;
+    const [arg] = decodeEventLog(pair, [topicOf(pair), hash], "0x");
+    assert.deepEqual(arg, {
+      name: "values",
+      type: "uint256[2]",
+      indexed: true,
+      value: hash,
+      hashed: true,
+    });
+  });
+
+  it("rejects a topic count that doesn't match", () => {
+    assert.throws(
+      () => decodeEventLog(transfer, [topicOf(transfer)], `0x${word("1")}`),
+      /2 indexed argument/,
+    );
+  });
+});
+
+describe("resolveFunction", () => {
+  const abi = parseAbi([
+    "function balanceOf(address owner) view returns (uint256)",
+  ]);
+
+  it("takes a signature from the ABI so its outputs are known", () => {
+    const fragment = resolveFunction(abi, "balanceOf(address)", 1);
+    assert.deepEqual(fragment.outputs, [{ name: "", type: "uint256" }]);
+  });
+
+  it("parses a signature the ABI doesn't have", () => {
+    const fragment = resolveFunction(abi, "totalSupply()", 0);
+    assert.equal(formatSignature(fragment), "totalSupply()");
+    assert.deepEqual(fragment.outputs, []);
+  });
+
+  it("looks names up in the ABI", () => {
+    assert.equal(resolveFunction(abi, "balanceOf", 1), abi[0]);
+    assert.throws(() => resolveFunction(abi, "approve", 2), /not found/);
+  });
+});
+
+describe("signature registry", () => {
+  const transferData = encodeFunctionData(
+    parseFragment("transfer(address,uint256)"),
+    [BOB, 5],
+  );
+
+  it("decodes calls with the bundled signatures", () => {
+    const decoded = createSignatureRegistry().decodeCall(
+      "testnet",
+      ALICE,
+      transferData,
+    );
+    assert.equal(decoded.signature, "transfer(address,uint256)");
+    assert.equal(decoded.args[1].value, "5");
+  });
+
+  it("prefers a registered ABI", () => {
+    const registry = createSignatureRegistry();
+    registry.register(
+      "testnet",
+      ALICE,
+      ["function transfer(address recipient, uint256 shares)"],
+      "Vault",
+    );
+    const decoded = registry.decodeCall("testnet", ALICE, transferData);
+    assert.equal(decoded.source, "registered ABI (Vault)");
+    assert.deepEqual(
+      decoded.args.map((arg) => arg.name),
+      ["recipient", "shares"],
+    );
+    // Other networks still use the bundled signatures
+    assert.notEqual(
+      registry.decodeCall("mainnet", ALICE, transferData).source,
+      "registered ABI (Vault)",
+    );
+  });
+
+  it("reports unknown selectors", () => {
+    const decoded = createSignatureRegistry().decodeCall(
+      "testnet",
+      ALICE,
+      "0xffffffff",
+    );
+    assert.equal(decoded.name, null);
+    assert.equal(decoded.selector, "0xffffffff");
+  });
+});
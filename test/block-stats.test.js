@@ -0,0 +1,128 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  BLOCKS_PER_BATCH,
+  computeBlockStats,
+  fetchBlocks,
+} = require("../lib/block-stats");
+
+const ALICE = "0x" + "a".repeat(40);
+const BOB = "0x" + "b".repeat(40);
+const hex = (n) => `0x${n.toString(16)}`;
+
+function block(number, timestamp, transactions, extra = {}) {
+  return {
+    number: hex(number),
+    timestamp: hex(timestamp),
+    gasUsed: hex(21000 * transactions.length),
+    gasLimit: hex(84000),
+    transactions,
+    ...extra,
+  };
+}
+
+const send = (from, to) => ({ from, to });
+
+describe("computeBlockStats", () => {
+  const previous = block(9, 1000, []);
+  const blocks = [
+    block(10, 1002, [send(ALICE, BOB), send(ALICE, BOB)], {
+      baseFeePerGas: "0x64",
+    }),
+    block(11, 1004, [send(BOB, ALICE)], { baseFeePerGas: "0x6e" }),
+    block(12, 1010, [send(ALICE, null), send(ALICE, BOB)], {
+      baseFeePerGas: "0x78",
+    }),
+  ];
+
+  it("measures block times from the previous block", () => {
+    const { rows, summary } = computeBlockStats(blocks, previous);
+    assert.deepEqual(
+      rows.map((row) => row.blockTime),
+      [2, 2, 6],
+    );
+    assert.deepEqual(summary.blockTimeHistogram, [
+      { seconds: 2, blocks: 2 },
+      { seconds: 6, blocks: 1 },
+    ]);
+    assert.deepEqual(summary.blockTime, {
+      min: 2,
+      max: 6,
+      mean: 3.33,
+      median: 2,
+      p90: 6,
+    });
+  });
+
+  it("counts TPS from the end of the previous block", () => {
+    // 5 transactions over 10 seconds
+    assert.equal(computeBlockStats(blocks, previous).summary.tps, 0.5);
+    // Without it the first block only marks the start: 3 over 8 seconds
+    assert.equal(computeBlockStats(blocks, null).summary.tps, 0.375);
+  });
+
+  it("reports gas utilization and the base fee trend", () => {
+    const { rows, summary } = computeBlockStats(blocks, previous);
+    assert.deepEqual(
+      rows.map((row) => row.utilization),
+      [50, 25, 50],
+    );
+    assert.equal(summary.overallUtilization, 41.66);
+    assert.deepEqual(summary.baseFee, {
+      first: 100n,
+      last: 120n,
+      min: 100n,
+      max: 120n,
+      changePercent: 20,
+    });
+  });
+
+  it("ranks senders and recipients and counts contract creations", () => {
+    const { summary } = computeBlockStats(blocks, previous);
+    assert.deepEqual(summary.topSenders, [
+      { address: ALICE, transactions: 4 },
+      { address: BOB, transactions: 1 },
+    ]);
+    assert.deepEqual(summary.topRecipients[0], {
+      address: BOB,
+      transactions: 3,
+    });
+    assert.equal(summary.contractCreations, 1);
+    assert.equal(summary.uniqueSenders, 2);
+  });
+
+  it("leaves gaps without a block time and flags hash-only blocks", () => {
+    const { rows, hashesOnly } = computeBlockStats(
+      [block(10, 1002, ["0x" + "1".repeat(64)]), block(12, 1010, [])],
+      previous,
+    );
+    assert.deepEqual(
+      rows.map((row) => row.blockTime),
+      [2, null],
+    );
+    assert.equal(hashesOnly, true);
+  });
+});
+
+describe("fetchBlocks", () => {
+  it("batches requests and keeps block order", async () => {
+    const batches = [];
+    const numbers = Array.from({ length: BLOCKS_PER_BATCH + 3 }, (_, i) =>
+      BigInt(i + 1),
+    );
+    const { responses, requests } = await fetchBlocks(
+      async (group) => {
+        batches.push(group.length);
+        return group.map(({ params }) => ({ result: { number: params[0] } }));
+      },
+      numbers,
+      { fullTransactions: true, concurrency: 2 },
+    );
+    assert.equal(requests, 2);
+    assert.deepEqual(batches, [BLOCKS_PER_BATCH, 3]);
+    assert.deepEqual(
+      responses.map((response) => response.result.number),
+      numbers.map(hex),
+    );
+  });
+});
@@ -0,0 +1,32 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { disassemble, extractSelectors } = require("../lib/bytecode");
+
+function selectorsOf(code) {
+  return extractSelectors(disassemble(Buffer.from(code, "hex")));
+}
+
+// PUSH1 0x00 CALLDATALOAD PUSH1 0xe0 SHR, the usual selector read
+const READ_SELECTOR = "600035" + "60e01c";
+
+describe("extractSelectors", () => {
+  it("finds PUSH4 selectors compared with EQ", () => {
+    // DUP1 PUSH4 0x70a08231 EQ
+    assert.deepEqual(selectorsOf(`${READ_SELECTOR}806370a0823114`), [
+      "0x70a08231",
+    ]);
+  });
+
+  it("left-pads selectors pushed with fewer than 4 bytes", () => {
+    // DUP1 PUSH3 0xfdd58e EQ, then DUP1 PUSH1 0x01 EQ
+    assert.deepEqual(selectorsOf(`${READ_SELECTOR}8062fdd58e14` + "80600114"), [
+      "0x00fdd58e",
+      "0x00000001",
+    ]);
+  });
+
+  it("ignores short pushes that don't compare the calldata selector", () => {
+    // PUSH1 0x01 EQ without a DUP, and DUP1 PUSH1 0x01 EQ before calldata is read
+    assert.deepEqual(selectorsOf("8060011460011435"), []);
+  });
+});
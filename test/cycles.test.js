@@ -0,0 +1,136 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  cycleRecord,
+  diffCycles,
+  eventNodes,
+  fetchCycles,
+} = require("../lib/cycles");
+
+function cycle(counter, fields = {}) {
+  return {
+    counter,
+    start: 1700000000 + counter * 60,
+    duration: 60,
+    mode: "processing",
+    active: 100,
+    desired: 120,
+    joined: [],
+    activated: [],
+    removed: [],
+    lost: [],
+    refuted: [],
+    apoptosized: [],
+    marker: `marker-${counter}`,
+    networkConfigHash: "0xaaa",
+    ...fields,
+  };
+}
+
+describe("eventNodes", () => {
+  it("reads ids, public keys and the legacy list names", () => {
+    assert.deepEqual(eventNodes({ lost: ["n1", { id: "n2" }] }, "lost"), [
+      "n1",
+      "n2",
+    ]);
+    assert.deepEqual(
+      eventNodes({ joinedConsensors: [{ publicKey: "pk1" }] }, "joined"),
+      ["pk1"],
+    );
+    assert.deepEqual(
+      eventNodes({ activatedPublicKeys: ["pk2"] }, "activated"),
+      ["pk2"],
+    );
+    assert.deepEqual(eventNodes({}, "removed"), []);
+  });
+});
+
+describe("cycleRecord", () => {
+  it("unwraps cycleInfo", () => {
+    assert.deepEqual(cycleRecord({ cycleInfo: { counter: 3 } }), {
+      counter: 3,
+    });
+    assert.deepEqual(cycleRecord({ counter: 3 }), { counter: 3 });
+    assert.equal(cycleRecord(null), null);
+  });
+});
+
+describe("diffCycles", () => {
+  const records = [
+    cycle(10),
+    cycle(11, { activated: ["a1", "a2"], active: 102 }),
+    cycle(12, {
+      removed: ["r1"],
+      lost: ["l1"],
+      active: 100,
+      mode: "safety",
+      networkConfigHash: "0xbbb",
+    }),
+  ];
+
+  it("counts events and count changes per cycle", () => {
+    const { cycles, totals, nodes } = diffCycles(records);
+    assert.deepEqual(
+      cycles.map((entry) => [entry.counter, entry.activated, entry.removed]),
+      [
+        [10, 0, 0],
+        [11, 2, 0],
+        [12, 0, 1],
+      ],
+    );
+    assert.deepEqual(
+      cycles.map((entry) => entry.changes.active),
+      [null, 2, -2],
+    );
+    assert.equal(totals.activated, 2);
+    assert.deepEqual(nodes.lost, ["l1"]);
+  });
+
+  it("reports mode and configuration changes but not volatile fields", () => {
+    const { modeChanges, configChanges, safetyCycles } = diffCycles(records);
+    assert.deepEqual(modeChanges, [
+      { cycle: 12, field: "mode", from: "processing", to: "safety" },
+    ]);
+    assert.deepEqual(configChanges, [
+      { cycle: 12, field: "networkConfigHash", from: "0xaaa", to: "0xbbb" },
+    ]);
+    assert.deepEqual(safetyCycles, [12]);
+  });
+
+  it("computes churn against the average active count", () => {
+    assert.deepEqual(diffCycles(records).churn, {
+      arrived: 2,
+      departed: 2,
+      averageActive: 100.67,
+      churnPercent: 3.97,
+      rotatedPerCycle: 0.33,
+      activeChange: 0,
+    });
+  });
+
+  it("has no count changes across a missing cycle", () => {
+    const { cycles } = diffCycles([cycle(10), cycle(12, { active: 90 })]);
+    assert.equal(cycles[1].changes.active, null);
+  });
+});
+
+describe("fetchCycles", () => {
+  it("lists cycles the node can't return as missing", async () => {
+    const result = await fetchCycles(
+      async (method, [counter]) => {
+        if (counter === 2) throw new Error("RPC Error: pruned");
+        if (counter === 3) return null;
+        return { cycleInfo: { counter } };
+      },
+      { from: 1, to: 4, concurrency: 2 },
+    );
+    assert.deepEqual(
+      result.records.map((record) => record.counter),
+      [1, 4],
+    );
+    assert.deepEqual(result.missing, [
+      { cycle: 2, message: "RPC Error: pruned" },
+      { cycle: 3, message: "Cycle not found" },
+    ]);
+  });
+});
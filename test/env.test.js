@@ -0,0 +1,32 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { envInteger } = require("../lib/env");
+
+function withEnv(value, read) {
+  process.env.TEST_ENV_SETTING = value;
+  try {
+    return read("TEST_ENV_SETTING", 7);
+  } finally {
+    delete process.env.TEST_ENV_SETTING;
+  }
+}
+
+describe("envInteger", () => {
+  it("reads positive integers", () => {
+    assert.equal(withEnv("25", envInteger), 25);
+  });
+
+  it("falls back on unset, zero, negative, fractional and non-numeric values", () => {
+    assert.equal(envInteger("TEST_ENV_SETTING", 7), 7);
+    for (const value of ["", "0", "-5", "2.5", "abc"]) {
+      assert.equal(withEnv(value, envInteger), 7, value);
+    }
+  });
+
+  it("accepts zero when the minimum allows it, but not a blank value", () => {
+    const read = (name, fallback) => envInteger(name, fallback, 0);
+    assert.equal(withEnv("0", read), 0);
+    assert.equal(withEnv(" ", read), 7);
+    assert.equal(withEnv("-1", read), 7);
+  });
+});
@@ -0,0 +1,169 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  describeRecommendation,
+  isUnsupported,
+  readFeeMarket,
+  recommendFees,
+} = require("../lib/fees");
+
+const GWEI = 1000000000n;
+
+function market(overrides) {
+  return {
+    gasPrice: 20n * GWEI,
+    maxPriorityFeePerGas: 2n * GWEI,
+    history: null,
+    baseFee: 10n * GWEI,
+    notes: [],
+    ...overrides,
+  };
+}
+
+describe("recommendFees", () => {
+  it("uses the flat gas price without a base fee", () => {
+    const recommendation = recommendFees(market({ baseFee: 0n }), 21000n);
+    assert.equal(recommendation.model, "flat");
+    for (const tier of recommendation.tiers) {
+      assert.equal(tier.maxFeePerGas, 20n * GWEI);
+      assert.equal(tier.maxCost, 21000n * 20n * GWEI);
+    }
+    assert.match(recommendation.notes[0], /fees are flat/);
+  });
+
+  it("takes each tier's priority fee from its reward percentile", () => {
+    // Columns are the 10th, 50th and 90th percentiles of each block
+    const rewards = [
+      [1n, 2n, 9n],
+      [2n, 4n, 8n],
+      [3n, 6n, 7n],
+      [4n, 8n, 6n],
+    ].map((row) => row.map((value) => value * GWEI));
+    const { tiers, model } = recommendFees(
+      market({
+        history: { rewards, gasUsedRatio: [0.5, 0.5, 0.5, 0.5] },
+      }),
+      100000n,
+    );
+    assert.equal(model, "eip1559");
+    // The median of an even count is the upper middle value
+    assert.deepEqual(
+      tiers.map((tier) => tier.maxPriorityFeePerGas),
+      [3n * GWEI, 6n * GWEI, 8n * GWEI],
+    );
+    // slow: 100% of the base fee, normal: 150%, fast: 200%
+    assert.deepEqual(
+      tiers.map((tier) => tier.maxFeePerGas),
+      [13n * GWEI, 21n * GWEI, 28n * GWEI],
+    );
+    assert.equal(tiers[1].gasPrice, 16n * GWEI);
+    assert.equal(tiers[1].expectedCost, 100000n * 16n * GWEI);
+  });
+
+  it("ignores rewards of empty blocks", () => {
+    const { tiers } = recommendFees(
+      market({
+        history: {
+          rewards: [
+            [0n, 0n, 0n],
+            [5n, 5n, 5n],
+          ],
+          gasUsedRatio: [0, 0.3],
+        },
+      }),
+      21000n,
+    );
+    assert.equal(tiers[0].maxPriorityFeePerGas, 5n);
+  });
+
+  it("falls back to the node's priority fee, then to gasPrice - baseFee", () => {
+    const suggested = recommendFees(market(), 21000n);
+    assert.equal(suggested.tiers[2].maxPriorityFeePerGas, 2n * GWEI);
+    assert.match(suggested.notes.join(" "), /No priority fee history/);
+
+    const derived = recommendFees(
+      market({ maxPriorityFeePerGas: null }),
+      21000n,
+    );
+    assert.equal(derived.tiers[0].maxPriorityFeePerGas, 10n * GWEI);
+  });
+
+  it("describes BigInt values for output", () => {
+    const described = describeRecommendation(recommendFees(market(), 21000n));
+    assert.equal(described.gasLimit, "21000");
+    assert.equal(described.baseFeePerGas.gwei, "10");
+    assert.equal(described.tiers[0].maxFeePerGas.gwei, "12");
+  });
+});
+
+describe("readFeeMarket", () => {
+  it("reads the next base fee from the fee history", async () => {
+    const result = await readFeeMarket(async () => [
+      { result: "0x4a817c800" },
+      { result: "0x3b9aca00" },
+      {
+        result: {
+          oldestBlock: "0x10",
+          baseFeePerGas: ["0x1", "0x2", "0x3"],
+          gasUsedRatio: [0.5, 0.6],
+          reward: [
+            ["0x1", "0x2", "0x3"],
+            ["0x4", "0x5", "0x6"],
+          ],
+        },
+      },
+      { result: { baseFeePerGas: "0x9" } },
+    ]);
+    assert.equal(result.gasPrice, 20n * GWEI);
+    assert.equal(result.maxPriorityFeePerGas, GWEI);
+    assert.equal(result.baseFee, 3n);
+    assert.equal(result.history.oldestBlock, 16n);
+    assert.deepEqual(result.history.rewards[1], [4n, 5n, 6n]);
+    assert.deepEqual(result.notes, []);
+  });
+
+  it("notes unsupported methods and uses the latest block's base fee", async () => {
+    const unsupported = {
+      error: { code: -32601, message: "Method not found" },
+    };
+    const result = await readFeeMarket(async () => [
+      { result: "0x1" },
+      unsupported,
+      unsupported,
+      { result: { baseFeePerGas: "0x9" } },
+    ]);
+    assert.equal(result.maxPriorityFeePerGas, null);
+    assert.equal(result.history, null);
+    assert.equal(result.baseFee, 9n);
+    assert.deepEqual(result.notes, [
+      "The node does not support eth_maxPriorityFeePerGas",
+      "The node does not support eth_feeHistory",
+    ]);
+  });
+
+  it("fails when eth_gasPrice fails", async () => {
+    await assert.rejects(
+      readFeeMarket(async () => [
+        { error: { code: -32000, message: "boom" } },
+        { result: null },
+        { result: null },
+        { result: null },
+      ]),
+      /RPC Error: boom/,
+    );
+  });
+});
+
+describe("isUnsupported", () => {
+  it("recognises method-not-found errors only", () => {
+    assert.equal(isUnsupported({ code: -32601, message: "" }), true);
+    assert.equal(
+      isUnsupported({
+        code: -32000,
+        message: "the method eth_x does not exist",
+      }),
+      true,
+    );
+    assert.equal(isUnsupported({ code: -32000, message: "timeout" }), false);
+  });
+});
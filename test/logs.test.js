@@ -0,0 +1,63 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { decodeCursor, encodeCursor, isRangeError } = require("../lib/logs");
+
+function rpcError(message, code = -32005) {
+  const error = new Error(message);
+  error.rpcError = { code, message };
+  return error;
+}
+
+describe("isRangeError", () => {
+  it("recognises the known provider messages", () => {
+    for (const message of [
+      "query returned more than 10000 results. Try with this block range [0x1, 0x2]",
+      "exceed maximum block range: 5000",
+      "block range too large",
+      "query limit exceeded",
+    ]) {
+      assert.equal(isRangeError(rpcError(message)), true, message);
+    }
+  });
+
+  it("rejects rate limits and other errors", () => {
+    for (const message of [
+      "rate limit exceeded",
+      "too many requests",
+      "invalid argument 0: hex string has odd length",
+      "invalid argument 1: value out of range",
+    ]) {
+      assert.equal(isRangeError(rpcError(message)), false, message);
+    }
+  });
+
+  it("ignores transport errors", () => {
+    assert.equal(isRangeError(new Error("block range too large")), false);
+  });
+});
+
+describe("cursors", () => {
+  it("round-trip the position and the resolved range", () => {
+    const range = { fromBlock: 51n, toBlock: 150n };
+    assert.deepEqual(
+      decodeCursor(encodeCursor({ block: 81n, skip: 2, range })),
+      {
+        block: 81n,
+        skip: 2,
+        range,
+      },
+    );
+  });
+
+  it("decode cursors without a range", () => {
+    assert.deepEqual(decodeCursor(encodeCursor({ block: 5n, skip: 0 })), {
+      block: 5n,
+      skip: 0,
+      range: null,
+    });
+  });
+
+  it("reject malformed cursors", () => {
+    assert.throws(() => decodeCursor("not-a-cursor"), /Invalid cursor/);
+  });
+});
@@ -0,0 +1,220 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  changesSince,
+  createSnapshotStore,
+  decodeAmount,
+  describeValue,
+  diffAccounts,
+  explainAccount,
+  governanceField,
+  networkAccount,
+} = require("../lib/network-account");
+
+// $1250 with 18 decimals
+const STAKE = { dataType: "bi", value: "43c33c193756480000" };
+
+function account(fields = {}) {
+  return {
+    id: "1000000000000000000000000000000000000000000000000000000000000001",
+    hash: "0xabc",
+    timestamp: 1700000000000,
+    current: {
+      stakeRequiredUsd: STAKE,
+      nodeRewardInterval: 3600000,
+      stabilityScaleMul: 1000,
+      stabilityScaleDiv: 1000,
+      slashing: { leftNetworkEarlyPenaltyPercent: 0.2 },
+      activeVersion: "1.10.0",
+    },
+    next: {},
+    listOfChanges: [],
+    ...fields,
+  };
+}
+
+describe("networkAccount", () => {
+  it("unwraps the RPC result", () => {
+    assert.deepEqual(networkAccount({ networkAccount: { id: "1" } }), {
+      id: "1",
+    });
+    assert.deepEqual(networkAccount({ id: "1" }), { id: "1" });
+    assert.equal(networkAccount(null), null);
+  });
+});
+
+describe("decodeAmount", () => {
+  it("reads serialized bigints, hex and decimal", () => {
+    assert.equal(decodeAmount(STAKE), 1250n * 10n ** 18n);
+    assert.equal(decodeAmount({ dataType: "bi", value: "0x10" }), 16n);
+    assert.equal(decodeAmount("0x10"), 16n);
+    assert.equal(decodeAmount(16), 16n);
+    assert.equal(decodeAmount("not a number"), null);
+  });
+});
+
+describe("describeValue", () => {
+  it("formats USD amounts with their SHM equivalent", () => {
+    assert.equal(
+      describeValue(STAKE, "usd", {
+        stabilityScaleMul: 2,
+        stabilityScaleDiv: 1,
+      }),
+      "$1250 (2500 SHM)",
+    );
+    assert.equal(describeValue(STAKE, "usd"), "$1250");
+  });
+
+  it("formats durations, cycles and unset values", () => {
+    assert.equal(describeValue(90061000, "ms"), "90061000 ms (1d 1h 1m 1s)");
+    assert.equal(describeValue(500, "ms"), "500 ms (500 ms)");
+    assert.equal(describeValue(5, "cycles"), "5 cycle(s)");
+    assert.equal(describeValue(undefined), "not set");
+    assert.equal(describeValue(true), "true");
+  });
+});
+
+describe("governanceField", () => {
+  it("looks paths up under any parameter root", () => {
+    assert.equal(
+      governanceField("current.slashing.leftNetworkEarlyPenaltyPercent")
+        .category,
+      "penalties",
+    );
+    assert.equal(governanceField("appData.activeVersion").category, "versions");
+    assert.equal(governanceField("current.unknownField"), null);
+  });
+});
+
+describe("diffAccounts", () => {
+  it("ignores volatile fields", () => {
+    const later = account({ hash: "0xdef", timestamp: 1700000060000 });
+    assert.deepEqual(diffAccounts(account(), later), []);
+  });
+
+  it("reports changed, added and removed parameters by path", () => {
+    const later = account();
+    later.current = {
+      ...later.current,
+      nodeRewardInterval: 7200000,
+      slashing: {},
+      txPause: true,
+    };
+    assert.deepEqual(diffAccounts(account(), later), [
+      { path: "current.nodeRewardInterval", from: 3600000, to: 7200000 },
+      {
+        path: "current.slashing.leftNetworkEarlyPenaltyPercent",
+        from: 0.2,
+        to: null,
+      },
+      { path: "current.txPause", from: null, to: true },
+    ]);
+  });
+
+  it("reports only the next values that differ from current", () => {
+    const later = account({
+      next: { nodeRewardInterval: 3600000, activeVersion: "1.11.0" },
+    });
+    assert.deepEqual(diffAccounts(account(), later), [
+      { path: "next.activeVersion", from: null, to: "1.11.0" },
+    ]);
+  });
+});
+
+describe("explainAccount", () => {
+  it("describes governance fields, queued values and scheduled changes", () => {
+    const explained = explainAccount(
+      account({
+        next: { activeVersion: "1.11.0" },
+        listOfChanges: [
+          { cycle: 10, change: { p2p: { minNodes: 50 } } },
+          { cycle: 30, change: {}, appData: { activeVersion: "1.11.0" } },
+        ],
+      }),
+      20,
+    );
+    assert.deepEqual(
+      explained.fields.find(
+        (field) => field.path === "current.nodeRewardInterval",
+      ).value,
+      "3600000 ms (1h)",
+    );
+    assert.deepEqual(explained.next, [
+      { path: "activeVersion", from: "1.10.0", to: "1.11.0" },
+    ]);
+    assert.deepEqual(explained.changes, [
+      {
+        cycle: 10,
+        pending: false,
+        values: [{ path: "p2p.minNodes", value: 50 }],
+      },
+      {
+        cycle: 30,
+        pending: true,
+        values: [{ path: "appData.activeVersion", value: "1.11.0" }],
+      },
+    ]);
+  });
+});
+
+describe("changesSince", () => {
+  const history = account({
+    listOfChanges: [
+      { cycle: 30, change: { p2p: { minNodes: 70 } } },
+      { cycle: 10, change: { p2p: { minNodes: 50 } } },
+      { cycle: 20, change: { p2p: { minNodes: 60 } } },
+    ],
+  });
+
+  it("lists later changes with the value they replace", () => {
+    assert.deepEqual(changesSince(history, 15, null), [
+      { cycle: 20, path: "p2p.minNodes", from: 50, to: 60 },
+      { cycle: 30, path: "p2p.minNodes", from: 60, to: 70 },
+    ]);
+  });
+
+  it("stops at the until cycle", () => {
+    assert.deepEqual(changesSince(history, 0, 10), [
+      { cycle: 10, path: "p2p.minNodes", from: null, to: 50 },
+    ]);
+  });
+});
+
+describe("createSnapshotStore", () => {
+  it("extends the latest snapshot when nothing changed", () => {
+    const store = createSnapshotStore();
+    const first = store.record("mainnet", account(), 100);
+    const again = store.record("mainnet", account({ hash: "0xdef" }), 105);
+    assert.equal(again, first);
+    assert.equal(first.cycle, 100);
+    assert.equal(first.lastSeenCycle, 105);
+    assert.equal(store.list("mainnet").length, 1);
+  });
+
+  it("adds a snapshot per change and finds them by id and cycle", () => {
+    const store = createSnapshotStore();
+    const first = store.record("mainnet", account(), 100);
+    const changed = account();
+    changed.current = { ...changed.current, txPause: true };
+    const second = store.record("mainnet", changed, 200);
+    assert.notEqual(second.id, first.id);
+    assert.equal(store.get("mainnet", first.id), first);
+    assert.equal(store.atCycle("mainnet", 150), first);
+    assert.equal(store.atCycle("mainnet", 250), second);
+    assert.equal(store.atCycle("mainnet", 50), undefined);
+    assert.deepEqual(store.list("testnet"), []);
+  });
+
+  it("drops the oldest snapshots past the limit", () => {
+    const store = createSnapshotStore({ maxSnapshots: 2 });
+    for (const version of ["1", "2", "3"]) {
+      const next = account();
+      next.current = { ...next.current, activeVersion: version };
+      store.record("mainnet", next, Number(version));
+    }
+    assert.deepEqual(
+      store.list("mainnet").map((snapshot) => snapshot.cycle),
+      [2, 3],
+    );
+  });
+});
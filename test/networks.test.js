@@ -0,0 +1,63 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { createNetworkRegistry, loadNetworks } = require("../lib/networks");
+
+describe("loadNetworks", () => {
+  it("keeps the RPC_URL failover list for a built-in network", () => {
+    const network = loadNetworks({
+      RPC_URL: "https://api-testnet.shardeum.org, https://backup.example/",
+    }).resolve();
+    assert.equal(network.name, "testnet");
+    assert.deepEqual(network.rpcUrls, [
+      "https://api-testnet.shardeum.org",
+      "https://backup.example/",
+    ]);
+  });
+
+  it("appends a network's own endpoints after the RPC_URL list", () => {
+    const network = loadNetworks({
+      SHARDEUM_NETWORKS: JSON.stringify({
+        networks: {
+          main: { rpcUrls: ["https://a.example/", "https://b.example/"] },
+        },
+      }),
+      RPC_URL: "https://a.example,https://c.example/",
+    }).resolve();
+    assert.deepEqual(network.rpcUrls, [
+      "https://a.example",
+      "https://c.example/",
+      "https://b.example/",
+    ]);
+  });
+
+  it("adds a custom network for an unknown RPC_URL", () => {
+    const network = loadNetworks({
+      RPC_URL: "https://x.example/,https://y.example/",
+      CHAIN_ID: "0x1f92",
+    }).resolve();
+    assert.equal(network.name, "custom");
+    assert.equal(network.chainId, 8082);
+    assert.deepEqual(network.rpcUrls, [
+      "https://x.example/",
+      "https://y.example/",
+    ]);
+  });
+});
+
+describe("createNetworkRegistry", () => {
+  it("rejects rpcUrls that is not an array of URLs", () => {
+    for (const rpcUrls of ["https://a.example/", [""], [42]]) {
+      assert.throws(
+        () => createNetworkRegistry({ networks: { a: { rpcUrls } } }),
+        /rpcUrls must be an array of URLs/,
+      );
+    }
+  });
+
+  it("rejects networks without a URL", () => {
+    assert.throws(
+      () => createNetworkRegistry({ networks: { a: { chainId: 1 } } }),
+      /missing an rpcUrl/,
+    );
+  });
+});
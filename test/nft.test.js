@@ -0,0 +1,230 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  decodeDataUri,
+  expandTokenUri,
+  isPublicAddress,
+  resolveMetadata,
+} = require("../lib/nft");
+
+// A fetcher that records the URLs asked for and serves canned responses
+function stubFetcher(responses) {
+  const urls = [];
+  const fetcher = async (url) => {
+    urls.push(url);
+    const response = responses[url];
+    if (!response) throw new Error(`Unexpected fetch of ${url}`);
+    if (response instanceof Error) throw response;
+    return response;
+  };
+  return { fetcher, urls };
+}
+
+describe("decodeDataUri", () => {
+  it("decodes base64 content", () => {
+    const body = JSON.stringify({ name: "Token" });
+    assert.deepEqual(
+      decodeDataUri(
+        `data:application/json;base64,${Buffer.from(body).toString("base64")}`,
+      ),
+      { contentType: "application/json", body },
+    );
+  });
+
+  it("decodes percent-encoded content", () => {
+    assert.deepEqual(decodeDataUri("data:text/plain,hello%20world"), {
+      contentType: "text/plain",
+      body: "hello world",
+    });
+  });
+
+  it("defaults the content type", () => {
+    assert.equal(
+      decodeDataUri("data:,x").contentType,
+      "text/plain;charset=US-ASCII",
+    );
+  });
+
+  it("rejects malformed URIs", () => {
+    assert.throws(() => decodeDataUri("data:no-comma"), /Malformed data URI/);
+  });
+});
+
+describe("expandTokenUri", () => {
+  it("substitutes the token id as 64 hex characters", () => {
+    assert.equal(
+      expandTokenUri("https://example.com/{id}.json", 255n),
+      `https://example.com/${"0".repeat(62)}ff.json`,
+    );
+  });
+
+  it("replaces every placeholder and leaves other URIs alone", () => {
+    assert.equal(expandTokenUri("{id}/{id}", 1n).split("/").length, 2);
+    assert.equal(expandTokenUri("ipfs://Qm/1.json", 1n), "ipfs://Qm/1.json");
+  });
+});
+
+describe("resolveMetadata", () => {
+  it("returns an empty result without a URI", async () => {
+    const result = await resolveMetadata(null);
+    assert.equal(result.status, "none");
+    assert.equal(result.scheme, null);
+  });
+
+  it("decodes data URIs without fetching", async () => {
+    const { fetcher, urls } = stubFetcher({});
+    const result = await resolveMetadata(
+      'data:application/json,{"name":"Inline"}',
+      { fetcher },
+    );
+    assert.equal(result.status, "decoded");
+    assert.equal(result.scheme, "data");
+    assert.deepEqual(result.metadata, { name: "Inline" });
+    assert.deepEqual(urls, []);
+  });
+
+  it("skips fetching when no fetcher is given", async () => {
+    const result = await resolveMetadata("https://example.com/1.json");
+    assert.equal(result.status, "skipped");
+    assert.equal(result.resolvedUrl, "https://example.com/1.json");
+    assert.match(result.error, /NFT_METADATA_FETCH/);
+  });
+
+  it("fetches HTTP metadata through the fetcher", async () => {
+    const { fetcher } = stubFetcher({
+      "https://example.com/1.json": {
+        contentType: "application/json",
+        body: '{"name":"Remote"}',
+      },
+    });
+    const result = await resolveMetadata("https://example.com/1.json", {
+      fetcher,
+    });
+    assert.equal(result.status, "fetched");
+    assert.deepEqual(result.metadata, { name: "Remote" });
+    assert.equal(result.truncated, false);
+  });
+
+  it("maps ipfs:// and ar:// URIs to gateways", async () => {
+    const { fetcher, urls } = stubFetcher({
+      "https://gateway.test/ipfs/Qm123/1.json": {
+        contentType: "application/json",
+        body: "{}",
+      },
+      "https://arweave.net/abc": {
+        contentType: "application/json",
+        body: "{}",
+      },
+    });
+    const options = { fetcher, ipfsGateway: "https://gateway.test/ipfs" };
+    assert.equal(
+      (await resolveMetadata("ipfs://ipfs/Qm123/1.json", options)).scheme,
+      "ipfs",
+    );
+    assert.equal(
+      (await resolveMetadata("ar://abc", options)).scheme,
+      "arweave",
+    );
+    assert.deepEqual(urls, [
+      "https://gateway.test/ipfs/Qm123/1.json",
+      "https://arweave.net/abc",
+    ]);
+  });
+
+  it("returns non-JSON content inline, capped in length", async () => {
+    const { fetcher } = stubFetcher({
+      "https://example.com/image.svg": {
+        contentType: "image/svg+xml",
+        body: "x".repeat(10000),
+      },
+    });
+    const result = await resolveMetadata("https://example.com/image.svg", {
+      fetcher,
+    });
+    assert.equal(result.metadata, null);
+    assert.ok(result.content.length < 5000);
+    assert.match(result.content, /\(5904 more characters\)$/);
+    assert.equal(result.truncated, true);
+  });
+
+  it("caps JSON metadata at the same length", async () => {
+    const body = JSON.stringify({ name: "Large", image: "x".repeat(10000) });
+    const { fetcher } = stubFetcher({
+      "https://example.com/large.json": {
+        contentType: "application/json",
+        body,
+      },
+    });
+    const result = await resolveMetadata("https://example.com/large.json", {
+      fetcher,
+    });
+    assert.equal(result.metadata, null);
+    assert.ok(result.content.startsWith('{"name":"Large"'));
+    assert.match(
+      result.content,
+      new RegExp(`\\(${body.length - 4096} more characters\\)$`),
+    );
+    assert.equal(result.truncated, true);
+  });
+
+  it("drops invalid JSON served as JSON", async () => {
+    const { fetcher } = stubFetcher({
+      "https://example.com/bad.json": {
+        contentType: "application/json",
+        body: "{not json",
+      },
+    });
+    const result = await resolveMetadata("https://example.com/bad.json", {
+      fetcher,
+    });
+    assert.equal(result.status, "fetched");
+    assert.equal(result.metadata, null);
+    assert.equal(result.content, null);
+  });
+
+  it("reports fetch failures", async () => {
+    const { fetcher } = stubFetcher({
+      "https://example.com/1.json": new Error("timeout of 5000ms exceeded"),
+    });
+    const result = await resolveMetadata("https://example.com/1.json", {
+      fetcher,
+    });
+    assert.equal(result.status, "failed");
+    assert.equal(result.error, "timeout of 5000ms exceeded");
+  });
+
+  it("skips unsupported schemes", async () => {
+    const result = await resolveMetadata("ftp://example.com/1.json", {
+      fetcher: stubFetcher({}).fetcher,
+    });
+    assert.equal(result.status, "skipped");
+    assert.equal(result.scheme, "other");
+  });
+});
+
+describe("isPublicAddress", () => {
+  it("refuses loopback, private, link-local and mapped addresses", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.0.0.1",
+      "172.16.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "fe80::1",
+      "fd00::1",
+      "::ffff:127.0.0.1",
+      "::ffff:a9fe:a9fe",
+    ]) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+  });
+
+  it("accepts public addresses", () => {
+    for (const address of ["8.8.8.8", "1.1.1.1", "2606:4700::1111"]) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+  });
+});
@@ -0,0 +1,216 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  aggregateNodes,
+  fetchAllNodes,
+  findNodes,
+  nodeStake,
+  parseEndpoint,
+} = require("../lib/nodes");
+
+const ETHER = 10n ** 18n;
+
+function node(index, fields = {}) {
+  return {
+    id: `id${index}`,
+    publicKey: `pk${index}`,
+    status: "active",
+    ip: `10.0.${index}.1`,
+    ...fields,
+  };
+}
+
+// A node list of `count` nodes served `servedSize` per page at most
+function nodeList(count, { servedSize = Infinity, total = true } = {}) {
+  const nodes = Array.from({ length: count }, (_, index) => node(index));
+  const pages = [];
+  const call = async (method, [{ page, limit }]) => {
+    assert.equal(method, "shardeum_getNodeList");
+    pages.push(page);
+    const size = Math.min(limit, servedSize);
+    const nodeList = nodes.slice((page - 1) * size, page * size);
+    return total ? { nodeList, totalNodes: count } : { nodeList };
+  };
+  return { call, pages };
+}
+
+describe("fetchAllNodes", () => {
+  it("reads every page when the node reports a total", async () => {
+    const { call, pages } = nodeList(25);
+    const result = await fetchAllNodes(call, {
+      pageSize: 10,
+      maxPages: 10,
+      concurrency: 2,
+    });
+    assert.equal(result.nodes.length, 25);
+    assert.equal(result.total, 25);
+    assert.equal(result.pages, 3);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(
+      pages.sort((a, b) => a - b),
+      [1, 2, 3],
+    );
+  });
+
+  it("follows the page size the node serves", async () => {
+    const { call } = nodeList(25, { servedSize: 5 });
+    const result = await fetchAllNodes(call, {
+      pageSize: 10,
+      maxPages: 10,
+      concurrency: 2,
+    });
+    assert.equal(result.nodes.length, 25);
+    assert.equal(result.pages, 5);
+  });
+
+  it("reads until a short page without a total", async () => {
+    const { call, pages } = nodeList(25, { total: false });
+    const result = await fetchAllNodes(call, {
+      pageSize: 10,
+      maxPages: 10,
+      concurrency: 4,
+    });
+    assert.equal(result.nodes.length, 25);
+    assert.equal(result.total, null);
+    assert.equal(result.pages, 3);
+    assert.deepEqual(
+      pages.sort((a, b) => a - b),
+      [1, 2, 3, 4, 5],
+    );
+  });
+
+  it("stops at maxPages", async () => {
+    for (const total of [true, false]) {
+      const { call } = nodeList(50, { total });
+      const result = await fetchAllNodes(call, {
+        pageSize: 10,
+        maxPages: 2,
+        concurrency: 2,
+      });
+      assert.equal(result.nodes.length, 20);
+      assert.equal(result.truncated, true);
+    }
+  });
+
+  it("drops nodes repeated across shifting pages", async () => {
+    const pages = [
+      [node(1), node(2)],
+      [node(2, { id: "ID2" }), { publicKey: "pk3" }],
+      [{ publicKey: "PK3" }, { ip: "10.0.9.1" }],
+    ];
+    const result = await fetchAllNodes(
+      async (method, [{ page }]) => ({ nodeList: pages[page - 1] }),
+      { pageSize: 2, maxPages: 10, concurrency: 1 },
+    );
+    assert.equal(result.duplicates, 2);
+    assert.deepEqual(result.nodes, [
+      node(1),
+      node(2),
+      { publicKey: "pk3" },
+      { ip: "10.0.9.1" },
+    ]);
+  });
+});
+
+describe("nodeStake", () => {
+  const parameters = {
+    stakeRequiredUsd: { dataType: "bi", value: (10n * ETHER).toString(16) },
+    stabilityScaleMul: 1000,
+    stabilityScaleDiv: 500,
+  };
+
+  it("compares the operator's stake with the required stake", () => {
+    const stake = nodeStake({
+      operator: {
+        operatorAccountInfo: {
+          stake: { dataType: "bi", value: (15n * ETHER).toString(16) },
+          nominee: "pk1",
+          certExp: 1700000000000,
+        },
+      },
+      node: { nominator: "0xabc", reward: "0x10", penalty: 0 },
+      parameters,
+    });
+    assert.deepEqual(stake, {
+      staked: 15n * ETHER,
+      required: 20n * ETHER,
+      requiredUsd: 10n * ETHER,
+      meetsRequirement: false,
+      reward: 16n,
+      penalty: 0n,
+      certificateExpires: "2023-11-14T22:13:20.000Z",
+      nominator: "0xabc",
+      nominee: "pk1",
+    });
+  });
+
+  it("falls back to the node's stake lock and leaves unknowns null", () => {
+    const stake = nodeStake({
+      operator: null,
+      node: { stakeLock: "0x64" },
+      parameters: null,
+    });
+    assert.equal(stake.staked, 100n);
+    assert.equal(stake.required, null);
+    assert.equal(stake.meetsRequirement, null);
+    assert.equal(stake.certificateExpires, null);
+  });
+});
+
+describe("findNodes", () => {
+  const nodes = [
+    node(1, { port: 9001, nominator: "0xAbC" }),
+    node(2, { ip: "10.0.1.1", port: 9002 }),
+  ];
+
+  it("matches keys and nominators case-insensitively", () => {
+    assert.deepEqual(findNodes(nodes, { publicKey: "PK2" }), [nodes[1]]);
+    assert.deepEqual(findNodes(nodes, { nominator: "0xabc" }), [nodes[0]]);
+  });
+
+  it("matches an IP with an optional port", () => {
+    assert.equal(findNodes(nodes, { ip: "10.0.1.1", port: null }).length, 2);
+    assert.deepEqual(findNodes(nodes, { ip: "10.0.1.1", port: 9002 }), [
+      nodes[1],
+    ]);
+  });
+});
+
+describe("parseEndpoint", () => {
+  it("splits IPv4 and bracketed IPv6 endpoints", () => {
+    assert.deepEqual(parseEndpoint("10.0.0.1:9001"), {
+      ip: "10.0.0.1",
+      port: 9001,
+    });
+    assert.deepEqual(parseEndpoint("[2001:db8::1]:9001"), {
+      ip: "2001:db8::1",
+      port: 9001,
+    });
+    assert.deepEqual(parseEndpoint("2001:db8::1"), {
+      ip: "2001:db8::1",
+      port: null,
+    });
+  });
+});
+
+describe("aggregateNodes", () => {
+  it("groups nodes by IP prefix and reports concentration", () => {
+    const result = aggregateNodes([
+      node(1, { ip: "10.1.0.1", status: "syncing" }),
+      node(2, { ip: "10.1.0.2" }),
+      node(3, { ip: "10.2.0.1" }),
+      node(4, { ip: "10.1.5.5" }),
+    ]);
+    assert.deepEqual(result.byIpPrefix, [
+      { value: "10.1.0.0/16", nodes: 3 },
+      { value: "10.2.0.0/16", nodes: 1 },
+    ]);
+    assert.deepEqual(result.byStatus, [
+      { value: "active", nodes: 3 },
+      { value: "syncing", nodes: 1 },
+    ]);
+    assert.equal(result.concentration.largestIpPrefixShare, 75);
+    assert.deepEqual(result.byAsn, []);
+    assert.equal(result.concentration.largestAsnShare, null);
+  });
+});
@@ -0,0 +1,56 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const rlp = require("../lib/rlp");
+
+const hex = (bytes) => Buffer.from(bytes).toString("hex");
+const text = (value) => Buffer.from(value, "utf8");
+
+// Examples from the RLP specification
+describe("rlp", () => {
+  it("encodes strings and lists", () => {
+    assert.equal(hex(rlp.encode(text("dog"))), "83646f67");
+    assert.equal(
+      hex(rlp.encode([text("cat"), text("dog")])),
+      "c88363617483646f67",
+    );
+    assert.equal(hex(rlp.encode(Buffer.alloc(0))), "80");
+    assert.equal(hex(rlp.encode([])), "c0");
+    assert.equal(hex(rlp.encode(Buffer.from([0x0f]))), "0f");
+    assert.equal(
+      hex(
+        rlp.encode(
+          text("Lorem ipsum dolor sit amet, consectetur adipisicing elit"),
+        ),
+      ),
+      "b8384c6f72656d20697073756d20646f6c6f722073697420616d65742c20636f6e7365637465747572206164697069736963696e6720656c6974",
+    );
+  });
+
+  it("encodes nested lists", () => {
+    assert.equal(hex(rlp.encode([[], [[]], [[], [[]]]])), "c7c0c1c0c3c0c1c0");
+  });
+
+  it("round-trips integers without leading zeros", () => {
+    assert.equal(hex(rlp.bigIntToBytes(0n)), "");
+    assert.equal(hex(rlp.encode(rlp.bigIntToBytes(1024n))), "820400");
+    assert.equal(rlp.bytesToBigInt(rlp.bigIntToBytes(2n ** 70n)), 2n ** 70n);
+  });
+
+  it("decodes what it encodes", () => {
+    const item = [
+      text("cat"),
+      [text("dog"), Buffer.alloc(0)],
+      Buffer.alloc(60, 1),
+    ];
+    assert.deepEqual(
+      rlp
+        .decode(rlp.encode(item))
+        .map((part) => (Array.isArray(part) ? part.map(hex) : hex(part))),
+      [hex(item[0]), item[1].map(hex), hex(item[2])],
+    );
+  });
+
+  it("rejects trailing bytes", () => {
+    assert.throws(() => rlp.decode(Buffer.from("83646f6700", "hex")));
+  });
+});
@@ -0,0 +1,127 @@
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, describe, it } = require("node:test");
+const { makeBatchRpcCall, makeRpcCall, settings } = require("../lib/rpc");
+const { buildTransaction } = require("../lib/signer");
+
+const FROM = "0x" + "a".repeat(40);
+const TO = "0x" + "b".repeat(40);
+
+// A JSON-RPC node that counts the calls it receives per method
+function startNode(handler) {
+  const calls = {};
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      const answer = ({ id, method, params }) => {
+        calls[method] = (calls[method] || 0) + 1;
+        return { jsonrpc: "2.0", id, result: handler(method, params) };
+      };
+      res.setHeader("content-type", "application/json");
+      res.end(
+        JSON.stringify(
+          Array.isArray(payload) ? payload.map(answer) : answer(payload),
+        ),
+      );
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        calls,
+        close: () => server.close(),
+      }),
+    ),
+  );
+}
+
+describe("response cache", () => {
+  let node;
+  let nonce = 0;
+
+  before(async () => {
+    node = await startNode((method) => {
+      switch (method) {
+        case "eth_chainId":
+          return "0x1f93";
+        case "eth_getTransactionCount":
+          return `0x${(nonce++).toString(16)}`;
+        case "eth_estimateGas":
+          return "0x5208";
+        default:
+          return "0x1";
+      }
+    });
+  });
+
+  after(() => node.close());
+
+  it("reads the pending nonce and gas estimate for every build", async () => {
+    const batch = (requests) => makeBatchRpcCall(requests, node.url);
+    const request = { type: 0, to: TO, value: 0n, data: "0x", gasPrice: 1n };
+    const first = await buildTransaction(batch, FROM, request, {});
+    const second = await buildTransaction(batch, FROM, request, {});
+
+    assert.equal(node.calls.eth_getTransactionCount, 2);
+    assert.equal(node.calls.eth_estimateGas, 2);
+    assert.equal(first.nonce, 0n);
+    assert.equal(second.nonce, 1n);
+  });
+
+  it("still caches latest state briefly", async () => {
+    await makeRpcCall("eth_getBalance", [FROM, "latest"], node.url);
+    await makeRpcCall("eth_getBalance", [FROM, "latest"], node.url);
+    assert.equal(node.calls.eth_getBalance, 1);
+  });
+
+  it("drops head-dependent results after a broadcast", async () => {
+    await makeRpcCall("eth_getBalance", [TO, "latest"], node.url);
+    await makeRpcCall("eth_getBalance", [TO, "latest"], node.url);
+    const reads = node.calls.eth_getBalance;
+    await makeRpcCall("eth_sendRawTransaction", ["0x00"], node.url);
+    await makeRpcCall("eth_getBalance", [TO, "latest"], node.url);
+    assert.equal(node.calls.eth_getBalance, reads + 1);
+  });
+});
+
+describe("circuit breaker", () => {
+  let hits = 0;
+  let server;
+  let url;
+  const saved = { ...settings };
+
+  before(async () => {
+    Object.assign(settings, { breakerThreshold: 1, maxRetries: 0 });
+    server = http.createServer((req, res) => {
+      hits += 1;
+      res.statusCode = 503;
+      res.end("unavailable");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(() => {
+    Object.assign(settings, saved);
+    server.close();
+  });
+
+  it("fails fast while every circuit is cooling down", async () => {
+    await assert.rejects(makeRpcCall("eth_chainId", [], url), /503/);
+    assert.equal(hits, 1);
+    await assert.rejects(
+      makeRpcCall("eth_chainId", [], url),
+      /All RPC endpoints are unavailable/,
+    );
+    assert.equal(hits, 1);
+  });
+
+  it("lets a trial request through once the cooldown has passed", async () => {
+    settings.breakerCooldownMs = 0;
+    await assert.rejects(makeRpcCall("eth_chainId", [], url), /503/);
+    assert.equal(hits, 2);
+  });
+});
@@ -0,0 +1,177 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, describe, it } = require("node:test");
+const { createSigner, decryptKeystore } = require("../lib/signer");
+const {
+  decodeRawTransaction,
+  serializeTransaction,
+} = require("../lib/transaction");
+
+// The EIP-155 example key and the address it controls
+const PRIVATE_KEY =
+  "4646464646464646464646464646464646464646464646464646464646464646";
+const ADDRESS = "0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F";
+const TO = "0x3535353535353535353535353535353535353535";
+
+const SCRYPT_KEYSTORE = {
+  address: "9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f",
+  id: "03030303-0303-4303-8303-030303030303",
+  version: 3,
+  Crypto: {
+    cipher: "aes-128-ctr",
+    cipherparams: { iv: "02020202020202020202020202020202" },
+    ciphertext:
+      "f5a6f0bd2781a1471e354c9e5c65aa27744f225d265b99d5d9d40773a22b4527",
+    kdf: "scrypt",
+    kdfparams: {
+      salt: "0101010101010101010101010101010101010101010101010101010101010101",
+      n: 1024,
+      dklen: 32,
+      p: 1,
+      r: 8,
+    },
+    mac: "d99aa885dd5e6381f94c5d70f12eadb570cd924b90e5c137a930bb07caf186c6",
+  },
+};
+
+const PBKDF2_KEYSTORE = {
+  version: 3,
+  address: "9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f",
+  crypto: {
+    cipher: "aes-128-ctr",
+    cipherparams: { iv: "05050505050505050505050505050505" },
+    ciphertext:
+      "aaa2a95627095cd7e273d8717c02d2b6289941fecc39751815035a319575ca75",
+    kdf: "pbkdf2",
+    kdfparams: {
+      c: 1000,
+      dklen: 32,
+      prf: "hmac-sha256",
+      salt: "0404040404040404040404040404040404040404040404040404040404040404",
+    },
+    mac: "f7e2d5b92999c593911bceff1783d1af761e339932915fef34132c809064e9b3",
+  },
+};
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "signer-test-"));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function writeKeyFile(name, contents) {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+async function signAndSerialize(signer, tx) {
+  return serializeTransaction(tx, await signer.sign(tx));
+}
+
+describe("decryptKeystore", () => {
+  it("decrypts a scrypt keystore", async () => {
+    const key = await decryptKeystore(SCRYPT_KEYSTORE, "testpassword");
+    assert.equal(key.toString("hex"), PRIVATE_KEY);
+  });
+
+  it("decrypts a pbkdf2 keystore", async () => {
+    const key = await decryptKeystore(PBKDF2_KEYSTORE, "testpassword");
+    assert.equal(key.toString("hex"), PRIVATE_KEY);
+  });
+
+  it("rejects a wrong password", async () => {
+    await assert.rejects(
+      decryptKeystore(PBKDF2_KEYSTORE, "wrong"),
+      /MAC mismatch/,
+    );
+  });
+});
+
+describe("createSigner", () => {
+  const signer = createSigner({
+    keyFile: writeKeyFile("key.txt", `0x${PRIVATE_KEY}\n`),
+  });
+
+  it("derives the address from a hex key file", async () => {
+    assert.equal(await signer.address(), ADDRESS);
+  });
+
+  it("derives the address from a keystore file", async () => {
+    const keystoreSigner = createSigner({
+      keyFile: writeKeyFile("keystore.json", JSON.stringify(SCRYPT_KEYSTORE)),
+      password: "testpassword",
+    });
+    assert.equal(await keystoreSigner.address(), ADDRESS);
+  });
+
+  it("signs the EIP-155 example transaction", async () => {
+    const raw = await signAndSerialize(signer, {
+      type: 0,
+      chainId: 1n,
+      nonce: 9n,
+      gasPrice: 20000000000n,
+      gas: 21000n,
+      to: TO,
+      value: 10n ** 18n,
+      data: "0x",
+    });
+    assert.equal(
+      raw,
+      "0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a76400008025a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83",
+    );
+    const decoded = decodeRawTransaction(raw);
+    assert.equal(
+      decoded.hash,
+      "0x33469b22e9f636356c4160a87eb19df52b7412e8eac32a4a55ffe88ea8350788",
+    );
+    assert.equal(decoded.from, ADDRESS);
+  });
+
+  it("signs an EIP-1559 transaction with an access list", async () => {
+    const raw = await signAndSerialize(signer, {
+      type: 2,
+      chainId: 8083n,
+      nonce: 7n,
+      maxPriorityFeePerGas: 1000000000n,
+      maxFeePerGas: 30000000000n,
+      gas: 60000n,
+      to: TO,
+      value: 12345n,
+      data: "0xa9059cbb",
+      accessList: [{ address: TO, storageKeys: [`0x${"00".repeat(31)}01`] }],
+    });
+    assert.equal(
+      raw,
+      "0x02f8ac821f9307843b9aca008506fc23ac0082ea6094353535353535353535353535353535353535353582303984a9059cbbf838f7943535353535353535353535353535353535353535e1a0000000000000000000000000000000000000000000000000000000000000000180a0246ceb55c00d072920d5accc37761a04aa787cd30ff28cbfa3db34d72f905ef8a02c50edcd696c01b3fd458e220ca404fa33caadf2194dbd4ab4b5f4a477880303",
+    );
+    const decoded = decodeRawTransaction(raw);
+    assert.equal(
+      decoded.hash,
+      "0x6215418d71cc596b6e0dee24a378342ae1d603e78330af391af4b58ccd71e8dc",
+    );
+    assert.equal(decoded.from, ADDRESS);
+  });
+
+  it("signs an EIP-1559 contract creation", async () => {
+    const raw = await signAndSerialize(signer, {
+      type: 2,
+      chainId: 8083n,
+      nonce: 0n,
+      maxPriorityFeePerGas: 1n,
+      maxFeePerGas: 2n,
+      gas: 100000n,
+      to: null,
+      value: 0n,
+      data: "0x6001600155",
+      accessList: [],
+    });
+    assert.equal(
+      raw,
+      "0x02f856821f93800102830186a08080856001600155c080a0dac4698cfb896e3cb4f7358e60a91338471874f6a3f5c073740a8c3567d463d5a03a7deae2e806b4dfed4f6286a9a5365cf53ec766c5058a9bd504f2af8eec6aff",
+    );
+    assert.equal(
+      decodeRawTransaction(raw).hash,
+      "0x8d54b82f7be6f85a6164429568cf7ad70e1381cc01bf9a85eda75ddadd8b4586",
+    );
+  });
+});
@@ -0,0 +1,161 @@
+// Cached head numbers would hide a moving head
+process.env.RPC_CACHE_TTL_MS = "0";
+
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, describe, it } = require("node:test");
+const { registerTools } = require("../tools");
+
+const CONTRACT = "0x" + "c".repeat(40);
+const TOPIC = "0x" + "1".repeat(64);
+const hex = (n) => `0x${n.toString(16)}`;
+
+// A JSON-RPC node answering from a handler
+function startNode(handler) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      const answer = ({ id, method, params }) => ({
+        jsonrpc: "2.0",
+        id,
+        result: handler(method, params),
+      });
+      res.setHeader("content-type", "application/json");
+      res.end(
+        JSON.stringify(
+          Array.isArray(payload) ? payload.map(answer) : answer(payload),
+        ),
+      );
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        close: () => server.close(),
+      }),
+    ),
+  );
+}
+
+// Register the tools against a stand-in server and return their handlers
+function toolHandlers(url) {
+  const handlers = {};
+  registerTools(
+    {
+      registerTool: (name, config, handler) => {
+        handlers[name] = handler;
+      },
+    },
+    url,
+  );
+  return handlers;
+}
+
+describe("eth_getLogs paging", () => {
+  let node;
+  let head = 100;
+
+  before(async () => {
+    // The head advances 50 blocks every time it is read; every block has one log
+    node = await startNode((method, params) => {
+      if (method === "eth_blockNumber") {
+        head += 50;
+        return hex(head);
+      }
+      if (method === "eth_getLogs") {
+        const from = parseInt(params[0].fromBlock, 16);
+        const to = parseInt(params[0].toBlock, 16);
+        const logs = [];
+        for (let block = from; block <= to; block++) {
+          logs.push({
+            address: CONTRACT,
+            topics: [TOPIC],
+            data: "0x",
+            blockNumber: hex(block),
+            blockHash: `0x${block.toString(16).padStart(64, "0")}`,
+            transactionHash: `0x${block.toString(16).padStart(64, "f")}`,
+            transactionIndex: "0x0",
+            logIndex: "0x0",
+            removed: false,
+          });
+        }
+        return logs;
+      }
+      throw new Error(`Unexpected ${method}`);
+    });
+  });
+
+  after(() => node.close());
+
+  it("keeps the first page's range while the head moves", async () => {
+    const getLogs = toolHandlers(node.url).eth_getLogs;
+    const ranges = [];
+    const blocks = [];
+    let cursor;
+    do {
+      const result = await getLogs({
+        address: CONTRACT,
+        fromBlock: "0x65",
+        toBlock: "latest",
+        limit: 20,
+        ...(cursor && { cursor }),
+      });
+      assert.equal(result.isError, undefined, result.content[0].text);
+      const page = result.structuredContent;
+      ranges.push(page.toBlock);
+      blocks.push(...page.logs.map((log) => Number(log.blockNumber.decimal)));
+      cursor = page.nextCursor;
+    } while (cursor && ranges.length < 10);
+
+    assert.ok(ranges.length > 1);
+    assert.deepEqual(new Set(ranges), new Set(["150"]));
+    assert.deepEqual(
+      blocks,
+      Array.from({ length: 50 }, (_, i) => 101 + i),
+    );
+  });
+});
+
+describe("eth_call", () => {
+  let node;
+
+  before(async () => {
+    node = await startNode((method) => {
+      if (method === "eth_call")
+        return `0x${(1000).toString(16).padStart(64, "0")}`;
+      throw new Error(`Unexpected ${method}`);
+    });
+  });
+
+  after(() => node.close());
+
+  it("decodes outputs when a signature is found in the ABI", async () => {
+    const result = await toolHandlers(node.url).eth_call({
+      to: CONTRACT,
+      function: "balanceOf(address)",
+      args: [CONTRACT],
+      abi: ["function balanceOf(address owner) view returns (uint256)"],
+      block: "0x1",
+    });
+    assert.equal(result.isError, undefined, result.content[0].text);
+    assert.equal(result.structuredContent.function, "balanceOf(address)");
+    assert.deepEqual(result.structuredContent.outputs, [
+      { name: "", type: "uint256", value: "1000" },
+    ]);
+  });
+
+  it("calls a signature missing from the ABI without decoding", async () => {
+    const result = await toolHandlers(node.url).eth_call({
+      to: CONTRACT,
+      function: "totalSupply()",
+      args: [],
+      abi: ["function balanceOf(address owner) view returns (uint256)"],
+      block: "0x1",
+    });
+    assert.equal(result.structuredContent.outputs, null);
+    assert.equal(result.structuredContent.selector, "0x18160ddd");
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const rlp = require("../lib/rlp");
+const { decodeRawTransaction } = require("../lib/transaction");
+
+const ADDRESS = Buffer.alloc(20, 0x35);
+const KEY = Buffer.alloc(32, 1);
+const int = (value) => rlp.bigIntToBytes(BigInt(value));
+
+// A typed transaction with the given access list and a dummy signature
+function typedTransaction(type, accessList) {
+  const fees = type === 2 ? [int(1), int(2)] : [int(1)];
+  const fields = [
+    int(8083),
+    int(0),
+    ...fees,
+    int(21000),
+    ADDRESS,
+    int(0),
+    Buffer.alloc(0),
+    accessList,
+    int(0),
+    int(1),
+    int(1),
+  ];
+  return `0x${Buffer.concat([Buffer.from([type]), rlp.encode(fields)]).toString("hex")}`;
+}
+
+describe("decodeRawTransaction", () => {
+  it("decodes an EIP-1559 access list", () => {
+    const tx = decodeRawTransaction(
+      "0x02f8ac821f9307843b9aca008506fc23ac0082ea6094353535353535353535353535353535353535353582303984a9059cbbf838f7943535353535353535353535353535353535353535e1a0000000000000000000000000000000000000000000000000000000000000000180a0246ceb55c00d072920d5accc37761a04aa787cd30ff28cbfa3db34d72f905ef8a02c50edcd696c01b3fd458e220ca404fa33caadf2194dbd4ab4b5f4a477880303",
+    );
+    assert.deepEqual(tx.accessList, [
+      {
+        address: "0x3535353535353535353535353535353535353535",
+        storageKeys: [`0x${"00".repeat(31)}01`],
+      },
+    ]);
+  });
+
+  for (const type of [1, 2]) {
+    it(`rejects storage keys that are not a list (type ${type})`, () => {
+      assert.throws(
+        () => decodeRawTransaction(typedTransaction(type, [[ADDRESS, KEY]])),
+        /storage keys must be a list/,
+      );
+    });
+
+    it(`rejects storage keys that are not 32 bytes (type ${type})`, () => {
+      assert.throws(
+        () =>
+          decodeRawTransaction(
+            typedTransaction(type, [[ADDRESS, [KEY.subarray(1)]]]),
+          ),
+        /storage keys must be 32 bytes/,
+      );
+    });
+
+    it(`rejects a malformed access list address (type ${type})`, () => {
+      assert.throws(
+        () =>
+          decodeRawTransaction(
+            typedTransaction(type, [[ADDRESS.subarray(1), [KEY]]]),
+          ),
+        /Invalid access list address/,
+      );
+    });
+  }
+});
@@ -0,0 +1,111 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  convertUnits,
+  describeWei,
+  formatUnits,
+  parseUnits,
+  resolveDecimals,
+  toBigInt,
+  toSafeNumber,
+} = require("../lib/units");
+
+describe("toBigInt", () => {
+  it("reads hex, decimal, numbers and BigInts", () => {
+    assert.equal(toBigInt("0x1a"), 26n);
+    assert.equal(toBigInt("0x"), 0n);
+    assert.equal(toBigInt(" 26 "), 26n);
+    assert.equal(toBigInt("-5"), -5n);
+    assert.equal(toBigInt(7), 7n);
+    assert.equal(toBigInt(2n ** 100n), 2n ** 100n);
+  });
+
+  it("rejects fractions, unsafe numbers and junk", () => {
+    assert.throws(() => toBigInt("1.5"), /Invalid quantity/);
+    assert.throws(() => toBigInt(2 ** 60), /Unsafe integer/);
+    assert.throws(() => toBigInt("0xzz"), /Invalid quantity/);
+    assert.throws(() => toBigInt(null), /Invalid quantity/);
+  });
+});
+
+describe("toSafeNumber", () => {
+  it("refuses values beyond the safe integer range", () => {
+    assert.equal(toSafeNumber("0x1f93"), 8083);
+    assert.throws(
+      () => toSafeNumber(BigInt(Number.MAX_SAFE_INTEGER) + 1n),
+      /safe integer range/,
+    );
+  });
+});
+
+describe("resolveDecimals", () => {
+  it("accepts unit names in any case and decimal counts", () => {
+    assert.equal(resolveDecimals("GWEI"), 9);
+    assert.equal(resolveDecimals("ether"), 18);
+    assert.equal(resolveDecimals(6), 6);
+  });
+
+  it("rejects unknown units and out-of-range decimals", () => {
+    assert.throws(() => resolveDecimals("dogecoin"), /Unknown unit/);
+    assert.throws(() => resolveDecimals(78), /Invalid decimals/);
+    assert.throws(() => resolveDecimals(1.5), /Invalid decimals/);
+  });
+});
+
+describe("formatUnits", () => {
+  it("formats exactly, trimming trailing zeros", () => {
+    assert.equal(formatUnits(1500000000000000000n), "1.5");
+    assert.equal(formatUnits(1n), "0.000000000000000001");
+    assert.equal(formatUnits(0n), "0");
+    assert.equal(formatUnits(-2500000000n, "gwei"), "-2.5");
+    assert.equal(formatUnits("0xde0b6b3a7640000"), "1");
+  });
+
+  it("keeps precision beyond a double", () => {
+    assert.equal(
+      formatUnits(123456789012345678901234567890n),
+      "123456789012.34567890123456789",
+    );
+  });
+});
+
+describe("parseUnits", () => {
+  it("parses decimal amounts", () => {
+    assert.equal(parseUnits("1.5"), 1500000000000000000n);
+    assert.equal(parseUnits(".5", "gwei"), 500000000n);
+    assert.equal(parseUnits("2.", 0), 2n);
+    assert.equal(parseUnits("-1", "gwei"), -1000000000n);
+    assert.equal(parseUnits("1.500", 3), 1500n);
+  });
+
+  it("refuses amounts that can't be represented exactly", () => {
+    assert.throws(() => parseUnits("1.0001", 3), /more than 3 decimal places/);
+    assert.throws(() => parseUnits("abc"), /Invalid decimal amount/);
+    assert.throws(() => parseUnits("."), /Invalid decimal amount/);
+    assert.throws(() => parseUnits("1e18"), /Invalid decimal amount/);
+  });
+
+  it("round-trips with formatUnits", () => {
+    const amount = "98765432109876.543210987654321";
+    assert.equal(formatUnits(parseUnits(amount, 18), 18), amount);
+  });
+});
+
+describe("convertUnits", () => {
+  it("converts between units exactly", () => {
+    assert.equal(convertUnits("1", "shm", "wei"), "1000000000000000000");
+    assert.equal(convertUnits("1234567", "wei", "gwei"), "0.001234567");
+    assert.equal(convertUnits("0x3b9aca00", "wei", "gwei"), "1");
+    assert.equal(convertUnits("0x1", "gwei", "wei"), "1000000000");
+  });
+});
+
+describe("describeWei", () => {
+  it("reports wei, gwei and SHM", () => {
+    assert.deepEqual(describeWei("0x2540be400"), {
+      wei: "10000000000",
+      gwei: "10",
+      shm: "0.00000001",
+    });
+  });
+});
@@ -1,81 +1,502 @@
 const { z } = require("zod");
-const axios = require("axios");
+const {
+  DEFAULT_RPC_URL,
+  clearCache,
+  getCacheStats,
+  getEndpointHealth,
+  getRevertData,
+  isRevert,
+  makeBatchRpcCall,
+  makeRpcCall,
+  rpcBatcher,
+  rpcCaller,
+} = require("./lib/rpc");
+const {
+  decodeParams,
+  decodeRevert,
+  encodeFunctionData,
+  findEvent,
+  formatSignature,
+  parseAbi,
+  parseFragment,
+  resolveFunction,
+  topicOf,
+} = require("./lib/abi");
+const {
+  explainTransaction,
+  explanationSchema,
+  tokenMovements,
+} = require("./lib/explain");
+const {
+  formatTokenAmount,
+  readTokens,
+  tokenLabel,
+  tokenSchema,
+} = require("./lib/erc20");
+const {
+  STANDARDS,
+  createMetadataFetcher,
+  detectInterfaces,
+  fetchSettings,
+  interfacesSchema,
+  metadataSchema,
+  readBalance,
+  readCollection,
+  readToken,
+  resolveMetadata,
+} = require("./lib/nft");
+const {
+  createSignatureRegistry,
+  decodeReceipt,
+  decodeTransaction,
+  decodedLogSchema,
+  decodedReceiptSchema,
+  decodedTransactionSchema,
+  formatDecoded,
+} = require("./lib/signatures");
+const {
+  blockIdSchema,
+  formatBlockParam,
+  resolveBlockId,
+  resolveBlockNumber,
+} = require("./lib/block-id");
+const {
+  sampleBalances,
+  sampleBlocks,
+  scanActivity,
+  settings: activitySettings,
+} = require("./lib/activity");
+const { computeBlockStats, fetchBlocks } = require("./lib/block-stats");
+const {
+  COUNTS: CYCLE_COUNTS,
+  EVENTS: CYCLE_EVENTS,
+  cycleRecord,
+  diffCycles,
+  eventNodes,
+  fetchCycles,
+} = require("./lib/cycles");
+const {
+  analyzeBytecode,
+  compilerMetadataSchema,
+  formatInstruction,
+} = require("./lib/bytecode");
+const {
+  decodeCursor,
+  decodeLog,
+  encodeCursor,
+  indexEvents,
+  scanLogs,
+  settings: logSettings,
+} = require("./lib/logs");
+const {
+  checkTransaction,
+  checksSchema,
+  summarizeTransaction,
+  transactionSummarySchema,
+} = require("./lib/broadcast");
+const {
+  describeRecommendation,
+  isUnsupported,
+  readFeeMarket,
+  recommendFees,
+  recommendationSchema,
+} = require("./lib/fees");
+const {
+  describeCode,
+  inspectAddress,
+  inspectionSchema,
+  slotAddress,
+} = require("./lib/inspect");
+const { createNetworkRegistry, verifyNetworks } = require("./lib/networks");
+const {
+  changesSince,
+  createSnapshotStore,
+  describeValue,
+  diffAccounts,
+  explainAccount,
+  governanceField,
+  networkAccount,
+} = require("./lib/network-account");
+const {
+  accountData,
+  aggregateNodes,
+  extractNodes,
+  extractTotal,
+  fetchAllNodes,
+  filterNodes,
+  findNodes,
+  nodeFields,
+  nodeStake,
+  parseEndpoint,
+  settings: nodeListSettings,
+} = require("./lib/nodes");
+const {
+  blockSchema,
+  logSchema,
+  normalizeBlock,
+  normalizeLog,
+  normalizeReceipt,
+  normalizeTransaction,
+  quantity,
+  quantitySchema,
+} = require("./lib/normalize");
+const {
+  buildTransaction,
+  createSigner,
+  settings: signerSettings,
+} = require("./lib/signer");
+const {
+  decodeRawTransaction,
+  serializeTransaction,
+} = require("./lib/transaction");
+const {
+  UNITS,
+  convertUnits,
+  describeWei,
+  formatUnits,
+  parseUnits,
+  resolveDecimals,
+  toBigInt,
+  toSafeNumber,
+} = require("./lib/units");
+const { OUTCOMES, waitForTransaction } = require("./lib/wait");
 
-// Default RPC URL (can be overridden when calling functions)
-const DEFAULT_RPC_URL = "https://api-testnet.shardeum.org/";
+// Optional network selector shared by every tool
+const networkParam = z
+  .string()
+  .optional()
+  .describe(
+    "Name of a configured network (see list_networks). Defaults to the server's default network.",
+  );
+
+// Read-only methods that rpc_batch may call
+const BATCH_METHODS = [
+  "eth_blockNumber",
+  "eth_chainId",
+  "eth_gasPrice",
+  "eth_maxPriorityFeePerGas",
+  "eth_feeHistory",
+  "eth_getBalance",
+  "eth_getTransactionCount",
+  "eth_getCode",
+  "eth_getStorageAt",
+  "eth_call",
+  "eth_estimateGas",
+  "eth_getBlockByHash",
+  "eth_getBlockByNumber",
+  "eth_getBlockTransactionCountByHash",
+  "eth_getBlockTransactionCountByNumber",
+  "eth_getBlockReceipts",
+  "eth_getTransactionByHash",
+  "eth_getTransactionByBlockHashAndIndex",
+  "eth_getTransactionByBlockNumberAndIndex",
+  "eth_getTransactionReceipt",
+  "eth_getLogs",
+  "net_version",
+  "web3_clientVersion",
+  "shardeum_getNodeList",
+  "shardeum_getNetworkAccount",
+  "shardeum_getCycleInfo",
+];
+
+const MAX_BATCH_REQUESTS = 100;
+
+const MAX_PORTFOLIO_TOKENS = 100;
+
+const MAX_LOGS_PER_PAGE = 1000;
+
+const MAX_ACTIVITY_PER_PAGE = 1000;
+
+// Blocks scanned by address_activity when no fromBlock is given
+const DEFAULT_ACTIVITY_RANGE = 100;
+
+const MAX_STATS_BLOCKS = 1000;
+
+const MAX_CYCLES = 200;
+
+// Matching nodes reported by node_status, e.g. several nodes behind one IP
+const MAX_STATUS_NODES = 10;
+
+const topicPattern = /^0x[a-fA-F0-9]{64}$/;
+
+const addressPattern = /^0x[a-fA-F0-9]{40}$/;
+
+// An amount of wei, also shown in gwei and SHM
+const weiSchema = z.object({
+  wei: z.string(),
+  gwei: z.string(),
+  shm: z.string(),
+});
+
+// Summary statistics of a list of numbers
+const distributionSchema = z.object({
+  min: z.number(),
+  max: z.number(),
+  mean: z.number(),
+  median: z.number(),
+  p90: z.number(),
+});
+
+// A field whose value changed between two records
+const fieldChangeSchema = z.object({
+  cycle: z.number(),
+  field: z.string(),
+  from: z.any(),
+  to: z.any(),
+});
+
+// A value and the number of nodes that have it
+const bucketSchema = z.object({ value: z.string(), nodes: z.number() });
+
+// A network parameter that differs between two accounts
+const parameterChangeSchema = z.object({
+  path: z.string(),
+  from: z.any(),
+  to: z.any(),
+  category: z.string().nullable(),
+  description: z.string().nullable(),
+});
+
+// A stored network account snapshot
+const snapshotSchema = z.object({
+  id: z.string(),
+  cycle: z.number().nullable(),
+  lastSeenCycle: z.number().nullable(),
+  takenAt: z.string(),
+  lastSeenAt: z.string(),
+});
+
+const accountCountSchema = z.object({
+  address: z.string(),
+  transactions: z.number(),
+});
+
+// Decimals to use for tokens that don't implement decimals()
+const decimalsParam = z
+  .number()
+  .int()
+  .min(0)
+  .max(77)
+  .optional()
+  .describe(
+    "Token decimals to use instead of calling decimals(), for tokens that don't implement it",
+  );
+
+// Block for token reads; hashes are accepted
+const tokenBlockParam = blockIdSchema({
+  allowHash: true,
+  description: 'Block to read token state at (default: "latest")',
+})
+  .optional()
+  .default("latest");
+
+// Unit name or number of decimals accepted by convert_units
+const unitParam = z.union([
+  z.enum(Object.keys(UNITS)),
+  z.number().int().min(0).max(77),
+]);
 
 /**
- * Make an RPC call to the blockchain
- * @param {string} method - The RPC method to call
- * @param {Array} params - The parameters for the RPC call
- * @param {string} rpcUrl - The RPC URL to use
- * @returns {Promise<any>} - The result of the RPC call
+ * Unwrap a Shardeum RPC result that nests its payload under a single key
+ * @param {any} result - The RPC result
+ * @param {string} key - The wrapper key, e.g. "cycleInfo"
+ * @returns {object|null} - The payload
  */
-async function makeRpcCall(method, params = [], rpcUrl = DEFAULT_RPC_URL) {
-  try {
-    const response = await axios.post(rpcUrl, {
-      jsonrpc: "2.0",
-      id: 1,
-      method,
-      params,
-    });
+function unwrap(result, key) {
+  if (result === null || result === undefined) return null;
+  return result[key] !== undefined ? result[key] : result;
+}
+
+// NFT token id: uint256 as a decimal or hex string, or a safe integer
+const tokenIdParam = z
+  .union([
+    z.string().regex(/^(0x[0-9a-fA-F]{1,64}|\d{1,78})$/),
+    z.number().int().nonnegative(),
+  ])
+  .describe("The token id, decimal or hex");
+
+// Override for contracts that don't implement ERC-165
+const standardParam = z
+  .enum(STANDARDS)
+  .optional()
+  .describe(
+    "Token standard to assume when the contract doesn't report it through ERC-165",
+  );
 
-    if (response.data.error) {
-      throw new Error(`RPC Error: ${response.data.error.message}`);
+/**
+ * Human-readable summary of the decoded parts of transactions and receipts
+ * @param {object} decoded - `{ transactions, receipts }` as returned by decodeTransaction/decodeReceipt
+ * @returns {string} - Text to append after the raw JSON, or ""
+ */
+function decodedSummary({ transactions = [], receipts = [] }) {
+  const lines = [];
+  for (const tx of transactions) {
+    if (tx && typeof tx === "object" && tx.decodedInput) {
+      lines.push(`- ${tx.hash} calls ${formatDecoded(tx.decodedInput)}`);
+    }
+  }
+  for (const receipt of receipts) {
+    for (const log of receipt ? receipt.logs : []) {
+      lines.push(
+        `- ${receipt.transactionHash} log ${
+          log.logIndex ? log.logIndex.decimal : "?"
+        } from ${log.address}: ${
+          log.decoded
+            ? formatDecoded(log.decoded)
+            : `unknown event ${(log.topics || [])[0] || "(anonymous)"}`
+        }`,
+      );
     }
+  }
+  return lines.length ? `\n\nDecoded:\n${lines.join("\n")}` : "";
+}
 
-    return response.data.result;
-  } catch (error) {
-    console.error(`Error making RPC call to ${method}:`, error.message);
-    throw error;
+/**
+ * Human-readable review of a decoded transaction and its safety checks
+ * @param {object} summary - The result of summarizeTransaction
+ * @param {object} [review] - The result of checkTransaction
+ * @param {string} [decodedInput] - The decoded call, already formatted
+ * @returns {string} - The review text
+ */
+function transactionReview(summary, review, decodedInput) {
+  const fees =
+    summary.typeName === "EIP-1559"
+      ? `max fee ${summary.maxFeePerGas.gwei} gwei, priority fee ${summary.maxPriorityFeePerGas.gwei} gwei`
+      : `gas price ${summary.gasPrice.gwei} gwei`;
+  const lines = [
+    `${summary.typeName} transaction ${summary.hash}`,
+    `From: ${summary.from}`,
+    `To: ${summary.to || "(contract creation)"}`,
+    `Value: ${summary.value.shm} SHM`,
+    `Chain ID: ${summary.chainId ?? "none (pre-EIP-155)"}`,
+    `Nonce: ${summary.nonce}`,
+    `Gas limit: ${summary.gas}, ${fees} (at most ${summary.maxFee.shm} SHM in fees)`,
+    `Data: ${summary.dataBytes} bytes`,
+  ];
+  if (decodedInput) lines.push(`Call: ${decodedInput}`);
+  if (review) {
+    lines.push("", "Checks:");
+    for (const check of review.checks) {
+      lines.push(`- [${check.passed ? "pass" : "FAIL"}] ${check.detail}`);
+    }
+    for (const warning of review.warnings) {
+      lines.push(`- [warn] ${warning}`);
+    }
   }
+  return lines.join("\n");
+}
+
+/**
+ * Pick the NFT standard for a contract, preferring an explicit override
+ * @param {object} interfaces - The result of detectInterfaces
+ * @param {string} [override] - The standard given by the caller
+ * @param {string} address - The contract address, for error messages
+ * @returns {string} - "ERC-721" or "ERC-1155"
+ */
+function resolveStandard(interfaces, override, address) {
+  if (override) return override;
+  if (interfaces.standard) return interfaces.standard;
+  throw new Error(
+    interfaces.isContract
+      ? `${address} does not report ERC-721 or ERC-1155 support through ERC-165; pass "standard" to read it anyway`
+      : `No contract is deployed at ${address}`,
+  );
 }
 
 /**
  * Register all Shardeum-related tools with the MCP server
  * @param {object} server - The MCP server instance
- * @param {string} rpcUrl - The RPC URL to use
+ * @param {object|string} networks - The network registry, or a single RPC URL
+ * @param {object} [options] - `{ metadataFetcher, signatures, networkSnapshots, signer }`.
+ *   `metadataFetcher(url)` resolves `{ contentType, body }` for off-chain NFT metadata, or is null to
+ *   disable fetching (defaults to NFT_METADATA_FETCH). `signatures` is the registry of contract ABIs
+ *   used for decoding. `networkSnapshots` is the createSnapshotStore store of network account reads.
+ *   `signer` is the result of createSigner, or null to leave the signing tools out (defaults to
+ *   SIGNER_KEY_FILE).
  */
-function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
+function registerTools(server, networks = DEFAULT_RPC_URL, options = {}) {
+  if (typeof networks === "string") {
+    networks = createNetworkRegistry({
+      networks: { default: { rpcUrl: networks } },
+    });
+  }
+  const metadataFetcher =
+    options.metadataFetcher !== undefined
+      ? options.metadataFetcher
+      : fetchSettings.enabled
+        ? createMetadataFetcher()
+        : null;
+  const signatures = options.signatures || createSignatureRegistry();
+  const networkSnapshots = options.networkSnapshots || createSnapshotStore();
+  const signer =
+    options.signer !== undefined
+      ? options.signer
+      : signerSettings.keyFile
+        ? createSigner(signerSettings)
+        : null;
+
   // Tool for eth_getBalance
-  server.tool(
+  server.registerTool(
     "eth_getBalance",
-    "Retrieves the native token balance of an Ethereum address",
     {
-      address: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{40}$/)
-        .describe("The Ethereum address to check balance"),
-      blockParameter: z
-        .string()
-        .optional()
-        .default("latest")
-        .describe('Block parameter (default: "latest")'),
+      description: "Retrieves the native token balance of an Ethereum address",
+      inputSchema: {
+        address: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{40}$/)
+          .describe("The Ethereum address to check balance"),
+        blockParameter: blockIdSchema({
+          allowHash: true,
+          description: 'Block to query (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        address: z.string(),
+        block: z.string(),
+        balanceWei: quantitySchema,
+        balanceShm: z.string(),
+      },
     },
     async (args) => {
       try {
+        const network = networks.resolve(args.network);
         console.error(
           `Getting balance for address: ${args.address} at block: ${args.blockParameter}`,
         );
 
+        const block = await resolveBlockId(args.blockParameter, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
         const balance = await makeRpcCall(
           "eth_getBalance",
-          [args.address, args.blockParameter],
-          rpcUrl,
+          [args.address, block],
+          network.rpcUrls,
         );
-        // Convert hex balance to decimal and then to ETH for readability
-        const balanceWei = parseInt(balance, 16);
-        const balanceEth = balanceWei / 1e18;
+        // Convert hex balance to exact wei and SHM amounts for readability
+        const { wei: balanceWei, shm: balanceShm } = describeWei(balance);
 
         return {
+          structuredContent: {
+            network: network.name,
+            address: args.address,
+            block: formatBlockParam(block),
+            balanceWei: quantity(balance),
+            balanceShm,
+          },
           content: [
             {
               type: "text",
-              text: `Balance for ${args.address} at block ${
-                args.blockParameter
-              }:
+              text: `Balance for ${args.address} at block ${formatBlockParam(
+                block,
+              )}:
 - Wei: ${balanceWei}
-- ETH: ${balanceEth.toFixed(4)}`,
+- SHM: ${balanceShm}`,
             },
           ],
         };
@@ -94,18 +515,35 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
   );
 
   // eth_blockNumber - Get the current block number
-  server.tool(
+  server.registerTool(
     "eth_blockNumber",
-    "Retrieves the current block number of the blockchain",
-    {},
-    async () => {
+    {
+      description: "Retrieves the current block number of the blockchain",
+      inputSchema: {
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        blockNumber: quantitySchema,
+      },
+    },
+    async (args) => {
       try {
+        const network = networks.resolve(args.network);
         console.error("Getting current block number");
 
-        const blockNumber = await makeRpcCall("eth_blockNumber", [], rpcUrl);
-        const blockNumberDecimal = parseInt(blockNumber, 16);
+        const blockNumber = await makeRpcCall(
+          "eth_blockNumber",
+          [],
+          network.rpcUrls,
+        );
+        const blockNumberDecimal = toBigInt(blockNumber);
 
         return {
+          structuredContent: {
+            network: network.name,
+            blockNumber: quantity(blockNumber),
+          },
           content: [
             {
               type: "text",
@@ -128,35 +566,56 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
   );
 
   // eth_getTransactionCount - Get transaction count for an address
-  server.tool(
+  server.registerTool(
     "eth_getTransactionCount",
-    "Retrieves the number of transactions sent from an address",
     {
-      address: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{40}$/)
-        .describe("The Ethereum address to check transaction count"),
-      blockParameter: z
-        .string()
-        .default("latest")
-        .describe('Block parameter (default: "latest")'),
+      description: "Retrieves the number of transactions sent from an address",
+      inputSchema: {
+        address: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{40}$/)
+          .describe("The Ethereum address to check transaction count"),
+        blockParameter: blockIdSchema({
+          allowHash: true,
+          description: 'Block to query (default: "latest")',
+        }).default("latest"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        address: z.string(),
+        block: z.string(),
+        transactionCount: quantitySchema,
+      },
     },
     async (args) => {
       try {
+        const network = networks.resolve(args.network);
         console.error(`Getting transaction count for address: ${args.address}`);
 
+        const block = await resolveBlockId(args.blockParameter, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
         const txCount = await makeRpcCall(
           "eth_getTransactionCount",
-          [args.address, args.blockParameter],
-          rpcUrl,
+          [args.address, block],
+          network.rpcUrls,
         );
-        const txCountDecimal = parseInt(txCount, 16);
+        const txCountDecimal = toBigInt(txCount);
 
         return {
+          structuredContent: {
+            network: network.name,
+            address: args.address,
+            block: formatBlockParam(block),
+            transactionCount: quantity(txCount),
+          },
           content: [
             {
               type: "text",
-              text: `Transaction Count for ${args.address} at ${args.blockParameter} block: ${txCountDecimal} (${txCount})`,
+              text: `Transaction Count for ${args.address} at ${formatBlockParam(block)} block: ${txCountDecimal} (${txCount})`,
             },
           ],
         };
@@ -174,18 +633,334 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
+  // address_activity
+  server.registerTool(
+    "address_activity",
+    {
+      description:
+        "Scan a block range for transactions sent from or to an address, and sample its balance across the range to build a balance time series. Long ranges are scanned a page at a time; pass nextCursor to resume.",
+      inputSchema: {
+        address: z
+          .string()
+          .regex(addressPattern)
+          .describe("The address to look for"),
+        fromBlock: blockIdSchema({
+          description: `First block to scan (default: ${DEFAULT_ACTIVITY_RANGE} blocks before toBlock)`,
+        }).optional(),
+        toBlock: blockIdSchema({
+          description: 'Last block to scan (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        limit: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_ACTIVITY_PER_PAGE)
+          .optional()
+          .default(100)
+          .describe(`Transactions per page (at most ${MAX_ACTIVITY_PER_PAGE})`),
+        cursor: z
+          .string()
+          .optional()
+          .describe(
+            "Cursor from a previous page; it keeps the block range of the first page, repeat the other arguments unchanged",
+          ),
+        maxBlocks: z
+          .number()
+          .int()
+          .min(1)
+          .max(100000)
+          .optional()
+          .describe(
+            `Blocks scanned per page (default ${activitySettings.maxBlocksPerPage})`,
+          ),
+        concurrency: z
+          .number()
+          .int()
+          .min(1)
+          .max(16)
+          .optional()
+          .describe(
+            `Block batches fetched in parallel (default ${activitySettings.concurrency})`,
+          ),
+        balanceSamples: z
+          .number()
+          .int()
+          .min(0)
+          .max(100)
+          .optional()
+          .default(10)
+          .describe(
+            "Number of evenly spaced blocks in the scanned range to read the balance at",
+          ),
+        balanceBlocks: z
+          .array(blockIdSchema())
+          .max(100)
+          .optional()
+          .describe("Blocks to read the balance at, instead of balanceSamples"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        address: z.string(),
+        fromBlock: z.string(),
+        toBlock: z.string(),
+        scannedTo: z.string(),
+        transactions: z.array(
+          z.object({
+            hash: z.string(),
+            blockNumber: z.string(),
+            timestamp: z.number().nullable(),
+            direction: z.enum(["out", "in", "self"]),
+            from: z.string(),
+            to: z.string().nullable(),
+            value: weiSchema,
+            nonce: z.string(),
+            method: z.string().nullable(),
+          }),
+        ),
+        count: z.number(),
+        summary: z.object({
+          sent: z.number(),
+          received: z.number(),
+          valueSent: weiSchema,
+          valueReceived: weiSchema,
+          counterparties: z.number(),
+          firstBlock: z.string().nullable(),
+          lastBlock: z.string().nullable(),
+        }),
+        balances: z.array(
+          z.object({
+            block: z.string(),
+            timestamp: z.number().nullable(),
+            balance: weiSchema.nullable(),
+            error: z.string().nullable(),
+          }),
+        ),
+        nextCursor: z.string().nullable(),
+        requests: z.number(),
+        notes: z.array(z.string()),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        const call = rpcCaller(network.rpcUrls);
+        const batch = rpcBatcher(network.rpcUrls);
+
+        // A cursor carries the range resolved on the first page, so "latest"
+        // and the default range don't move while paging
+        const position = args.cursor ? decodeCursor(args.cursor) : null;
+        let range = position && position.range;
+        if (!range) {
+          const toBlock = await resolveBlockNumber(args.toBlock, call);
+          const fromBlock =
+            args.fromBlock === undefined
+              ? toBlock >= BigInt(DEFAULT_ACTIVITY_RANGE)
+                ? toBlock - BigInt(DEFAULT_ACTIVITY_RANGE) + 1n
+                : 0n
+              : await resolveBlockNumber(args.fromBlock, call);
+          range = { fromBlock, toBlock };
+        }
+        const { fromBlock: rangeStart, toBlock } = range;
+        if (rangeStart > toBlock) {
+          throw new Error(
+            `fromBlock ${rangeStart} is after toBlock ${toBlock}`,
+          );
+        }
+        let fromBlock = rangeStart;
+        if (position) {
+          if (position.block < rangeStart || position.block > toBlock) {
+            throw new Error("The cursor does not belong to this block range");
+          }
+          fromBlock = position.block;
+        }
+        console.error(
+          `Scanning activity of ${args.address} in blocks ${fromBlock}-${toBlock}`,
+        );
+
+        const page = await scanActivity(batch, args.address, {
+          fromBlock,
+          toBlock,
+          limit: args.limit,
+          skip: position ? position.skip : 0,
+          maxBlocks: args.maxBlocks,
+          concurrency: args.concurrency,
+        });
+
+        const target = args.address.toLowerCase();
+        const counterparties = new Set();
+        let valueSent = 0n;
+        let valueReceived = 0n;
+        const transactions = page.transactions.map(({ tx, timestamp }) => {
+          const from = tx.from.toLowerCase();
+          const to = tx.to ? tx.to.toLowerCase() : null;
+          const direction =
+            from === target && to === target
+              ? "self"
+              : from === target
+                ? "out"
+                : "in";
+          const value = toBigInt(tx.value || "0x0");
+          if (direction === "out") {
+            valueSent += value;
+            if (to) counterparties.add(to);
+          } else if (direction === "in") {
+            valueReceived += value;
+            counterparties.add(from);
+          }
+          const decoded = signatures.decodeCall(
+            network.name,
+            tx.to,
+            tx.input || tx.data,
+          );
+          return {
+            hash: tx.hash,
+            blockNumber: toBigInt(tx.blockNumber).toString(),
+            timestamp,
+            direction,
+            from: tx.from,
+            to: tx.to || null,
+            value: describeWei(value),
+            nonce: toBigInt(tx.nonce).toString(),
+            method: decoded ? decoded.name || decoded.selector : null,
+          };
+        });
+
+        const notes = [];
+        if (page.failure) {
+          notes.push(
+            `The scan stopped at block ${page.failure.block}: ${page.failure.message}`,
+          );
+        }
+
+        const balanceBlocks = args.balanceBlocks
+          ? await Promise.all(
+              args.balanceBlocks.map((block) =>
+                resolveBlockNumber(block, call),
+              ),
+            )
+          : sampleBlocks(fromBlock, page.scannedTo, args.balanceSamples);
+        const balances = (
+          await sampleBalances(batch, args.address, balanceBlocks)
+        ).map((sample) => ({
+          block: sample.block.toString(),
+          timestamp: page.timestamps.get(sample.block) ?? null,
+          balance: sample.balance === null ? null : describeWei(sample.balance),
+          error: sample.error,
+        }));
+        if (balances.some((sample) => sample.error)) {
+          notes.push(
+            "Some balances could not be read; the node may not keep state for older blocks",
+          );
+        }
+
+        const nextCursor = page.next
+          ? encodeCursor({ ...page.next, range })
+          : null;
+        const sent = transactions.filter((tx) => tx.direction !== "in").length;
+        const received = transactions.filter(
+          (tx) => tx.direction !== "out",
+        ).length;
+        const summary = {
+          sent,
+          received,
+          valueSent: describeWei(valueSent),
+          valueReceived: describeWei(valueReceived),
+          counterparties: counterparties.size,
+          firstBlock: transactions.length ? transactions[0].blockNumber : null,
+          lastBlock: transactions.length
+            ? transactions[transactions.length - 1].blockNumber
+            : null,
+        };
+
+        const lines = [
+          `Activity of ${args.address} in blocks ${fromBlock}-${page.scannedTo}${
+            rangeStart !== fromBlock ? ` (range ${rangeStart}-${toBlock})` : ""
+          }: ${transactions.length} transaction(s), ${sent} sent (${summary.valueSent.shm} SHM), ${received} received (${summary.valueReceived.shm} SHM), ${counterparties.size} counterpart${counterparties.size === 1 ? "y" : "ies"}`,
+          ...transactions.map(
+            (tx) =>
+              `- block ${tx.blockNumber} ${tx.direction === "in" ? `from ${tx.from}` : tx.direction === "out" ? `to ${tx.to || "(contract creation)"}` : "to self"}: ${tx.value.shm} SHM${tx.method ? ` ${tx.method}` : ""} (${tx.hash})`,
+          ),
+        ];
+        if (balances.length > 0) {
+          lines.push(
+            "Balance:",
+            ...balances.map(
+              (sample) =>
+                `- block ${sample.block}${
+                  sample.timestamp !== null
+                    ? ` (${new Date(sample.timestamp * 1000).toISOString()})`
+                    : ""
+                }: ${sample.balance ? `${sample.balance.shm} SHM` : `unavailable (${sample.error})`}`,
+            ),
+          );
+        }
+        for (const note of notes) lines.push(`Note: ${note}`);
+        if (nextCursor) {
+          lines.push(
+            `More blocks to scan from block ${page.next.block}; pass cursor "${nextCursor}" for the next page.`,
+          );
+        }
+
+        return {
+          structuredContent: {
+            network: network.name,
+            address: args.address,
+            fromBlock: fromBlock.toString(),
+            toBlock: toBlock.toString(),
+            scannedTo: page.scannedTo.toString(),
+            transactions,
+            count: transactions.length,
+            summary,
+            balances,
+            nextCursor,
+            requests: page.requests,
+            notes,
+          },
+          content: [
+            {
+              type: "text",
+              text: lines.join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to scan address activity. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
   // eth_getBlockTransactionCountByHash
-  server.tool(
+  server.registerTool(
     "eth_getBlockTransactionCountByHash",
-    "Get the number of transactions in a block by block hash",
     {
-      blockHash: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{64}$/)
-        .describe("The block hash to query"),
+      description: "Get the number of transactions in a block by block hash",
+      inputSchema: {
+        blockHash: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{64}$/)
+          .describe("The block hash to query"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        blockHash: z.string(),
+        transactionCount: quantitySchema.nullable(),
+      },
     },
     async (args) => {
       try {
+        const network = networks.resolve(args.network);
         console.error(
           `Getting transaction count for block hash: ${args.blockHash}`,
         );
@@ -193,11 +968,16 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
         const txCount = await makeRpcCall(
           "eth_getBlockTransactionCountByHash",
           [args.blockHash],
-          rpcUrl,
+          network.rpcUrls,
         );
-        const txCountDecimal = parseInt(txCount, 16);
+        const txCountDecimal = toBigInt(txCount);
 
         return {
+          structuredContent: {
+            network: network.name,
+            blockHash: args.blockHash,
+            transactionCount: quantity(txCount),
+          },
           content: [
             {
               type: "text",
@@ -220,33 +1000,47 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
   );
 
   // eth_getBlockTransactionCountByNumber
-  server.tool(
+  server.registerTool(
     "eth_getBlockTransactionCountByNumber",
-    "Get the number of transactions in a block by block number",
     {
-      blockNumber: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]+$/)
-        .describe("The block number in hex format"),
+      description: "Get the number of transactions in a block by block number",
+      inputSchema: {
+        blockNumber: blockIdSchema({ description: "The block to query" }),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        blockNumber: z.string(),
+        transactionCount: quantitySchema.nullable(),
+      },
     },
     async (args) => {
       try {
+        const network = networks.resolve(args.network);
         console.error(
           `Getting transaction count for block number: ${args.blockNumber}`,
         );
 
+        const block = await resolveBlockId(args.blockNumber, {
+          call: rpcCaller(network.rpcUrls),
+        });
         const txCount = await makeRpcCall(
           "eth_getBlockTransactionCountByNumber",
-          [args.blockNumber],
-          rpcUrl,
+          [block],
+          network.rpcUrls,
         );
-        const txCountDecimal = parseInt(txCount, 16);
+        const txCountDecimal = toBigInt(txCount);
 
         return {
+          structuredContent: {
+            network: network.name,
+            blockNumber: formatBlockParam(block),
+            transactionCount: quantity(txCount),
+          },
           content: [
             {
               type: "text",
-              text: `Transaction Count for Block Number ${args.blockNumber}: ${txCountDecimal} (${txCount})`,
+              text: `Transaction Count for Block Number ${formatBlockParam(block)}: ${txCountDecimal} (${txCount})`,
             },
           ],
         };
@@ -265,25 +1059,33 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
   );
 
   // eth_estimateGas
-  server.tool(
+  server.registerTool(
     "eth_estimateGas",
-    "Estimate the gas required for a transaction",
     {
-      from: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{40}$/)
-        .optional()
-        .describe("Sender address"),
-      to: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{40}$/)
-        .optional()
-        .describe("Recipient address"),
-      value: z.string().optional().describe("Value to send in hex"),
-      data: z.string().optional().describe("Input data for contract call"),
+      description: "Estimate the gas required for a transaction",
+      inputSchema: {
+        from: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{40}$/)
+          .optional()
+          .describe("Sender address"),
+        to: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{40}$/)
+          .optional()
+          .describe("Recipient address"),
+        value: z.string().optional().describe("Value to send in hex"),
+        data: z.string().optional().describe("Input data for contract call"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        gasEstimate: quantitySchema,
+      },
     },
     async (args) => {
       try {
+        const network = networks.resolve(args.network);
         console.error("Estimating gas for transaction");
 
         const params = {};
@@ -295,11 +1097,15 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
         const gasEstimate = await makeRpcCall(
           "eth_estimateGas",
           [params],
-          rpcUrl,
+          network.rpcUrls,
         );
-        const gasEstimateDecimal = parseInt(gasEstimate, 16);
+        const gasEstimateDecimal = toBigInt(gasEstimate);
 
         return {
+          structuredContent: {
+            network: network.name,
+            gasEstimate: quantity(gasEstimate),
+          },
           content: [
             {
               type: "text",
@@ -321,35 +1127,38 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // eth_getBlockByHash
-  server.tool(
-    "eth_getBlockByHash",
-    "Get block details by block hash",
+  // eth_gasPrice
+  server.registerTool(
+    "eth_gasPrice",
     {
-      blockHash: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{64}$/)
-        .describe("The block hash to query"),
-      fullTransactions: z
-        .boolean()
-        .default(false)
-        .describe("Whether to return full transaction details"),
+      description: "Get the node's current gas price",
+      inputSchema: {
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        gasPrice: quantitySchema,
+        gasPriceGwei: z.string(),
+      },
     },
     async (args) => {
       try {
-        console.error(`Getting block details for hash: ${args.blockHash}`);
+        const network = networks.resolve(args.network);
+        console.error("Getting gas price");
 
-        const blockData = await makeRpcCall(
-          "eth_getBlockByHash",
-          [args.blockHash, args.fullTransactions],
-          rpcUrl,
-        );
+        const gasPrice = await makeRpcCall("eth_gasPrice", [], network.rpcUrls);
+        const gwei = describeWei(toBigInt(gasPrice)).gwei;
 
         return {
+          structuredContent: {
+            network: network.name,
+            gasPrice: quantity(gasPrice),
+            gasPriceGwei: gwei,
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(blockData, null, 2),
+              text: `Gas Price: ${gwei} gwei (${gasPrice})`,
             },
           ],
         };
@@ -358,7 +1167,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get block by hash. ${error.message}`,
+              text: `Error: Failed to get gas price. ${error.message}`,
             },
           ],
           isError: true,
@@ -367,35 +1176,64 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // eth_getBlockByNumber
-  server.tool(
-    "eth_getBlockByNumber",
-    "Get block details by block number",
+  // eth_maxPriorityFeePerGas
+  server.registerTool(
+    "eth_maxPriorityFeePerGas",
     {
-      blockNumber: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]+$/)
-        .describe("The block number in hex format"),
-      fullTransactions: z
-        .boolean()
-        .default(false)
-        .describe("Whether to return full transaction details"),
+      description:
+        "Get the node's suggested EIP-1559 priority fee (tip) per gas. Nodes that don't implement it, or charge a flat gas price, report it as unsupported.",
+      inputSchema: {
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        supported: z.boolean(),
+        maxPriorityFeePerGas: quantitySchema.nullable(),
+        maxPriorityFeePerGasGwei: z.string().nullable(),
+      },
     },
     async (args) => {
       try {
-        console.error(`Getting block details for number: ${args.blockNumber}`);
+        const network = networks.resolve(args.network);
+        console.error("Getting max priority fee per gas");
 
-        const blockData = await makeRpcCall(
-          "eth_getBlockByNumber",
-          [args.blockNumber, args.fullTransactions],
-          rpcUrl,
-        );
+        let fee;
+        try {
+          fee = await makeRpcCall(
+            "eth_maxPriorityFeePerGas",
+            [],
+            network.rpcUrls,
+          );
+        } catch (error) {
+          if (!error.rpcError || !isUnsupported(error.rpcError)) throw error;
+          return {
+            structuredContent: {
+              network: network.name,
+              supported: false,
+              maxPriorityFeePerGas: null,
+              maxPriorityFeePerGasGwei: null,
+            },
+            content: [
+              {
+                type: "text",
+                text: `${network.name} does not support eth_maxPriorityFeePerGas; use eth_gasPrice instead.`,
+              },
+            ],
+          };
+        }
+        const gwei = describeWei(toBigInt(fee)).gwei;
 
         return {
+          structuredContent: {
+            network: network.name,
+            supported: true,
+            maxPriorityFeePerGas: quantity(fee),
+            maxPriorityFeePerGasGwei: gwei,
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(blockData, null, 2),
+              text: `Max Priority Fee Per Gas: ${gwei} gwei (${fee})`,
             },
           ],
         };
@@ -404,7 +1242,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get block by number. ${error.message}`,
+              text: `Error: Failed to get max priority fee. ${error.message}`,
             },
           ],
           isError: true,
@@ -413,30 +1251,119 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // eth_getBlockReceipts - Not a standard RPC method, might need custom implementation or omission
-  server.tool(
-    "eth_getBlockReceipts",
-    "Get receipts for all transactions in a block",
+  // eth_feeHistory
+  server.registerTool(
+    "eth_feeHistory",
     {
-      blockNumberOrHash: z
-        .string()
-        .describe("Block number or hash in hex format"),
+      description:
+        "Get base fees, gas used ratios and priority fee percentiles for a range of recent blocks",
+      inputSchema: {
+        blockCount: z
+          .number()
+          .int()
+          .min(1)
+          .max(1024)
+          .optional()
+          .default(20)
+          .describe("Number of blocks to return, ending at newestBlock"),
+        newestBlock: blockIdSchema({
+          description: 'Newest block in the range (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        rewardPercentiles: z
+          .array(z.number().min(0).max(100))
+          .max(100)
+          .optional()
+          .default([10, 50, 90])
+          .refine(
+            (values) =>
+              values.every((value, i) => i === 0 || value >= values[i - 1]),
+            { message: "Percentiles must be in ascending order" },
+          )
+          .describe("Priority fee percentiles to sample from each block"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        oldestBlock: z.string(),
+        rewardPercentiles: z.array(z.number()),
+        blocks: z.array(
+          z.object({
+            number: z.string(),
+            baseFeePerGas: z.string(),
+            gasUsedRatio: z.number().nullable(),
+            rewards: z.array(z.string()).nullable(),
+          }),
+        ),
+        nextBaseFeePerGas: z.string().nullable(),
+      },
     },
     async (args) => {
       try {
-        console.error(`Getting block receipts for: ${args.blockNumberOrHash}`);
+        const network = networks.resolve(args.network);
+        console.error(
+          `Getting fee history for ${args.blockCount} blocks up to ${args.newestBlock}`,
+        );
 
-        const receipts = await makeRpcCall(
-          "eth_getBlockReceipts",
-          [args.blockNumberOrHash],
-          rpcUrl,
+        const newestBlock = await resolveBlockId(args.newestBlock, {
+          call: rpcCaller(network.rpcUrls),
+        });
+        const history = await makeRpcCall(
+          "eth_feeHistory",
+          [
+            `0x${args.blockCount.toString(16)}`,
+            newestBlock,
+            args.rewardPercentiles,
+          ],
+          network.rpcUrls,
+        );
+        if (!history || !Array.isArray(history.baseFeePerGas)) {
+          throw new Error("The node returned no fee history");
+        }
+
+        const oldest = toBigInt(history.oldestBlock);
+        const baseFees = history.baseFeePerGas.map(toBigInt);
+        // baseFeePerGas has one extra entry: the block after the range
+        const count = (history.gasUsedRatio || []).length;
+        const blocks = baseFees.slice(0, count).map((baseFee, i) => ({
+          number: (oldest + BigInt(i)).toString(),
+          baseFeePerGas: baseFee.toString(),
+          gasUsedRatio: history.gasUsedRatio[i] ?? null,
+          rewards: history.reward
+            ? history.reward[i].map((reward) => toBigInt(reward).toString())
+            : null,
+        }));
+        const next = baseFees.length > count ? baseFees[count] : null;
+
+        const gwei = (wei) => describeWei(toBigInt(wei)).gwei;
+        const rows = blocks.map(
+          (block) =>
+            `${block.number} | ${gwei(block.baseFeePerGas)} | ${
+              block.gasUsedRatio === null
+                ? "?"
+                : `${(block.gasUsedRatio * 100).toFixed(1)}%`
+            }${block.rewards ? ` | ${block.rewards.map(gwei).join(" / ")}` : ""}`,
         );
 
         return {
+          structuredContent: {
+            network: network.name,
+            oldestBlock: oldest.toString(),
+            rewardPercentiles: args.rewardPercentiles,
+            blocks,
+            nextBaseFeePerGas: next === null ? null : next.toString(),
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(receipts, null, 2),
+              text: `Fee history (fees in gwei):\nBlock | Base fee | Gas used${
+                args.rewardPercentiles.length
+                  ? ` | Priority fee p${args.rewardPercentiles.join(" / p")}`
+                  : ""
+              }\n${rows.join("\n")}${
+                next === null ? "" : `\nNext block base fee: ${gwei(next)} gwei`
+              }`,
             },
           ],
         };
@@ -445,7 +1372,11 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get block receipts. ${error.message}`,
+              text: `Error: Failed to get fee history. ${error.message}${
+                error.rpcError && isUnsupported(error.rpcError)
+                  ? " recommend_fees falls back to eth_gasPrice on nodes without fee history."
+                  : ""
+              }`,
             },
           ],
           isError: true,
@@ -454,31 +1385,92 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // eth_getTransactionByHash
-  server.tool(
-    "eth_getTransactionByHash",
-    "Get transaction details by transaction hash",
+  // recommend_fees
+  server.registerTool(
+    "recommend_fees",
     {
-      txHash: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{64}$/)
-        .describe("The transaction hash to query"),
+      description:
+        "Recommend slow, normal and fast fees with the exact total cost in SHM. Takes a gas limit, or estimates one with eth_estimateGas from the transaction fields. On networks with a flat gas price (no base fee), all tiers use eth_gasPrice.",
+      inputSchema: {
+        gasLimit: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe("Gas limit to price; estimated when omitted"),
+        from: z
+          .string()
+          .regex(addressPattern)
+          .optional()
+          .describe("Sender address, for estimating gas"),
+        to: z
+          .string()
+          .regex(addressPattern)
+          .optional()
+          .describe("Recipient address, for estimating gas"),
+        value: z
+          .string()
+          .optional()
+          .describe("Value to send in hex, for estimating gas"),
+        data: z.string().optional().describe("Input data, for estimating gas"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        gasLimitSource: z.enum(["given", "estimated"]),
+        ...recommendationSchema.shape,
+      },
     },
     async (args) => {
       try {
-        console.error(`Getting transaction details for hash: ${args.txHash}`);
+        const network = networks.resolve(args.network);
+        console.error("Recommending fees");
 
-        const txData = await makeRpcCall(
-          "eth_getTransactionByHash",
-          [args.txHash],
-          rpcUrl,
+        let gasLimit;
+        if (args.gasLimit !== undefined) {
+          gasLimit = BigInt(args.gasLimit);
+        } else {
+          const params = {};
+          if (args.from) params.from = args.from;
+          if (args.to) params.to = args.to;
+          if (args.value) params.value = args.value;
+          if (args.data) params.data = args.data;
+          gasLimit = toBigInt(
+            await makeRpcCall("eth_estimateGas", [params], network.rpcUrls),
+          );
+        }
+
+        const recommendation = describeRecommendation(
+          recommendFees(
+            await readFeeMarket(rpcBatcher(network.rpcUrls)),
+            gasLimit,
+          ),
+        );
+
+        const lines = recommendation.tiers.map((tier) =>
+          recommendation.model === "flat"
+            ? `- ${tier.name}: ${tier.gasPrice.gwei} gwei → ${tier.expectedCost.shm} SHM`
+            : `- ${tier.name}: max fee ${tier.maxFeePerGas.gwei} gwei, priority fee ${tier.maxPriorityFeePerGas.gwei} gwei → ${tier.expectedCost.shm} SHM expected, at most ${tier.maxCost.shm} SHM`,
         );
 
         return {
+          structuredContent: {
+            network: network.name,
+            gasLimitSource: args.gasLimit !== undefined ? "given" : "estimated",
+            ...recommendation,
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(txData, null, 2),
+              text: `Fees for ${gasLimit} gas (${
+                args.gasLimit !== undefined ? "given" : "estimated"
+              }) on ${network.name}${
+                recommendation.baseFeePerGas
+                  ? `, base fee ${recommendation.baseFeePerGas.gwei} gwei`
+                  : ", flat gas price"
+              }:\n${lines.join("\n")}${recommendation.notes
+                .map((note) => `\nNote: ${note}`)
+                .join("")}`,
             },
           ],
         };
@@ -487,7 +1479,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get transaction by hash. ${error.message}`,
+              text: `Error: Failed to recommend fees. ${error.message}`,
             },
           ],
           isError: true,
@@ -496,35 +1488,160 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // eth_getTransactionByBlockHashAndIndex
-  server.tool(
-    "eth_getTransactionByBlockHashAndIndex",
-    "Get transaction details by block hash and transaction index",
+  // eth_call
+  server.registerTool(
+    "eth_call",
     {
-      blockHash: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{64}$/)
-        .describe("The block hash"),
-      transactionIndex: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]+$/)
-        .describe("Transaction index in hex"),
+      description:
+        "Call a contract function without sending a transaction. Encodes the arguments from a function signature or ABI, runs the call at the chosen block and decodes the outputs or the revert reason.",
+      inputSchema: {
+        to: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{40}$/)
+          .describe("The contract address"),
+        function: z
+          .string()
+          .describe(
+            'Human-readable signature such as "function balanceOf(address) view returns (uint256)", a JSON ABI fragment, or a function name when `abi` is given or registered for the contract',
+          ),
+        args: z
+          .array(z.any())
+          .optional()
+          .default([])
+          .describe(
+            "Function arguments in order. Integers may be numbers or decimal/hex strings, bytes are hex strings, tuples are arrays or objects.",
+          ),
+        abi: z
+          .union([z.string(), z.array(z.any())])
+          .optional()
+          .describe(
+            "Contract ABI (JSON array or human-readable signatures) used to look up `function` by name or signature, decode its outputs and decode custom errors. Defaults to the ABI registered with register_contract_abi.",
+          ),
+        from: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{40}$/)
+          .optional()
+          .describe("Caller address"),
+        value: z
+          .string()
+          .optional()
+          .describe("Value to send in wei (decimal or hex)"),
+        block: blockIdSchema({
+          allowHash: true,
+          description: 'Block to run the call at (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        to: z.string(),
+        block: z.string(),
+        function: z.string(),
+        selector: z.string(),
+        calldata: z.string(),
+        success: z.boolean(),
+        returnData: z.string().nullable(),
+        outputs: z
+          .array(
+            z.object({ name: z.string(), type: z.string(), value: z.any() }),
+          )
+          .nullable(),
+        revert: z
+          .object({
+            kind: z.enum(["Error", "Panic", "custom", "unknown", "empty"]),
+            selector: z.string().optional(),
+            name: z.string().optional(),
+            signature: z.string().optional(),
+            args: z.array(z.any()).optional(),
+            message: z.string(),
+            data: z.string().nullable(),
+          })
+          .nullable(),
+      },
     },
     async (args) => {
       try {
-        console.error(`Getting transaction details for block hash and index`);
+        const network = networks.resolve(args.network);
+        console.error(`Calling ${args.function} on ${args.to}`);
 
-        const txData = await makeRpcCall(
-          "eth_getTransactionByBlockHashAndIndex",
-          [args.blockHash, args.transactionIndex],
-          rpcUrl,
-        );
+        const abi = args.abi
+          ? parseAbi(args.abi)
+          : signatures.abiFor(network.name, args.to) || [];
+        const fragment = resolveFunction(abi, args.function, args.args.length);
+        if (fragment.type !== "function") {
+          throw new Error(`"${args.function}" is not a function`);
+        }
+        const signature = formatSignature(fragment);
+        const calldata = encodeFunctionData(fragment, args.args);
+
+        const block = await resolveBlockId(args.block, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const callObject = { to: args.to, data: calldata };
+        if (args.from) callObject.from = args.from;
+        if (args.value)
+          callObject.value = `0x${toBigInt(args.value).toString(16)}`;
+
+        const result = {
+          network: network.name,
+          to: args.to,
+          block: formatBlockParam(block),
+          function: signature,
+          selector: calldata.slice(0, 10),
+          calldata,
+          success: true,
+          returnData: null,
+          outputs: null,
+          revert: null,
+        };
+
+        try {
+          result.returnData = await makeRpcCall(
+            "eth_call",
+            [callObject, block],
+            network.rpcUrls,
+          );
+        } catch (error) {
+          // Transport failures and rejected calls are real errors
+          if (!isRevert(error)) throw error;
+          const data = getRevertData(error);
+          result.success = false;
+          result.revert = {
+            ...(data
+              ? decodeRevert(data, abi)
+              : { kind: "unknown", message: error.rpcError.message }),
+            data,
+          };
+        }
+
+        if (result.success && fragment.outputs && fragment.outputs.length > 0) {
+          result.outputs = decodeParams(fragment.outputs, result.returnData);
+        }
+
+        let text;
+        if (!result.success) {
+          text = `${signature} on ${args.to} reverted at block ${result.block}: ${result.revert.message}`;
+        } else if (result.outputs) {
+          text = `${signature} on ${args.to} at block ${result.block}:\n${result.outputs
+            .map(
+              (output, i) =>
+                `- ${output.name || `output${i}`} (${output.type}): ${JSON.stringify(output.value)}`,
+            )
+            .join("\n")}`;
+        } else {
+          text = `${signature} on ${args.to} at block ${result.block} returned ${result.returnData}`;
+        }
 
         return {
+          structuredContent: result,
           content: [
             {
               type: "text",
-              text: JSON.stringify(txData, null, 2),
+              text,
             },
           ],
         };
@@ -533,7 +1650,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get transaction by block hash and index. ${error.message}`,
+              text: `Error: Failed to call contract. ${error.message}`,
             },
           ],
           isError: true,
@@ -542,35 +1659,72 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // eth_getTransactionByBlockNumberAndIndex
-  server.tool(
-    "eth_getTransactionByBlockNumberAndIndex",
-    "Get transaction details by block number and transaction index",
+  // eth_getCode
+  server.registerTool(
+    "eth_getCode",
     {
-      blockNumber: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]+$/)
-        .describe("The block number in hex format"),
-      transactionIndex: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]+$/)
-        .describe("Transaction index in hex"),
+      description:
+        "Get the bytecode deployed at an address; empty code means an externally owned account",
+      inputSchema: {
+        address: z
+          .string()
+          .regex(addressPattern)
+          .describe("The address to read code from"),
+        blockParameter: blockIdSchema({
+          allowHash: true,
+          description: 'Block to query (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        address: z.string(),
+        block: z.string(),
+        isContract: z.boolean(),
+        codeSize: z.number(),
+        codeHash: z.string().nullable(),
+        code: z.string(),
+      },
     },
     async (args) => {
       try {
-        console.error(`Getting transaction details for block number and index`);
-
-        const txData = await makeRpcCall(
-          "eth_getTransactionByBlockNumberAndIndex",
-          [args.blockNumber, args.transactionIndex],
-          rpcUrl,
+        const network = networks.resolve(args.network);
+        console.error(
+          `Getting code for address: ${args.address} at block: ${args.blockParameter}`,
         );
 
+        const block = await resolveBlockId(args.blockParameter, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const code =
+          (await makeRpcCall(
+            "eth_getCode",
+            [args.address, block],
+            network.rpcUrls,
+          )) || "0x";
+        const { codeSize, codeHash } = describeCode(code);
+
         return {
+          structuredContent: {
+            network: network.name,
+            address: args.address,
+            block: formatBlockParam(block),
+            isContract: codeSize > 0,
+            codeSize,
+            codeHash,
+            code,
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(txData, null, 2),
+              text:
+                codeSize > 0
+                  ? `Code at ${args.address} (block ${formatBlockParam(block)}): ${codeSize} bytes, keccak256 ${codeHash}\n${code}`
+                  : `No code at ${args.address} (block ${formatBlockParam(block)}); it is an externally owned account or an empty address.`,
             },
           ],
         };
@@ -579,7 +1733,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get transaction by block number and index. ${error.message}`,
+              text: `Error: Failed to get code. ${error.message}`,
             },
           ],
           isError: true,
@@ -588,31 +1742,77 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // eth_getTransactionReceipt
-  server.tool(
-    "eth_getTransactionReceipt",
-    "Get transaction receipt by transaction hash",
+  // eth_getStorageAt
+  server.registerTool(
+    "eth_getStorageAt",
     {
-      txHash: z
-        .string()
-        .regex(/^0x[a-fA-F0-9]{64}$/)
-        .describe("The transaction hash to query"),
+      description:
+        "Read a raw 32-byte storage slot of a contract, also shown as an integer and, where it fits, an address",
+      inputSchema: {
+        address: z
+          .string()
+          .regex(addressPattern)
+          .describe("The contract address"),
+        slot: z
+          .string()
+          .regex(/^(0x[a-fA-F0-9]{1,64}|\d+)$/)
+          .describe("Storage slot as hex (up to 32 bytes) or decimal"),
+        blockParameter: blockIdSchema({
+          allowHash: true,
+          description: 'Block to query (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        address: z.string(),
+        slot: z.string(),
+        block: z.string(),
+        value: z.string(),
+        asUint: z.string(),
+        asAddress: z.string().nullable(),
+      },
     },
     async (args) => {
       try {
-        console.error(`Getting transaction receipt for hash: ${args.txHash}`);
+        const network = networks.resolve(args.network);
+        console.error(
+          `Getting storage slot ${args.slot} of ${args.address} at block: ${args.blockParameter}`,
+        );
 
-        const receiptData = await makeRpcCall(
-          "eth_getTransactionReceipt",
-          [args.txHash],
-          rpcUrl,
+        const slot = `0x${toBigInt(args.slot).toString(16).padStart(64, "0")}`;
+        const block = await resolveBlockId(args.blockParameter, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const raw = await makeRpcCall(
+          "eth_getStorageAt",
+          [args.address, slot, block],
+          network.rpcUrls,
         );
+        const asUint = toBigInt(raw || "0x0");
+        const value = `0x${asUint.toString(16).padStart(64, "0")}`;
+        const asAddress = slotAddress(value);
 
         return {
+          structuredContent: {
+            network: network.name,
+            address: args.address,
+            slot,
+            block: formatBlockParam(block),
+            value,
+            asUint: asUint.toString(),
+            asAddress,
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(receiptData, null, 2),
+              text: `Storage of ${args.address} at slot ${slot} (block ${formatBlockParam(block)}):
+- Value: ${value}
+- As uint256: ${asUint}${asAddress ? `\n- As address: ${asAddress}` : ""}`,
             },
           ],
         };
@@ -621,7 +1821,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get transaction receipt. ${error.message}`,
+              text: `Error: Failed to get storage. ${error.message}`,
             },
           ],
           isError: true,
@@ -630,23 +1830,91 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // eth_chainId
-  server.tool(
-    "eth_chainId",
-    "Get the chain ID of the current network",
-    {},
-    async () => {
+  // inspect_address
+  server.registerTool(
+    "inspect_address",
+    {
+      description:
+        "Classify an address as an externally owned account or a contract, with bytecode size and hash, balance and nonce. Detects proxies (EIP-1967 transparent, UUPS and beacon, EIP-1822, EIP-1167 minimal proxies) and resolves the implementation address.",
+      inputSchema: {
+        address: z
+          .string()
+          .regex(addressPattern)
+          .describe("The address to inspect"),
+        blockParameter: blockIdSchema({
+          allowHash: true,
+          description: 'Block to inspect at (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        ...inspectionSchema.shape,
+      },
+    },
+    async (args) => {
       try {
-        console.error("Getting chain ID");
+        const network = networks.resolve(args.network);
+        console.error(`Inspecting address ${args.address}`);
+
+        const block = await resolveBlockId(args.blockParameter, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const inspection = await inspectAddress(
+          rpcBatcher(network.rpcUrls),
+          args.address,
+          block,
+        );
 
-        const chainId = await makeRpcCall("eth_chainId", [], rpcUrl);
-        const chainIdDecimal = parseInt(chainId, 16);
+        const lines = [
+          `${inspection.address}: ${
+            {
+              eoa: "externally owned account",
+              contract: "contract",
+              delegated_eoa: `externally owned account delegating to ${inspection.delegatedTo} (EIP-7702)`,
+            }[inspection.accountType]
+          }`,
+          `Balance: ${inspection.balance.shm} SHM, nonce ${inspection.nonce}`,
+        ];
+        if (inspection.accountType === "contract") {
+          lines.push(
+            `Code: ${inspection.codeSize} bytes, keccak256 ${inspection.codeHash}`,
+          );
+          const proxy = inspection.proxy;
+          lines.push(
+            proxy
+              ? `Proxy: ${proxy.pattern}${
+                  proxy.implementation
+                    ? `, implementation ${proxy.implementation}`
+                    : ""
+                }${proxy.admin ? `, admin ${proxy.admin}` : ""}${
+                  proxy.beacon ? `, beacon ${proxy.beacon}` : ""
+                }`
+              : "Proxy: none detected",
+          );
+          if (inspection.implementations.length > 1) {
+            lines.push(
+              `Resolved implementation: ${inspection.resolvedImplementation}`,
+            );
+          }
+        }
+        for (const note of inspection.notes) lines.push(`Note: ${note}`);
 
         return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            ...inspection,
+          },
           content: [
             {
               type: "text",
-              text: `Chain ID: ${chainIdDecimal} (${chainId})`,
+              text: lines.join("\n"),
             },
           ],
         };
@@ -655,7 +1923,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get chain ID. ${error.message}`,
+              text: `Error: Failed to inspect address. ${error.message}`,
             },
           ],
           isError: true,
@@ -664,44 +1932,195 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // Shardeum-specific tools
-
-  // shardeum_getNodeList
-  server.tool(
-    "shardeum_getNodeList",
-    "Get a list of Shardeum network nodes",
+  // analyze_bytecode
+  server.registerTool(
+    "analyze_bytecode",
     {
-      page: z
-        .number()
-        .optional()
-        .default(1)
-        .describe("Page number for pagination"),
-      limit: z
-        .number()
-        .optional()
-        .default(100)
-        .describe("Number of nodes per page"),
+      description:
+        "Analyze contract runtime bytecode locally, for contracts without verified source: decode the CBOR metadata trailer (compiler version, IPFS or Swarm hash), extract the function selectors from the dispatcher and match them against registered ABIs and the bundled signature database, count notable opcodes, and optionally list the disassembly",
+      inputSchema: {
+        address: z
+          .string()
+          .regex(addressPattern)
+          .optional()
+          .describe("Contract to read the code of with eth_getCode"),
+        bytecode: z
+          .string()
+          .regex(/^0x([a-fA-F0-9]{2})*$/)
+          .optional()
+          .describe("Runtime bytecode to analyze instead of an address's code"),
+        blockParameter: blockIdSchema({
+          allowHash: true,
+          description: 'Block to read the code at (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        includeInstructions: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe("Include the disassembly listing"),
+        maxInstructions: z
+          .number()
+          .int()
+          .min(1)
+          .max(20000)
+          .optional()
+          .default(2000)
+          .describe("Maximum number of instructions to list"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        address: z.string().nullable(),
+        block: z.string().nullable(),
+        codeSize: z.number(),
+        codeHash: z.string().nullable(),
+        metadata: compilerMetadataSchema.nullable(),
+        selectors: z.array(
+          z.object({
+            selector: z.string(),
+            matches: z.array(
+              z.object({ signature: z.string(), source: z.string() }),
+            ),
+          }),
+        ),
+        instructionCount: z.number(),
+        notableOpcodes: z.record(z.number()),
+        instructions: z.array(z.string()).nullable(),
+        instructionsTruncated: z.boolean(),
+        notes: z.array(z.string()),
+      },
     },
     async (args) => {
       try {
-        console.error("Getting Shardeum node list");
+        const network = networks.resolve(args.network);
+        if (!args.address === !args.bytecode) {
+          throw new Error("Provide exactly one of address or bytecode");
+        }
 
-        const nodeList = await makeRpcCall(
-          "shardeum_getNodeList",
-          [
-            {
-              page: args.page,
-              limit: args.limit,
-            },
-          ],
-          rpcUrl,
-        );
+        let code = args.bytecode;
+        let block = null;
+        if (args.address) {
+          console.error(`Analyzing bytecode of ${args.address}`);
+          block = await resolveBlockId(args.blockParameter, {
+            call: rpcCaller(network.rpcUrls),
+            allowHash: true,
+            hashAsObject: true,
+          });
+          code =
+            (await makeRpcCall(
+              "eth_getCode",
+              [args.address, block],
+              network.rpcUrls,
+            )) || "0x";
+        } else {
+          console.error("Analyzing supplied bytecode");
+        }
+
+        const analysis = analyzeBytecode(code);
+        const selectors = analysis.selectors.map((selector) => ({
+          selector,
+          matches: signatures.lookupSelector(
+            network.name,
+            args.address || null,
+            selector,
+          ),
+        }));
+        const instructions = args.includeInstructions
+          ? analysis.instructions
+              .slice(0, args.maxInstructions)
+              .map(formatInstruction)
+          : null;
+
+        const notes = [];
+        if (analysis.codeSize === 0) {
+          notes.push(
+            "There is no code to analyze; the address is an externally owned account or an empty address",
+          );
+        } else {
+          if (!analysis.metadata) {
+            notes.push(
+              "No compiler metadata trailer was found; the code may be hand-written, compiled without metadata, or creation code",
+            );
+          }
+          if (selectors.length === 0 && analysis.notableOpcodes.DELEGATECALL) {
+            notes.push(
+              "No dispatcher selectors were found but the code uses DELEGATECALL; it is probably a proxy, so inspect_address can find its implementation",
+            );
+          } else if (selectors.length === 0) {
+            notes.push(
+              "No dispatcher selectors were found; compilers other than solc may use a dispatch the extractor does not recognize",
+            );
+          }
+        }
+
+        const metadata = analysis.metadata;
+        const matched = selectors.filter((entry) => entry.matches.length > 0);
+        const lines = [
+          `Bytecode${args.address ? ` of ${args.address} (block ${formatBlockParam(block)})` : ""}: ${analysis.codeSize} bytes, ${analysis.instructions.length} instructions`,
+          metadata
+            ? `Metadata: ${
+                metadata.compiler
+                  ? `${metadata.compiler.name} ${metadata.compiler.version || "(unknown version)"}`
+                  : "unknown compiler"
+              }${metadata.ipfs ? `, IPFS ${metadata.ipfs}` : ""}${
+                metadata.bzzr0 ? `, bzzr0 ${metadata.bzzr0}` : ""
+              }${metadata.bzzr1 ? `, bzzr1 ${metadata.bzzr1}` : ""}${
+                metadata.experimental ? ", experimental features" : ""
+              }`
+            : "Metadata: none",
+          `Selectors: ${selectors.length} found, ${matched.length} matched`,
+          ...selectors.map(
+            (entry) =>
+              `- ${entry.selector}: ${
+                entry.matches.length > 0
+                  ? entry.matches
+                      .map((match) => `${match.signature} (${match.source})`)
+                      .join(" | ")
+                  : "unknown"
+              }`,
+          ),
+        ];
+        const notable = Object.entries(analysis.notableOpcodes);
+        if (notable.length > 0) {
+          lines.push(
+            `Notable opcodes: ${notable
+              .map(([name, count]) => `${name} ×${count}`)
+              .join(", ")}`,
+          );
+        }
+        for (const note of notes) lines.push(`Note: ${note}`);
+        if (instructions) {
+          lines.push("", "Disassembly:", ...instructions);
+          if (analysis.instructions.length > instructions.length) {
+            lines.push(
+              `... ${analysis.instructions.length - instructions.length} more instructions`,
+            );
+          }
+        }
 
         return {
+          structuredContent: {
+            network: network.name,
+            address: args.address || null,
+            block: block === null ? null : formatBlockParam(block),
+            codeSize: analysis.codeSize,
+            codeHash: describeCode(code).codeHash,
+            metadata,
+            selectors,
+            instructionCount: analysis.instructions.length,
+            notableOpcodes: analysis.notableOpcodes,
+            instructions,
+            instructionsTruncated:
+              instructions !== null &&
+              analysis.instructions.length > instructions.length,
+            notes,
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(nodeList, null, 2),
+              text: lines.join("\n"),
             },
           ],
         };
@@ -710,7 +2129,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get node list. ${error.message}`,
+              text: `Error: Failed to analyze bytecode. ${error.message}`,
             },
           ],
           isError: true,
@@ -719,26 +2138,58 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // shardeum_getNetworkAccount
-  server.tool(
-    "shardeum_getNetworkAccount",
-    "Get detailed information about the Shardeum network account",
-    {},
-    async () => {
+  // eth_getBlockByHash
+  server.registerTool(
+    "eth_getBlockByHash",
+    {
+      description: "Get block details by block hash",
+      inputSchema: {
+        blockHash: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{64}$/)
+          .describe("The block hash to query"),
+        fullTransactions: z
+          .boolean()
+          .default(false)
+          .describe("Whether to return full transaction details"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: blockSchema.nullable(),
+      },
+    },
+    async (args) => {
       try {
-        console.error("Getting Shardeum network account information");
+        const network = networks.resolve(args.network);
+        console.error(`Getting block details for hash: ${args.blockHash}`);
 
-        const networkAccount = await makeRpcCall(
-          "shardeum_getNetworkAccount",
-          [],
-          rpcUrl,
+        const blockData = await makeRpcCall(
+          "eth_getBlockByHash",
+          [args.blockHash, args.fullTransactions],
+          network.rpcUrls,
         );
 
+        const normalized = normalizeBlock(blockData);
+        if (normalized) {
+          normalized.transactions = normalized.transactions.map((tx) =>
+            typeof tx === "string"
+              ? tx
+              : decodeTransaction(signatures, network.name, tx),
+          );
+        }
+
         return {
+          structuredContent: {
+            network: network.name,
+            block: normalized,
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(networkAccount, null, 2),
+              text: `${JSON.stringify(blockData, null, 2)}${decodedSummary({
+                transactions: normalized ? normalized.transactions : [],
+              })}`,
             },
           ],
         };
@@ -747,7 +2198,7 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get network account. ${error.message}`,
+              text: `Error: Failed to get block by hash. ${error.message}`,
             },
           ],
           isError: true,
@@ -756,33 +2207,58 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
     },
   );
 
-  // shardeum_getCycleInfo
-  server.tool(
-    "shardeum_getCycleInfo",
-    "Get information about the current or a specific Shardeum network cycle",
+  // eth_getBlockByNumber
+  server.registerTool(
+    "eth_getBlockByNumber",
     {
-      cycleNumber: z
-        .number()
-        .optional()
-        .describe(
-          "Specific cycle number to query. If not provided, returns current cycle.",
-        ),
+      description: "Get block details by block number",
+      inputSchema: {
+        blockNumber: blockIdSchema({ description: "The block to query" }),
+        fullTransactions: z
+          .boolean()
+          .default(false)
+          .describe("Whether to return full transaction details"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: blockSchema.nullable(),
+      },
     },
     async (args) => {
       try {
-        console.error("Getting Shardeum cycle information");
+        const network = networks.resolve(args.network);
+        console.error(`Getting block details for number: ${args.blockNumber}`);
 
-        const cycleInfo = await makeRpcCall(
-          "shardeum_getCycleInfo",
-          args.cycleNumber !== undefined ? [args.cycleNumber] : [],
-          rpcUrl,
+        const block = await resolveBlockId(args.blockNumber, {
+          call: rpcCaller(network.rpcUrls),
+        });
+        const blockData = await makeRpcCall(
+          "eth_getBlockByNumber",
+          [block, args.fullTransactions],
+          network.rpcUrls,
         );
 
+        const normalized = normalizeBlock(blockData);
+        if (normalized) {
+          normalized.transactions = normalized.transactions.map((tx) =>
+            typeof tx === "string"
+              ? tx
+              : decodeTransaction(signatures, network.name, tx),
+          );
+        }
+
         return {
+          structuredContent: {
+            network: network.name,
+            block: normalized,
+          },
           content: [
             {
               type: "text",
-              text: JSON.stringify(cycleInfo, null, 2),
+              text: `${JSON.stringify(blockData, null, 2)}${decodedSummary({
+                transactions: normalized ? normalized.transactions : [],
+              })}`,
             },
           ],
         };
@@ -791,7 +2267,4180 @@ function registerTools(server, rpcUrl = DEFAULT_RPC_URL) {
           content: [
             {
               type: "text",
-              text: `Error: Failed to get cycle information. ${error.message}`,
+              text: `Error: Failed to get block by number. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // block_range_stats
+  server.registerTool(
+    "block_range_stats",
+    {
+      description:
+        "Throughput and utilization statistics for consecutive blocks ending at a given block: block time distribution, transactions per block and TPS, gas utilization, base fee trend, and top senders and recipients, with a per-block table",
+      inputSchema: {
+        toBlock: blockIdSchema({
+          description: 'Last block of the range (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        blockCount: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_STATS_BLOCKS)
+          .optional()
+          .default(50)
+          .describe(
+            `Number of blocks to analyze (at most ${MAX_STATS_BLOCKS})`,
+          ),
+        concurrency: z
+          .number()
+          .int()
+          .min(1)
+          .max(16)
+          .optional()
+          .default(4)
+          .describe("Block batches fetched in parallel"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        fromBlock: z.string(),
+        toBlock: z.string(),
+        summary: z.object({
+          blocks: z.number(),
+          blockTime: distributionSchema.nullable(),
+          blockTimeHistogram: z.array(
+            z.object({ seconds: z.number(), blocks: z.number() }),
+          ),
+          transactions: z.number(),
+          transactionsPerBlock: distributionSchema.nullable(),
+          tps: z.number().nullable(),
+          gasUsed: z.string(),
+          gasLimit: z.string(),
+          utilization: distributionSchema.nullable(),
+          overallUtilization: z.number().nullable(),
+          baseFee: z
+            .object({
+              first: weiSchema,
+              last: weiSchema,
+              min: weiSchema,
+              max: weiSchema,
+              changePercent: z.number().nullable(),
+            })
+            .nullable(),
+          topSenders: z.array(accountCountSchema),
+          topRecipients: z.array(accountCountSchema),
+          uniqueSenders: z.number(),
+          uniqueRecipients: z.number(),
+          contractCreations: z.number(),
+        }),
+        blocks: z.array(
+          z.object({
+            number: z.string(),
+            timestamp: z.number(),
+            blockTime: z.number().nullable(),
+            transactions: z.number(),
+            gasUsed: z.string(),
+            gasLimit: z.string(),
+            utilization: z.number().nullable(),
+            baseFeePerGasGwei: z.string().nullable(),
+          }),
+        ),
+        requests: z.number(),
+        notes: z.array(z.string()),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        const toBlock = await resolveBlockNumber(
+          args.toBlock,
+          rpcCaller(network.rpcUrls),
+        );
+        const fromBlock =
+          toBlock >= BigInt(args.blockCount - 1)
+            ? toBlock - BigInt(args.blockCount - 1)
+            : 0n;
+        console.error(
+          `Getting block statistics for blocks ${fromBlock}-${toBlock}`,
+        );
+
+        // The block before the range gives the first block its block time
+        const numbers = [];
+        for (let n = fromBlock > 0n ? fromBlock - 1n : 0n; n <= toBlock; n++) {
+          numbers.push(n);
+        }
+        const { responses, requests } = await fetchBlocks(
+          rpcBatcher(network.rpcUrls),
+          numbers,
+          { fullTransactions: true, concurrency: args.concurrency },
+        );
+
+        const notes = [];
+        const missing = [];
+        let previous = null;
+        const blocks = [];
+        numbers.forEach((number, i) => {
+          const response = responses[i];
+          if (response.error || !response.result) {
+            if (number >= fromBlock) missing.push(number);
+            return;
+          }
+          if (number < fromBlock) previous = response.result;
+          else blocks.push(response.result);
+        });
+        if (blocks.length === 0) {
+          throw new Error(
+            `None of blocks ${fromBlock}-${toBlock} could be read`,
+          );
+        }
+        if (missing.length > 0) {
+          notes.push(
+            `${missing.length} block(s) could not be read and are left out: ${missing.join(", ")}`,
+          );
+        }
+
+        const { rows, summary, hashesOnly } = computeBlockStats(
+          blocks,
+          previous,
+        );
+        if (hashesOnly) {
+          notes.push(
+            "The node returned transaction hashes instead of transactions, so senders and recipients are incomplete",
+          );
+        }
+        if (!summary.baseFee) {
+          notes.push(
+            "No base fee is reported; Shardeum charges a flat gas price",
+          );
+        }
+
+        const gwei = (wei) => describeWei(wei).gwei;
+        const formatDistribution = (stats, unit = "") =>
+          stats
+            ? `min ${stats.min}${unit}, median ${stats.median}${unit}, mean ${stats.mean}${unit}, p90 ${stats.p90}${unit}, max ${stats.max}${unit}`
+            : "n/a";
+        const lines = [
+          `Blocks ${fromBlock}-${toBlock} (${rows.length} blocks):`,
+          `- Block time: ${formatDistribution(summary.blockTime, "s")}`,
+          `- Transactions: ${summary.transactions} total, ${summary.tps === null ? "TPS n/a" : `${summary.tps} TPS`}; per block ${formatDistribution(summary.transactionsPerBlock)}`,
+          `- Gas utilization: ${summary.overallUtilization === null ? "n/a" : `${summary.overallUtilization}% overall`}; per block ${formatDistribution(summary.utilization, "%")}`,
+        ];
+        if (summary.baseFee) {
+          lines.push(
+            `- Base fee: ${gwei(summary.baseFee.first)} → ${gwei(summary.baseFee.last)} gwei${
+              summary.baseFee.changePercent === null
+                ? ""
+                : ` (${summary.baseFee.changePercent > 0 ? "+" : ""}${summary.baseFee.changePercent}%)`
+            }, range ${gwei(summary.baseFee.min)}-${gwei(summary.baseFee.max)} gwei`,
+          );
+        }
+        lines.push(
+          `- Senders: ${summary.uniqueSenders} unique; top ${
+            summary.topSenders
+              .map((account) => `${account.address} (${account.transactions})`)
+              .join(", ") || "none"
+          }`,
+          `- Recipients: ${summary.uniqueRecipients} unique; top ${
+            summary.topRecipients
+              .map((account) => `${account.address} (${account.transactions})`)
+              .join(", ") || "none"
+          }${
+            summary.contractCreations
+              ? `; ${summary.contractCreations} contract creation(s)`
+              : ""
+          }`,
+          "",
+          "block | time | txs | gas used / limit | utilization | base fee (gwei)",
+          ...rows.map(
+            (row) =>
+              `${row.number} | ${row.blockTime === null ? "-" : `${row.blockTime}s`} | ${row.transactions} | ${row.gasUsed}/${row.gasLimit} | ${row.utilization === null ? "-" : `${row.utilization}%`} | ${row.baseFeePerGas === null ? "-" : gwei(row.baseFeePerGas)}`,
+          ),
+        );
+        for (const note of notes) lines.push(`Note: ${note}`);
+
+        return {
+          structuredContent: {
+            network: network.name,
+            fromBlock: fromBlock.toString(),
+            toBlock: toBlock.toString(),
+            summary: {
+              ...summary,
+              gasUsed: summary.gasUsed.toString(),
+              gasLimit: summary.gasLimit.toString(),
+              baseFee: summary.baseFee && {
+                first: describeWei(summary.baseFee.first),
+                last: describeWei(summary.baseFee.last),
+                min: describeWei(summary.baseFee.min),
+                max: describeWei(summary.baseFee.max),
+                changePercent: summary.baseFee.changePercent,
+              },
+            },
+            blocks: rows.map((row) => ({
+              number: row.number.toString(),
+              timestamp: row.timestamp,
+              blockTime: row.blockTime,
+              transactions: row.transactions,
+              gasUsed: row.gasUsed.toString(),
+              gasLimit: row.gasLimit.toString(),
+              utilization: row.utilization,
+              baseFeePerGasGwei:
+                row.baseFeePerGas === null ? null : gwei(row.baseFeePerGas),
+            })),
+            requests,
+            notes,
+          },
+          content: [
+            {
+              type: "text",
+              text: lines.join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get block range statistics. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // eth_getBlockReceipts - Not a standard RPC method, might need custom implementation or omission
+  server.registerTool(
+    "eth_getBlockReceipts",
+    {
+      description: "Get receipts for all transactions in a block",
+      inputSchema: {
+        blockNumberOrHash: blockIdSchema({
+          allowHash: true,
+          description: "The block to query",
+        }),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        receipts: z.array(decodedReceiptSchema).nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Getting block receipts for: ${args.blockNumberOrHash}`);
+
+        const block = await resolveBlockId(args.blockNumberOrHash, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+        });
+        const receipts = await makeRpcCall(
+          "eth_getBlockReceipts",
+          [block],
+          network.rpcUrls,
+        );
+
+        const decoded = receipts
+          ? receipts.map((receipt) =>
+              decodeReceipt(
+                signatures,
+                network.name,
+                normalizeReceipt(receipt),
+              ),
+            )
+          : null;
+
+        return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            receipts: decoded,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${JSON.stringify(receipts, null, 2)}${decodedSummary({
+                receipts: decoded || [],
+              })}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get block receipts. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // eth_getTransactionByHash
+  server.registerTool(
+    "eth_getTransactionByHash",
+    {
+      description: "Get transaction details by transaction hash",
+      inputSchema: {
+        txHash: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{64}$/)
+          .describe("The transaction hash to query"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        transaction: decodedTransactionSchema.nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Getting transaction details for hash: ${args.txHash}`);
+
+        const txData = await makeRpcCall(
+          "eth_getTransactionByHash",
+          [args.txHash],
+          network.rpcUrls,
+        );
+
+        const transaction = decodeTransaction(
+          signatures,
+          network.name,
+          normalizeTransaction(txData),
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            transaction,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${JSON.stringify(txData, null, 2)}${decodedSummary({
+                transactions: [transaction],
+              })}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get transaction by hash. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // eth_getTransactionByBlockHashAndIndex
+  server.registerTool(
+    "eth_getTransactionByBlockHashAndIndex",
+    {
+      description:
+        "Get transaction details by block hash and transaction index",
+      inputSchema: {
+        blockHash: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{64}$/)
+          .describe("The block hash"),
+        transactionIndex: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]+$/)
+          .describe("Transaction index in hex"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        transaction: decodedTransactionSchema.nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Getting transaction details for block hash and index`);
+
+        const txData = await makeRpcCall(
+          "eth_getTransactionByBlockHashAndIndex",
+          [args.blockHash, args.transactionIndex],
+          network.rpcUrls,
+        );
+
+        const transaction = decodeTransaction(
+          signatures,
+          network.name,
+          normalizeTransaction(txData),
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            transaction,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${JSON.stringify(txData, null, 2)}${decodedSummary({
+                transactions: [transaction],
+              })}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get transaction by block hash and index. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // eth_getTransactionByBlockNumberAndIndex
+  server.registerTool(
+    "eth_getTransactionByBlockNumberAndIndex",
+    {
+      description:
+        "Get transaction details by block number and transaction index",
+      inputSchema: {
+        blockNumber: blockIdSchema({ description: "The block to query" }),
+        transactionIndex: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]+$/)
+          .describe("Transaction index in hex"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        transaction: decodedTransactionSchema.nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Getting transaction details for block number and index`);
+
+        const block = await resolveBlockId(args.blockNumber, {
+          call: rpcCaller(network.rpcUrls),
+        });
+        const txData = await makeRpcCall(
+          "eth_getTransactionByBlockNumberAndIndex",
+          [block, args.transactionIndex],
+          network.rpcUrls,
+        );
+
+        const transaction = decodeTransaction(
+          signatures,
+          network.name,
+          normalizeTransaction(txData),
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            transaction,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${JSON.stringify(txData, null, 2)}${decodedSummary({
+                transactions: [transaction],
+              })}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get transaction by block number and index. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // eth_getTransactionReceipt
+  server.registerTool(
+    "eth_getTransactionReceipt",
+    {
+      description: "Get transaction receipt by transaction hash",
+      inputSchema: {
+        txHash: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{64}$/)
+          .describe("The transaction hash to query"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        receipt: decodedReceiptSchema.nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Getting transaction receipt for hash: ${args.txHash}`);
+
+        const receiptData = await makeRpcCall(
+          "eth_getTransactionReceipt",
+          [args.txHash],
+          network.rpcUrls,
+        );
+
+        const receipt = decodeReceipt(
+          signatures,
+          network.name,
+          normalizeReceipt(receiptData),
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            receipt,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${JSON.stringify(receiptData, null, 2)}${decodedSummary({
+                receipts: [receipt],
+              })}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get transaction receipt. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // explain_transaction
+  server.registerTool(
+    "explain_transaction",
+    {
+      description:
+        "Explain a transaction in one step: fetches the transaction, its receipt and block, classifies it (native transfer, contract creation, token transfer or contract call) and reports status, exact fee, decoded method and events, and token movements",
+      inputSchema: {
+        txHash: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{64}$/)
+          .describe("The transaction hash to explain"),
+        resolveTokens: z
+          .boolean()
+          .optional()
+          .default(true)
+          .describe(
+            "Look up token symbols and decimals to format token movements",
+          ),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        explanation: explanationSchema,
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Explaining transaction ${args.txHash}`);
+
+        const batch = rpcBatcher(network.rpcUrls);
+        const [txResponse, receiptResponse] = await batch([
+          { method: "eth_getTransactionByHash", params: [args.txHash] },
+          { method: "eth_getTransactionReceipt", params: [args.txHash] },
+        ]);
+        for (const response of [txResponse, receiptResponse]) {
+          if (response.error) {
+            throw new Error(`RPC Error: ${response.error.message}`);
+          }
+        }
+        const tx = txResponse.result;
+        if (!tx) throw new Error(`Transaction ${args.txHash} not found`);
+        const receipt = receiptResponse.result;
+        const block = tx.blockHash
+          ? await makeRpcCall(
+              "eth_getBlockByHash",
+              [tx.blockHash, false],
+              network.rpcUrls,
+            )
+          : null;
+
+        const decodeLog = (log) => signatures.decodeLog(network.name, log);
+        let tokens = {};
+        if (args.resolveTokens && receipt) {
+          const addresses = [
+            ...new Set(
+              tokenMovements(
+                (receipt.logs || []).map((log) => ({
+                  ...log,
+                  decoded: decodeLog(log),
+                })),
+              ).map((movement) => movement.token.toLowerCase()),
+            ),
+          ];
+          try {
+            const metadata = await readTokens(
+              batch,
+              addresses.map((address) => ({ address })),
+              { block: tx.blockNumber, totalSupply: false },
+            );
+            tokens = Object.fromEntries(
+              metadata.map((token) => [token.address, token]),
+            );
+          } catch (error) {
+            // Movements are still reported in base units
+            console.error("Token lookup failed:", error.message);
+          }
+        }
+
+        const explanation = explainTransaction(
+          { tx, receipt, block },
+          {
+            decodeCall: (to, input) =>
+              signatures.decodeCall(network.name, to, input),
+            decodeLog,
+            tokens,
+          },
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            explanation,
+          },
+          content: [
+            {
+              type: "text",
+              text: explanation.summary,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to explain transaction. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // wait_for_transaction
+  server.registerTool(
+    "wait_for_transaction",
+    {
+      description:
+        "Wait for a submitted transaction: polls with backoff until it is mined and the requested number of confirmations deep, or the timeout passes. Reports the block, confirmations and status, and whether the transaction was dropped from the pool or replaced by another transaction with the same nonce.",
+      inputSchema: {
+        txHash: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{64}$/)
+          .describe("The transaction hash to wait for"),
+        confirmations: z
+          .number()
+          .int()
+          .min(1)
+          .max(100)
+          .optional()
+          .default(1)
+          .describe("Blocks, including the mining block, to wait for"),
+        timeoutSeconds: z
+          .number()
+          .int()
+          .min(1)
+          .max(600)
+          .optional()
+          .default(30)
+          .describe("How long to wait before giving up"),
+        pollIntervalMs: z
+          .number()
+          .int()
+          .min(100)
+          .max(60000)
+          .optional()
+          .default(1000)
+          .describe("Initial delay between polls; grows by half each poll"),
+        from: z
+          .string()
+          .regex(addressPattern)
+          .optional()
+          .describe(
+            "Sender address, to detect a replacement when the node has never seen the transaction",
+          ),
+        nonce: z
+          .number()
+          .int()
+          .min(0)
+          .optional()
+          .describe("Transaction nonce, used together with from"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        txHash: z.string(),
+        status: z.enum(OUTCOMES),
+        blockNumber: z.string().nullable(),
+        blockHash: z.string().nullable(),
+        confirmations: z.number(),
+        requiredConfirmations: z.number(),
+        receiptStatus: z.enum(["success", "failed"]).nullable(),
+        from: z.string().nullable(),
+        nonce: z.string().nullable(),
+        replacedBy: z.string().nullable(),
+        latestBlock: z.string().nullable(),
+        polls: z.number(),
+        elapsedMs: z.number(),
+        receipt: decodedReceiptSchema.nullable(),
+      },
+    },
+    async (args, extra) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(
+          `Waiting for ${args.txHash} (${args.confirmations} confirmations, ${args.timeoutSeconds}s)`,
+        );
+
+        const timeoutMs = args.timeoutSeconds * 1000;
+        const progressToken = extra && extra._meta && extra._meta.progressToken;
+        const outcome = await waitForTransaction(
+          rpcBatcher(network.rpcUrls),
+          args.txHash,
+          {
+            confirmations: args.confirmations,
+            timeoutMs,
+            intervalMs: args.pollIntervalMs,
+            from: args.from || null,
+            nonce: args.nonce ?? null,
+            onPoll: (state) => {
+              if (progressToken === undefined) return;
+              extra
+                .sendNotification({
+                  method: "notifications/progress",
+                  params: {
+                    progressToken,
+                    progress: Math.min(state.elapsedMs, timeoutMs),
+                    total: timeoutMs,
+                    message: `${state.status}, ${state.confirmations}/${args.confirmations} confirmations`,
+                  },
+                })
+                .catch(() => {});
+            },
+          },
+        );
+
+        const { receipt, tx } = outcome;
+        const result = {
+          network: network.name,
+          txHash: args.txHash,
+          status: outcome.status,
+          blockNumber: receipt
+            ? toBigInt(receipt.blockNumber).toString()
+            : null,
+          blockHash: receipt ? receipt.blockHash : null,
+          confirmations: outcome.confirmations,
+          requiredConfirmations: args.confirmations,
+          receiptStatus: receipt
+            ? receipt.status === undefined || toBigInt(receipt.status) === 1n
+              ? "success"
+              : "failed"
+            : null,
+          from: tx ? tx.from : args.from || null,
+          nonce: tx
+            ? toBigInt(tx.nonce).toString()
+            : args.nonce === undefined
+              ? null
+              : String(args.nonce),
+          replacedBy: outcome.replacedBy,
+          latestBlock:
+            outcome.latestBlock === null
+              ? null
+              : outcome.latestBlock.toString(),
+          polls: outcome.polls,
+          elapsedMs: outcome.elapsedMs,
+          receipt: decodeReceipt(
+            signatures,
+            network.name,
+            normalizeReceipt(receipt),
+          ),
+        };
+
+        const seconds = (result.elapsedMs / 1000).toFixed(1);
+        const text = {
+          confirmed: `Transaction ${args.txHash} ${result.receiptStatus === "success" ? "succeeded" : "failed"} in block ${result.blockNumber} and has ${result.confirmations} confirmations.`,
+          mined: `Transaction ${args.txHash} ${result.receiptStatus === "success" ? "succeeded" : "failed"} in block ${result.blockNumber} but has only ${result.confirmations} of ${args.confirmations} confirmations after ${seconds}s.`,
+          pending: `Transaction ${args.txHash} is still pending after ${seconds}s.`,
+          replaced: `Transaction ${args.txHash} was replaced: nonce ${result.nonce} of ${result.from} was used by ${result.replacedBy || "another transaction"}.`,
+          dropped: `Transaction ${args.txHash} was dropped: the node no longer knows it and it was not mined within ${seconds}s.`,
+          not_found: `Transaction ${args.txHash} was not found within ${seconds}s.`,
+        }[result.status];
+
+        return {
+          structuredContent: result,
+          content: [
+            {
+              type: "text",
+              text: `${text}\n\nPolled ${result.polls} times${
+                result.latestBlock ? `; latest block ${result.latestBlock}` : ""
+              }.`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to wait for transaction. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // eth_getLogs
+  server.registerTool(
+    "eth_getLogs",
+    {
+      description:
+        "Query event logs by contract address, topics or event signature, with decoded arguments. Large block ranges are split into chunks the node accepts, and results are paginated.",
+      inputSchema: {
+        address: z
+          .union([
+            z.string().regex(addressPattern),
+            z.array(z.string().regex(addressPattern)).min(1),
+          ])
+          .optional()
+          .describe("Contract address or addresses that emitted the logs"),
+        event: z
+          .string()
+          .optional()
+          .describe(
+            'Event to match: a signature such as "event Transfer(address indexed from, address indexed to, uint256 value)", or an event name when `abi` is given',
+          ),
+        abi: z
+          .union([z.string(), z.array(z.any())])
+          .optional()
+          .describe(
+            "Contract ABI used to decode the logs. Without `event`, logs of every event in the ABI are matched.",
+          ),
+        topics: z
+          .array(
+            z.union([
+              z.null(),
+              z.string().regex(topicPattern),
+              z.array(z.string().regex(topicPattern)).min(1),
+            ]),
+          )
+          .max(4)
+          .optional()
+          .describe(
+            "Topic filters by position: null matches anything, an array matches any of its values. Position 0 is filled from `event`/`abi` when left empty.",
+          ),
+        fromBlock: blockIdSchema({
+          description: 'First block to search (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        toBlock: blockIdSchema({
+          description: 'Last block to search (default: "latest")',
+        })
+          .optional()
+          .default("latest"),
+        blockHash: z
+          .string()
+          .regex(/^0x[a-fA-F0-9]{64}$/)
+          .optional()
+          .describe("Search a single block by hash instead of a range"),
+        limit: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_LOGS_PER_PAGE)
+          .optional()
+          .default(100)
+          .describe(`Logs per page (at most ${MAX_LOGS_PER_PAGE})`),
+        cursor: z
+          .string()
+          .optional()
+          .describe(
+            "Cursor from a previous page; it keeps the block range of the first page, repeat the other arguments unchanged",
+          ),
+        chunkSize: z
+          .number()
+          .int()
+          .min(1)
+          .optional()
+          .describe(
+            `Blocks per eth_getLogs request (default ${logSettings.chunkSize}); shrunk automatically if the node rejects it`,
+          ),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        fromBlock: z.string().nullable(),
+        toBlock: z.string().nullable(),
+        blockHash: z.string().nullable(),
+        logs: z.array(
+          logSchema.extend({ decoded: decodedLogSchema.nullable() }),
+        ),
+        count: z.number(),
+        scannedTo: z.string().nullable(),
+        nextCursor: z.string().nullable(),
+        requests: z.number(),
+        chunkSize: z.number().nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        const call = rpcCaller(network.rpcUrls);
+
+        const abi = args.abi ? parseAbi(args.abi) : [];
+        const events = args.event
+          ? [
+              args.abi && !args.event.includes("(")
+                ? findEvent(abi, args.event)
+                : parseFragment(
+                    /^event\b/.test(args.event.trim())
+                      ? args.event
+                      : `event ${args.event}`,
+                  ),
+            ]
+          : abi.filter((fragment) => fragment.type === "event");
+        if (events.some((event) => event.type !== "event")) {
+          throw new Error(`"${args.event}" is not an event`);
+        }
+        const byTopic = indexEvents(events);
+
+        const topics = [...(args.topics || [])];
+        if (!topics[0] && byTopic.size > 0) {
+          topics[0] =
+            byTopic.size === 1 ? [...byTopic.keys()][0] : [...byTopic.keys()];
+        }
+        const filter = {};
+        if (args.address) filter.address = args.address;
+        if (topics.length > 0)
+          filter.topics = topics.map((topic) => topic ?? null);
+
+        const position = args.cursor ? decodeCursor(args.cursor) : null;
+        let page;
+        let fromBlock = null;
+        let toBlock = null;
+        let blockRange = null;
+        if (args.blockHash) {
+          console.error(`Getting logs for block ${args.blockHash}`);
+          const all = await call("eth_getLogs", [
+            { ...filter, blockHash: args.blockHash },
+          ]);
+          const skip = position ? position.skip : 0;
+          const logs = all.slice(skip, skip + args.limit);
+          page = {
+            logs,
+            next:
+              skip + args.limit < all.length
+                ? { block: 0n, skip: skip + args.limit }
+                : null,
+            scannedTo: null,
+            requests: 1,
+            chunkSize: null,
+          };
+        } else {
+          // A cursor carries the range resolved on the first page, so "latest"
+          // doesn't move while paging
+          blockRange = position && position.range;
+          if (!blockRange) {
+            blockRange = {
+              fromBlock: await resolveBlockNumber(args.fromBlock, call),
+              toBlock: await resolveBlockNumber(args.toBlock, call),
+            };
+          }
+          ({ fromBlock, toBlock } = blockRange);
+          if (fromBlock > toBlock) {
+            throw new Error(
+              `fromBlock ${fromBlock} is after toBlock ${toBlock}`,
+            );
+          }
+          if (position) {
+            if (position.block < fromBlock || position.block > toBlock) {
+              throw new Error("The cursor does not belong to this block range");
+            }
+            fromBlock = position.block;
+          }
+          console.error(`Getting logs for blocks ${fromBlock}-${toBlock}`);
+          page = await scanLogs(call, filter, {
+            fromBlock,
+            toBlock,
+            limit: args.limit,
+            skip: position ? position.skip : 0,
+            chunkSize: args.chunkSize,
+          });
+        }
+
+        const logs = page.logs.map((log) => ({
+          ...normalizeLog(log),
+          decoded:
+            decodeLog(log, byTopic) || signatures.decodeLog(network.name, log),
+        }));
+        const nextCursor = page.next
+          ? encodeCursor({ ...page.next, range: blockRange })
+          : null;
+
+        const lines = logs.map((log) => {
+          const where = `block ${log.blockNumber ? log.blockNumber.decimal : "?"} log ${
+            log.logIndex ? log.logIndex.decimal : "?"
+          } (${log.address})`;
+          if (!log.decoded)
+            return `- ${where}: ${(log.topics || [])[0] || "anonymous"}`;
+          return `- ${where}: ${log.decoded.name}(${log.decoded.args
+            .map(
+              (arg) => `${arg.name || arg.type}=${JSON.stringify(arg.value)}`,
+            )
+            .join(", ")})`;
+        });
+        const range = args.blockHash
+          ? `block ${args.blockHash}`
+          : `blocks ${fromBlock}-${toBlock}`;
+        let text = `${logs.length} log(s) in ${range}${lines.length ? `:\n${lines.join("\n")}` : ""}`;
+        if (nextCursor) {
+          text += `\nMore logs available${
+            page.next.block > 0n ? ` from block ${page.next.block}` : ""
+          }; pass cursor "${nextCursor}" for the next page.`;
+        }
+
+        return {
+          structuredContent: {
+            network: network.name,
+            fromBlock: fromBlock === null ? null : fromBlock.toString(),
+            toBlock: toBlock === null ? null : toBlock.toString(),
+            blockHash: args.blockHash || null,
+            logs,
+            count: logs.length,
+            scannedTo:
+              page.scannedTo === null ? null : page.scannedTo.toString(),
+            nextCursor,
+            requests: page.requests,
+            chunkSize: page.chunkSize,
+          },
+          content: [
+            {
+              type: "text",
+              text,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get logs. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // eth_chainId
+  server.registerTool(
+    "eth_chainId",
+    {
+      description: "Get the chain ID of the current network",
+      inputSchema: {
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        chainId: quantitySchema,
+        expectedChainId: z.number().nullable(),
+        matchesExpected: z.boolean().nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error("Getting chain ID");
+
+        const chainId = await makeRpcCall("eth_chainId", [], network.rpcUrls);
+        const chainIdDecimal = toSafeNumber(chainId);
+        const expectedChainId = network.chainId ?? null;
+
+        return {
+          structuredContent: {
+            network: network.name,
+            chainId: quantity(chainId),
+            expectedChainId,
+            matchesExpected:
+              expectedChainId === null
+                ? null
+                : expectedChainId === chainIdDecimal,
+          },
+          content: [
+            {
+              type: "text",
+              text: `Chain ID: ${chainIdDecimal} (${chainId})`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get chain ID. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // Shardeum-specific tools
+
+  // shardeum_getNodeList
+  server.registerTool(
+    "shardeum_getNodeList",
+    {
+      description: "Get a list of Shardeum network nodes",
+      inputSchema: {
+        page: z
+          .number()
+          .optional()
+          .default(1)
+          .describe("Page number for pagination"),
+        limit: z
+          .number()
+          .optional()
+          .default(100)
+          .describe("Number of nodes per page"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        page: z.number(),
+        limit: z.number(),
+        nodeCount: z.number(),
+        nodes: z.array(z.record(z.any())),
+        totalNodes: z.number().nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error("Getting Shardeum node list");
+
+        const nodeList = await makeRpcCall(
+          "shardeum_getNodeList",
+          [
+            {
+              page: args.page,
+              limit: args.limit,
+            },
+          ],
+          network.rpcUrls,
+        );
+
+        const nodes = extractNodes(nodeList);
+
+        return {
+          structuredContent: {
+            network: network.name,
+            page: args.page,
+            limit: args.limit,
+            nodeCount: nodes.length,
+            nodes,
+            totalNodes: extractTotal(nodeList),
+          },
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(nodeList, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get node list. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // node_list_summary
+  server.registerTool(
+    "node_list_summary",
+    {
+      description:
+        "Read every page of the Shardeum node list and summarize it: totals by status, distribution by IP prefix, ASN and region where nodes report them, and version spread, with optional filters by status, IP prefix and version",
+      inputSchema: {
+        status: z
+          .string()
+          .optional()
+          .describe('Only count nodes with this status, e.g. "active"'),
+        ip: z
+          .string()
+          .optional()
+          .describe(
+            'Only count nodes whose IP starts with this, e.g. "34.12."',
+          ),
+        version: z
+          .string()
+          .optional()
+          .describe("Only count nodes whose version starts with this"),
+        includeNodes: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe("Include the matching node entries"),
+        maxNodes: z
+          .number()
+          .int()
+          .min(1)
+          .max(1000)
+          .optional()
+          .default(100)
+          .describe("Maximum number of node entries to include"),
+        pageSize: z
+          .number()
+          .int()
+          .min(1)
+          .max(1000)
+          .optional()
+          .describe(
+            `Nodes requested per page (default ${nodeListSettings.pageSize})`,
+          ),
+        maxPages: z
+          .number()
+          .int()
+          .min(1)
+          .max(1000)
+          .optional()
+          .describe(
+            `Safety cap on pages read (default ${nodeListSettings.maxPages})`,
+          ),
+        concurrency: z
+          .number()
+          .int()
+          .min(1)
+          .max(16)
+          .optional()
+          .describe(
+            `Pages fetched in parallel (default ${nodeListSettings.concurrency})`,
+          ),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        reportedTotal: z.number().nullable(),
+        fetched: z.number(),
+        duplicates: z.number(),
+        pages: z.number(),
+        truncated: z.boolean(),
+        filters: z.object({
+          status: z.string().nullable(),
+          ip: z.string().nullable(),
+          version: z.string().nullable(),
+        }),
+        matched: z.number(),
+        byStatus: z.array(bucketSchema),
+        byIpPrefix: z.array(bucketSchema),
+        byAsn: z.array(bucketSchema),
+        byRegion: z.array(bucketSchema),
+        byVersion: z.array(bucketSchema),
+        concentration: z.object({
+          ipPrefixes: z.number(),
+          largestIpPrefixShare: z.number().nullable(),
+          asns: z.number(),
+          largestAsnShare: z.number().nullable(),
+        }),
+        nodes: z.array(z.record(z.any())).nullable(),
+        notes: z.array(z.string()),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error("Reading the full Shardeum node list");
+
+        const list = await fetchAllNodes(rpcCaller(network.rpcUrls), {
+          pageSize: args.pageSize,
+          maxPages: args.maxPages,
+          concurrency: args.concurrency,
+        });
+        const filters = {
+          status: args.status ?? null,
+          ip: args.ip ?? null,
+          version: args.version ?? null,
+        };
+        const matching = filterNodes(list.nodes, filters);
+        const aggregates = aggregateNodes(matching);
+
+        const notes = [];
+        if (list.truncated) {
+          notes.push(
+            `Stopped after ${list.pages} pages (the maxPages cap); the list is incomplete`,
+          );
+        }
+        if (list.total !== null && list.total !== list.nodes.length) {
+          notes.push(
+            `The node reports ${list.total} nodes but ${list.nodes.length} unique nodes were read; the list may have changed while it was paged`,
+          );
+        }
+        if (matching.length > 0 && aggregates.byAsn.length === 0) {
+          notes.push(
+            "Nodes report no ASN or region, so decentralization is estimated from IP prefixes",
+          );
+        }
+
+        const formatBuckets = (buckets) =>
+          buckets.length > 0
+            ? buckets
+                .map((bucket) => `${bucket.value} (${bucket.nodes})`)
+                .join(", ")
+            : "not reported";
+        const filtered = Object.entries(filters).filter(([, value]) => value);
+        const lines = [
+          `${list.nodes.length} unique node(s) from ${list.pages} page(s)${
+            list.duplicates ? `, ${list.duplicates} duplicate(s) dropped` : ""
+          }${
+            filtered.length
+              ? `; ${matching.length} match ${filtered
+                  .map(([name, value]) => `${name}=${value}`)
+                  .join(", ")}`
+              : ""
+          }`,
+          `- Status: ${formatBuckets(aggregates.byStatus)}`,
+          `- Versions: ${formatBuckets(aggregates.byVersion)}`,
+          `- IP prefixes: ${aggregates.concentration.ipPrefixes} distinct; top ${formatBuckets(aggregates.byIpPrefix.slice(0, 5))}${
+            aggregates.concentration.largestIpPrefixShare === null
+              ? ""
+              : `; the largest holds ${aggregates.concentration.largestIpPrefixShare}% of nodes`
+          }`,
+        ];
+        if (aggregates.byAsn.length > 0) {
+          lines.push(
+            `- ASNs: ${aggregates.concentration.asns} distinct; top ${formatBuckets(aggregates.byAsn.slice(0, 5))}; the largest holds ${aggregates.concentration.largestAsnShare}% of nodes`,
+          );
+        }
+        if (aggregates.byRegion.length > 0) {
+          lines.push(`- Regions: ${formatBuckets(aggregates.byRegion)}`);
+        }
+        const nodes = args.includeNodes
+          ? matching.slice(0, args.maxNodes)
+          : null;
+        if (nodes) {
+          lines.push(
+            "",
+            ...nodes.map((node) => {
+              const fields = nodeFields(node);
+              return `- ${fields.publicKey || fields.id}: ${fields.status ?? "unknown"}${
+                fields.ip
+                  ? ` at ${fields.ip}${fields.port ? `:${fields.port}` : ""}`
+                  : ""
+              }${fields.version ? `, version ${fields.version}` : ""}`;
+            }),
+          );
+          if (matching.length > nodes.length) {
+            lines.push(`... ${matching.length - nodes.length} more node(s)`);
+          }
+        }
+        for (const note of notes) lines.push(`Note: ${note}`);
+
+        return {
+          structuredContent: {
+            network: network.name,
+            reportedTotal: list.total,
+            fetched: list.nodes.length,
+            duplicates: list.duplicates,
+            pages: list.pages,
+            truncated: list.truncated,
+            filters,
+            matched: matching.length,
+            ...aggregates,
+            nodes,
+            notes,
+          },
+          content: [
+            {
+              type: "text",
+              text: lines.join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to summarize node list. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // shardeum_getNetworkAccount
+  server.registerTool(
+    "shardeum_getNetworkAccount",
+    {
+      description:
+        "Get detailed information about the Shardeum network account",
+      inputSchema: {
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        account: z.record(z.any()).nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error("Getting Shardeum network account information");
+
+        const networkAccount = await makeRpcCall(
+          "shardeum_getNetworkAccount",
+          [],
+          network.rpcUrls,
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            account: unwrap(networkAccount, "networkAccount"),
+          },
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(networkAccount, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get network account. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // network_config
+  server.registerTool(
+    "network_config",
+    {
+      description:
+        "Explain the governance parameters in the Shardeum network account (staking requirement, node reward amount and interval, penalties, fees, versions), the parameters queued in `next` and the scheduled listOfChanges entries, and diff the account against an earlier snapshot or the account as of a given cycle. Every read is kept as a snapshot to compare against later.",
+      inputSchema: {
+        compareTo: z
+          .string()
+          .optional()
+          .describe(
+            "Id of a stored snapshot to diff the current account against",
+          ),
+        previousAccount: z
+          .record(z.any())
+          .optional()
+          .describe(
+            "An earlier network account (e.g. the `account` of an earlier call) to diff against",
+          ),
+        asOfCycle: z
+          .number()
+          .int()
+          .nonnegative()
+          .optional()
+          .describe(
+            "Diff against the account as of this cycle: the latest snapshot read at or before it, and the listOfChanges entries applied since",
+          ),
+        includeAccount: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe("Include the full network account"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        cycle: z.number().nullable(),
+        snapshot: snapshotSchema,
+        fields: z.array(
+          z.object({
+            path: z.string(),
+            category: z.string(),
+            description: z.string(),
+            value: z.string(),
+            raw: z.any(),
+          }),
+        ),
+        next: z.array(parameterChangeSchema),
+        changes: z.array(
+          z.object({
+            cycle: z.number(),
+            pending: z.boolean(),
+            values: z.array(z.object({ path: z.string(), value: z.any() })),
+          }),
+        ),
+        comparison: z
+          .object({
+            basis: z.enum(["snapshot", "provided", "cycle"]),
+            snapshot: snapshotSchema.nullable(),
+            cycle: z.number().nullable(),
+            changes: z.array(parameterChangeSchema),
+            changesSince: z.array(
+              parameterChangeSchema.extend({ cycle: z.number() }),
+            ),
+          })
+          .nullable(),
+        snapshots: z.array(snapshotSchema),
+        account: z.record(z.any()).nullable(),
+        notes: z.array(z.string()),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        const bases = ["compareTo", "previousAccount", "asOfCycle"].filter(
+          (key) => args[key] !== undefined,
+        );
+        if (bases.length > 1) {
+          throw new Error(
+            `Pass only one of compareTo, previousAccount and asOfCycle (got ${bases.join(", ")})`,
+          );
+        }
+        const call = rpcCaller(network.rpcUrls);
+        const notes = [];
+        console.error("Getting Shardeum network account and current cycle");
+
+        const [result, current] = await Promise.all([
+          call("shardeum_getNetworkAccount", []),
+          call("shardeum_getCycleInfo", []).then(cycleRecord, (error) => {
+            notes.push(
+              `The current cycle could not be read (${error.message}); scheduled changes can't be told from applied ones`,
+            );
+            return null;
+          }),
+        ]);
+        const account = networkAccount(result);
+        if (!account || typeof account !== "object") {
+          throw new Error("The node did not return the network account");
+        }
+        const cycle =
+          current && current.counter !== undefined
+            ? Number(current.counter)
+            : null;
+
+        // Look up a stored snapshot before this read can extend it
+        let base = null;
+        if (args.compareTo !== undefined) {
+          base = networkSnapshots.get(network.name, args.compareTo);
+          if (!base) {
+            throw new Error(
+              `No snapshot "${args.compareTo}" for ${network.name}; stored snapshots: ${
+                networkSnapshots
+                  .list(network.name)
+                  .map((snapshot) => snapshot.id)
+                  .join(", ") || "none"
+              }`,
+            );
+          }
+        } else if (args.asOfCycle !== undefined) {
+          base = networkSnapshots.atCycle(network.name, args.asOfCycle);
+          if (!base) {
+            notes.push(
+              `No snapshot was read at or before cycle ${args.asOfCycle}; only the listOfChanges entries applied since are compared, and earlier values are known only when an earlier entry set them`,
+            );
+          }
+        }
+        const baseAccount = base ? base.account : args.previousAccount;
+        const baseSummary = base
+          ? {
+              id: base.id,
+              cycle: base.cycle,
+              lastSeenCycle: base.lastSeenCycle,
+              takenAt: base.takenAt,
+              lastSeenAt: base.lastSeenAt,
+            }
+          : null;
+        const snapshot = networkSnapshots.record(network.name, account, cycle);
+
+        const explained = explainAccount(account, cycle);
+        const annotate = (change) => {
+          const field = governanceField(change.path);
+          return {
+            ...change,
+            category: field ? field.category : null,
+            description: field ? field.description : null,
+          };
+        };
+        const next = explained.next.map(annotate);
+
+        let comparison = null;
+        if (bases.length > 0) {
+          const sinceCycle =
+            args.asOfCycle ?? (baseSummary ? baseSummary.lastSeenCycle : null);
+          comparison = {
+            basis:
+              args.compareTo !== undefined
+                ? "snapshot"
+                : args.previousAccount !== undefined
+                  ? "provided"
+                  : "cycle",
+            snapshot: baseSummary,
+            cycle: sinceCycle,
+            changes: baseAccount
+              ? diffAccounts(baseAccount, account).map(annotate)
+              : [],
+            changesSince:
+              sinceCycle === null
+                ? []
+                : changesSince(account, sinceCycle, cycle).map(annotate),
+          };
+          if (
+            args.asOfCycle !== undefined &&
+            cycle !== null &&
+            args.asOfCycle > cycle
+          ) {
+            notes.push(
+              `Cycle ${args.asOfCycle} is after the current cycle ${cycle}`,
+            );
+          }
+        }
+
+        // USD amounts are converted at the stability scale of their account
+        const value = (raw, path, parameters = account.current) => {
+          const field = governanceField(path);
+          return describeValue(
+            raw,
+            field ? field.unit : undefined,
+            parameters || {},
+          );
+        };
+        const formatChange = (change) =>
+          `  - ${change.cycle === undefined ? "" : `cycle ${change.cycle}: `}${change.path}: ${
+            change.from === null
+              ? "not set"
+              : value(
+                  change.from,
+                  change.path,
+                  baseAccount ? baseAccount.current : {},
+                )
+          } → ${change.to === null ? "not set" : value(change.to, change.path)}`;
+        const formatEntry = (entry) =>
+          `  - cycle ${entry.cycle}: ${
+            entry.values
+              .map(({ path, value: raw }) => `${path} = ${value(raw, path)}`)
+              .join(", ") || "no values"
+          }`;
+
+        const lines = [
+          `Network parameters${cycle === null ? "" : ` at cycle ${cycle}`} (snapshot ${snapshot.id}):`,
+        ];
+        for (const category of [
+          ...new Set(explained.fields.map((field) => field.category)),
+        ]) {
+          lines.push(`${category[0].toUpperCase()}${category.slice(1)}:`);
+          for (const field of explained.fields) {
+            if (field.category !== category) continue;
+            lines.push(
+              `  - ${field.path.replace(/^current\./, "")}: ${field.value} — ${field.description}`,
+            );
+          }
+        }
+        if (explained.fields.length === 0) {
+          lines.push("- No known governance fields in `current`");
+        }
+        if (next.length > 0) {
+          lines.push("Queued in `next`:", ...next.map(formatChange));
+        }
+        const pending = explained.changes.filter((entry) => entry.pending);
+        const applied = explained.changes.filter((entry) => !entry.pending);
+        if (pending.length > 0) {
+          lines.push("Scheduled changes:", ...pending.map(formatEntry));
+        }
+        if (applied.length > 0) {
+          lines.push(
+            `${cycle === null ? "listOfChanges entries" : "Applied changes"} (${applied.length}${applied.length > 5 ? ", latest 5" : ""}):`,
+            ...applied.slice(-5).map(formatEntry),
+          );
+        }
+        if (comparison) {
+          const against =
+            comparison.basis === "provided"
+              ? "the provided account"
+              : comparison.snapshot
+                ? `snapshot ${comparison.snapshot.id} (first read at ${
+                    comparison.snapshot.cycle === null
+                      ? comparison.snapshot.takenAt
+                      : `cycle ${comparison.snapshot.cycle}`
+                  })`
+                : `cycle ${comparison.cycle}`;
+          lines.push("", `Compared with ${against}:`);
+          if (baseAccount) {
+            lines.push(
+              comparison.changes.length > 0
+                ? `- ${comparison.changes.length} field(s) changed:`
+                : "- No fields changed",
+              ...comparison.changes.map(formatChange),
+            );
+          }
+          if (comparison.changesSince.length > 0) {
+            lines.push(
+              `- Set by listOfChanges since cycle ${comparison.cycle}:`,
+              ...comparison.changesSince.map(formatChange),
+            );
+          } else if (comparison.cycle !== null) {
+            lines.push(
+              `- No listOfChanges entries since cycle ${comparison.cycle}`,
+            );
+          }
+        }
+        for (const note of notes) lines.push(`Note: ${note}`);
+
+        return {
+          structuredContent: {
+            network: network.name,
+            cycle,
+            snapshot: {
+              id: snapshot.id,
+              cycle: snapshot.cycle,
+              lastSeenCycle: snapshot.lastSeenCycle,
+              takenAt: snapshot.takenAt,
+              lastSeenAt: snapshot.lastSeenAt,
+            },
+            fields: explained.fields,
+            next,
+            changes: explained.changes,
+            comparison,
+            snapshots: networkSnapshots.list(network.name),
+            account: args.includeAccount ? account : null,
+            notes,
+          },
+          content: [
+            {
+              type: "text",
+              text: lines.join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to explain network configuration. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // shardeum_getCycleInfo
+  server.registerTool(
+    "shardeum_getCycleInfo",
+    {
+      description:
+        "Get information about the current or a specific Shardeum network cycle",
+      inputSchema: {
+        cycleNumber: z
+          .number()
+          .optional()
+          .describe(
+            "Specific cycle number to query. If not provided, returns current cycle.",
+          ),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        cycleNumber: z.number().nullable(),
+        cycle: z.record(z.any()).nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error("Getting Shardeum cycle information");
+
+        const cycleInfo = await makeRpcCall(
+          "shardeum_getCycleInfo",
+          args.cycleNumber !== undefined ? [args.cycleNumber] : [],
+          network.rpcUrls,
+        );
+
+        const cycle = unwrap(cycleInfo, "cycleInfo");
+
+        return {
+          structuredContent: {
+            network: network.name,
+            cycleNumber:
+              cycle && cycle.counter !== undefined
+                ? Number(cycle.counter)
+                : (args.cycleNumber ?? null),
+            cycle,
+          },
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(cycleInfo, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get cycle information. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // cycle_range
+  server.registerTool(
+    "cycle_range",
+    {
+      description:
+        "Fetch a range of Shardeum cycles and diff consecutive cycle records: nodes joined, activated, removed, lost, refuted and apoptosized, changes in active, desired and expected counts, network churn and rotation, and safety-mode or configuration changes",
+      inputSchema: {
+        fromCycle: z
+          .number()
+          .int()
+          .nonnegative()
+          .optional()
+          .describe("First cycle (default: `count` cycles before toCycle)"),
+        toCycle: z
+          .number()
+          .int()
+          .nonnegative()
+          .optional()
+          .describe("Last cycle (default: the current cycle)"),
+        count: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_CYCLES)
+          .optional()
+          .default(10)
+          .describe(
+            `Number of cycles when fromCycle is omitted (at most ${MAX_CYCLES})`,
+          ),
+        includeNodeIds: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe("List the ids of the nodes behind each event"),
+        concurrency: z
+          .number()
+          .int()
+          .min(1)
+          .max(16)
+          .optional()
+          .default(4)
+          .describe("Cycles fetched in parallel"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        fromCycle: z.number(),
+        toCycle: z.number(),
+        cycles: z.array(
+          z.object({
+            counter: z.number(),
+            start: z.number().nullable(),
+            duration: z.number().nullable(),
+            mode: z.string().nullable(),
+            ...Object.fromEntries(
+              CYCLE_EVENTS.map((event) => [event, z.number()]),
+            ),
+            ...Object.fromEntries(
+              CYCLE_COUNTS.map((field) => [field, z.number().nullable()]),
+            ),
+            changes: z.object(
+              Object.fromEntries(
+                CYCLE_COUNTS.map((field) => [field, z.number().nullable()]),
+              ),
+            ),
+          }),
+        ),
+        totals: z.object(
+          Object.fromEntries(CYCLE_EVENTS.map((event) => [event, z.number()])),
+        ),
+        churn: z.object({
+          arrived: z.number(),
+          departed: z.number(),
+          averageActive: z.number().nullable(),
+          churnPercent: z.number().nullable(),
+          rotatedPerCycle: z.number().nullable(),
+          activeChange: z.number().nullable(),
+        }),
+        modeChanges: z.array(fieldChangeSchema),
+        configChanges: z.array(fieldChangeSchema),
+        safetyCycles: z.array(z.number()),
+        nodes: z
+          .object(
+            Object.fromEntries(
+              CYCLE_EVENTS.map((event) => [event, z.array(z.string())]),
+            ),
+          )
+          .nullable(),
+        missing: z.array(z.object({ cycle: z.number(), message: z.string() })),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        const call = rpcCaller(network.rpcUrls);
+
+        let toCycle = args.toCycle;
+        if (toCycle === undefined) {
+          const current = cycleRecord(await call("shardeum_getCycleInfo", []));
+          if (!current || current.counter === undefined) {
+            throw new Error("The node did not return the current cycle");
+          }
+          toCycle = Number(current.counter);
+        }
+        const fromCycle =
+          args.fromCycle ?? Math.max(0, toCycle - args.count + 1);
+        if (fromCycle > toCycle) {
+          throw new Error(`fromCycle ${fromCycle} is after toCycle ${toCycle}`);
+        }
+        if (toCycle - fromCycle + 1 > MAX_CYCLES) {
+          throw new Error(`At most ${MAX_CYCLES} cycles can be read at once`);
+        }
+        console.error(`Getting cycles ${fromCycle}-${toCycle}`);
+
+        const { records, missing } = await fetchCycles(call, {
+          from: fromCycle,
+          to: toCycle,
+          concurrency: args.concurrency,
+        });
+        if (records.length === 0) {
+          throw new Error(
+            `None of cycles ${fromCycle}-${toCycle} could be read${
+              missing.length ? `: ${missing[0].message}` : ""
+            }`,
+          );
+        }
+        const diff = diffCycles(records);
+
+        const { totals, churn } = diff;
+        const first = diff.cycles[0];
+        const last = diff.cycles[diff.cycles.length - 1];
+        const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+        const countSummary = (field) =>
+          first[field] === null && last[field] === null
+            ? null
+            : `${field} ${first[field] ?? "?"} → ${last[field] ?? "?"}`;
+        const lines = [
+          `Cycles ${fromCycle}-${toCycle} (${records.length} read):`,
+          `- Events: ${CYCLE_EVENTS.map((event) => `${totals[event]} ${event}`).join(", ")}`,
+          `- Counts: ${
+            CYCLE_COUNTS.map(countSummary).filter(Boolean).join(", ") ||
+            "not reported"
+          }`,
+          `- Churn: ${churn.arrived} activated, ${churn.departed} removed, lost or apoptosized${
+            churn.churnPercent === null
+              ? ""
+              : ` (${churn.churnPercent}% of ${churn.averageActive} active on average)`
+          }; ${churn.rotatedPerCycle} rotated out per cycle${
+            churn.activeChange === null
+              ? ""
+              : `; active ${signed(churn.activeChange)}`
+          }`,
+          diff.safetyCycles.length > 0
+            ? `- Safety mode in cycles ${diff.safetyCycles.join(", ")}`
+            : "- No cycles in safety mode",
+        ];
+        const formatChange = (change) =>
+          `  - cycle ${change.cycle}: ${change.field} ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`;
+        if (diff.modeChanges.length > 0) {
+          lines.push("- Mode changes:", ...diff.modeChanges.map(formatChange));
+        }
+        if (diff.configChanges.length > 0) {
+          lines.push(
+            "- Configuration changes:",
+            ...diff.configChanges.map(formatChange),
+          );
+        }
+        lines.push(
+          "",
+          `cycle | mode | ${CYCLE_EVENTS.join(" | ")} | active (change)`,
+          ...diff.cycles.map(
+            (cycle) =>
+              `${cycle.counter} | ${cycle.mode ?? "-"} | ${CYCLE_EVENTS.map(
+                (event) => cycle[event],
+              ).join(" | ")} | ${cycle.active ?? "-"}${
+                cycle.changes.active ? ` (${signed(cycle.changes.active)})` : ""
+              }`,
+          ),
+        );
+        for (const entry of missing) {
+          lines.push(
+            `Note: cycle ${entry.cycle} could not be read: ${entry.message}`,
+          );
+        }
+
+        return {
+          structuredContent: {
+            network: network.name,
+            fromCycle,
+            toCycle,
+            cycles: diff.cycles,
+            totals,
+            churn,
+            modeChanges: diff.modeChanges,
+            configChanges: diff.configChanges,
+            safetyCycles: diff.safetyCycles,
+            nodes: args.includeNodeIds ? diff.nodes : null,
+            missing,
+          },
+          content: [
+            {
+              type: "text",
+              text: lines.join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get cycle range. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // node_status
+  server.registerTool(
+    "node_status",
+    {
+      description:
+        "Look up a Shardeum validator by public key, nominator address or IP:port and report its health: status in the node list, activation cycle and time active, appearances in the lost, removed, apoptosized and refuted lists of recent cycles, and its stake against the network's requirement where the RPC server exposes accounts",
+      inputSchema: {
+        publicKey: z
+          .string()
+          .optional()
+          .describe("The node's public key (or node id)"),
+        nominator: z
+          .string()
+          .regex(addressPattern)
+          .optional()
+          .describe("The address that staked for the node"),
+        endpoint: z
+          .string()
+          .optional()
+          .describe(
+            'The node\'s IP, optionally with its port, e.g. "34.12.5.8:9001" or "[2001:db8::1]:9001"',
+          ),
+        recentCycles: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_CYCLES)
+          .optional()
+          .default(20)
+          .describe(
+            `Recent cycles to check for node events (at most ${MAX_CYCLES})`,
+          ),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        query: z.object({ by: z.string(), value: z.string() }),
+        currentCycle: z.number().nullable(),
+        cyclesChecked: z
+          .object({ from: z.number(), to: z.number() })
+          .nullable(),
+        nodes: z.array(
+          z.object({
+            inNodeList: z.boolean(),
+            id: z.string().nullable(),
+            publicKey: z.string().nullable(),
+            status: z.string().nullable(),
+            ip: z.string().nullable(),
+            port: z.number().nullable(),
+            version: z.string().nullable(),
+            nominator: z.string().nullable(),
+            activeCycle: z.number().nullable(),
+            activeSince: z.string().nullable(),
+            activeForSeconds: z.number().nullable(),
+            events: z.array(z.object({ cycle: z.number(), event: z.string() })),
+            stake: z
+              .object({
+                staked: weiSchema.nullable(),
+                required: weiSchema.nullable(),
+                requiredUsd: z.string().nullable(),
+                meetsRequirement: z.boolean().nullable(),
+                reward: weiSchema.nullable(),
+                penalty: weiSchema.nullable(),
+                certificateExpires: z.string().nullable(),
+                nominator: z.string().nullable(),
+                nominee: z.string().nullable(),
+              })
+              .nullable(),
+            healthy: z.boolean(),
+            issues: z.array(z.string()),
+          }),
+        ),
+        missingCycles: z.array(
+          z.object({ cycle: z.number(), message: z.string() }),
+        ),
+        notes: z.array(z.string()),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        const given = ["publicKey", "nominator", "endpoint"].filter(
+          (key) => args[key] !== undefined,
+        );
+        if (given.length !== 1) {
+          throw new Error(
+            "Pass exactly one of publicKey, nominator and endpoint",
+          );
+        }
+        const query = { by: given[0], value: args[given[0]] };
+        const call = rpcCaller(network.rpcUrls);
+        const batch = rpcBatcher(network.rpcUrls);
+        const notes = [];
+        const optional = (promise, what) =>
+          promise.catch((error) => {
+            notes.push(`${what} could not be read: ${error.message}`);
+            return null;
+          });
+        console.error(`Looking up Shardeum node by ${query.by} ${query.value}`);
+
+        const [list, current, parameters, operator] = await Promise.all([
+          fetchAllNodes(call),
+          optional(
+            call("shardeum_getCycleInfo", []).then(cycleRecord),
+            "The current cycle",
+          ),
+          optional(
+            call("shardeum_getNetworkAccount", []).then((result) => {
+              const account = networkAccount(result);
+              return account ? account.current || null : null;
+            }),
+            "The network account",
+          ),
+          args.nominator
+            ? optional(
+                call("eth_getAccount", [args.nominator]).then(accountData),
+                "The nominator's account",
+              )
+            : null,
+        ]);
+        if (list.truncated) {
+          notes.push(
+            `Only the first ${list.pages} pages of the node list were read; the node may be missing from them`,
+          );
+        }
+
+        let matches = findNodes(
+          list.nodes,
+          args.endpoint
+            ? parseEndpoint(args.endpoint)
+            : { publicKey: args.publicKey, nominator: args.nominator },
+        );
+        // Node list entries may not name the nominator; its account names the node
+        const nominee =
+          operator && operator.operatorAccountInfo
+            ? operator.operatorAccountInfo.nominee || null
+            : null;
+        if (matches.length === 0 && nominee) {
+          matches = findNodes(list.nodes, { publicKey: nominee });
+        }
+        if (matches.length > MAX_STATUS_NODES) {
+          notes.push(
+            `${matches.length} nodes match; only the first ${MAX_STATUS_NODES} are reported`,
+          );
+          matches = matches.slice(0, MAX_STATUS_NODES);
+        }
+        // A node that left is no longer listed but can still be found in cycles
+        const targets = matches.map((node) => ({
+          inNodeList: true,
+          fields: nodeFields(node),
+        }));
+        const missingKey = args.publicKey || nominee;
+        if (targets.length === 0 && missingKey) {
+          targets.push({
+            inNodeList: false,
+            fields: {
+              ...Object.fromEntries(
+                Object.keys(nodeFields({})).map((key) => [key, null]),
+              ),
+              publicKey: missingKey,
+              nominator: args.nominator || null,
+            },
+          });
+        }
+
+        const currentCycle =
+          current && current.counter !== undefined
+            ? Number(current.counter)
+            : null;
+        let cyclesChecked = null;
+        let records = [];
+        let missingCycles = [];
+        if (currentCycle !== null && targets.length > 0) {
+          cyclesChecked = {
+            from: Math.max(0, currentCycle - args.recentCycles + 1),
+            to: currentCycle,
+          };
+          ({ records, missing: missingCycles } = await fetchCycles(call, {
+            ...cyclesChecked,
+            concurrency: 4,
+          }));
+        }
+
+        // Node and operator accounts, where the RPC server serves them
+        const lookups = [];
+        for (const { fields } of targets) {
+          if (fields.publicKey) lookups.push(fields.publicKey);
+          if (fields.nominator && !operator) lookups.push(fields.nominator);
+        }
+        const accounts = new Map();
+        if (lookups.length > 0) {
+          const responses = await batch(
+            lookups.map((key) => ({ method: "eth_getAccount", params: [key] })),
+          );
+          const failed = responses.find((response) => response.error);
+          if (failed) {
+            notes.push(
+              `Stake accounts could not all be read (eth_getAccount: ${failed.error.message})`,
+            );
+          }
+          lookups.forEach((key, i) => {
+            if (!responses[i].error) {
+              accounts.set(key.toLowerCase(), accountData(responses[i].result));
+            }
+          });
+        }
+        if (operator && args.nominator) {
+          accounts.set(args.nominator.toLowerCase(), operator);
+        }
+
+        const now = Date.now();
+        const optionalWei = (value) =>
+          value === null ? null : describeWei(value);
+        const nodes = targets.map(({ inNodeList, fields }) => {
+          const keys = new Set(
+            [fields.id, fields.publicKey]
+              .filter((key) => key !== null)
+              .map((key) => String(key).toLowerCase()),
+          );
+          const events = [];
+          for (const record of records) {
+            for (const event of CYCLE_EVENTS) {
+              if (
+                eventNodes(record, event).some((id) =>
+                  keys.has(id.toLowerCase()),
+                )
+              ) {
+                events.push({ cycle: Number(record.counter), event });
+              }
+            }
+          }
+
+          const activated = events.filter(
+            (entry) => entry.event === "activated",
+          );
+          const activeCycle =
+            fields.activeCycle !== null
+              ? Number(fields.activeCycle)
+              : activated.length > 0
+                ? activated[activated.length - 1].cycle
+                : null;
+          // Shardus reports activation times in seconds
+          const timestamp =
+            fields.activeTimestamp !== null
+              ? Number(fields.activeTimestamp)
+              : null;
+          const activeSinceMs =
+            timestamp > 0
+              ? timestamp < 1e12
+                ? timestamp * 1000
+                : timestamp
+              : null;
+          const activeForSeconds =
+            activeSinceMs !== null
+              ? Math.floor((now - activeSinceMs) / 1000)
+              : activeCycle !== null &&
+                  currentCycle !== null &&
+                  current.duration !== undefined
+                ? (currentCycle - activeCycle) * Number(current.duration)
+                : null;
+
+          const nodeAccount = fields.publicKey
+            ? accounts.get(String(fields.publicKey).toLowerCase()) || null
+            : null;
+          const nominatorAddress =
+            fields.nominator ||
+            (nodeAccount && nodeAccount.nominator) ||
+            args.nominator ||
+            null;
+          const operatorAccount = nominatorAddress
+            ? accounts.get(String(nominatorAddress).toLowerCase()) || null
+            : null;
+          const stake =
+            nodeAccount || operatorAccount
+              ? nodeStake({
+                  operator: operatorAccount,
+                  node: nodeAccount,
+                  parameters,
+                })
+              : null;
+
+          const issues = [];
+          if (!inNodeList) issues.push("Not in the node list");
+          const status = fields.status === null ? null : String(fields.status);
+          if (inNodeList && status && status.toLowerCase() !== "active") {
+            issues.push(`Status is ${status}`);
+          }
+          // A lost report the node refuted later doesn't make it unhealthy
+          const failures = events.filter(
+            (entry) =>
+              ["removed", "apoptosized"].includes(entry.event) ||
+              (entry.event === "lost" &&
+                !events.some(
+                  (later) =>
+                    later.event === "refuted" && later.cycle >= entry.cycle,
+                )),
+          );
+          for (const entry of events) {
+            if (["lost", "removed", "apoptosized"].includes(entry.event)) {
+              issues.push(
+                `${entry.event[0].toUpperCase()}${entry.event.slice(1)} in cycle ${entry.cycle}`,
+              );
+            } else if (entry.event === "refuted") {
+              issues.push(`Refuted a lost report in cycle ${entry.cycle}`);
+            }
+          }
+          if (stake && stake.meetsRequirement === false) {
+            issues.push("Stake is below the network's requirement");
+          }
+          if (
+            stake &&
+            stake.certificateExpires &&
+            Date.parse(stake.certificateExpires) < now
+          ) {
+            issues.push(
+              `Stake certificate expired at ${stake.certificateExpires}`,
+            );
+          }
+
+          return {
+            inNodeList,
+            id: fields.id === null ? null : String(fields.id),
+            publicKey:
+              fields.publicKey === null ? null : String(fields.publicKey),
+            status,
+            ip: fields.ip === null ? null : String(fields.ip),
+            port: fields.port === null ? null : Number(fields.port),
+            version: fields.version === null ? null : String(fields.version),
+            nominator:
+              nominatorAddress === null ? null : String(nominatorAddress),
+            activeCycle,
+            activeSince:
+              activeSinceMs === null
+                ? null
+                : new Date(activeSinceMs).toISOString(),
+            activeForSeconds,
+            events,
+            stake: stake && {
+              ...stake,
+              staked: optionalWei(stake.staked),
+              required: optionalWei(stake.required),
+              requiredUsd:
+                stake.requiredUsd === null
+                  ? null
+                  : formatUnits(stake.requiredUsd),
+              reward: optionalWei(stake.reward),
+              penalty: optionalWei(stake.penalty),
+            },
+            healthy:
+              inNodeList &&
+              status !== null &&
+              status.toLowerCase() === "active" &&
+              failures.length === 0 &&
+              !(stake && stake.meetsRequirement === false),
+            issues,
+          };
+        });
+
+        const lines = [];
+        if (nodes.length === 0) {
+          lines.push(
+            `No node matching ${query.by} ${query.value} is in the node list (${list.nodes.length} nodes read)`,
+          );
+        }
+        const window = cyclesChecked
+          ? `cycles ${cyclesChecked.from}-${cyclesChecked.to}`
+          : "recent cycles";
+        for (const node of nodes) {
+          lines.push(
+            `Node ${node.publicKey || node.id || "unknown"}: ${
+              node.inNodeList ? (node.status ?? "unknown status") : "not listed"
+            }${node.healthy ? " (healthy)" : ""}`,
+          );
+          if (node.ip) {
+            lines.push(
+              `- Endpoint: ${node.ip}${node.port === null ? "" : `:${node.port}`}${
+                node.version ? `, version ${node.version}` : ""
+              }`,
+            );
+          }
+          if (node.nominator) lines.push(`- Nominator: ${node.nominator}`);
+          if (node.activeCycle !== null || node.activeForSeconds !== null) {
+            lines.push(
+              `- Active${node.activeCycle === null ? "" : ` since cycle ${node.activeCycle}`}${
+                node.activeForSeconds === null
+                  ? ""
+                  : ` (${Math.floor(node.activeForSeconds / 3600)}h ${Math.floor(
+                      (node.activeForSeconds % 3600) / 60,
+                    )}m)`
+              }`,
+            );
+          }
+          lines.push(
+            node.events.length > 0
+              ? `- Events in ${window}: ${node.events
+                  .map((entry) => `${entry.event} in ${entry.cycle}`)
+                  .join(", ")}`
+              : `- No events in ${window}`,
+          );
+          if (node.stake) {
+            const shm = (amount) => (amount ? `${amount.shm} SHM` : "unknown");
+            lines.push(
+              `- Stake: ${shm(node.stake.staked)} of ${shm(node.stake.required)} required${
+                node.stake.requiredUsd === null
+                  ? ""
+                  : ` ($${node.stake.requiredUsd})`
+              }${
+                node.stake.reward ? `; reward ${node.stake.reward.shm} SHM` : ""
+              }${
+                node.stake.penalty
+                  ? `; penalty ${node.stake.penalty.shm} SHM`
+                  : ""
+              }`,
+            );
+          } else {
+            lines.push("- Stake: not available from this RPC server");
+          }
+          for (const issue of node.issues) lines.push(`- Issue: ${issue}`);
+        }
+        for (const entry of missingCycles) {
+          lines.push(
+            `Note: cycle ${entry.cycle} could not be read: ${entry.message}`,
+          );
+        }
+        for (const note of notes) lines.push(`Note: ${note}`);
+
+        return {
+          structuredContent: {
+            network: network.name,
+            query,
+            currentCycle,
+            cyclesChecked,
+            nodes,
+            missingCycles,
+            notes,
+          },
+          content: [
+            {
+              type: "text",
+              text: lines.join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get node status. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // rpc_batch
+  server.registerTool(
+    "rpc_batch",
+    {
+      description:
+        "Send several read-only JSON-RPC calls in one batch and return all results together. A failing call doesn't affect the others.",
+      inputSchema: {
+        requests: z
+          .array(
+            z.object({
+              method: z.enum(BATCH_METHODS).describe("The RPC method to call"),
+              params: z
+                .array(z.any())
+                .optional()
+                .default([])
+                .describe("The parameters for the RPC call"),
+            }),
+          )
+          .min(1)
+          .max(MAX_BATCH_REQUESTS)
+          .describe(`Calls to make (at most ${MAX_BATCH_REQUESTS})`),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        results: z.array(
+          z.object({
+            method: z.string(),
+            params: z.array(z.any()),
+            result: z.any().optional(),
+            error: z
+              .object({
+                code: z.number().nullable().optional(),
+                message: z.string(),
+                data: z.any().optional(),
+              })
+              .optional(),
+          }),
+        ),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Sending batch of ${args.requests.length} RPC calls`);
+
+        const responses = await makeBatchRpcCall(
+          args.requests,
+          network.rpcUrls,
+        );
+        const results = args.requests.map((request, index) => ({
+          method: request.method,
+          params: request.params,
+          ...responses[index],
+        }));
+
+        return {
+          structuredContent: { network: network.name, results },
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(results, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to send batch. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // rpc_cache_stats
+  server.registerTool(
+    "rpc_cache_stats",
+    {
+      description:
+        "Show response cache hit/miss statistics and occupancy, optionally clearing the cache",
+      inputSchema: {
+        clear: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe("Clear all cached responses after reporting"),
+      },
+      outputSchema: {
+        ttlMs: z.number(),
+        maxEntries: z.number(),
+        size: z.number(),
+        immutableEntries: z.number(),
+        ttlEntries: z.number(),
+        hits: z.number(),
+        misses: z.number(),
+        evictions: z.number(),
+        expirations: z.number(),
+        hitRate: z.number().nullable(),
+        byMethod: z.record(z.object({ hits: z.number(), misses: z.number() })),
+        cleared: z.boolean(),
+      },
+    },
+    async (args) => {
+      try {
+        console.error("Getting RPC cache statistics");
+
+        const stats = { ...getCacheStats(), cleared: args.clear };
+        if (args.clear) clearCache();
+
+        return {
+          structuredContent: stats,
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(stats, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get cache statistics. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // ERC-20 tokens
+
+  // token_metadata
+  server.registerTool(
+    "token_metadata",
+    {
+      description:
+        "Get ERC-20 token metadata: name, symbol, decimals and total supply. Tokens returning bytes32 names or symbols, or missing decimals(), are handled and flagged in notes.",
+      inputSchema: {
+        token: z
+          .string()
+          .regex(addressPattern)
+          .describe("The token contract address"),
+        decimals: decimalsParam,
+        block: tokenBlockParam,
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        token: tokenSchema,
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Getting token metadata for ${args.token}`);
+
+        const block = await resolveBlockId(args.block, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const [token] = await readTokens(
+          rpcBatcher(network.rpcUrls),
+          [{ address: args.token, decimals: args.decimals }],
+          { block },
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            token,
+          },
+          content: [
+            {
+              type: "text",
+              text: [
+                `Token ${args.token}:`,
+                `- Name: ${token.name ?? "unknown"}`,
+                `- Symbol: ${token.symbol ?? "unknown"}`,
+                `- Decimals: ${token.decimals ?? "unknown"}`,
+                `- Total supply: ${formatTokenAmount(token.totalSupply, token)}`,
+                ...token.notes.map((note) => `Note: ${note}`),
+              ].join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get token metadata. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // token_balance
+  server.registerTool(
+    "token_balance",
+    {
+      description:
+        "Get the ERC-20 token balance of an address, with the token's decimals applied",
+      inputSchema: {
+        token: z
+          .string()
+          .regex(addressPattern)
+          .describe("The token contract address"),
+        owner: z
+          .string()
+          .regex(addressPattern)
+          .describe("The address whose balance to get"),
+        decimals: decimalsParam,
+        block: tokenBlockParam,
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        owner: z.string(),
+        token: tokenSchema,
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Getting ${args.token} balance for ${args.owner}`);
+
+        const block = await resolveBlockId(args.block, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const [token] = await readTokens(
+          rpcBatcher(network.rpcUrls),
+          [{ address: args.token, decimals: args.decimals }],
+          { owner: args.owner, block, totalSupply: false },
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            owner: args.owner,
+            token,
+          },
+          content: [
+            {
+              type: "text",
+              text: [
+                `Balance of ${args.owner} in ${tokenLabel(token)}: ${formatTokenAmount(token.balance, token)}`,
+                ...token.notes.map((note) => `Note: ${note}`),
+              ].join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get token balance. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // token_allowance
+  server.registerTool(
+    "token_allowance",
+    {
+      description:
+        "Get how many ERC-20 tokens a spender may transfer on behalf of an owner, with the token's decimals applied",
+      inputSchema: {
+        token: z
+          .string()
+          .regex(addressPattern)
+          .describe("The token contract address"),
+        owner: z
+          .string()
+          .regex(addressPattern)
+          .describe("The address that granted the allowance"),
+        spender: z
+          .string()
+          .regex(addressPattern)
+          .describe("The address allowed to spend"),
+        decimals: decimalsParam,
+        block: tokenBlockParam,
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        owner: z.string(),
+        spender: z.string(),
+        unlimited: z.boolean().nullable(),
+        token: tokenSchema,
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(
+          `Getting ${args.token} allowance from ${args.owner} to ${args.spender}`,
+        );
+
+        const block = await resolveBlockId(args.block, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const [token] = await readTokens(
+          rpcBatcher(network.rpcUrls),
+          [{ address: args.token, decimals: args.decimals }],
+          {
+            owner: args.owner,
+            spender: args.spender,
+            block,
+            totalSupply: false,
+          },
+        );
+        // Wallets approve 2^256 - 1 to mean "no limit"
+        const unlimited = token.allowance
+          ? BigInt(token.allowance.raw) === 2n ** 256n - 1n
+          : null;
+
+        return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            owner: args.owner,
+            spender: args.spender,
+            unlimited,
+            token,
+          },
+          content: [
+            {
+              type: "text",
+              text: [
+                `Allowance of ${args.spender} over ${args.owner}'s ${tokenLabel(token)}: ${
+                  unlimited
+                    ? "unlimited"
+                    : formatTokenAmount(token.allowance, token)
+                }`,
+                ...token.notes.map((note) => `Note: ${note}`),
+              ].join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get token allowance. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // token_portfolio
+  server.registerTool(
+    "token_portfolio",
+    {
+      description:
+        "Get the balances of an address across a list of ERC-20 tokens in one batched request",
+      inputSchema: {
+        owner: z
+          .string()
+          .regex(addressPattern)
+          .describe("The address whose holdings to get"),
+        tokens: z
+          .array(
+            z.union([
+              z.string().regex(addressPattern),
+              z.object({
+                address: z.string().regex(addressPattern),
+                decimals: decimalsParam,
+              }),
+            ]),
+          )
+          .min(1)
+          .max(MAX_PORTFOLIO_TOKENS)
+          .describe(
+            `Token addresses, or { address, decimals } objects for tokens without decimals() (at most ${MAX_PORTFOLIO_TOKENS})`,
+          ),
+        hideZero: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe("Leave out tokens the address holds none of"),
+        block: tokenBlockParam,
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        owner: z.string(),
+        tokens: z.array(tokenSchema),
+        hiddenZeroBalances: z.number(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(
+          `Getting balances of ${args.owner} across ${args.tokens.length} tokens`,
+        );
+
+        const block = await resolveBlockId(args.block, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const all = await readTokens(
+          rpcBatcher(network.rpcUrls),
+          args.tokens.map((token) =>
+            typeof token === "string" ? { address: token } : token,
+          ),
+          { owner: args.owner, block, totalSupply: false },
+        );
+        const tokens = args.hideZero
+          ? all.filter((token) => !token.balance || token.balance.raw !== "0")
+          : all;
+
+        const lines = tokens.map(
+          (token) =>
+            `- ${tokenLabel(token)}: ${formatTokenAmount(token.balance, token)}${
+              token.notes.length ? ` (${token.notes.join("; ")})` : ""
+            }`,
+        );
+        if (all.length > tokens.length) {
+          lines.push(
+            `${all.length - tokens.length} token(s) with a zero balance hidden`,
+          );
+        }
+
+        return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            owner: args.owner,
+            tokens,
+            hiddenZeroBalances: all.length - tokens.length,
+          },
+          content: [
+            {
+              type: "text",
+              text: `Token balances of ${args.owner} at block ${formatBlockParam(block)}:\n${
+                lines.join("\n") || "No token balances"
+              }`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get token portfolio. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // NFTs
+
+  // nft_collection
+  server.registerTool(
+    "nft_collection",
+    {
+      description:
+        "Inspect an NFT contract: which ERC-165 interfaces it supports (ERC-721, ERC-1155 and their extensions), its name and symbol, and total supply for enumerable collections",
+      inputSchema: {
+        contract: z
+          .string()
+          .regex(addressPattern)
+          .describe("The NFT contract address"),
+        block: tokenBlockParam,
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        contract: z.string(),
+        interfaces: interfacesSchema,
+        name: z.string().nullable(),
+        symbol: z.string().nullable(),
+        totalSupply: z.string().nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Inspecting NFT contract ${args.contract}`);
+
+        const block = await resolveBlockId(args.block, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const batch = rpcBatcher(network.rpcUrls);
+        const interfaces = await detectInterfaces(batch, args.contract, block);
+        const collection = await readCollection(
+          batch,
+          args.contract,
+          interfaces,
+          block,
+        );
+
+        const supported = Object.entries(interfaces.supports)
+          .filter(([, value]) => value)
+          .map(([key]) => key);
+        return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            contract: args.contract,
+            interfaces,
+            ...collection,
+          },
+          content: [
+            {
+              type: "text",
+              text: [
+                `NFT contract ${args.contract}:`,
+                `- Standard: ${interfaces.standard || "not detected"}`,
+                `- ERC-165: ${interfaces.erc165 ? "yes" : "no"}`,
+                `- Interfaces: ${supported.join(", ") || "none"}`,
+                `- Name: ${collection.name ?? "unknown"}`,
+                `- Symbol: ${collection.symbol ?? "unknown"}`,
+                ...(collection.totalSupply !== null
+                  ? [`- Total supply: ${collection.totalSupply}`]
+                  : []),
+              ].join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to inspect NFT contract. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // nft_token
+  server.registerTool(
+    "nft_token",
+    {
+      description:
+        "Get an NFT's owner (ERC-721), token URI and metadata. ERC-1155 {id} placeholders are substituted, data URIs are decoded inline, and HTTP/IPFS metadata is fetched when the server enables it.",
+      inputSchema: {
+        contract: z
+          .string()
+          .regex(addressPattern)
+          .describe("The NFT contract address"),
+        tokenId: tokenIdParam,
+        owner: z
+          .string()
+          .regex(addressPattern)
+          .optional()
+          .describe("Also get this address's balance of the token"),
+        standard: standardParam,
+        fetchMetadata: z
+          .boolean()
+          .optional()
+          .default(true)
+          .describe(
+            "Fetch off-chain metadata over HTTP/IPFS when the server allows it",
+          ),
+        block: tokenBlockParam,
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        contract: z.string(),
+        standard: z.enum(STANDARDS),
+        name: z.string().nullable(),
+        symbol: z.string().nullable(),
+        tokenId: z.string(),
+        owner: z.string().nullable(),
+        balance: z.string().nullable(),
+        uri: z.string().nullable(),
+        metadata: metadataSchema,
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(`Getting NFT ${args.tokenId} of ${args.contract}`);
+
+        const block = await resolveBlockId(args.block, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const batch = rpcBatcher(network.rpcUrls);
+        const interfaces = await detectInterfaces(batch, args.contract, block);
+        const standard = resolveStandard(
+          interfaces,
+          args.standard,
+          args.contract,
+        );
+        const [collection, token] = await Promise.all([
+          readCollection(batch, args.contract, interfaces, block),
+          readToken(batch, args.contract, standard, args.tokenId, {
+            owner: args.owner,
+            block,
+          }),
+        ]);
+        const metadata = await resolveMetadata(token.uri, {
+          fetcher: args.fetchMetadata ? metadataFetcher : null,
+        });
+
+        const lines = [
+          `${collection.name || "NFT"} #${token.tokenId} (${standard}, ${args.contract}):`,
+        ];
+        if (standard === "ERC-721") {
+          lines.push(
+            `- Owner: ${token.owner || "none (not minted or burned)"}`,
+          );
+        }
+        if (args.owner) {
+          lines.push(
+            `- Balance of ${args.owner}: ${token.balance ?? "unknown"}`,
+          );
+        }
+        lines.push(`- URI: ${token.uri ?? "none"}`);
+        if (metadata.metadata) {
+          lines.push(
+            `- Metadata: ${JSON.stringify(metadata.metadata, null, 2)}`,
+          );
+        } else if (metadata.content) {
+          lines.push(
+            `- Content (${metadata.contentType}): ${metadata.content}`,
+          );
+        } else if (metadata.error) {
+          lines.push(`- Metadata ${metadata.status}: ${metadata.error}`);
+        }
+
+        return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            contract: args.contract,
+            standard,
+            name: collection.name,
+            symbol: collection.symbol,
+            ...token,
+            metadata,
+          },
+          content: [
+            {
+              type: "text",
+              text: lines.join("\n"),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get NFT. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // nft_balance
+  server.registerTool(
+    "nft_balance",
+    {
+      description:
+        "Get how many NFTs an address holds: across the whole collection for ERC-721, or of one token id for ERC-1155",
+      inputSchema: {
+        contract: z
+          .string()
+          .regex(addressPattern)
+          .describe("The NFT contract address"),
+        owner: z
+          .string()
+          .regex(addressPattern)
+          .describe("The address whose balance to get"),
+        tokenId: tokenIdParam.optional(),
+        standard: standardParam,
+        block: tokenBlockParam,
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        block: z.string(),
+        contract: z.string(),
+        standard: z.enum(STANDARDS),
+        owner: z.string(),
+        tokenId: z.string().nullable(),
+        balance: z.string().nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+        console.error(
+          `Getting NFT balance of ${args.owner} in ${args.contract}`,
+        );
+
+        const block = await resolveBlockId(args.block, {
+          call: rpcCaller(network.rpcUrls),
+          allowHash: true,
+          hashAsObject: true,
+        });
+        const batch = rpcBatcher(network.rpcUrls);
+        const interfaces = await detectInterfaces(batch, args.contract, block);
+        const standard = resolveStandard(
+          interfaces,
+          args.standard,
+          args.contract,
+        );
+        const balance = await readBalance(
+          batch,
+          args.contract,
+          standard,
+          args.owner,
+          { tokenId: args.tokenId, block },
+        );
+        const tokenId =
+          standard === "ERC-1155" ? toBigInt(args.tokenId).toString() : null;
+
+        return {
+          structuredContent: {
+            network: network.name,
+            block: formatBlockParam(block),
+            contract: args.contract,
+            standard,
+            owner: args.owner,
+            tokenId,
+            balance,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${args.owner} holds ${balance ?? "an unknown number of"} ${
+                tokenId === null ? "tokens" : `of token #${tokenId}`
+              } in ${standard} contract ${args.contract}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get NFT balance. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // Contract ABIs
+
+  // register_contract_abi
+  server.registerTool(
+    "register_contract_abi",
+    {
+      description:
+        "Register a contract's ABI so its transactions, receipts, logs and eth_call results are decoded with it. ABIs are kept in memory per network until the server restarts.",
+      inputSchema: {
+        address: z
+          .string()
+          .regex(addressPattern)
+          .describe("The contract address"),
+        abi: z
+          .union([z.string(), z.array(z.any())])
+          .optional()
+          .describe(
+            "The ABI as a JSON array, JSON string or list of human-readable signatures",
+          ),
+        label: z
+          .string()
+          .optional()
+          .describe('A name for the contract, e.g. "Router"'),
+        remove: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe("Forget the registered ABI instead"),
+        network: networkParam,
+      },
+      outputSchema: {
+        network: z.string(),
+        address: z.string(),
+        removed: z.boolean(),
+        contract: z
+          .object({
+            network: z.string(),
+            address: z.string(),
+            label: z.string().nullable(),
+            functions: z.number(),
+            events: z.number(),
+            errors: z.number(),
+            registeredAt: z.string(),
+          })
+          .nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const network = networks.resolve(args.network);
+
+        if (args.remove) {
+          const removed = signatures.remove(network.name, args.address);
+          return {
+            structuredContent: {
+              network: network.name,
+              address: args.address,
+              removed,
+              contract: null,
+            },
+            content: [
+              {
+                type: "text",
+                text: removed
+                  ? `Removed the ABI registered for ${args.address} on ${network.name}`
+                  : `No ABI was registered for ${args.address} on ${network.name}`,
+              },
+            ],
+          };
+        }
+
+        if (!args.abi)
+          throw new Error("An abi is required unless remove is set");
+        const contract = signatures.register(
+          network.name,
+          args.address,
+          args.abi,
+          args.label,
+        );
+        console.error(`Registered ABI for ${args.address} on ${network.name}`);
+
+        return {
+          structuredContent: {
+            network: network.name,
+            address: args.address,
+            removed: false,
+            contract,
+          },
+          content: [
+            {
+              type: "text",
+              text: `Registered ABI for ${args.label ? `${args.label} ` : ""}${args.address} on ${network.name}: ${contract.functions} function(s), ${contract.events} event(s), ${contract.errors} error(s)`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to register ABI. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // list_contract_abis
+  server.registerTool(
+    "list_contract_abis",
+    {
+      description:
+        "List the contract ABIs registered with register_contract_abi",
+      inputSchema: {
+        network: z
+          .string()
+          .optional()
+          .describe(
+            "Only list ABIs for this network; all networks when omitted",
+          ),
+      },
+      outputSchema: {
+        contracts: z.array(
+          z.object({
+            network: z.string(),
+            address: z.string(),
+            label: z.string().nullable(),
+            functions: z.number(),
+            events: z.number(),
+            errors: z.number(),
+            registeredAt: z.string(),
+          }),
+        ),
+      },
+    },
+    async (args) => {
+      try {
+        const network = args.network ? networks.resolve(args.network) : null;
+        const contracts = signatures.list(network ? network.name : undefined);
+
+        return {
+          structuredContent: { contracts },
+          content: [
+            {
+              type: "text",
+              text: contracts.length
+                ? contracts
+                    .map(
+                      (contract) =>
+                        `- ${contract.network} ${contract.address}${
+                          contract.label ? ` (${contract.label})` : ""
+                        }: ${contract.functions} function(s), ${contract.events} event(s), ${contract.errors} error(s)`,
+                    )
+                    .join("\n")
+                : "No contract ABIs registered",
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to list ABIs. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // Transaction submission
+
+  const rawTransactionParam = z
+    .string()
+    .regex(/^0x([a-fA-F0-9]{2})+$/)
+    .describe("The signed transaction, RLP-encoded and 0x-prefixed");
+
+  /**
+   * Decode a raw transaction and check it against the network
+   * @returns {Promise<object>} - `{ network, tx, transaction, decodedInput, review }`
+   */
+  async function reviewRawTransaction(args) {
+    const network = networks.resolve(args.network);
+    let tx;
+    try {
+      tx = decodeRawTransaction(args.rawTransaction);
+    } catch (error) {
+      throw new Error(`Could not decode the transaction: ${error.message}`);
+    }
+    const review = await checkTransaction(rpcBatcher(network.rpcUrls), tx, {
+      expectedChainId: network.chainId ?? null,
+    });
+    return {
+      network,
+      tx,
+      transaction: summarizeTransaction(tx),
+      decodedInput: tx.to
+        ? signatures.decodeCall(network.name, tx.to, tx.data)
+        : null,
+      review,
+    };
+  }
+
+  const reviewOutputSchema = {
+    network: z.string(),
+    transaction: transactionSummarySchema,
+    decodedInput: z.any().nullable(),
+    allowed: z.boolean(),
+    checks: checksSchema,
+    warnings: z.array(z.string()),
+  };
+
+  // decode_raw_transaction
+  server.registerTool(
+    "decode_raw_transaction",
+    {
+      description:
+        "Decode a signed raw transaction without sending it: recovers the sender and shows recipient, value, chain ID, nonce, gas and fees, the decoded call, and whether eth_sendRawTransaction would accept it",
+      inputSchema: {
+        rawTransaction: rawTransactionParam,
+        network: networkParam,
+      },
+      outputSchema: reviewOutputSchema,
+    },
+    async (args) => {
+      try {
+        console.error("Decoding raw transaction");
+        const { network, transaction, decodedInput, review } =
+          await reviewRawTransaction(args);
+
+        return {
+          structuredContent: {
+            network: network.name,
+            transaction,
+            decodedInput,
+            ...review,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${transactionReview(
+                transaction,
+                review,
+                decodedInput && formatDecoded(decodedInput),
+              )}\n\n${
+                review.allowed
+                  ? "eth_sendRawTransaction would broadcast this transaction."
+                  : "eth_sendRawTransaction would refuse this transaction."
+              }`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to decode raw transaction. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // eth_sendRawTransaction
+  server.registerTool(
+    "eth_sendRawTransaction",
+    {
+      description:
+        "Broadcast a signed raw transaction. The transaction is decoded and checked first: broadcasting must be enabled (BROADCAST_ENABLED), the chain ID must match the network, and the configured value cap and recipient allowlist apply. Blocked transactions are reported with the failed checks and never sent.",
+      inputSchema: {
+        rawTransaction: rawTransactionParam,
+        network: networkParam,
+      },
+      outputSchema: {
+        ...reviewOutputSchema,
+        status: z.enum(["broadcast", "blocked"]),
+        transactionHash: z.string().nullable(),
+      },
+    },
+    async (args) => {
+      try {
+        const { network, transaction, decodedInput, review } =
+          await reviewRawTransaction(args);
+        const text = transactionReview(
+          transaction,
+          review,
+          decodedInput && formatDecoded(decodedInput),
+        );
+
+        if (!review.allowed) {
+          console.error(`Refusing to broadcast ${transaction.hash}`);
+          return {
+            structuredContent: {
+              network: network.name,
+              transaction,
+              decodedInput,
+              ...review,
+              status: "blocked",
+              transactionHash: null,
+            },
+            content: [
+              {
+                type: "text",
+                text: `${text}\n\nNot broadcast: ${review.checks
+                  .filter((check) => !check.passed)
+                  .map((check) => check.name)
+                  .join(", ")} failed.`,
+              },
+            ],
+          };
+        }
+
+        console.error(`Broadcasting ${transaction.hash} on ${network.name}`);
+        const transactionHash = await makeRpcCall(
+          "eth_sendRawTransaction",
+          [args.rawTransaction],
+          network.rpcUrls,
+        );
+
+        return {
+          structuredContent: {
+            network: network.name,
+            transaction,
+            decodedInput,
+            ...review,
+            status: "broadcast",
+            transactionHash,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${text}\n\nBroadcast: ${transactionHash}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to send raw transaction. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // Local signer, only available when a key is configured
+  if (signer) {
+    const gweiParam = (description) =>
+      z
+        .string()
+        .regex(/^\d+(\.\d+)?$/)
+        .optional()
+        .describe(`${description} in gwei; taken from the node when omitted`);
+
+    // signer_address
+    server.registerTool(
+      "signer_address",
+      {
+        description:
+          "Show the address of the configured local signer with its balance and pending nonce",
+        inputSchema: {
+          network: networkParam,
+        },
+        outputSchema: {
+          network: z.string(),
+          address: z.string(),
+          balance: z.object({
+            wei: z.string(),
+            gwei: z.string(),
+            shm: z.string(),
+          }),
+          nonce: z.string(),
+        },
+      },
+      async (args) => {
+        try {
+          const network = networks.resolve(args.network);
+          const address = await signer.address();
+          console.error(`Getting signer account ${address}`);
+
+          const [balance, nonce] = await rpcBatcher(network.rpcUrls)([
+            { method: "eth_getBalance", params: [address, "latest"] },
+            { method: "eth_getTransactionCount", params: [address, "pending"] },
+          ]);
+          for (const response of [balance, nonce]) {
+            if (response.error) {
+              throw new Error(`RPC Error: ${response.error.message}`);
+            }
+          }
+          const wei = describeWei(toBigInt(balance.result));
+
+          return {
+            structuredContent: {
+              network: network.name,
+              address,
+              balance: wei,
+              nonce: toBigInt(nonce.result).toString(),
+            },
+            content: [
+              {
+                type: "text",
+                text: `Signer ${address} on ${network.name}: ${wei.shm} SHM, next nonce ${toBigInt(nonce.result)}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Failed to get signer account. ${error.message}`,
+              },
+            ],
+            isError: true,
+          };
+        }
+      },
+    );
+
+    // send_transaction
+    server.registerTool(
+      "send_transaction",
+      {
+        description:
+          "Build, sign and submit a transaction from the configured local signer. Nonce, gas, fees and chain ID come from the node unless given. The eth_sendRawTransaction checks apply before broadcasting; with dryRun the signed transaction is returned without being sent.",
+        inputSchema: {
+          to: z
+            .string()
+            .regex(addressPattern)
+            .optional()
+            .describe("Recipient address; omit to deploy a contract"),
+          value: z
+            .string()
+            .regex(/^\d+(\.\d+)?$/)
+            .optional()
+            .default("0")
+            .describe("Amount of SHM to send"),
+          data: z
+            .string()
+            .regex(/^0x([a-fA-F0-9]{2})*$/)
+            .optional()
+            .default("0x")
+            .describe("Call data or contract creation code"),
+          type: z
+            .enum(["eip1559", "legacy"])
+            .optional()
+            .default("eip1559")
+            .describe("Transaction type"),
+          nonce: z
+            .number()
+            .int()
+            .min(0)
+            .optional()
+            .describe("Nonce; the pending transaction count when omitted"),
+          gas: z
+            .number()
+            .int()
+            .positive()
+            .optional()
+            .describe("Gas limit; estimated with eth_estimateGas when omitted"),
+          gasPrice: gweiParam("Gas price for legacy transactions"),
+          maxFeePerGas: gweiParam("Maximum fee per gas"),
+          maxPriorityFeePerGas: gweiParam("Maximum priority fee per gas"),
+          dryRun: z
+            .boolean()
+            .optional()
+            .default(false)
+            .describe("Sign and check the transaction but don't broadcast it"),
+          network: networkParam,
+        },
+        outputSchema: {
+          ...reviewOutputSchema,
+          status: z.enum(["dry_run", "broadcast", "blocked"]),
+          transactionHash: z.string().nullable(),
+          rawTransaction: z.string(),
+        },
+      },
+      async (args) => {
+        try {
+          const network = networks.resolve(args.network);
+          const from = await signer.address();
+          const gwei = (value) =>
+            value === undefined ? undefined : parseUnits(value, "gwei");
+          console.error(
+            `Building ${args.type} transaction from ${from} on ${network.name}`,
+          );
+
+          const batch = rpcBatcher(network.rpcUrls);
+          const tx = await buildTransaction(
+            batch,
+            from,
+            {
+              type: args.type === "legacy" ? 0 : 2,
+              to: args.to || null,
+              value: parseUnits(args.value),
+              data: args.data,
+              nonce: args.nonce === undefined ? undefined : BigInt(args.nonce),
+              gas: args.gas === undefined ? undefined : BigInt(args.gas),
+              gasPrice: gwei(args.gasPrice),
+              maxFeePerGas: gwei(args.maxFeePerGas),
+              maxPriorityFeePerGas: gwei(args.maxPriorityFeePerGas),
+            },
+            { expectedChainId: network.chainId ?? null },
+          );
+          const rawTransaction = serializeTransaction(
+            tx,
+            await signer.sign(tx),
+          );
+
+          // Review exactly what was signed, as eth_sendRawTransaction would
+          const decoded = decodeRawTransaction(rawTransaction);
+          const transaction = summarizeTransaction(decoded);
+          const decodedInput = decoded.to
+            ? signatures.decodeCall(network.name, decoded.to, decoded.data)
+            : null;
+          const review = await checkTransaction(batch, decoded, {
+            expectedChainId: network.chainId ?? null,
+          });
+          const text = transactionReview(
+            transaction,
+            review,
+            decodedInput && formatDecoded(decodedInput),
+          );
+          const result = {
+            network: network.name,
+            transaction,
+            decodedInput,
+            ...review,
+            transactionHash: null,
+            rawTransaction,
+          };
+
+          if (args.dryRun) {
+            return {
+              structuredContent: { ...result, status: "dry_run" },
+              content: [
+                {
+                  type: "text",
+                  text: `${text}\n\nDry run, not broadcast. Signed transaction:\n${rawTransaction}`,
+                },
+              ],
+            };
+          }
+          if (!review.allowed) {
+            console.error(`Refusing to broadcast ${transaction.hash}`);
+            return {
+              structuredContent: { ...result, status: "blocked" },
+              content: [
+                {
+                  type: "text",
+                  text: `${text}\n\nNot broadcast: ${review.checks
+                    .filter((check) => !check.passed)
+                    .map((check) => check.name)
+                    .join(", ")} failed.`,
+                },
+              ],
+            };
+          }
+
+          console.error(`Broadcasting ${transaction.hash} on ${network.name}`);
+          const transactionHash = await makeRpcCall(
+            "eth_sendRawTransaction",
+            [rawTransaction],
+            network.rpcUrls,
+          );
+
+          return {
+            structuredContent: {
+              ...result,
+              status: "broadcast",
+              transactionHash,
+            },
+            content: [
+              {
+                type: "text",
+                text: `${text}\n\nBroadcast: ${transactionHash}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: Failed to send transaction. ${error.message}`,
+              },
+            ],
+            isError: true,
+          };
+        }
+      },
+    );
+  }
+
+  // Utilities
+
+  // convert_units
+  server.registerTool(
+    "convert_units",
+    {
+      description:
+        "Convert an amount exactly between wei, gwei, SHM and other units. Units may be given by name or as a number of decimals (e.g. 6 for a 6-decimal token).",
+      inputSchema: {
+        amount: z
+          .string()
+          .describe(
+            'Amount in the source unit, as a decimal string (e.g. "1.5") or a hex integer',
+          ),
+        from: unitParam.describe("Unit of the amount"),
+        to: unitParam.describe("Unit to convert to"),
+      },
+      outputSchema: {
+        amount: z.string(),
+        from: z.union([z.string(), z.number()]),
+        to: z.union([z.string(), z.number()]),
+        fromDecimals: z.number(),
+        toDecimals: z.number(),
+        result: z.string(),
+        baseUnits: z.string(),
+      },
+    },
+    async (args) => {
+      try {
+        console.error(
+          `Converting ${args.amount} from ${args.from} to ${args.to}`,
+        );
+
+        const fromDecimals = resolveDecimals(args.from);
+        const toDecimals = resolveDecimals(args.to);
+        const result = convertUnits(args.amount, fromDecimals, toDecimals);
+        const baseUnits = convertUnits(args.amount, fromDecimals, 0);
+
+        return {
+          structuredContent: {
+            amount: args.amount,
+            from: args.from,
+            to: args.to,
+            fromDecimals,
+            toDecimals,
+            result,
+            baseUnits,
+          },
+          content: [
+            {
+              type: "text",
+              text: `${args.amount} ${args.from} = ${result} ${args.to}`,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to convert units. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // Network registry
+
+  // list_networks
+  server.registerTool(
+    "list_networks",
+    {
+      description:
+        "List the configured networks with their RPC URLs, expected chain ID and chain ID check result",
+      inputSchema: {
+        recheck: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe("Re-run the eth_chainId check against every network"),
+      },
+      outputSchema: {
+        networks: z.array(
+          z.object({
+            name: z.string(),
+            default: z.boolean(),
+            rpcUrls: z.array(z.string()),
+            expectedChainId: z.number().nullable(),
+            description: z.string().optional(),
+            verification: z.object({
+              status: z.string(),
+              checkedAt: z.string().optional(),
+              endpoints: z
+                .array(
+                  z.object({
+                    url: z.string(),
+                    status: z.string(),
+                    actualChainId: z.number().optional(),
+                    error: z.string().optional(),
+                  }),
+                )
+                .optional(),
+            }),
+          }),
+        ),
+      },
+    },
+    async (args) => {
+      try {
+        console.error("Listing configured networks");
+
+        if (args.recheck) {
+          await verifyNetworks(networks, makeRpcCall);
+        }
+
+        const summary = networks.list().map((network) => ({
+          name: network.name,
+          default: network.name === networks.defaultName,
+          rpcUrls: network.rpcUrls,
+          expectedChainId: network.chainId ?? null,
+          description: network.description,
+          verification: network.verification,
+        }));
+
+        return {
+          structuredContent: { networks: summary },
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(summary, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to list networks. ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // rpc_health
+  server.registerTool(
+    "rpc_health",
+    {
+      description:
+        "Show circuit breaker state, latency and recent error rate for each RPC endpoint",
+      inputSchema: {
+        network: z
+          .string()
+          .optional()
+          .describe("Only report endpoints of this network (default: all)"),
+      },
+      outputSchema: {
+        networks: z.array(
+          z.object({
+            network: z.string(),
+            endpoints: z.array(
+              z.object({
+                url: z.string(),
+                state: z.enum(["closed", "open", "half-open"]),
+                consecutiveFailures: z.number(),
+                lastLatencyMs: z.number().nullable(),
+                avgLatencyMs: z.number().nullable(),
+                recentRequests: z.number(),
+                recentErrorRate: z.number().nullable(),
+                lastError: z.string().nullable(),
+                lastErrorAt: z.string().nullable(),
+                retryAfterMs: z.number().nullable(),
+              }),
+            ),
+          }),
+        ),
+      },
+    },
+    async (args) => {
+      try {
+        console.error("Getting RPC endpoint health");
+
+        const selected = args.network
+          ? [networks.resolve(args.network)]
+          : networks.list();
+        const health = selected.map((network) => ({
+          network: network.name,
+          endpoints: getEndpointHealth(network.rpcUrls),
+        }));
+
+        return {
+          structuredContent: { networks: health },
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(health, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Failed to get RPC health. ${error.message}`,
             },
           ],
           isError: true,